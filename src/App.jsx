@@ -12,6 +12,9 @@ import Login from './pages/auth/Login';
 import Register from './pages/auth/Register';
 import ResetPassword from './pages/auth/ResetPassword';
 
+// Public Pages
+import VerifyCertificate from './pages/public/VerifyCertificate';
+
 // Admin Pages
 import AdminDashboard from './pages/admin/Dashboard';
 import Categories from './pages/admin/Categories';
@@ -19,10 +22,17 @@ import Tests from './pages/admin/Tests';
 import Questions from './pages/admin/Questions';
 import Users from './pages/admin/Users';
 import TestBookings from './pages/admin/TestBookings';
+import ExamSessions from './pages/admin/ExamSessions';
+import Coupons from './pages/admin/Coupons';
+import PaymentReconciliation from './pages/admin/PaymentReconciliation';
+import CertificateTemplates from './pages/admin/CertificateTemplates';
+import Grading from './pages/admin/Grading';
+import Rubrics from './pages/admin/Rubrics';
 import Reports from './pages/admin/Reports';
 import Analytics from './pages/admin/Analytics';
 import Settings from './pages/admin/Settings';
 import AdminProfile from './pages/admin/Profile';
+import AttemptDetail from './pages/admin/AttemptDetail';
 
 // Student Pages
 import StudentDashboard from './pages/student/Dashboard';
@@ -103,6 +113,8 @@ function App() {
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
           <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify" element={<VerifyCertificate />} />
+          <Route path="/verify/:serial" element={<VerifyCertificate />} />
           <Route path="*" element={<Navigate to="/login" replace />} />
         </Routes>
       </div>
@@ -124,13 +136,20 @@ function App() {
           <Route path="categories" element={<Categories />} />
           <Route path="tests" element={<Tests />} />
           <Route path="questions" element={<Questions />} />
+          <Route path="grading" element={<Grading />} />
+          <Route path="rubrics" element={<Rubrics />} />
           <Route path="users" element={<Users />} />
           <Route path="bookings" element={<TestBookings />} />
+          <Route path="sessions" element={<ExamSessions />} />
+          <Route path="coupons" element={<Coupons />} />
+          <Route path="payments" element={<PaymentReconciliation />} />
           <Route path="reports" element={<Reports />} />
           <Route path="certificates" element={<StudentCertificates />} />
+          <Route path="certificate-templates" element={<CertificateTemplates />} />
           <Route path="analytics" element={<Analytics />} />
           <Route path="settings" element={<Settings />} />
           <Route path="profile" element={<AdminProfile />} />
+          <Route path="attempts/:attemptId" element={<AttemptDetail />} />
         </Route>
 
         {/* Student Routes */}
@@ -156,6 +175,10 @@ function App() {
           <Route path="results/:resultId" element={<ExamResults />} />
         </Route>
 
+        {/* Public certificate verification, also reachable when signed in */}
+        <Route path="/verify" element={<VerifyCertificate />} />
+        <Route path="/verify/:serial" element={<VerifyCertificate />} />
+
         {/* Default redirect based on user role */}
         <Route path="/" element={
           user?.role === 'STUDENT' ? 
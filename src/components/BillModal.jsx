@@ -1,8 +1,11 @@
 import React, { useState } from 'react';
+import { flushSync } from 'react-dom';
 import { useQueryClient } from '@tanstack/react-query';
 import { billingAPI, paymentAPI } from '../services/api';
 import toast from 'react-hot-toast';
-import jsPDF from 'jspdf';
+import { saveAs } from 'file-saver';
+import { downloadBookingIcs } from '../utils/exam/bookingIcs';
+import { describeTaxRate, normalizeInvoice } from '../utils/exam/invoicing';
 import { 
   FiPrinter, 
   FiDownload, 
@@ -20,18 +23,16 @@ import {
   FiUser,
   FiFileText
 } from 'react-icons/fi';
+import { formatCurrency } from '../utils/exam/money';
 
-const BillModal = ({ bill, onClose, onPrint }) => {
+const BillModal = ({ bill: initialBill, onClose, onPrint }) => {
   const [isProcessing, setIsProcessing] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+  // The bill the server returns once printing has recorded the payment
+  const [printedBill, setPrintedBill] = useState(null);
   const queryClient = useQueryClient();
-  if (!bill) return null;
-
-  const formatCurrency = (amount, currency) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: currency || 'USD'
-    }).format(amount);
-  };
+  if (!initialBill) return null;
+  const bill = normalizeInvoice(printedBill || initialBill);
 
   const formatDate = (date) => {
     return new Date(date).toLocaleDateString('en-US', {
@@ -41,22 +42,34 @@ const BillModal = ({ bill, onClose, onPrint }) => {
     });
   };
 
+  const STATUS_LABELS = {
+    PAID: 'PAID',
+    REFUNDED: 'REFUNDED',
+    PARTIALLY_REFUNDED: 'PARTIALLY REFUNDED',
+    CANCELLED: 'CANCELLED'
+  };
+  const statusLabel = STATUS_LABELS[bill.status] || 'PENDING PAYMENT';
+  const hasCredits = bill.creditNotes.length > 0;
+  const isSettled = bill.status === 'PAID' || hasCredits;
+
   const handlePrint = async () => {
+    // A cancelled or credited bill is a record only, there is nothing to collect
+    if (hasCredits || bill.status === 'CANCELLED') {
+      window.print();
+      if (onPrint) onPrint();
+      return;
+    }
+
     try {
       setIsProcessing(true);
       
       const response = await paymentAPI.processPaymentOnPrint(bill.booking.id);
       
       if (response.data?.success) {
-        if (response.data.data?.bill) {
-          Object.assign(bill, response.data.data.bill);
-        } else {
-          bill.status = 'PAID';
-          bill.payment = {
-            method: 'CASH',
-            paidAt: new Date().toISOString()
-          };
-        }
+        // Re-render before printing so the page shows the paid record
+        flushSync(() => setPrintedBill(response.data.data?.bill
+          ? { ...initialBill, ...response.data.data.bill }
+          : { ...initialBill, status: 'PAID', payment: { method: 'CASH', paidAt: new Date().toISOString() } }));
       }
       
       window.print();
@@ -76,188 +89,41 @@ const BillModal = ({ bill, onClose, onPrint }) => {
     }
   };
 
-  const generatePDF = () => {
-  const doc = new jsPDF({
-    orientation: 'portrait',
-    unit: 'mm',
-    format: 'a4',
-    compress: true
-  });
-
-  // Colors
-  const primaryColor = [40, 53, 147];
-  const secondaryColor = [25, 118, 210];
-  const successColor = [46, 125, 50];
-  const warningColor = [237, 108, 2];
-  const lightGray = [240, 240, 240];
-  const darkGray = [100, 100, 100];
-
-  // Set default font
-  doc.setFont('helvetica', 'normal');
-  
-  // Add header with gradient
-  doc.setFillColor(primaryColor[0], primaryColor[1], primaryColor[2]);
-  doc.rect(0, 0, 210, 30, 'F');
-  
-  // Logo and title
-  doc.setFontSize(20);
-  doc.setTextColor(255, 255, 255);
-  doc.text('MockExam Pro', 105, 20, { align: 'center' });
-  
-  // Invoice header section
-  doc.setFontSize(16);
-  doc.setTextColor(primaryColor[0], primaryColor[1], primaryColor[2]);
-  doc.text('EXAM FEE INVOICE', 105, 45, { align: 'center' });
-  
-  // Add decorative line
-  doc.setDrawColor(secondaryColor[0], secondaryColor[1], secondaryColor[2]);
-  doc.setLineWidth(0.5);
-  doc.line(50, 48, 160, 48);
-
-  // Invoice details in two columns
-  doc.setFontSize(10);
-  doc.setTextColor(0, 0, 0);
-  
-  // Left column
-  doc.text(`Invoice #: ${bill.billNumber}`, 20, 60);
-  doc.text(`Issued: ${formatDate(bill.billDate)}`, 20, 65);
-  doc.text(`Due: ${formatDate(bill.dueDate)}`, 20, 70);
-  
-  // Right column
-  doc.text(`Status:`, 150, 60);
-  if (bill.status === 'PAID') {
-    doc.setTextColor(successColor[0], successColor[1], successColor[2]);
-    doc.text('PAID', 170, 60, { align: 'right' });
-    doc.setTextColor(0, 0, 0);
-    doc.text(`Paid on: ${formatDate(bill.payment.paidAt)}`, 150, 65);
-    doc.text(`Method: ${bill.payment.method}`, 150, 70);
-  } else {
-    doc.setTextColor(warningColor[0], warningColor[1], warningColor[2]);
-    doc.text('PENDING', 170, 60, { align: 'right' });
-    doc.setTextColor(0, 0, 0);
-  }
-
-  // Client and exam details section
-  doc.setFontSize(12);
-  doc.setTextColor(primaryColor[0], primaryColor[1], primaryColor[2]);
-  doc.text('CLIENT DETAILS', 20, 85);
-  doc.setFontSize(10);
-  doc.setTextColor(0, 0, 0);
-  doc.text(bill.customer.name, 20, 90);
-  doc.text(bill.customer.email, 20, 95);
-  if (bill.customer.phone) doc.text(bill.customer.phone, 20, 100);
-
-  doc.setFontSize(12);
-  doc.setTextColor(primaryColor[0], primaryColor[1], primaryColor[2]);
-  doc.text('EXAM DETAILS', 120, 85);
-  doc.setFontSize(10);
-  doc.setTextColor(0, 0, 0);
-  doc.text(bill.exam.title, 120, 90);
-  doc.text(`Category: ${bill.exam.category}`, 120, 95);
-  doc.text(`Duration: ${bill.exam.duration} minutes`, 120, 100);
-  doc.text(`Total Marks: ${bill.exam.totalMarks}`, 120, 105);
-
-  // Items table
-  const startY = 120;
-  let currentY = startY;
-
-  // Table header
-  doc.setFillColor(lightGray[0], lightGray[1], lightGray[2]);
-  doc.rect(20, currentY, 170, 8, 'F');
-  doc.setTextColor(0, 0, 0);
-  doc.setFontSize(10);
-  doc.setFont('helvetica', 'bold');
-  doc.text('Description', 25, currentY + 6);
-  doc.text('Amount', 165, currentY + 6, { align: 'right' });
-  doc.setFont('helvetica', 'normal');
-  currentY += 8;
-
-  // Table row with subtle border
-  doc.setDrawColor(220, 220, 220);
-  doc.setLineWidth(0.2);
-  doc.line(20, currentY + 4, 190, currentY + 4);
-  
-  doc.text(`${bill.exam.title} - Exam Fee`, 25, currentY + 6);
-  doc.text(formatCurrency(bill.amount.subtotal, bill.amount.currency), 165, currentY + 6, { align: 'right' });
-  currentY += 8;
-
-  if (bill.amount.tax > 0) {
-    doc.line(20, currentY + 4, 190, currentY + 4);
-    doc.text('Tax', 25, currentY + 6);
-    doc.text(formatCurrency(bill.amount.tax, bill.amount.currency), 165, currentY + 6, { align: 'right' });
-    currentY += 8;
-  }
-// Subtle highlighted total row
-doc.setFillColor(245, 248, 255); // Very light blue background
-doc.rect(20, currentY, 170, 10, 'F');
-
-doc.setDrawColor(220, 220, 220);
-doc.setLineWidth(0.3);
-doc.rect(20, currentY, 170, 10); // Border around total
-
-doc.setFont('helvetica', 'bold');
-doc.setTextColor(primaryColor[0], primaryColor[1], primaryColor[2]);
-doc.text('TOTAL DUE', 25, currentY + 7);
-doc.text(formatCurrency(bill.amount.total, bill.amount.currency), 165, currentY + 7, { align: 'right' });
-
-doc.setFont('helvetica', 'normal');
-currentY += 15;
-
-  // Payment instructions if pending
-  if (bill.status !== 'PAID') {
-    doc.setFontSize(11);
-    doc.setTextColor(primaryColor[0], primaryColor[1], primaryColor[2]);
-    doc.text('PAYMENT INSTRUCTIONS', 20, currentY);
-    doc.setFontSize(9);
-    doc.setTextColor(0, 0, 0);
-    
-    currentY += 7;
-    doc.text('Please make payment to:', 20, currentY);
-    currentY += 5;
-    doc.text('Account Name: MockExam Pro Inc.', 25, currentY);
-    currentY += 5;
-    doc.text('Account Number: 1234 5678 9012', 25, currentY);
-    currentY += 5;
-    doc.text('Bank: International Bank', 25, currentY);
-    currentY += 5;
-    doc.text('Reference: ' + bill.billNumber, 25, currentY);
-    currentY += 10;
-  }
-
-  // Terms and conditions
-  doc.setFontSize(8);
-  doc.setTextColor(darkGray[0], darkGray[1], darkGray[2]);
-  doc.text('Terms & Conditions:', 20, currentY);
-  currentY += 5;
-  doc.text('1. Payment is due within 15 days of invoice date.', 25, currentY);
-  currentY += 5;
-  doc.text('2. Late payments may be subject to fees.', 25, currentY);
-  currentY += 5;
-  doc.text('3. All amounts are in ' + bill.amount.currency + '.', 25, currentY);
-
-  // Footer
-  doc.setFontSize(8);
-  doc.setTextColor(darkGray[0], darkGray[1], darkGray[2]);
-  doc.text('Thank you for choosing MockExam Pro!', 105, 280, { align: 'center' });
-  doc.text('For support contact: support@mockexampro.com | Phone: +1 (555) 123-4567', 105, 285, { align: 'center' });
-  doc.text('© ' + new Date().getFullYear() + ' MockExam Pro. All rights reserved.', 105, 290, { align: 'center' });
-
-  // Add page border
-  doc.setDrawColor(220, 220, 220);
-  doc.setLineWidth(0.5);
-  doc.rect(10, 10, 190, 277);
-
-  return doc;
-};
+  // Calendar file for the booking this bill is for
+  const handleAddToCalendar = () => {
+    downloadBookingIcs({
+      ...bill.booking,
+      exam: {
+        title: bill.exam.title,
+        duration: bill.exam.duration,
+        examCategory: { name: bill.exam.category }
+      }
+    });
+  };
 
+  // The PDF is rendered by the server from the stored invoice, so it always
+  // matches the accounting record
   const handleDownload = async () => {
     try {
-      const doc = generatePDF();
-      doc.save(`invoice_${bill.billNumber}.pdf`);
-      toast.success('Bill downloaded successfully!');
+      setIsDownloading(true);
+      const blob = await billingAPI.downloadBill(bill.booking.id);
+      saveAs(blob, `${bill.invoiceNumber}.pdf`);
+      toast.success('Invoice downloaded successfully!');
+    } catch (error) {
+      console.error('Failed to download invoice:', error);
+      toast.error('Failed to download invoice');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  const handleDownloadCreditNote = async (creditNote) => {
+    try {
+      const blob = await billingAPI.downloadCreditNote(creditNote.id);
+      saveAs(blob, `${creditNote.creditNoteNumber}.pdf`);
     } catch (error) {
-      console.error('Failed to generate PDF:', error);
-      toast.error('Failed to download bill');
+      console.error('Failed to download credit note:', error);
+      toast.error('Failed to download credit note');
     }
   };
 
@@ -317,11 +183,22 @@ currentY += 15;
             <button 
               className="btn btn-primary"
               onClick={handleDownload}
+              disabled={isDownloading}
               style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
             >
               <FiDownload size={18} />
-              Download
+              {isDownloading ? 'Downloading...' : 'Download'}
             </button>
+            {(bill.booking?.scheduledAt || bill.booking?.session?.startsAt) && (
+              <button
+                className="btn btn-secondary"
+                onClick={handleAddToCalendar}
+                style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
+              >
+                <FiCalendar size={18} />
+                {bill.booking.status === 'CANCELLED' ? 'Remove from Calendar' : 'Add to Calendar'}
+              </button>
+            )}
             <button 
               className="btn btn-outline"
               onClick={onClose}
@@ -360,16 +237,23 @@ currentY += 15;
                 INVOICE
               </div>
               <div style={{ color: 'var(--secondary-600)', marginBottom: '4px' }}>
-                Bill #: {bill.billNumber}
+                Invoice #: {bill.invoiceNumber}
               </div>
               <div style={{ display: 'flex', alignItems: 'center', gap: '8px', justifyContent: 'flex-end', color: 'var(--secondary-600)', marginBottom: '4px' }}>
                 <FiCalendar size={14} />
-                <span>Date: {formatDate(bill.billDate)}</span>
-              </div>
-              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', justifyContent: 'flex-end', color: 'var(--secondary-600)' }}>
-                <FiCalendar size={14} />
-                <span>Due: {formatDate(bill.dueDate)}</span>
+                <span>Date: {formatDate(bill.issuedAt)}</span>
               </div>
+              {bill.dueAt && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', justifyContent: 'flex-end', color: 'var(--secondary-600)' }}>
+                  <FiCalendar size={14} />
+                  <span>Due: {formatDate(bill.dueAt)}</span>
+                </div>
+              )}
+              {bill.organization?.taxId && (
+                <div style={{ color: 'var(--secondary-600)', marginTop: '4px' }}>
+                  Tax ID: {bill.organization.taxId}
+                </div>
+              )}
             </div>
           </div>
 
@@ -461,24 +345,48 @@ currentY += 15;
                   </tr>
                 </thead>
                 <tbody>
-                  <tr>
-                    <td style={{ padding: '12px', borderBottom: '1px solid var(--secondary-200)' }}>
-                      {bill.exam.title} - Exam Fee
-                    </td>
-                    <td style={{ padding: '12px', textAlign: 'right', borderBottom: '1px solid var(--secondary-200)' }}>
-                      {formatCurrency(bill.amount.subtotal, bill.amount.currency)}
-                    </td>
-                  </tr>
-                  {bill.amount.tax > 0 && (
-                    <tr>
+                  {bill.lines.map((line, index) => (
+                    <tr key={index}>
+                      <td style={{ padding: '12px', borderBottom: '1px solid var(--secondary-200)' }}>
+                        {line.description}
+                        {line.quantity > 1 && ` × ${line.quantity}`}
+                      </td>
+                      <td style={{ padding: '12px', textAlign: 'right', borderBottom: '1px solid var(--secondary-200)' }}>
+                        {formatCurrency(line.amount, bill.currency)}
+                      </td>
+                    </tr>
+                  ))}
+                  {bill.discounts.map((discount, index) => (
+                    <tr key={`discount-${index}`}>
                       <td style={{ padding: '12px', borderBottom: '1px solid var(--secondary-200)' }}>
-                        Tax
+                        {discount.description || 'Discount'}
+                        {discount.code && <span style={{ color: 'var(--secondary-500)' }}> ({discount.code})</span>}
                       </td>
                       <td style={{ padding: '12px', textAlign: 'right', borderBottom: '1px solid var(--secondary-200)' }}>
-                        {formatCurrency(bill.amount.tax, bill.amount.currency)}
+                        -{formatCurrency(discount.amount, bill.currency)}
+                      </td>
+                    </tr>
+                  ))}
+                  {(bill.discounts.length > 0 || bill.taxLines.length > 0) && (
+                    <tr>
+                      <td style={{ padding: '12px', fontWeight: '500', borderBottom: '1px solid var(--secondary-200)' }}>
+                        Subtotal
+                      </td>
+                      <td style={{ padding: '12px', textAlign: 'right', fontWeight: '500', borderBottom: '1px solid var(--secondary-200)' }}>
+                        {formatCurrency(bill.subtotal - bill.discountTotal, bill.currency)}
                       </td>
                     </tr>
                   )}
+                  {bill.taxLines.map((taxLine, index) => (
+                    <tr key={`tax-${index}`}>
+                      <td style={{ padding: '12px', borderBottom: '1px solid var(--secondary-200)' }}>
+                        {describeTaxRate(taxLine, bill.pricesIncludeTax)}
+                      </td>
+                      <td style={{ padding: '12px', textAlign: 'right', borderBottom: '1px solid var(--secondary-200)' }}>
+                        {formatCurrency(taxLine.amount, bill.currency)}
+                      </td>
+                    </tr>
+                  ))}
                 </tbody>
                 <tfoot>
                   <tr style={{ backgroundColor: 'var(--primary-50)' }}>
@@ -489,9 +397,45 @@ currentY += 15;
                       </div>
                     </td>
                     <td style={{ padding: '12px', textAlign: 'right', fontWeight: '600', color: 'var(--primary-900)' }}>
-                      {formatCurrency(bill.amount.total, bill.amount.currency)}
+                      {formatCurrency(bill.total, bill.currency)}
                     </td>
                   </tr>
+                  {bill.creditNotes.map(creditNote => (
+                    <tr key={creditNote.id || creditNote.creditNoteNumber}>
+                      <td style={{ padding: '12px', borderTop: '1px solid var(--secondary-200)' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                          <span>Credit note {creditNote.creditNoteNumber}</span>
+                          {creditNote.id && (
+                            <button
+                              className="no-print"
+                              onClick={() => handleDownloadCreditNote(creditNote)}
+                              aria-label={`Download credit note ${creditNote.creditNoteNumber}`}
+                              style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--primary-600)', padding: 0 }}
+                            >
+                              <FiDownload size={14} />
+                            </button>
+                          )}
+                        </div>
+                        <div style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>
+                          {creditNote.issuedAt && formatDate(creditNote.issuedAt)}
+                          {creditNote.reason && ` · ${creditNote.reason}`}
+                        </div>
+                      </td>
+                      <td style={{ padding: '12px', textAlign: 'right', borderTop: '1px solid var(--secondary-200)' }}>
+                        -{formatCurrency(creditNote.amount, bill.currency)}
+                      </td>
+                    </tr>
+                  ))}
+                  {hasCredits && (
+                    <tr>
+                      <td style={{ padding: '12px', fontWeight: '600', borderTop: '1px solid var(--secondary-200)' }}>
+                        Net after credits
+                      </td>
+                      <td style={{ padding: '12px', textAlign: 'right', fontWeight: '600', borderTop: '1px solid var(--secondary-200)' }}>
+                        {formatCurrency(bill.balance, bill.currency)}
+                      </td>
+                    </tr>
+                  )}
                 </tfoot>
               </table>
             </div>
@@ -501,23 +445,23 @@ currentY += 15;
           <div style={{ 
             padding: '16px', 
             borderRadius: '6px', 
-            backgroundColor: bill.status === 'PAID' ? 'var(--success-50)' : 'var(--warning-50)',
-            border: `1px solid ${bill.status === 'PAID' ? 'var(--success-200)' : 'var(--warning-200)'}`,
+            backgroundColor: hasCredits ? 'var(--secondary-50)' : bill.status === 'PAID' ? 'var(--success-50)' : 'var(--warning-50)',
+            border: `1px solid ${hasCredits ? 'var(--secondary-200)' : bill.status === 'PAID' ? 'var(--success-200)' : 'var(--warning-200)'}`,
             marginBottom: '24px'
           }}>
             <div style={{ 
               display: 'flex', 
               alignItems: 'center', 
               gap: '8px',
-              color: bill.status === 'PAID' ? 'var(--success-700)' : 'var(--warning-700)'
+              color: hasCredits ? 'var(--secondary-700)' : bill.status === 'PAID' ? 'var(--success-700)' : 'var(--warning-700)'
             }}>
-              {bill.status === 'PAID' ? (
+              {isSettled ? (
                 <FiCheckCircle size={20} />
               ) : (
                 <FiPendingClock size={20} />
               )}
               <span style={{ fontWeight: '500' }}>
-                Status: {bill.status === 'PAID' ? 'PAID' : 'PENDING PAYMENT'}
+                Status: {statusLabel}
               </span>
             </div>
             {bill.payment && (
@@ -0,0 +1,236 @@
+import React, { useRef, useState } from 'react';
+import {
+  getBookingColor,
+  getBookingInterval,
+  getDayKey,
+  getSessionInterval,
+  isSameDay,
+  layoutDayEvents
+} from '../../utils/exam/calendarSchedule';
+import { getSessionAvailability } from '../../utils/exam/sessionSeating';
+
+const HOUR_HEIGHT = 48;
+const SNAP_MINUTES = 15;
+const DEFAULT_START_HOUR = 7;
+const DEFAULT_END_HOUR = 21;
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+// Minutes from midnight an interval ends at on its start day
+const endMinutesOnDay = (interval) => (isSameDay(interval.start, interval.end) ? minutesOfDay(interval.end) : 24 * 60);
+
+const formatTime = (date) => date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+
+// Week and day views: one column per day on an hourly grid. Sessions sit in
+// the background with their seat counts; bookings are laid over them, side
+// by side where they overlap, and can be dragged to another time or day.
+const CalendarTimeGrid = ({
+  days,
+  bookings,
+  sessions,
+  colorBy,
+  doubleBooked,
+  selectedBookingId,
+  onSelectBooking,
+  onSelectDay,
+  onDropBooking,
+  canDrag
+}) => {
+  const [dropPreview, setDropPreview] = useState(null);
+  const dragRef = useRef(null);
+
+  // The grid stretches past the default hours to fit anything scheduled outside them
+  const visible = [...bookings.map(getBookingInterval), ...sessions.map(getSessionInterval)]
+    .filter(interval => interval && days.some(day => isSameDay(day, interval.start)));
+  const startHour = Math.min(DEFAULT_START_HOUR, ...visible.map(interval => interval.start.getHours()));
+  const endHour = Math.max(DEFAULT_END_HOUR, ...visible.map(interval => Math.ceil(endMinutesOnDay(interval) / 60)));
+  const hours = Array.from({ length: endHour - startHour }, (_, index) => startHour + index);
+
+  const toTop = (minutes) => ((minutes - startHour * 60) / 60) * HOUR_HEIGHT;
+  const toHeight = (interval) => Math.max(18, ((endMinutesOnDay(interval) - minutesOfDay(interval.start)) / 60) * HOUR_HEIGHT);
+
+  const getDropMinutes = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const raw = startHour * 60 + ((e.clientY - rect.top) / HOUR_HEIGHT) * 60 - (dragRef.current?.offsetMinutes || 0);
+    const snapped = Math.round(raw / SNAP_MINUTES) * SNAP_MINUTES;
+    return Math.min(Math.max(snapped, startHour * 60), endHour * 60 - SNAP_MINUTES);
+  };
+
+  const handleDragStart = (e, booking) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const interval = getBookingInterval(booking);
+    dragRef.current = {
+      booking,
+      offsetMinutes: ((e.clientY - rect.top) / HOUR_HEIGHT) * 60,
+      durationMinutes: interval ? (interval.end - interval.start) / 60000 : 60
+    };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', booking.id);
+  };
+
+  const handleDragOver = (e, day) => {
+    if (!dragRef.current) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const minutes = getDropMinutes(e);
+    const dayKey = getDayKey(day);
+    if (dropPreview?.dayKey !== dayKey || dropPreview?.minutes !== minutes) {
+      setDropPreview({ dayKey, minutes, durationMinutes: dragRef.current.durationMinutes });
+    }
+  };
+
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    const drag = dragRef.current;
+    const minutes = getDropMinutes(e);
+    dragRef.current = null;
+    setDropPreview(null);
+    if (!drag) return;
+    const start = new Date(day);
+    start.setHours(0, minutes, 0, 0);
+    onDropBooking(drag.booking, start);
+  };
+
+  const handleDragEnd = () => {
+    dragRef.current = null;
+    setDropPreview(null);
+  };
+
+  return (
+    <div className="time-grid">
+      <div className="time-grid-header" style={{ gridTemplateColumns: `56px repeat(${days.length}, 1fr)` }}>
+        <div />
+        {days.map(day => (
+          <button
+            key={getDayKey(day)}
+            type="button"
+            className={`time-grid-day-label ${isSameDay(day, new Date()) ? 'today' : ''}`}
+            onClick={() => onSelectDay(day)}
+          >
+            <span>{day.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+            <strong>{day.getDate()}</strong>
+          </button>
+        ))}
+      </div>
+
+      <div className="time-grid-body" style={{ gridTemplateColumns: `56px repeat(${days.length}, 1fr)` }}>
+        <div className="time-grid-hours">
+          {hours.map(hour => (
+            <div key={hour} className="time-grid-hour-label" style={{ height: HOUR_HEIGHT }}>
+              {String(hour).padStart(2, '0')}:00
+            </div>
+          ))}
+        </div>
+
+        {days.map(day => {
+          const dayKey = getDayKey(day);
+          const daySessions = sessions.filter(session => session.status !== 'CANCELLED' && isSameDay(session.startsAt, day));
+          const dayBookings = bookings.filter(booking => {
+            const interval = getBookingInterval(booking);
+            return interval && isSameDay(interval.start, day);
+          });
+          const placed = layoutDayEvents(dayBookings, getBookingInterval);
+
+          return (
+            <div
+              key={dayKey}
+              className="time-grid-column"
+              style={{ height: hours.length * HOUR_HEIGHT }}
+              onDragOver={(e) => handleDragOver(e, day)}
+              onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setDropPreview(null);
+              }}
+              onDrop={(e) => handleDrop(e, day)}
+            >
+              {hours.map(hour => (
+                <div key={hour} className="time-grid-hour-line" style={{ top: toTop(hour * 60) }} />
+              ))}
+
+              {daySessions.map(session => {
+                const interval = getSessionInterval(session);
+                const availability = getSessionAvailability(session);
+                const full = availability.capacity > 0 && availability.isFull;
+                return (
+                  <div
+                    key={session.id}
+                    className={`calendar-session ${full ? 'full' : ''}`}
+                    style={{ top: toTop(minutesOfDay(interval.start)), height: toHeight(interval) }}
+                    title={`${session.exam?.title || 'Session'} - ${session.room?.name || 'No room'}`}
+                  >
+                    <span className="calendar-session-label">
+                      {session.room?.name || 'Session'} · {availability.booked}/{availability.capacity || '∞'}
+                    </span>
+                    {availability.capacity > 0 && (
+                      <span className="calendar-capacity-bar">
+                        <span style={{ width: `${Math.min(100, (availability.booked / availability.capacity) * 100)}%` }} />
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
+
+              {placed.map(({ item: booking, start, end, column, columns }) => {
+                const draggable = canDrag(booking);
+                const color = getBookingColor(booking, colorBy);
+                return (
+                  <div
+                    key={booking.id}
+                    role="button"
+                    tabIndex={0}
+                    draggable={draggable}
+                    onDragStart={(e) => handleDragStart(e, booking)}
+                    onDragEnd={handleDragEnd}
+                    onClick={() => onSelectBooking(booking)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') onSelectBooking(booking);
+                    }}
+                    className={[
+                      'calendar-event',
+                      booking.id === selectedBookingId ? 'selected' : '',
+                      doubleBooked.has(booking.id) ? 'double-booked' : '',
+                      booking.status === 'CANCELLED' ? 'cancelled' : ''
+                    ].join(' ')}
+                    style={{
+                      top: toTop(minutesOfDay(start)),
+                      height: toHeight({ start, end }),
+                      left: `calc(${(column / columns) * 100}% + 2px)`,
+                      width: `calc(${100 / columns}% - 4px)`,
+                      borderLeftColor: color,
+                      backgroundColor: `${color}1f`,
+                      cursor: draggable ? 'grab' : 'pointer'
+                    }}
+                    title={`${booking.exam?.title} - ${booking.user?.firstName || ''} ${booking.user?.lastName || ''} (${booking.status})${doubleBooked.has(booking.id) ? ' - student double-booked' : ''}`}
+                  >
+                    <div className="calendar-event-time">
+                      {formatTime(start)}
+                      {doubleBooked.has(booking.id) && <span className="calendar-event-warning"> ⚠</span>}
+                    </div>
+                    <div className="calendar-event-title">{booking.exam?.title}</div>
+                    <div className="calendar-event-meta">
+                      {booking.user?.firstName} {booking.user?.lastName}
+                      {booking.seatNumber ? ` · ${booking.seatNumber}` : ''}
+                    </div>
+                  </div>
+                );
+              })}
+
+              {dropPreview?.dayKey === dayKey && (
+                <div
+                  className="calendar-drop-preview"
+                  style={{
+                    top: toTop(dropPreview.minutes),
+                    height: (dropPreview.durationMinutes / 60) * HOUR_HEIGHT
+                  }}
+                >
+                  {String(Math.floor(dropPreview.minutes / 60)).padStart(2, '0')}:{String(dropPreview.minutes % 60).padStart(2, '0')}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarTimeGrid;
@@ -1,12 +1,41 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useCallback } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
 import './ExamCalendar.css';
-import { API_BASE_URL } from '../../config/api.config';
+import { bookingAPI, sessionAPI } from '../../services/api';
+import CalendarTimeGrid from './CalendarTimeGrid';
+import CalendarFeedModal from '../exam/CalendarFeedModal';
+import { downloadBookingIcs } from '../../utils/exam/bookingIcs';
+import {
+  CALENDAR_VIEWS,
+  STATUS_COLORS,
+  findDoubleBookings,
+  findSessionAt,
+  getBookingColor,
+  getBookingInterval,
+  getCategoryColor,
+  getDayCapacity,
+  getDayKey,
+  getMoveConflicts,
+  getViewDays,
+  getViewRange,
+  isSameDay,
+  isSameMonth,
+  shiftViewDate
+} from '../../utils/exam/calendarSchedule';
+
+// Bookings that can no longer be moved
+const FIXED_STATUSES = ['CANCELLED', 'COMPLETED'];
 
 const ExamCalendar = () => {
+  const queryClient = useQueryClient();
   const [currentDate, setCurrentDate] = useState(new Date());
-  const [bookings, setBookings] = useState([]);
+  const [view, setView] = useState('month');
+  const [colorBy, setColorBy] = useState('status');
   const [selectedDate, setSelectedDate] = useState(null);
-  const [loading, setLoading] = useState(false);
+  const [selectedBookingId, setSelectedBookingId] = useState(null);
+  const [dropTargetDay, setDropTargetDay] = useState(null);
+  const [showCalendarFeed, setShowCalendarFeed] = useState(false);
   const [filters, setFilters] = useState({
     status: 'all',
     examCategory: 'all',
@@ -15,154 +44,148 @@ const ExamCalendar = () => {
     showCancelled: false
   });
 
-  // Helper functions for date manipulation
+  // Helper for date display
   const formatDate = (date, formatStr = 'YYYY-MM-DD') => {
     if (!date) return '';
     const d = new Date(date);
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    
-    if (formatStr === 'YYYY-MM-DD') return `${year}-${month}-${day}`;
+
+    if (formatStr === 'YYYY-MM-DD') return getDayKey(d);
     if (formatStr === 'MMMM YYYY') return d.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
     if (formatStr === 'EEEE, MMMM d, yyyy') return d.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+    if (formatStr === 'MMM d') return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
     if (formatStr === 'HH:mm') return d.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
     if (formatStr === 'd') return String(d.getDate());
     return d.toLocaleDateString();
   };
 
-  const getMonthStart = (date) => {
-    const d = new Date(date);
-    return new Date(d.getFullYear(), d.getMonth(), 1);
-  };
-
-  const getMonthEnd = (date) => {
-    const d = new Date(date);
-    return new Date(d.getFullYear(), d.getMonth() + 1, 0);
-  };
-
-  const isSameDay = (date1, date2) => {
-    if (!date1 || !date2) return false;
-    const d1 = new Date(date1);
-    const d2 = new Date(date2);
-    return d1.getFullYear() === d2.getFullYear() &&
-           d1.getMonth() === d2.getMonth() &&
-           d1.getDate() === d2.getDate();
-  };
-
-  const isToday = (date) => {
-    return isSameDay(date, new Date());
-  };
-
-  const isSameMonth = (date1, date2) => {
-    if (!date1 || !date2) return false;
-    const d1 = new Date(date1);
-    const d2 = new Date(date2);
-    return d1.getFullYear() === d2.getFullYear() && d1.getMonth() === d2.getMonth();
+  const getViewTitle = () => {
+    if (view === 'day') return formatDate(currentDate, 'EEEE, MMMM d, yyyy');
+    if (view === 'week') {
+      const days = getViewDays('week', currentDate);
+      return `${formatDate(days[0], 'MMM d')} - ${formatDate(days[6], 'MMM d')}, ${days[6].getFullYear()}`;
+    }
+    return formatDate(currentDate, 'MMMM YYYY');
   };
 
   // Calendar navigation
-  const navigateMonth = useCallback((direction) => {
-    setCurrentDate(prev => {
-      const newDate = new Date(prev);
-      if (direction === 'next') {
-        newDate.setMonth(newDate.getMonth() + 1);
-      } else {
-        newDate.setMonth(newDate.getMonth() - 1);
-      }
-      return newDate;
-    });
-  }, []);
-
-  // Fetch bookings for the current month
-  const fetchBookings = useCallback(async () => {
-    setLoading(true);
-    try {
-      const startDate = getMonthStart(currentDate);
-      const endDate = getMonthEnd(currentDate);
-      
-      const params = new URLSearchParams({
-        startDate: startDate.toISOString(),
-        endDate: endDate.toISOString(),
+  const navigate = useCallback((direction) => {
+    setCurrentDate(prev => shiftViewDate(view, prev, direction));
+  }, [view]);
+
+  const range = getViewRange(view, currentDate);
+
+  // Fetch bookings for the visible range
+  const { data: bookings = [], isLoading: loading } = useQuery({
+    queryKey: ['calendar-bookings', range.start.toISOString(), range.end.toISOString(), filters.status, filters.examCategory],
+    queryFn: async () => {
+      const params = {
+        startDate: range.start.toISOString(),
+        endDate: range.end.toISOString(),
         limit: 1000
-      });
-
-      if (filters.status !== 'all') {
-        params.append('status', filters.status);
-      }
-      if (filters.examCategory !== 'all') {
-        params.append('examCategoryId', filters.examCategory);
+      };
+      if (filters.status !== 'all') params.status = filters.status;
+      if (filters.examCategory !== 'all') params.examCategoryId = filters.examCategory;
+
+      try {
+        const response = await bookingAPI.getCalendarBookings(params);
+        return response.data?.data || [];
+      } catch (error) {
+        console.error('Error fetching calendar bookings:', error);
+        return [];
       }
+    }
+  });
 
-      const response = await fetch(`${API_BASE_URL}/bookings/admin/calendar?${params}`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
+  // Sessions in the same range, for capacity and for snapping dropped bookings
+  const { data: sessions = [] } = useQuery({
+    queryKey: ['exam-sessions', 'calendar', range.start.toISOString(), range.end.toISOString()],
+    queryFn: async () => {
+      const response = await sessionAPI.getSessions({ from: range.start.toISOString(), to: range.end.toISOString() });
+      return response.data?.data?.sessions || [];
+    }
+  });
 
-      if (!response.ok) {
-        throw new Error('Failed to fetch bookings');
-      }
-      
-      const data = await response.json();
-      setBookings(data.data || []);
-    } catch (error) {
-      console.error('Error fetching calendar bookings:', error);
-      setBookings([]);
-    } finally {
-      setLoading(false);
+  const rescheduleMutation = useMutation({
+    mutationFn: ({ booking, start, session }) => (session
+      ? bookingAPI.rescheduleBooking(booking.id, session.startsAt, { sessionId: session.id })
+      : bookingAPI.rescheduleBooking(booking.id, start.toISOString())),
+    onSuccess: (response, { booking, start, session }) => {
+      queryClient.invalidateQueries(['calendar-bookings']);
+      queryClient.invalidateQueries(['exam-sessions']);
+      queryClient.invalidateQueries(['admin-bookings']);
+      const newStart = session ? new Date(session.startsAt) : start;
+      setSelectedDate(newStart);
+      toast.success(`${booking.exam?.title || 'Booking'} moved to ${newStart.toLocaleString()}`);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to reschedule booking');
+    }
+  });
+
+  const visibleBookings = bookings.filter(booking => {
+    if (!filters.showConfirmed && booking.status === 'CONFIRMED') return false;
+    if (!filters.showPending && booking.status === 'PENDING') return false;
+    if (!filters.showCancelled && booking.status === 'CANCELLED') return false;
+    return true;
+  });
+  const doubleBooked = findDoubleBookings(visibleBookings);
+
+  // Get bookings for a specific date
+  const getBookingsForDate = (date) => visibleBookings
+    .filter(booking => {
+      const interval = getBookingInterval(booking);
+      return interval && isSameDay(interval.start, date);
+    })
+    .sort((a, b) => getBookingInterval(a).start - getBookingInterval(b).start);
+
+  const canDrag = (booking) => !FIXED_STATUSES.includes(booking.status) && !rescheduleMutation.isPending;
+
+  // Checks a dropped booking for conflicts, then asks before moving it. A
+  // drop inside a session of the same exam moves the booking into it.
+  const handleDropBooking = (booking, start) => {
+    const current = getBookingInterval(booking);
+    if (current && current.start.getTime() === start.getTime()) return;
+
+    const examId = booking.exam?.id || booking.examId;
+    const session = findSessionAt(sessions, examId, start);
+    if (session && session.id === (booking.session?.id || booking.sessionId)) return;
+
+    const conflicts = getMoveConflicts(booking, { start, session }, bookings);
+    if (conflicts.length) {
+      toast.error(`Can't move this booking: ${conflicts.join('; ')}`);
+      return;
     }
-  }, [currentDate, filters]);
-
-  useEffect(() => {
-    fetchBookings();
-  }, [fetchBookings]);
-
-  // Get calendar days for the current month
-  const getCalendarDays = () => {
-    const monthStart = getMonthStart(currentDate);
-    const monthEnd = getMonthEnd(currentDate);
-    const startDate = new Date(monthStart);
-    const endDate = new Date(monthEnd);
-    
-    // Get first day of the week (Sunday = 0)
-    startDate.setDate(startDate.getDate() - startDate.getDay());
-    
-    // Get last day of the week
-    endDate.setDate(endDate.getDate() + (6 - endDate.getDay()));
-    
-    const days = [];
-    const currentDay = new Date(startDate);
-    
-    while (currentDay <= endDate) {
-      days.push(new Date(currentDay));
-      currentDay.setDate(currentDay.getDate() + 1);
+
+    const student = `${booking.user?.firstName || ''} ${booking.user?.lastName || ''}`.trim() || 'this student';
+    const when = (session ? new Date(session.startsAt) : start).toLocaleString();
+    const where = session
+      ? ` in ${session.room?.name || 'the session'}`
+      : booking.session ? ' (outside any scheduled session)' : '';
+    if (window.confirm(`Move ${student}'s ${booking.exam?.title || 'exam'} booking to ${when}${where}?`)) {
+      rescheduleMutation.mutate({ booking, start, session });
     }
-    
-    return days;
   };
 
-  // Get bookings for a specific date
-  const getBookingsForDate = useCallback((date) => {
-    return bookings.filter(booking => {
-      if (!booking.scheduledAt) return false;
-      return isSameDay(new Date(booking.scheduledAt), date);
-    }).filter(booking => {
-      if (!filters.showConfirmed && booking.status === 'CONFIRMED') return false;
-      if (!filters.showPending && booking.status === 'PENDING') return false;
-      if (!filters.showCancelled && booking.status === 'CANCELLED') return false;
-      return true;
-    });
-  }, [bookings, filters]);
+  // Month cells keep the booking's time of day and only change the date
+  const handleMonthDrop = (e, date) => {
+    e.preventDefault();
+    setDropTargetDay(null);
+    const booking = bookings.find(candidate => candidate.id === e.dataTransfer.getData('text/plain'));
+    const interval = booking && getBookingInterval(booking);
+    if (!interval) return;
+    const start = new Date(date);
+    start.setHours(interval.start.getHours(), interval.start.getMinutes(), 0, 0);
+    handleDropBooking(booking, start);
+  };
 
   // Get day status class
   const getDayStatusClass = (date) => {
     const dayBookings = getBookingsForDate(date);
     if (dayBookings.length === 0) return 'free';
-    
+
     const hasConfirmed = dayBookings.some(b => b.status === 'CONFIRMED');
     const hasPending = dayBookings.some(b => b.status === 'PENDING');
-    
+
     if (hasConfirmed && hasPending) return 'mixed';
     if (hasConfirmed) return 'confirmed';
     if (hasPending) return 'pending';
@@ -174,8 +197,15 @@ const ExamCalendar = () => {
     setSelectedDate(date);
   };
 
-  // Get month statistics
-  const getMonthStats = () => {
+  const handleBookingSelect = (booking) => {
+    setSelectedBookingId(booking.id);
+    setSelectedDate(getBookingInterval(booking)?.start || null);
+  };
+
+  const viewDays = getViewDays(view, currentDate);
+
+  // Statistics for the visible period; the month view counts its own month only
+  const getStats = () => {
     const stats = {
       total: 0,
       confirmed: 0,
@@ -185,36 +215,27 @@ const ExamCalendar = () => {
       freeDays: 0
     };
 
-    const monthStart = getMonthStart(currentDate);
-    const monthEnd = getMonthEnd(currentDate);
-    const days = [];
-    const currentDay = new Date(monthStart);
-    
-    while (currentDay <= monthEnd) {
-      days.push(new Date(currentDay));
-      currentDay.setDate(currentDay.getDate() + 1);
-    }
-
-    days.forEach(day => {
-      const dayBookings = getBookingsForDate(day);
-      if (dayBookings.length > 0) {
-        stats.busyDays++;
-        dayBookings.forEach(booking => {
-          stats.total++;
-          if (booking.status === 'CONFIRMED') stats.confirmed++;
-          if (booking.status === 'PENDING') stats.pending++;
-          if (booking.status === 'CANCELLED') stats.cancelled++;
-        });
-      } else {
-        stats.freeDays++;
-      }
-    });
+    viewDays
+      .filter(day => view !== 'month' || isSameMonth(day, currentDate))
+      .forEach(day => {
+        const dayBookings = getBookingsForDate(day);
+        if (dayBookings.length > 0) {
+          stats.busyDays++;
+          dayBookings.forEach(booking => {
+            stats.total++;
+            if (booking.status === 'CONFIRMED') stats.confirmed++;
+            if (booking.status === 'PENDING') stats.pending++;
+            if (booking.status === 'CANCELLED') stats.cancelled++;
+          });
+        } else {
+          stats.freeDays++;
+        }
+      });
 
     return stats;
   };
 
-  const monthStats = getMonthStats();
-  const calendarDays = getCalendarDays();
+  const viewStats = getStats();
 
   // Render calendar day
   const renderCalendarDay = (date) => {
@@ -222,27 +243,54 @@ const ExamCalendar = () => {
     const isCurrentMonth = isSameMonth(date, currentDate);
     const isSelected = selectedDate && isSameDay(date, selectedDate);
     const dayStatus = getDayStatusClass(date);
+    const capacity = getDayCapacity(sessions, date);
+    const isDropTarget = dropTargetDay === getDayKey(date);
 
     return (
       <div
         key={date.toISOString()}
-        className={`calendar-day ${isCurrentMonth ? 'current-month' : 'other-month'} ${isToday(date) ? 'today' : ''} ${isSelected ? 'selected' : ''} ${dayStatus}`}
+        className={`calendar-day ${isCurrentMonth ? 'current-month' : 'other-month'} ${isSameDay(date, new Date()) ? 'today' : ''} ${isSelected ? 'selected' : ''} ${dayStatus} ${isDropTarget ? 'drop-target' : ''}`}
         onClick={() => handleDateSelect(date)}
+        onDragOver={(e) => {
+          e.preventDefault();
+          if (!isDropTarget) setDropTargetDay(getDayKey(date));
+        }}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setDropTargetDay(null);
+        }}
+        onDrop={(e) => handleMonthDrop(e, date)}
       >
         <div className="day-number">{formatDate(date, 'd')}</div>
         {dayBookings.length > 0 && (
-          <div className="booking-indicators">
-            <div className="booking-count">{dayBookings.length}</div>
-            <div className="booking-dots">
-              {dayBookings.slice(0, 3).map((booking, index) => (
-                <div
-                  key={booking.id}
-                  className={`booking-dot ${booking.status.toLowerCase()}`}
-                  title={`${booking.exam?.title} - ${booking.status}`}
-                />
-              ))}
-              {dayBookings.length > 3 && <div className="more-indicator">+{dayBookings.length - 3}</div>}
-            </div>
+          <div className="month-events">
+            {dayBookings.slice(0, 3).map(booking => (
+              <div
+                key={booking.id}
+                draggable={canDrag(booking)}
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = 'move';
+                  e.dataTransfer.setData('text/plain', booking.id);
+                }}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleBookingSelect(booking);
+                }}
+                className={`month-event ${doubleBooked.has(booking.id) ? 'double-booked' : ''} ${booking.status === 'CANCELLED' ? 'cancelled' : ''}`}
+                style={{ borderLeftColor: getBookingColor(booking, colorBy), cursor: canDrag(booking) ? 'grab' : 'pointer' }}
+                title={`${booking.exam?.title} - ${booking.status}${doubleBooked.has(booking.id) ? ' - student double-booked' : ''}`}
+              >
+                {formatDate(getBookingInterval(booking).start, 'HH:mm')} {booking.exam?.title}
+              </div>
+            ))}
+            {dayBookings.length > 3 && <div className="more-indicator">+{dayBookings.length - 3} more</div>}
+          </div>
+        )}
+        {capacity.capacity > 0 && (
+          <div className={`day-capacity ${capacity.booked >= capacity.capacity ? 'full' : ''}`}>
+            {capacity.booked}/{capacity.capacity} seats
+            <span className="calendar-capacity-bar">
+              <span style={{ width: `${Math.min(100, (capacity.booked / capacity.capacity) * 100)}%` }} />
+            </span>
           </div>
         )}
       </div>
@@ -270,7 +318,11 @@ const ExamCalendar = () => {
           <div className="bookings-list">
             <h4>{dayBookings.length} Exam{dayBookings.length !== 1 ? 's' : ''} Scheduled</h4>
             {dayBookings.map(booking => (
-              <div key={booking.id} className={`booking-card ${booking.status.toLowerCase()}`}>
+              <div
+                key={booking.id}
+                className={`booking-card ${booking.status.toLowerCase()}`}
+                style={booking.id === selectedBookingId ? { borderColor: '#3b82f6' } : undefined}
+              >
                 <div className="booking-header">
                   <h5>{booking.exam?.title}</h5>
                   <span className={`status-badge ${booking.status.toLowerCase()}`}>
@@ -284,7 +336,7 @@ const ExamCalendar = () => {
                   </div>
                   <div className="detail-item">
                     <span className="label">Time:</span>
-                    <span>{formatDate(new Date(booking.scheduledAt), 'HH:mm')}</span>
+                    <span>{formatDate(getBookingInterval(booking).start, 'HH:mm')}</span>
                   </div>
                   <div className="detail-item">
                     <span className="label">Category:</span>
@@ -294,6 +346,18 @@ const ExamCalendar = () => {
                     <span className="label">Duration:</span>
                     <span>{booking.exam?.duration} minutes</span>
                   </div>
+                  {booking.session?.room && (
+                    <div className="detail-item">
+                      <span className="label">Room:</span>
+                      <span>{booking.session.room.name}{booking.seatNumber ? ` · Seat ${booking.seatNumber}` : ''}</span>
+                    </div>
+                  )}
+                  {doubleBooked.has(booking.id) && (
+                    <div className="detail-item" style={{ color: '#ef4444' }}>
+                      <span className="label">Conflict:</span>
+                      <span>Student has another exam at this time</span>
+                    </div>
+                  )}
                   {booking.notes && (
                     <div className="detail-item">
                       <span className="label">Notes:</span>
@@ -303,6 +367,9 @@ const ExamCalendar = () => {
                 </div>
                 <div className="booking-actions">
                   <button className="btn btn-sm btn-outline">View Details</button>
+                  <button className="btn btn-sm btn-outline" onClick={() => downloadBookingIcs(booking)}>
+                    Add to Calendar
+                  </button>
                   {booking.status === 'PENDING' && (
                     <>
                       <button className="btn btn-sm btn-success">Confirm</button>
@@ -318,25 +385,48 @@ const ExamCalendar = () => {
     );
   };
 
+  // Categories present in the visible bookings, for the legend
+  const visibleCategories = [...new Map(visibleBookings
+    .map(booking => booking.exam?.examCategory)
+    .filter(category => category?.id)
+    .map(category => [category.id, category])).values()];
+
   return (
     <div className="exam-calendar">
       {/* Calendar Header */}
       <div className="calendar-header">
         <div className="calendar-title">
           <h2>Exam Calendar</h2>
-          <p>Manage and view exam schedules</p>
+          <p>Manage and view exam schedules. Drag a booking to reschedule it.</p>
         </div>
 
         {/* Calendar Controls */}
         <div className="calendar-controls">
+          <div className="view-controls">
+            {CALENDAR_VIEWS.map(option => (
+              <button
+                key={option}
+                className={`view-btn ${view === option ? 'active' : ''}`}
+                onClick={() => {
+                  setView(option);
+                  if (selectedDate && option !== 'month') setCurrentDate(selectedDate);
+                }}
+              >
+                {option.charAt(0).toUpperCase() + option.slice(1)}
+              </button>
+            ))}
+          </div>
+          <button className="btn btn-outline" onClick={() => setShowCalendarFeed(true)}>
+            Calendar Feed
+          </button>
           <div className="month-navigation">
-            <button className="nav-btn" onClick={() => navigateMonth('prev')}>
+            <button className="nav-btn" onClick={() => navigate('prev')} aria-label={`Previous ${view}`}>
               <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor">
                 <polyline points="15,18 9,12 15,6"></polyline>
               </svg>
             </button>
-            <h3 className="current-month">{formatDate(currentDate, 'MMMM YYYY')}</h3>
-            <button className="nav-btn" onClick={() => navigateMonth('next')}>
+            <h3 className="current-month">{getViewTitle()}</h3>
+            <button className="nav-btn" onClick={() => navigate('next')} aria-label={`Next ${view}`}>
               <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor">
                 <polyline points="9,18 15,12 9,6"></polyline>
               </svg>
@@ -348,19 +438,19 @@ const ExamCalendar = () => {
       {/* Calendar Stats */}
       <div className="calendar-stats">
         <div className="stat-card">
-          <div className="stat-value">{monthStats.total}</div>
+          <div className="stat-value">{viewStats.total}</div>
           <div className="stat-label">Total Bookings</div>
         </div>
         <div className="stat-card confirmed">
-          <div className="stat-value">{monthStats.confirmed}</div>
+          <div className="stat-value">{viewStats.confirmed}</div>
           <div className="stat-label">Confirmed</div>
         </div>
         <div className="stat-card pending">
-          <div className="stat-value">{monthStats.pending}</div>
+          <div className="stat-value">{viewStats.pending}</div>
           <div className="stat-label">Pending</div>
         </div>
         <div className="stat-card free">
-          <div className="stat-value">{monthStats.freeDays}</div>
+          <div className="stat-value">{viewStats.freeDays}</div>
           <div className="stat-label">Free Days</div>
         </div>
       </div>
@@ -369,8 +459,8 @@ const ExamCalendar = () => {
       <div className="calendar-filters">
         <div className="filter-group">
           <label>Status:</label>
-          <select 
-            value={filters.status} 
+          <select
+            value={filters.status}
             onChange={(e) => setFilters(prev => ({...prev, status: e.target.value}))}
           >
             <option value="all">All Status</option>
@@ -380,6 +470,14 @@ const ExamCalendar = () => {
           </select>
         </div>
 
+        <div className="filter-group">
+          <label>Color by:</label>
+          <select value={colorBy} onChange={(e) => setColorBy(e.target.value)}>
+            <option value="status">Status</option>
+            <option value="category">Category</option>
+          </select>
+        </div>
+
         <div className="filter-toggles">
           <label className="toggle-filter">
             <input
@@ -417,7 +515,7 @@ const ExamCalendar = () => {
               <div className="loading-spinner"></div>
               <p>Loading calendar...</p>
             </div>
-          ) : (
+          ) : view === 'month' ? (
             <>
               {/* Calendar Header Days */}
               <div className="calendar-header-days">
@@ -425,45 +523,78 @@ const ExamCalendar = () => {
                   <div key={day} className="header-day">{day}</div>
                 ))}
               </div>
-              
+
               {/* Calendar Days */}
               <div className="calendar-days">
-                {calendarDays.map(renderCalendarDay)}
+                {viewDays.map(renderCalendarDay)}
               </div>
             </>
+          ) : (
+            <CalendarTimeGrid
+              days={viewDays}
+              bookings={visibleBookings}
+              sessions={sessions}
+              colorBy={colorBy}
+              doubleBooked={doubleBooked}
+              selectedBookingId={selectedBookingId}
+              onSelectBooking={handleBookingSelect}
+              onSelectDay={handleDateSelect}
+              onDropBooking={handleDropBooking}
+              canDrag={canDrag}
+            />
           )}
         </div>
 
         {/* Selected Date Sidebar */}
         <div className="calendar-sidebar">
           {renderSelectedDateDetails()}
-          
+
           {/* Legend */}
           <div className="calendar-legend">
             <h4>Legend</h4>
             <div className="legend-items">
+              {colorBy === 'category' ? (
+                visibleCategories.length ? visibleCategories.map(category => (
+                  <div key={category.id} className="legend-item">
+                    <div className="legend-dot" style={{ background: getCategoryColor(category.id) }}></div>
+                    <span>{category.name}</span>
+                  </div>
+                )) : (
+                  <div className="legend-item">
+                    <span>No categories in view</span>
+                  </div>
+                )
+              ) : (
+                ['PENDING', 'CONFIRMED', 'COMPLETED', 'WAITLISTED', 'CANCELLED'].map(status => (
+                  <div key={status} className="legend-item">
+                    <div className="legend-dot" style={{ background: STATUS_COLORS[status] }}></div>
+                    <span>{status.charAt(0) + status.slice(1).toLowerCase()}</span>
+                  </div>
+                ))
+              )}
               <div className="legend-item">
-                <div className="legend-dot free"></div>
-                <span>Free Day</span>
-              </div>
-              <div className="legend-item">
-                <div className="legend-dot pending"></div>
-                <span>Pending Bookings</span>
-              </div>
-              <div className="legend-item">
-                <div className="legend-dot confirmed"></div>
-                <span>Confirmed Bookings</span>
+                <div className="legend-dot" style={{ border: '2px dashed #ef4444' }}></div>
+                <span>Student double-booked</span>
               </div>
               <div className="legend-item">
-                <div className="legend-dot mixed"></div>
-                <span>Mixed Status</span>
+                <span className="calendar-capacity-bar" style={{ width: '24px', marginTop: 0 }}>
+                  <span style={{ width: '60%' }} />
+                </span>
+                <span>Seats booked in sessions</span>
               </div>
             </div>
           </div>
         </div>
       </div>
+
+      {showCalendarFeed && (
+        <CalendarFeedModal
+          description="This feed lists every upcoming scheduled exam booking."
+          onClose={() => setShowCalendarFeed(false)}
+        />
+      )}
     </div>
   );
 };
 
-export default ExamCalendar;
\ No newline at end of file
+export default ExamCalendar;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { FiTrendingUp } from 'react-icons/fi';
+import { formatAbility, getAbilityPercentile } from '../../utils/exam/adaptive';
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 80;
+const CHART_RANGE = 3;
+
+// Ability after each question, on a -3..+3 scale
+const toChartPoints = (history) => history.map((step, index) => {
+  const x = history.length > 1 ? (index / (history.length - 1)) * CHART_WIDTH : CHART_WIDTH / 2;
+  const clamped = Math.max(-CHART_RANGE, Math.min(CHART_RANGE, step.ability));
+  const y = ((CHART_RANGE - clamped) / (2 * CHART_RANGE)) * CHART_HEIGHT;
+  return `${x.toFixed(1)},${y.toFixed(1)}`;
+}).join(' ');
+
+// Ability estimate for adaptive attempts, reported next to the percentage:
+// percentages are not comparable when students answer different questions,
+// the ability scale is.
+const AbilityEstimate = ({ adaptive }) => {
+  if (!adaptive || adaptive.ability === null || adaptive.ability === undefined) return null;
+
+  const history = adaptive.history || [];
+  const percentile = getAbilityPercentile(adaptive.ability);
+
+  return (
+    <div style={{
+      background: 'var(--primary-50)',
+      border: '1px solid var(--primary-200)',
+      borderRadius: '12px',
+      padding: '20px',
+      marginBottom: '24px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '8px', fontSize: '14px', color: 'var(--secondary-600)', marginBottom: '8px' }}>
+        <FiTrendingUp size={16} /> Ability estimate
+      </div>
+      <div style={{ fontSize: '32px', fontWeight: '700', color: 'var(--primary-600)' }}>
+        {formatAbility(adaptive.ability)}
+        {adaptive.standardError != null && (
+          <span style={{ fontSize: '18px', fontWeight: '500', color: 'var(--secondary-500)' }}> ± {adaptive.standardError.toFixed(2)}</span>
+        )}
+      </div>
+      <p style={{ fontSize: '14px', color: 'var(--secondary-600)', margin: '8px 0 0' }}>
+        Higher than about {percentile}% of test takers
+        {history.length > 0 && `, measured over ${history.length} adaptive question${history.length === 1 ? '' : 's'}`}.
+      </p>
+      {history.length > 1 && (
+        <svg
+          viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          style={{ width: '100%', maxWidth: `${CHART_WIDTH}px`, height: `${CHART_HEIGHT}px`, marginTop: '12px' }}
+          role="img"
+          aria-label="Ability estimate after each question"
+        >
+          <line x1="0" y1={CHART_HEIGHT / 2} x2={CHART_WIDTH} y2={CHART_HEIGHT / 2} stroke="var(--secondary-300)" strokeDasharray="4 4" />
+          <polyline points={toChartPoints(history)} fill="none" stroke="var(--primary-500)" strokeWidth="2" />
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default AbilityEstimate;
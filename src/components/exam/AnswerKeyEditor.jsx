@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import { FiPlus, FiX, FiCheck } from 'react-icons/fi';
+import {
+  ANSWER_RULE_TYPES,
+  createAnswerRule,
+  scoreAnswerKey,
+  splitList
+} from '../../utils/exam/answerKey';
+
+const inputStyle = {
+  padding: '8px',
+  border: '1px solid var(--secondary-300)',
+  borderRadius: '4px'
+};
+
+const smallLabelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '4px',
+  fontSize: '12px',
+  color: 'var(--secondary-600)'
+};
+
+const VALUE_PLACEHOLDERS = {
+  TEXT: 'Accepted answer',
+  REGEX: 'e.g. colou?r',
+  NUMERIC: 'e.g. 9.81'
+};
+
+// Accepted answers for each blank of a short-answer or fill-in-the-blank
+// question, with a box to try answers against the key before saving.
+const AnswerKeyEditor = ({ answerKey, onChange, marks }) => {
+  const [testAnswers, setTestAnswers] = useState([]);
+  const { blanks } = answerKey;
+  const multipleBlanks = blanks.length > 1;
+  const result = scoreAnswerKey(answerKey, testAnswers, Number(marks) || 0);
+
+  const updateBlank = (blankId, changes) => {
+    onChange({ blanks: blanks.map(blank => (blank.id === blankId ? { ...blank, ...changes } : blank)) });
+  };
+
+  const updateRule = (blank, ruleId, changes) => {
+    updateBlank(blank.id, { rules: blank.rules.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule)) });
+  };
+
+  const renderRule = (blank, rule) => (
+    <div key={rule.id} style={{ padding: '8px', backgroundColor: 'var(--secondary-50)', borderRadius: '6px', display: 'grid', gap: '6px' }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <select
+          value={rule.type}
+          onChange={(e) => updateRule(blank, rule.id, { type: e.target.value })}
+          aria-label="Answer type"
+          style={inputStyle}
+        >
+          {Object.entries(ANSWER_RULE_TYPES).map(([type, label]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={rule.value}
+          onChange={(e) => updateRule(blank, rule.id, { value: e.target.value })}
+          placeholder={VALUE_PLACEHOLDERS[rule.type]}
+          aria-label="Accepted answer"
+          style={{ ...inputStyle, flex: 1, fontFamily: rule.type === 'REGEX' ? 'monospace' : undefined }}
+        />
+        <label style={smallLabelStyle} title="Share of this blank's marks the answer earns">
+          Credit
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="5"
+            value={Math.round((rule.credit ?? 1) * 100)}
+            onChange={(e) => updateRule(blank, rule.id, { credit: Number(e.target.value) / 100 })}
+            style={{ ...inputStyle, width: '70px', padding: '6px' }}
+          />
+          %
+        </label>
+        <button
+          className="btn btn-secondary"
+          style={{ padding: '4px 8px', fontSize: '12px' }}
+          onClick={() => updateBlank(blank.id, { rules: blank.rules.filter(item => item.id !== rule.id) })}
+          disabled={blank.rules.length === 1}
+          aria-label="Remove accepted answer"
+        >
+          <FiX />
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+        {rule.type === 'TEXT' && (
+          <>
+            <input
+              type="text"
+              value={(rule.synonyms || []).join(', ')}
+              onChange={(e) => updateRule(blank, rule.id, { synonyms: splitList(e.target.value) })}
+              placeholder="Synonyms, comma separated"
+              aria-label="Synonyms"
+              style={{ ...inputStyle, flex: 1, padding: '6px' }}
+            />
+            <label style={smallLabelStyle} title="Answers this many letters away still match">
+              Typos allowed
+              <input
+                type="number"
+                min="0"
+                max="5"
+                value={rule.maxDistance}
+                onChange={(e) => updateRule(blank, rule.id, { maxDistance: e.target.value })}
+                style={{ ...inputStyle, width: '60px', padding: '6px' }}
+              />
+            </label>
+          </>
+        )}
+        {rule.type === 'NUMERIC' && (
+          <>
+            <label style={smallLabelStyle}>
+              ±
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={rule.tolerance}
+                onChange={(e) => updateRule(blank, rule.id, { tolerance: e.target.value })}
+                aria-label="Tolerance"
+                style={{ ...inputStyle, width: '90px', padding: '6px' }}
+              />
+            </label>
+            <input
+              type="text"
+              value={(rule.units || []).join(', ')}
+              onChange={(e) => updateRule(blank, rule.id, { units: splitList(e.target.value) })}
+              placeholder="Units, comma separated, e.g. m/s, meters per second"
+              aria-label="Units"
+              style={{ ...inputStyle, flex: 1, padding: '6px' }}
+            />
+            <label style={smallLabelStyle}>
+              <input
+                type="checkbox"
+                checked={rule.requireUnit}
+                onChange={(e) => updateRule(blank, rule.id, { requireUnit: e.target.checked })}
+              />
+              Unit required
+            </label>
+          </>
+        )}
+        {rule.type !== 'NUMERIC' && (
+          <label style={smallLabelStyle}>
+            <input
+              type="checkbox"
+              checked={rule.caseSensitive}
+              onChange={(e) => updateRule(blank, rule.id, { caseSensitive: e.target.checked })}
+            />
+            Case sensitive
+          </label>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div>
+      <p style={{ fontSize: '12px', color: 'var(--secondary-600)', margin: '0 0 8px' }}>
+        Answers are trimmed and repeated spaces ignored. Add an answer worth less than 100% to give partial credit.
+      </p>
+
+      {blanks.map((blank, index) => (
+        <div key={blank.id} style={{ border: '1px solid var(--secondary-200)', borderRadius: '8px', padding: '12px', marginBottom: '12px' }}>
+          {multipleBlanks && (
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+              <span style={{ fontSize: '14px', fontWeight: '600' }}>Blank {index + 1}</span>
+              <label style={smallLabelStyle} title="Blanks share the question's points by weight">
+                Weight
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={blank.weight}
+                  onChange={(e) => updateBlank(blank.id, { weight: e.target.value })}
+                  style={{ ...inputStyle, width: '70px', padding: '6px' }}
+                />
+              </label>
+            </div>
+          )}
+          <div style={{ display: 'grid', gap: '8px' }}>
+            {blank.rules.map(rule => renderRule(blank, rule))}
+          </div>
+          <button
+            className="btn btn-secondary"
+            style={{ padding: '4px 8px', fontSize: '12px', marginTop: '8px' }}
+            onClick={() => updateBlank(blank.id, { rules: [...blank.rules, createAnswerRule()] })}
+          >
+            <FiPlus style={{ marginRight: '4px' }} /> Accepted Answer
+          </button>
+        </div>
+      ))}
+
+      <div style={{ padding: '12px', backgroundColor: 'var(--primary-50)', borderRadius: '8px' }}>
+        <div style={{ fontSize: '14px', fontWeight: '600', marginBottom: '8px' }}>Test your answer key</div>
+        {blanks.map((blank, index) => {
+          const blankResult = result.blanks[index];
+          const answered = !!String(testAnswers[index] || '').trim();
+          return (
+            <div key={blank.id} style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '6px' }}>
+              {multipleBlanks && <span style={{ fontSize: '12px', minWidth: '60px' }}>Blank {index + 1}:</span>}
+              <input
+                type="text"
+                value={testAnswers[index] || ''}
+                onChange={(e) => {
+                  const next = [...testAnswers];
+                  next[index] = e.target.value;
+                  setTestAnswers(next);
+                }}
+                placeholder="Type an answer a student might give"
+                aria-label={`Test answer for blank ${index + 1}`}
+                style={{ ...inputStyle, flex: 1 }}
+              />
+              {answered && (
+                <span style={{
+                  fontSize: '12px',
+                  minWidth: '140px',
+                  color: blankResult.credit ? 'var(--success-700)' : 'var(--danger-600)'
+                }}>
+                  {blankResult.credit ? (
+                    <><FiCheck size={12} /> {Math.round(blankResult.credit * 100)}% via &quot;{blankResult.rule.value}&quot;</>
+                  ) : 'No match'}
+                </span>
+              )}
+            </div>
+          );
+        })}
+        <div style={{ fontSize: '13px', color: 'var(--secondary-700)', marginTop: '4px' }}>
+          Score: {result.marks} / {Number(marks) || 0} points
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AnswerKeyEditor;
@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from 'react';
+import { FiClock, FiDownload } from 'react-icons/fi';
+import {
+  REVIEW_STATUS_STYLES,
+  buildAnswerReview,
+  exportAnswerReviewPdf,
+  getAnswerReviewAvailability
+} from '../../utils/exam/answerReview';
+import RichText from './RichText';
+
+const formatMarks = (value) => Math.round(value * 100) / 100;
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  padding: '32px',
+  boxShadow: 'var(--shadow)',
+  marginTop: '24px'
+};
+
+// Question-by-question review on the results page: the student's answer next
+// to the key, with the explanation, marks and topic. Shown only when the exam
+// allows answers to be seen, and not before their release date.
+const AnswerReview = ({ attempt, responses }) => {
+  const [filter, setFilter] = useState('ALL');
+  const exam = attempt.exam;
+  const availability = getAnswerReviewAvailability(exam);
+  const items = useMemo(
+    () => buildAnswerReview(responses, attempt.questions || exam?.questions),
+    [responses, attempt.questions, exam?.questions]
+  );
+
+  if (availability.status === 'HIDDEN' || !items.length) return null;
+
+  if (availability.status === 'SCHEDULED') {
+    return (
+      <div style={cardStyle}>
+        <h3 style={{ fontSize: '20px', fontWeight: '600', color: 'var(--secondary-900)', marginBottom: '8px' }}>
+          Answer Review
+        </h3>
+        <p style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', color: 'var(--secondary-600)', margin: 0 }}>
+          <FiClock size={16} />
+          Correct answers and explanations will be available from {availability.releaseAt.toLocaleString()}.
+        </p>
+      </div>
+    );
+  }
+
+  const visibleItems = filter === 'ALL'
+    ? items
+    : items.filter(item => ['INCORRECT', 'PARTIAL', 'UNANSWERED'].includes(item.status));
+
+  const handleExport = () => {
+    exportAnswerReviewPdf({
+      examTitle: exam?.title,
+      studentName: [attempt.user?.firstName, attempt.user?.lastName].filter(Boolean).join(' '),
+      percentage: attempt.percentage,
+      items
+    });
+  };
+
+  const renderAnswer = (label, lines, color) => (
+    <div style={{ flex: '1 1 240px' }}>
+      <div style={{ fontSize: '12px', fontWeight: '600', color: 'var(--secondary-500)', textTransform: 'uppercase', marginBottom: '4px' }}>
+        {label}
+      </div>
+      {lines.length ? (
+        lines.map((line, index) => (
+          <div key={index} style={{ fontSize: '14px', color }}>
+            <RichText text={line} inline />
+          </div>
+        ))
+      ) : (
+        <div style={{ fontSize: '14px', color: 'var(--secondary-400)' }}>—</div>
+      )}
+    </div>
+  );
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '16px', flexWrap: 'wrap', marginBottom: '24px' }}>
+        <div>
+          <h3 style={{ fontSize: '20px', fontWeight: '600', color: 'var(--secondary-900)', margin: '0 0 4px' }}>
+            Answer Review
+          </h3>
+          <p style={{ fontSize: '14px', color: 'var(--secondary-600)', margin: 0 }}>
+            Compare your answers with the correct ones and read why.
+          </p>
+        </div>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <select className="form-input" value={filter} onChange={(e) => setFilter(e.target.value)} aria-label="Questions to show">
+            <option value="ALL">All questions</option>
+            <option value="MISSED">Missed questions</option>
+          </select>
+          <button className="btn btn-secondary" onClick={handleExport}>
+            <FiDownload style={{ marginRight: '6px' }} /> Download PDF
+          </button>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+        {visibleItems.length === 0 && (
+          <p style={{ fontSize: '14px', color: 'var(--secondary-600)', textAlign: 'center', margin: 0 }}>
+            No missed questions. Well done!
+          </p>
+        )}
+        {visibleItems.map(item => {
+          const status = REVIEW_STATUS_STYLES[item.status];
+          return (
+            <div key={item.id} style={{
+              padding: '20px',
+              border: '1px solid var(--secondary-200)',
+              borderLeft: `4px solid ${status.color}`,
+              borderRadius: '8px'
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '8px' }}>
+                <span style={{ fontSize: '13px', color: 'var(--secondary-500)' }}>
+                  Question {item.number}{item.topic && ` · ${item.topic}`}
+                </span>
+                <span style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <span className={`badge ${status.badge}`}>{status.label}</span>
+                  <span style={{ fontSize: '14px', fontWeight: '600', color: 'var(--secondary-700)', whiteSpace: 'nowrap' }}>
+                    {item.obtained !== null ? `${formatMarks(item.obtained)}/${item.maxMarks} marks` : `—/${item.maxMarks} marks`}
+                  </span>
+                </span>
+              </div>
+
+              <div style={{ fontSize: '15px', fontWeight: '500', color: 'var(--secondary-900)', marginBottom: '12px' }}>
+                <RichText text={item.text} />
+              </div>
+
+              <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap' }}>
+                {renderAnswer('Your answer', item.studentAnswer, status.color)}
+                {item.correctAnswer.length > 0 && renderAnswer('Correct answer', item.correctAnswer, 'var(--success-700)')}
+              </div>
+
+              {item.rubric && (
+                <div style={{ marginTop: '12px' }}>
+                  <div style={{ fontSize: '12px', fontWeight: '600', color: 'var(--secondary-500)', textTransform: 'uppercase', marginBottom: '4px' }}>
+                    Rubric
+                  </div>
+                  {item.rubric.map(criterion => (
+                    <div key={criterion.id} style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', fontSize: '14px', color: 'var(--secondary-700)', padding: '2px 0' }}>
+                      <span>{criterion.name}</span>
+                      <span>
+                        {criterion.level || 'Not scored'}
+                        {criterion.points !== null && ` · ${criterion.points}/${criterion.maxPoints}`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {item.explanation && (
+                <div style={{
+                  marginTop: '12px',
+                  padding: '12px',
+                  borderRadius: '6px',
+                  backgroundColor: 'var(--secondary-50)',
+                  fontSize: '14px',
+                  color: 'var(--secondary-700)'
+                }}>
+                  <strong>Explanation: </strong>
+                  <RichText text={item.explanation} />
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AnswerReview;
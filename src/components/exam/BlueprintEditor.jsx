@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { FiPlus, FiX, FiShuffle, FiAlertTriangle } from 'react-icons/fi';
+import {
+  BLUEPRINT_DIFFICULTIES,
+  BLUEPRINT_QUESTION_TYPES,
+  createBlueprintRow,
+  getBlueprintTotal,
+  getMinimumOverlap,
+  getRowPoolSize,
+  simulateBlueprint,
+  validateBlueprint
+} from '../../utils/exam/blueprint';
+
+const cellInputStyle = {
+  width: '100%',
+  padding: '8px',
+  border: '1px solid var(--secondary-300)',
+  borderRadius: '6px'
+};
+
+const formatPercent = (share) => `${Math.round(share * 100)}%`;
+
+// Rows of category × difficulty × type with how many questions to draw from
+// each, checked against the bank as they are edited
+const BlueprintEditor = ({ rows, onChange, categories, bankCounts, bankLoading, overlapPercentage, requireTypes }) => {
+  const [preview, setPreview] = useState(null);
+  const problems = validateBlueprint(rows, { bankCounts: bankLoading ? undefined : bankCounts, requireTypes });
+  const minimumOverlap = getMinimumOverlap(rows, bankCounts);
+
+  const update = (nextRows) => {
+    setPreview(null);
+    onChange(nextRows);
+  };
+
+  const updateRow = (rowId, changes) => {
+    update(rows.map(row => (row.id === rowId ? { ...row, ...changes } : row)));
+  };
+
+  return (
+    <div>
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>Category</th>
+            <th>Difficulty</th>
+            <th>Type</th>
+            <th style={{ width: '110px' }}>Questions</th>
+            <th style={{ width: '90px' }}>In Bank</th>
+            <th style={{ width: '50px' }}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.length === 0 ? (
+            <tr>
+              <td colSpan="6" style={{ textAlign: 'center', padding: '20px' }}>
+                Add a row for each group of questions the paper should contain
+              </td>
+            </tr>
+          ) : (
+            rows.map(row => {
+              const available = row.categoryId ? getRowPoolSize(row, bankCounts) : null;
+              const short = available !== null && !bankLoading && available < Number(row.count);
+              return (
+                <tr key={row.id}>
+                  <td>
+                    <select value={row.categoryId} onChange={(e) => updateRow(row.id, { categoryId: e.target.value })} style={cellInputStyle} aria-label="Category">
+                      <option value="">Select category</option>
+                      {categories.map(category => (
+                        <option key={category.id} value={category.id}>{category.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <select value={row.difficulty} onChange={(e) => updateRow(row.id, { difficulty: e.target.value })} style={cellInputStyle} aria-label="Difficulty">
+                      <option value="">Any</option>
+                      {Object.entries(BLUEPRINT_DIFFICULTIES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <select value={row.type} onChange={(e) => updateRow(row.id, { type: e.target.value })} style={cellInputStyle} aria-label="Question type">
+                      <option value="">Any</option>
+                      {Object.entries(BLUEPRINT_QUESTION_TYPES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="1"
+                      value={row.count}
+                      onChange={(e) => updateRow(row.id, { count: parseInt(e.target.value) || 0 })}
+                      style={cellInputStyle}
+                      aria-label="Questions to draw"
+                    />
+                  </td>
+                  <td style={{ color: short ? 'var(--danger-600)' : 'var(--secondary-700)', fontWeight: short ? '600' : '400' }}>
+                    {bankLoading || available === null ? '-' : available}
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      style={{ padding: '4px 8px', fontSize: '12px' }}
+                      onClick={() => update(rows.filter(item => item.id !== row.id))}
+                      aria-label="Remove row"
+                    >
+                      <FiX />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })
+          )}
+        </tbody>
+      </table>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginTop: '12px' }}>
+        <button type="button" className="btn btn-secondary" onClick={() => update([...rows, createBlueprintRow()])}>
+          <FiPlus style={{ marginRight: '4px' }} /> Add Row
+        </button>
+        <span style={{ fontSize: '14px', color: 'var(--secondary-700)' }}>
+          <strong>Total:</strong> {getBlueprintTotal(rows)} questions per paper
+        </span>
+      </div>
+
+      {problems.length > 0 && (
+        <ul style={{ margin: '12px 0 0', paddingLeft: '20px', fontSize: '13px', color: 'var(--danger-600)' }}>
+          {problems.map((problem, index) => <li key={index}>{problem.message}</li>)}
+        </ul>
+      )}
+
+      {rows.length > 0 && !bankLoading && minimumOverlap * 100 > overlapPercentage && (
+        <p style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: 'var(--warning-600)', margin: '12px 0 0' }}>
+          <FiAlertTriangle size={14} />
+          Any two papers must share at least {formatPercent(minimumOverlap)} of their questions, above the {overlapPercentage}% allowed. Add questions to the bank or raise the overlap.
+        </p>
+      )}
+
+      <div style={{ marginTop: '12px', padding: '12px', borderRadius: '6px', backgroundColor: 'var(--secondary-50)', fontSize: '13px', color: 'var(--secondary-700)' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+          <span>Each student gets their own draw: the least used questions in every row, picked at random.</span>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            style={{ padding: '4px 8px', fontSize: '12px' }}
+            onClick={() => setPreview(simulateBlueprint(rows, bankCounts, overlapPercentage))}
+            disabled={bankLoading || problems.length > 0}
+          >
+            <FiShuffle style={{ marginRight: '4px' }} /> Preview Papers
+          </button>
+        </div>
+        {preview && (
+          <div style={{ marginTop: '8px', color: preview.withinLimit ? 'var(--success-600)' : 'var(--warning-600)' }}>
+            {preview.papers} simulated papers, {preview.uniquePapers} different. Papers share {formatPercent(preview.averageOverlap)} of
+            their questions on average and at most {formatPercent(preview.maxOverlap)} (limit {overlapPercentage}%).
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BlueprintEditor;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+import { adminAPI, bookingAPI } from '../../services/api';
+import { describeCancellationTiers, normalizeBookingPolicy } from '../../utils/exam/bookingPolicy';
+
+// Admin editor for the rules students must follow when rescheduling or
+// cancelling their own bookings
+const BookingPolicySettings = () => {
+  const queryClient = useQueryClient();
+  const [policy, setPolicy] = useState(() => normalizeBookingPolicy());
+
+  const { data: savedPolicy, isLoading } = useQuery({
+    queryKey: ['booking-policy'],
+    queryFn: async () => normalizeBookingPolicy((await bookingAPI.getBookingPolicy()).data?.data?.policy)
+  });
+
+  useEffect(() => {
+    if (savedPolicy) setPolicy(savedPolicy);
+  }, [savedPolicy]);
+
+  const savePolicyMutation = useMutation({
+    mutationFn: (policyData) => adminAPI.updateBookingPolicy(policyData),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['booking-policy']);
+      toast.success('Booking policy saved');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to save booking policy');
+    }
+  });
+
+  const updateTier = (index, key, value) => {
+    setPolicy(prev => ({
+      ...prev,
+      cancellationTiers: prev.cancellationTiers.map((tier, i) => (i === index ? { ...tier, [key]: value } : tier))
+    }));
+  };
+
+  const addTier = () => {
+    setPolicy(prev => ({ ...prev, cancellationTiers: [...prev.cancellationTiers, { minHoursBefore: 0, feePercent: 100 }] }));
+  };
+
+  const removeTier = (index) => {
+    setPolicy(prev => ({ ...prev, cancellationTiers: prev.cancellationTiers.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = () => {
+    const hours = policy.cancellationTiers.map(tier => Number(tier.minHoursBefore));
+    if (!policy.cancellationTiers.length) {
+      toast.error('Add at least one cancellation tier');
+      return;
+    }
+    if (new Set(hours).size !== hours.length) {
+      toast.error('Each cancellation tier needs a different notice period');
+      return;
+    }
+    const normalized = normalizeBookingPolicy(policy);
+    setPolicy(normalized);
+    savePolicyMutation.mutate(normalized);
+  };
+
+  return (
+    <div className="form-container" style={{ marginTop: '2rem' }}>
+      <div className="form-title">Booking Policy</div>
+      <p style={{ color: '#64748b', fontSize: '0.875rem', marginBottom: '1.5rem' }}>
+        Rules students must follow when they reschedule or cancel their own bookings. Refunds are issued
+        automatically according to the cancellation tiers.
+      </p>
+
+      <div className="form-grid">
+        <div className="form-group">
+          <label className="form-label">Minimum Notice to Reschedule (hours)</label>
+          <input
+            type="number"
+            className="form-input"
+            value={policy.minNoticeHours}
+            onChange={(e) => setPolicy({ ...policy, minNoticeHours: parseInt(e.target.value) || 0 })}
+            min="0"
+            disabled={isLoading}
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Maximum Reschedules per Booking</label>
+          <input
+            type="number"
+            className="form-input"
+            value={policy.maxReschedules}
+            onChange={(e) => setPolicy({ ...policy, maxReschedules: parseInt(e.target.value) || 0 })}
+            min="0"
+            disabled={isLoading}
+          />
+        </div>
+      </div>
+
+      <div style={{ marginTop: '1rem' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+          <label className="form-label" style={{ margin: 0 }}>Cancellation Fee Tiers</label>
+          <button className="btn btn-secondary" style={{ padding: '4px 8px', fontSize: '12px' }} onClick={addTier}>
+            <FiPlus style={{ marginRight: '4px' }} /> Add Tier
+          </button>
+        </div>
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Cancelled at least (hours before)</th>
+              <th>Fee (% of amount paid)</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {policy.cancellationTiers.map((tier, index) => (
+              <tr key={index}>
+                <td>
+                  <input
+                    type="number"
+                    className="form-input"
+                    value={tier.minHoursBefore}
+                    onChange={(e) => updateTier(index, 'minHoursBefore', parseInt(e.target.value) || 0)}
+                    min="0"
+                    aria-label="Hours before the exam"
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    className="form-input"
+                    value={tier.feePercent}
+                    onChange={(e) => updateTier(index, 'feePercent', parseInt(e.target.value) || 0)}
+                    min="0"
+                    max="100"
+                    aria-label="Cancellation fee percent"
+                  />
+                </td>
+                <td>
+                  <button
+                    className="btn btn-danger"
+                    style={{ padding: '4px 8px', fontSize: '12px' }}
+                    onClick={() => removeTier(index)}
+                    aria-label="Remove tier"
+                  >
+                    <FiTrash2 />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {policy.cancellationTiers.length > 0 && (
+          <ul style={{ margin: '0.75rem 0 0', paddingLeft: '20px', fontSize: '0.875rem', color: '#64748b' }}>
+            {describeCancellationTiers(policy).map(line => <li key={line}>{line}</li>)}
+          </ul>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '1rem' }}>
+        <button className="btn btn-primary" onClick={handleSave} disabled={isLoading || savePolicyMutation.isPending}>
+          {savePolicyMutation.isPending ? 'Saving...' : 'Save Booking Policy'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BookingPolicySettings;
@@ -0,0 +1,130 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiX, FiCopy, FiRefreshCw, FiCalendar } from 'react-icons/fi';
+import { calendarFeedAPI } from '../../services/api';
+import { getFeedUrl, toWebcalUrl } from '../../utils/exam/bookingIcs';
+
+// The user's private iCal feed. Calendar apps poll it, so reschedules and
+// cancellations show up without downloading anything again.
+const CalendarFeedModal = ({ description, onClose }) => {
+  const queryClient = useQueryClient();
+
+  const { data: feed, isLoading } = useQuery({
+    queryKey: ['calendar-feed'],
+    queryFn: async () => (await calendarFeedAPI.getFeed()).data?.data?.feed || null
+  });
+
+  const regenerateMutation = useMutation({
+    mutationFn: () => calendarFeedAPI.regenerateFeed(),
+    onSuccess: (response) => {
+      queryClient.setQueryData(['calendar-feed'], response.data?.data?.feed || null);
+      toast.success('New feed link created. Update it in your calendar app.');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to create a new feed link');
+    }
+  });
+
+  const url = getFeedUrl(feed);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Feed link copied');
+    } catch {
+      toast.error('Could not copy the link, select it and copy it manually');
+    }
+  };
+
+  const handleRegenerate = () => {
+    if (window.confirm('Create a new feed link? Calendars subscribed to the current link will stop updating.')) {
+      regenerateMutation.mutate();
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '12px',
+        padding: '32px',
+        width: '560px',
+        maxWidth: '90vw',
+        maxHeight: '90vh',
+        overflow: 'auto'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
+          <h3 style={{ fontSize: '24px', fontWeight: '600', margin: 0 }}>Calendar Feed</h3>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            style={{ background: 'none', border: 'none', fontSize: '20px', cursor: 'pointer', color: 'var(--secondary-500)' }}
+          >
+            <FiX />
+          </button>
+        </div>
+
+        <p style={{ fontSize: '14px', color: 'var(--secondary-600)', marginBottom: '16px' }}>
+          {description} Add this link to Google Calendar, Outlook or Apple Calendar as a subscription;
+          rescheduled and cancelled exams update automatically. Keep the link private.
+        </p>
+
+        {isLoading ? (
+          <div style={{ padding: '16px', color: 'var(--secondary-600)' }}>Loading feed...</div>
+        ) : !url ? (
+          <div style={{ padding: '16px', color: 'var(--secondary-500)' }}>
+            No feed link yet. Create one to subscribe.
+          </div>
+        ) : (
+          <>
+            <input
+              type="text"
+              readOnly
+              value={url}
+              onFocus={(e) => e.target.select()}
+              aria-label="Feed link"
+              style={{
+                width: '100%',
+                padding: '8px 12px',
+                border: '1px solid var(--secondary-300)',
+                borderRadius: '6px',
+                fontFamily: 'monospace',
+                fontSize: '13px',
+                marginBottom: '12px'
+              }}
+            />
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+              <button className="btn btn-secondary" onClick={handleCopy}>
+                <FiCopy style={{ marginRight: '4px' }} /> Copy Link
+              </button>
+              <a className="btn btn-primary" href={toWebcalUrl(url)}>
+                <FiCalendar style={{ marginRight: '4px' }} /> Subscribe
+              </a>
+            </div>
+          </>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '24px' }}>
+          <button className="btn btn-outline" onClick={handleRegenerate} disabled={isLoading || regenerateMutation.isPending}>
+            <FiRefreshCw style={{ marginRight: '4px' }} /> {url ? 'Reset Link' : 'Create Link'}
+          </button>
+          <button className="btn btn-secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedModal;
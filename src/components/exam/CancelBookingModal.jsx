@@ -0,0 +1,135 @@
+import React from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiX, FiAlertTriangle } from 'react-icons/fi';
+import { bookingAPI } from '../../services/api';
+import { describeCancellationTiers, getCancellationQuote } from '../../utils/exam/bookingPolicy';
+import { formatCurrency } from '../../utils/exam/money';
+
+// Confirms a student's cancellation with the refund the policy gives at this
+// moment. The quoted refund is sent with the cancellation; the server
+// cancels and refunds together, or does neither.
+const CancelBookingModal = ({ booking, policy, onClose, onCancelled }) => {
+  const queryClient = useQueryClient();
+  const quote = getCancellationQuote(booking, policy);
+  const tiers = describeCancellationTiers(policy);
+
+  const cancelMutation = useMutation({
+    mutationFn: async () => {
+      const refundAmount = booking.payment?.id ? Math.max(0, quote.refund) : 0;
+      const reason = quote.hoursBefore === null
+        ? `Cancelled before scheduling (${quote.feePercent}% cancellation fee)`
+        : `Cancelled ${Math.floor(quote.hoursBefore)}h before the exam (${quote.feePercent}% cancellation fee)`;
+      // The server issues a credit note against the invoice for every refund
+      const response = await bookingAPI.cancelBookingWithRefund(booking.id, refundAmount, reason);
+      return { refunded: refundAmount, reason, creditNote: response.data?.data?.creditNote };
+    },
+    onSuccess: (outcome) => {
+      queryClient.invalidateQueries(['user-bookings']);
+      queryClient.invalidateQueries(['exam-sessions']);
+      if (outcome.refunded > 0) {
+        const creditNote = outcome.creditNote?.creditNoteNumber ? ` Credit note ${outcome.creditNote.creditNoteNumber} issued.` : '';
+        toast.success(`Booking cancelled. ${formatCurrency(outcome.refunded, quote.currency)} will be refunded.${creditNote}`);
+      } else {
+        toast.success('Booking cancelled');
+      }
+      onCancelled?.(outcome);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to cancel booking');
+    }
+  });
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '12px',
+        padding: '32px',
+        width: '520px',
+        maxWidth: '90vw',
+        maxHeight: '90vh',
+        overflow: 'auto'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
+          <div>
+            <h3 style={{ fontSize: '24px', fontWeight: '600', margin: 0 }}>Cancel Booking</h3>
+            <div style={{ fontSize: '14px', color: 'var(--secondary-600)', marginTop: '4px' }}>{booking.exam?.title}</div>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            style={{ background: 'none', border: 'none', fontSize: '20px', cursor: 'pointer', color: 'var(--secondary-500)' }}
+          >
+            <FiX />
+          </button>
+        </div>
+
+        {!quote.allowed ? (
+          <div style={{ padding: '16px', borderRadius: '6px', backgroundColor: 'var(--warning-50)', color: 'var(--warning-700)' }}>
+            {quote.reason}
+          </div>
+        ) : (
+          <>
+            <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '16px' }}>
+              <tbody>
+                <tr>
+                  <td style={{ padding: '8px 0', color: 'var(--secondary-600)' }}>Amount paid</td>
+                  <td style={{ padding: '8px 0', textAlign: 'right' }}>{formatCurrency(quote.paid, quote.currency)}</td>
+                </tr>
+                <tr>
+                  <td style={{ padding: '8px 0', color: 'var(--secondary-600)' }}>Cancellation fee ({quote.feePercent}%)</td>
+                  <td style={{ padding: '8px 0', textAlign: 'right' }}>- {formatCurrency(quote.fee, quote.currency)}</td>
+                </tr>
+                <tr style={{ borderTop: '1px solid var(--secondary-200)' }}>
+                  <td style={{ padding: '8px 0', fontWeight: '600' }}>Refund</td>
+                  <td style={{ padding: '8px 0', textAlign: 'right', fontWeight: '600' }}>{formatCurrency(quote.refund, quote.currency)}</td>
+                </tr>
+              </tbody>
+            </table>
+            {quote.paid === 0 && (
+              <div style={{ fontSize: '13px', color: 'var(--secondary-600)', marginBottom: '16px' }}>
+                No payment has been made for this booking, so there is nothing to refund.
+              </div>
+            )}
+            <div style={{ display: 'flex', gap: '8px', padding: '12px', borderRadius: '6px', backgroundColor: 'var(--warning-50)', color: 'var(--warning-700)', fontSize: '13px' }}>
+              <FiAlertTriangle style={{ flexShrink: 0, marginTop: '2px' }} />
+              <span>Cancelling releases your seat and cannot be undone.</span>
+            </div>
+          </>
+        )}
+
+        <div style={{ marginTop: '16px', fontSize: '13px', color: 'var(--secondary-600)' }}>
+          <div style={{ fontWeight: '500', marginBottom: '4px' }}>Cancellation policy</div>
+          <ul style={{ margin: 0, paddingLeft: '20px' }}>
+            {tiers.map(line => <li key={line}>{line}</li>)}
+          </ul>
+        </div>
+
+        <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end', marginTop: '24px' }}>
+          <button className="btn btn-secondary" onClick={onClose} disabled={cancelMutation.isPending}>
+            Keep Booking
+          </button>
+          {quote.allowed && (
+            <button className="btn btn-danger" onClick={() => cancelMutation.mutate()} disabled={cancelMutation.isPending}>
+              {cancelMutation.isPending ? 'Cancelling...' : 'Cancel Booking'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CancelBookingModal;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiTag, FiX } from 'react-icons/fi';
+import { billingAPI, couponAPI } from '../../services/api';
+import { normalizeCouponCode } from '../../utils/exam/coupons';
+import { formatCurrency } from '../../utils/exam/money';
+
+const PAID_STATUSES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// Lets a student check a coupon code against an unpaid booking and see the
+// new price before redeeming it. Redeeming re-issues the booking's invoice.
+const CouponRedeemField = ({ booking }) => {
+  const queryClient = useQueryClient();
+  const [code, setCode] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const isPaid = PAID_STATUSES.includes(booking.payment?.status);
+  const currency = booking.exam?.currency;
+
+  const redeemMutation = useMutation({
+    mutationFn: () => couponAPI.redeemCoupon(booking.id, quote.code),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['user-bookings']);
+      toast.success(`Coupon applied. You now pay ${formatCurrency(quote.total, quote.currency || currency)}.`);
+      setCode('');
+      setQuote(null);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to apply coupon');
+    }
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: () => couponAPI.removeCoupon(booking.id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['user-bookings']);
+      toast.success('Coupon removed');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to remove coupon');
+    }
+  });
+
+  const handleCheck = async () => {
+    const normalized = normalizeCouponCode(code);
+    if (!normalized) return;
+    try {
+      setIsChecking(true);
+      const response = await billingAPI.previewDiscount({ code: normalized, bookingId: booking.id, examId: booking.exam?.id });
+      setQuote({ code: normalized, ...response.data?.data?.quote });
+    } catch (error) {
+      setQuote(null);
+      toast.error(error.response?.data?.message || 'This coupon code cannot be used');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  if (booking.coupon) {
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.875rem', color: '#059669', marginBottom: '1rem' }}>
+        <FiTag />
+        <span>
+          Coupon <strong>{booking.coupon.code}</strong> applied
+          {booking.coupon.discountAmount > 0 && `: -${formatCurrency(booking.coupon.discountAmount, currency)}`}
+        </span>
+        {!isPaid && (
+          <button
+            onClick={() => removeMutation.mutate()}
+            disabled={removeMutation.isPending}
+            aria-label="Remove coupon"
+            style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#64748b', padding: 0 }}
+          >
+            <FiX />
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (isPaid || !(booking.exam?.price > 0)) return null;
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <input
+          type="text"
+          className="form-input"
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value.toUpperCase());
+            setQuote(null);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleCheck();
+          }}
+          placeholder="Coupon code"
+          aria-label="Coupon code"
+          style={{ flex: 1 }}
+        />
+        {quote ? (
+          <button className="btn btn-primary" onClick={() => redeemMutation.mutate()} disabled={redeemMutation.isPending}>
+            {redeemMutation.isPending ? 'Applying...' : 'Apply'}
+          </button>
+        ) : (
+          <button className="btn btn-secondary" onClick={handleCheck} disabled={!code.trim() || isChecking}>
+            {isChecking ? 'Checking...' : 'Check'}
+          </button>
+        )}
+      </div>
+      {quote && (
+        <div style={{ fontSize: '0.875rem', color: '#059669', marginTop: '4px' }}>
+          {quote.description || quote.code}: -{formatCurrency(quote.discountTotal, quote.currency || currency)}.
+          {' '}You pay {formatCurrency(quote.total, quote.currency || currency)}.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CouponRedeemField;
@@ -0,0 +1,197 @@
+import React from 'react';
+import { FiCheck, FiFlag, FiAlertTriangle, FiSend, FiChevronLeft, FiLock } from 'react-icons/fi';
+import { hasAnswer } from '../../utils/exam/examResponseUtils';
+import { isSectionLocked } from '../../utils/exam/examSections';
+
+const QuestionChips = ({ indexes, color, background, onJump, disabledIndexes }) => (
+  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+    {indexes.map(index => (
+      <button
+        key={index}
+        type="button"
+        onClick={() => onJump(index)}
+        disabled={disabledIndexes.has(index)}
+        style={{
+          minWidth: '36px',
+          padding: '4px 8px',
+          borderRadius: '6px',
+          border: `1px solid ${color}`,
+          backgroundColor: background,
+          color,
+          fontSize: '13px',
+          fontWeight: '500',
+          cursor: disabledIndexes.has(index) ? 'not-allowed' : 'pointer',
+          opacity: disabledIndexes.has(index) ? 0.5 : 1
+        }}
+      >
+        {index + 1}
+      </button>
+    ))}
+  </div>
+);
+
+// Summary shown before the attempt is handed in: what is answered, what is
+// still open or marked for review, per section, with links back to each question.
+const ExamReviewScreen = ({
+  questions,
+  answers,
+  flagged,
+  sections,
+  sectionUsage,
+  expiredQuestions = {},
+  isSubmitting,
+  onJump,
+  onClose,
+  onSubmit
+}) => {
+  const groups = sections || [{ key: 'ALL', label: 'All questions', questionIndexes: questions.map((_, index) => index) }];
+  const lockedIndexes = new Set([
+    ...(sections || [])
+      .filter(section => isSectionLocked(section, sectionUsage))
+      .flatMap(section => section.questionIndexes),
+    ...questions
+      .map((question, index) => (expiredQuestions[question.id] ? index : null))
+      .filter(index => index !== null)
+  ]);
+
+  const unansweredIndexes = questions
+    .map((question, index) => (hasAnswer(answers[question.id]) ? null : index))
+    .filter(index => index !== null);
+  const flaggedIndexes = questions
+    .map((question, index) => (flagged[question.id] ? index : null))
+    .filter(index => index !== null);
+  const answeredCount = questions.length - unansweredIndexes.length;
+
+  const summaryCards = [
+    { label: 'Answered', value: answeredCount, icon: FiCheck, color: 'var(--success-700)', background: 'var(--success-100)' },
+    { label: 'Unanswered', value: unansweredIndexes.length, icon: FiAlertTriangle, color: 'var(--danger-600)', background: 'var(--danger-100)' },
+    { label: 'Marked for review', value: flaggedIndexes.length, icon: FiFlag, color: 'var(--warning-700)', background: 'var(--warning-100)' }
+  ];
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="exam-review-title"
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(15, 23, 42, 0.6)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 900,
+        padding: '24px'
+      }}
+    >
+      <div style={{
+        background: 'white',
+        borderRadius: '16px',
+        padding: '32px',
+        boxShadow: 'var(--shadow)',
+        maxWidth: '720px',
+        width: '100%',
+        maxHeight: '90vh',
+        overflowY: 'auto'
+      }}>
+        <h2 id="exam-review-title" style={{ fontSize: '22px', fontWeight: '600', color: 'var(--secondary-900)', margin: '0 0 8px' }}>
+          Review your answers
+        </h2>
+        <p style={{ fontSize: '14px', color: 'var(--secondary-600)', margin: '0 0 24px' }}>
+          Check your progress before submitting. Select a question number to go back to it.
+        </p>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '12px', marginBottom: '24px' }}>
+          {summaryCards.map(card => (
+            <div key={card.label} style={{
+              padding: '16px',
+              borderRadius: '12px',
+              backgroundColor: card.background,
+              color: card.color
+            }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', fontWeight: '500' }}>
+                <card.icon size={14} />
+                {card.label}
+              </div>
+              <div style={{ fontSize: '28px', fontWeight: '700', marginTop: '4px' }}>
+                {card.value}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {groups.map(group => {
+          const groupUnanswered = unansweredIndexes.filter(index => group.questionIndexes.includes(index));
+          const groupFlagged = flaggedIndexes.filter(index => group.questionIndexes.includes(index));
+          const locked = sections ? isSectionLocked(group, sectionUsage) : false;
+
+          return (
+            <div key={group.key} style={{
+              border: '1px solid var(--secondary-200)',
+              borderRadius: '12px',
+              padding: '16px',
+              marginBottom: '12px'
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                <h3 style={{ fontSize: '16px', fontWeight: '600', color: 'var(--secondary-900)', margin: 0, display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  {locked && <FiLock size={14} />}
+                  {group.label}
+                </h3>
+                <span style={{ fontSize: '13px', color: 'var(--secondary-600)' }}>
+                  {group.questionIndexes.length - groupUnanswered.length}/{group.questionIndexes.length} answered
+                </span>
+              </div>
+
+              {groupUnanswered.length > 0 && (
+                <div style={{ marginBottom: '12px' }}>
+                  <div style={{ fontSize: '13px', color: 'var(--danger-600)', marginBottom: '6px' }}>Unanswered</div>
+                  <QuestionChips
+                    indexes={groupUnanswered}
+                    color="var(--danger-600)"
+                    background="var(--danger-100)"
+                    onJump={onJump}
+                    disabledIndexes={lockedIndexes}
+                  />
+                </div>
+              )}
+
+              {groupFlagged.length > 0 && (
+                <div>
+                  <div style={{ fontSize: '13px', color: 'var(--warning-700)', marginBottom: '6px' }}>Marked for review</div>
+                  <QuestionChips
+                    indexes={groupFlagged}
+                    color="var(--warning-700)"
+                    background="var(--warning-100)"
+                    onJump={onJump}
+                    disabledIndexes={lockedIndexes}
+                  />
+                </div>
+              )}
+
+              {!groupUnanswered.length && !groupFlagged.length && (
+                <div style={{ fontSize: '13px', color: 'var(--success-700)' }}>All questions answered</div>
+              )}
+            </div>
+          );
+        })}
+
+        <p style={{ fontSize: '13px', color: 'var(--secondary-500)', margin: '16px 0 24px' }}>
+          Once submitted, your answers cannot be changed.
+        </p>
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px' }}>
+          <button className="btn btn-secondary" type="button" onClick={onClose} disabled={isSubmitting}>
+            <FiChevronLeft size={16} style={{ marginRight: '6px' }} />
+            Return to Exam
+          </button>
+          <button className="btn btn-primary" type="button" onClick={onSubmit} disabled={isSubmitting}>
+            <FiSend size={16} style={{ marginRight: '6px' }} />
+            {isSubmitting ? 'Submitting...' : 'Submit Exam'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExamReviewScreen;
@@ -0,0 +1,310 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiX, FiCheck, FiUser, FiEyeOff } from 'react-icons/fi';
+import { gradingAPI } from '../../services/api';
+import {
+  GRADING_STATUS,
+  getCandidateLabel,
+  getFinalMarks,
+  getGradingAction,
+  getGradingStatus,
+  hasRubric,
+  isRubricComplete,
+  roundMarks,
+  scoreRubric
+} from '../../utils/exam/grading';
+import RichText from './RichText';
+
+const sectionTitleStyle = {
+  fontSize: '12px',
+  fontWeight: '600',
+  color: 'var(--secondary-500)',
+  textTransform: 'uppercase',
+  marginBottom: '6px'
+};
+
+const getLevelLabel = (rubric, score) => {
+  const criterion = rubric?.criteria?.find(item => item.id === score.criterionId);
+  const level = criterion?.levels?.find(item => item.id === score.levelId);
+  return `${criterion?.name || 'Criterion'}: ${level?.label || '?'} (${score.points})`;
+};
+
+// Scores one free-text response: the question and marking guide beside the
+// student's answer, with a rubric or a plain marks field, and a comment. For
+// double-marked exams it also settles disagreements between markers.
+const GradingPanel = ({ responseId, user, onClose, onGraded }) => {
+  const queryClient = useQueryClient();
+  const [selections, setSelections] = useState({});
+  const [marks, setMarks] = useState('');
+  const [comment, setComment] = useState('');
+
+  const { data: item, isLoading } = useQuery({
+    queryKey: ['grading-response', responseId],
+    queryFn: async () => (await gradingAPI.getResponse(responseId)).data?.data?.response
+  });
+
+  const onSaved = (response, message) => {
+    queryClient.invalidateQueries(['grading-queue']);
+    queryClient.invalidateQueries(['grading-response', responseId]);
+    toast.success(message);
+    if (response.data?.data?.attemptFinalized) {
+      toast.success('All responses in this attempt are graded. Its score, grade and certificate have been updated.');
+    }
+    onGraded();
+  };
+
+  const gradeMutation = useMutation({
+    mutationFn: (gradeData) => gradingAPI.submitGrade(responseId, gradeData),
+    onSuccess: (response) => onSaved(response, 'Grade saved'),
+    onError: (error) => toast.error(error.response?.data?.message || 'Failed to save grade')
+  });
+
+  const resolveMutation = useMutation({
+    mutationFn: (resolutionData) => gradingAPI.resolveDisagreement(responseId, resolutionData),
+    onSuccess: (response) => onSaved(response, 'Final mark recorded'),
+    onError: (error) => toast.error(error.response?.data?.message || 'Failed to record final mark')
+  });
+
+  if (isLoading || !item) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading response...</p>
+      </div>
+    );
+  }
+
+  const question = item.question || {};
+  const maxMarks = question.marks ?? item.maxMarks ?? 0;
+  const rubric = question.rubric;
+  const useRubric = hasRubric(rubric);
+  const status = getGradingStatus(item);
+  const action = getGradingAction(item, user);
+  const rubricResult = useRubric ? scoreRubric(rubric, selections, maxMarks) : null;
+  const isBlind = !(item.student || item.user);
+
+  const getEnteredMarks = () => {
+    const value = Number(marks);
+    if (marks === '' || !Number.isFinite(value) || value < 0 || value > maxMarks) {
+      toast.error(`Marks must be between 0 and ${maxMarks}`);
+      return null;
+    }
+    return roundMarks(value);
+  };
+
+  const handleGrade = () => {
+    if (useRubric) {
+      if (!isRubricComplete(rubric, selections)) {
+        toast.error('Choose a level for every criterion');
+        return;
+      }
+      gradeMutation.mutate({ marks: rubricResult.marks, rubricScores: rubricResult.scores, comment: comment.trim() });
+      return;
+    }
+    const value = getEnteredMarks();
+    if (value !== null) gradeMutation.mutate({ marks: value, comment: comment.trim() });
+  };
+
+  const handleResolve = () => {
+    const value = getEnteredMarks();
+    if (value !== null) resolveMutation.mutate({ marks: value, comment: comment.trim() });
+  };
+
+  const visibleGrades = item.grades || [];
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '12px',
+      padding: '24px',
+      boxShadow: 'var(--shadow)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '16px', marginBottom: '16px' }}>
+        <div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '16px', fontWeight: '600', color: 'var(--secondary-900)' }}>
+            {isBlind ? <FiEyeOff size={16} /> : <FiUser size={16} />}
+            {getCandidateLabel(item)}
+          </div>
+          <div style={{ fontSize: '13px', color: 'var(--secondary-500)', marginTop: '4px' }}>
+            {item.exam?.title || 'Exam'} · {question.type === 'ESSAY' ? 'Essay' : 'Short answer'} · {maxMarks} mark(s)
+          </div>
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span className={`badge ${GRADING_STATUS[status].badge}`}>{GRADING_STATUS[status].label}</span>
+          <button className="btn btn-secondary" style={{ padding: '4px 8px', fontSize: '12px' }} onClick={onClose} aria-label="Close">
+            <FiX />
+          </button>
+        </div>
+      </div>
+
+      <div style={{ marginBottom: '16px' }}>
+        <div style={sectionTitleStyle}>Question</div>
+        <div style={{ fontSize: '15px', color: 'var(--secondary-900)' }}>
+          <RichText text={question.text || ''} />
+        </div>
+      </div>
+
+      {(question.correctAnswer || question.explanation) && (
+        <div style={{ marginBottom: '16px', padding: '12px', borderRadius: '8px', backgroundColor: 'var(--secondary-50)', fontSize: '14px', color: 'var(--secondary-700)' }}>
+          <div style={sectionTitleStyle}>Marking guide</div>
+          {question.correctAnswer && (
+            <div style={{ marginBottom: '4px' }}>
+              <strong>Model answer: </strong>{String(question.correctAnswer).split('|').join(' or ')}
+            </div>
+          )}
+          {question.explanation && <RichText text={question.explanation} />}
+        </div>
+      )}
+
+      <div style={{ marginBottom: '20px' }}>
+        <div style={sectionTitleStyle}>Answer</div>
+        <div style={{
+          padding: '12px',
+          border: '1px solid var(--secondary-200)',
+          borderRadius: '8px',
+          whiteSpace: 'pre-wrap',
+          fontSize: '14px',
+          color: 'var(--secondary-900)',
+          maxHeight: '320px',
+          overflowY: 'auto'
+        }}>
+          {item.essayAnswer || item.textAnswer || <span style={{ color: 'var(--secondary-400)' }}>No answer given</span>}
+        </div>
+      </div>
+
+      {visibleGrades.length > 0 && (
+        <div style={{ marginBottom: '20px' }}>
+          <div style={sectionTitleStyle}>Grades</div>
+          {visibleGrades.map((grade, index) => (
+            <div key={grade.id || index} style={{ padding: '10px 12px', border: '1px solid var(--secondary-200)', borderRadius: '8px', marginBottom: '8px', fontSize: '14px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px' }}>
+                <strong>{grade.isResolution ? 'Final mark' : grade.graderName || `Marker ${index + 1}`}</strong>
+                <span>{grade.marks}/{maxMarks}</span>
+              </div>
+              {(grade.rubricScores || []).map(score => (
+                <div key={score.criterionId} style={{ fontSize: '13px', color: 'var(--secondary-600)' }}>
+                  {getLevelLabel(rubric, score)}
+                </div>
+              ))}
+              {grade.comment && <div style={{ fontSize: '13px', color: 'var(--secondary-600)', marginTop: '4px' }}>{grade.comment}</div>}
+            </div>
+          ))}
+          {status === 'GRADED' && (
+            <div style={{ fontSize: '14px', fontWeight: '600', color: 'var(--secondary-700)' }}>
+              Marks awarded: {getFinalMarks(visibleGrades) ?? '-'}/{maxMarks}
+            </div>
+          )}
+        </div>
+      )}
+
+      {action === 'GRADE' && (
+        <div>
+          {useRubric ? (
+            <div style={{ marginBottom: '16px' }}>
+              <div style={sectionTitleStyle}>Rubric</div>
+              {rubric.criteria.map(criterion => (
+                <div key={criterion.id} style={{ marginBottom: '12px' }}>
+                  <div style={{ fontSize: '14px', fontWeight: '600', color: 'var(--secondary-800)' }}>{criterion.name}</div>
+                  {criterion.description && (
+                    <div style={{ fontSize: '13px', color: 'var(--secondary-500)', marginBottom: '6px' }}>{criterion.description}</div>
+                  )}
+                  <div style={{ display: 'grid', gridTemplateColumns: `repeat(${criterion.levels.length}, 1fr)`, gap: '6px' }}>
+                    {criterion.levels.map(level => {
+                      const selected = selections[criterion.id] === level.id;
+                      return (
+                        <button
+                          key={level.id}
+                          type="button"
+                          onClick={() => setSelections({ ...selections, [criterion.id]: level.id })}
+                          title={level.description}
+                          style={{
+                            padding: '8px',
+                            borderRadius: '6px',
+                            border: `2px solid ${selected ? 'var(--primary-500)' : 'var(--secondary-200)'}`,
+                            backgroundColor: selected ? 'var(--primary-50)' : 'white',
+                            textAlign: 'left',
+                            cursor: 'pointer',
+                            fontSize: '13px'
+                          }}
+                        >
+                          <div style={{ fontWeight: '600' }}>{level.label} · {level.points}</div>
+                          {level.description && <div style={{ color: 'var(--secondary-600)' }}>{level.description}</div>}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+              <div style={{ fontSize: '14px', fontWeight: '600', color: 'var(--secondary-700)' }}>
+                {rubricResult.points}/{rubricResult.maxPoints} points = {rubricResult.marks}/{maxMarks} marks
+              </div>
+            </div>
+          ) : (
+            <div className="form-group">
+              <label className="form-label">Marks (out of {maxMarks})</label>
+              <input
+                type="number"
+                className="form-input"
+                value={marks}
+                onChange={(e) => setMarks(e.target.value)}
+                min="0"
+                max={maxMarks}
+                step="0.5"
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      {action === 'RESOLVE' && (
+        <div className="form-group">
+          <label className="form-label">Final marks (out of {maxMarks})</label>
+          <input
+            type="number"
+            className="form-input"
+            value={marks}
+            onChange={(e) => setMarks(e.target.value)}
+            min="0"
+            max={maxMarks}
+            step="0.5"
+          />
+        </div>
+      )}
+
+      {action && (
+        <>
+          <div className="form-group">
+            <label className="form-label">Comment</label>
+            <textarea
+              className="form-input"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows={3}
+            />
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '12px' }}>
+            <button
+              className="btn btn-primary"
+              onClick={action === 'GRADE' ? handleGrade : handleResolve}
+              disabled={gradeMutation.isPending || resolveMutation.isPending}
+            >
+              <FiCheck style={{ marginRight: '6px' }} />
+              {action === 'GRADE' ? 'Save Grade' : 'Record Final Mark'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {!action && status !== 'GRADED' && (
+        <p style={{ fontSize: '14px', color: 'var(--secondary-600)', margin: 0 }}>
+          {status === 'SECOND_MARK'
+            ? 'You marked this response. It is waiting for a second grader.'
+            : 'You marked this response, so another grader needs to settle the disagreement.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default GradingPanel;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { FiAlertTriangle, FiInfo, FiShield } from 'react-icons/fi';
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+
+const { PROCTORING_EVENTS } = EXAM_CONSTANTS;
+
+const formatOffset = (from, to) => {
+  const seconds = Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+  const minutes = Math.floor(seconds / 60);
+  return `+${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+const formatDetail = (detail) => {
+  if (!detail) return null;
+  if (typeof detail === 'string') return detail;
+  return Object.entries(detail).map(([key, value]) => `${key}: ${value}`).join(', ');
+};
+
+// Chronological list of the integrity events recorded for a proctored
+// attempt, with counted violations highlighted.
+const IntegrityTimeline = ({ events, startedAt }) => {
+  const sorted = [...(events || [])].sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+  const violations = sorted.filter(event => event.violation ?? PROCTORING_EVENTS[event.type]?.violation);
+  const counted = violations.filter(event => event.counted !== false);
+  const origin = startedAt || sorted[0]?.occurredAt;
+
+  if (!sorted.length) {
+    return (
+      <div style={{ fontSize: '14px', color: 'var(--secondary-500)', display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <FiShield size={16} />
+        No integrity events were recorded for this attempt.
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '16px', marginBottom: '16px', fontSize: '14px' }}>
+        <span style={{ color: counted.length ? 'var(--danger-600)' : 'var(--success-600)', fontWeight: '600' }}>
+          {counted.length} violation(s)
+        </span>
+        <span style={{ color: 'var(--secondary-500)' }}>{sorted.length} event(s) recorded</span>
+      </div>
+
+      <ol style={{ listStyle: 'none', margin: 0, padding: 0, borderLeft: '2px solid var(--secondary-200)' }}>
+        {sorted.map((event, index) => {
+          const definition = PROCTORING_EVENTS[event.type];
+          const isViolation = event.violation ?? definition?.violation;
+          const Icon = isViolation ? FiAlertTriangle : FiInfo;
+          const color = isViolation
+            ? (event.counted === false ? 'var(--warning-600)' : 'var(--danger-600)')
+            : 'var(--secondary-500)';
+
+          return (
+            <li key={event.id || `${event.type}-${event.occurredAt}-${index}`} style={{ position: 'relative', padding: '0 0 16px 20px' }}>
+              <span style={{
+                position: 'absolute',
+                left: '-7px',
+                top: '2px',
+                width: '12px',
+                height: '12px',
+                borderRadius: '50%',
+                backgroundColor: 'white',
+                border: `2px solid ${color}`
+              }} />
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', color }}>
+                <Icon size={14} />
+                <span style={{ fontWeight: isViolation ? '600' : '400' }}>
+                  {definition?.label || event.type}
+                </span>
+                {isViolation && event.counted === false && (
+                  <span style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>(same incident, not counted)</span>
+                )}
+              </div>
+              <div style={{ fontSize: '12px', color: 'var(--secondary-500)', marginTop: '2px' }}>
+                {new Date(event.occurredAt).toLocaleTimeString()}
+                {origin && ` (${formatOffset(origin, event.occurredAt)})`}
+                {formatDetail(event.detail) && ` - ${formatDetail(event.detail)}`}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default IntegrityTimeline;
@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+import { adminAPI, billingAPI } from '../../services/api';
+import { calculateInvoiceTotals, describeTaxRate, normalizeInvoiceSettings } from '../../utils/exam/invoicing';
+import { formatCurrency } from '../../utils/exam/money';
+
+const EXAMPLE_PRICE = 100;
+
+// Admin editor for the organization's invoice numbering, payment terms and
+// tax rates. The server applies these when it issues an invoice; changes
+// never alter invoices that were already issued.
+const InvoiceSettings = () => {
+  const queryClient = useQueryClient();
+  const [settings, setSettings] = useState(() => normalizeInvoiceSettings());
+
+  const { data: savedSettings, isLoading } = useQuery({
+    queryKey: ['invoice-settings'],
+    queryFn: async () => normalizeInvoiceSettings((await billingAPI.getInvoiceSettings()).data?.data?.settings)
+  });
+
+  useEffect(() => {
+    if (savedSettings) setSettings(savedSettings);
+  }, [savedSettings]);
+
+  const saveSettingsMutation = useMutation({
+    mutationFn: (settingsData) => adminAPI.updateInvoiceSettings(settingsData),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['invoice-settings']);
+      toast.success('Invoice settings saved');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to save invoice settings');
+    }
+  });
+
+  const updateTaxRate = (index, key, value) => {
+    setSettings(prev => ({
+      ...prev,
+      taxRates: prev.taxRates.map((rate, i) => (i === index ? { ...rate, [key]: value } : rate))
+    }));
+  };
+
+  const addTaxRate = () => {
+    setSettings(prev => ({ ...prev, taxRates: [...prev.taxRates, { name: '', ratePercent: 0 }] }));
+  };
+
+  const removeTaxRate = (index) => {
+    setSettings(prev => ({ ...prev, taxRates: prev.taxRates.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = () => {
+    if (!settings.numberPrefix.trim() || !settings.creditNotePrefix.trim()) {
+      toast.error('Invoice and credit note prefixes are required');
+      return;
+    }
+    if (settings.numberPrefix.trim() === settings.creditNotePrefix.trim()) {
+      toast.error('Invoices and credit notes need different prefixes');
+      return;
+    }
+    if (settings.taxRates.some(rate => !String(rate.name).trim())) {
+      toast.error('Give every tax rate a name');
+      return;
+    }
+    const normalized = normalizeInvoiceSettings({
+      ...settings,
+      numberPrefix: settings.numberPrefix.trim(),
+      creditNotePrefix: settings.creditNotePrefix.trim()
+    });
+    setSettings(normalized);
+    const { nextNumber: _nextNumber, ...settingsData } = normalized;
+    saveSettingsMutation.mutate(settingsData);
+  };
+
+  const example = calculateInvoiceTotals(EXAMPLE_PRICE, {
+    taxRates: normalizeInvoiceSettings(settings).taxRates,
+    pricesIncludeTax: settings.pricesIncludeTax
+  });
+
+  return (
+    <div className="form-container" style={{ marginTop: '2rem' }}>
+      <div className="form-title">Invoicing</div>
+      <p style={{ color: '#64748b', fontSize: '0.875rem', marginBottom: '1.5rem' }}>
+        Invoices and credit notes are numbered in one unbroken sequence each. Tax rates apply to invoices
+        issued after you save; invoices already issued keep the rates they were issued with.
+      </p>
+
+      <div className="form-grid">
+        <div className="form-group">
+          <label className="form-label">Invoice Number Prefix</label>
+          <input
+            type="text"
+            className="form-input"
+            value={settings.numberPrefix}
+            onChange={(e) => setSettings({ ...settings, numberPrefix: e.target.value })}
+            disabled={isLoading}
+          />
+          {settings.nextNumber && (
+            <small style={{ color: '#64748b', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+              Next invoice: {settings.numberPrefix}{settings.nextNumber}
+            </small>
+          )}
+        </div>
+        <div className="form-group">
+          <label className="form-label">Credit Note Prefix</label>
+          <input
+            type="text"
+            className="form-input"
+            value={settings.creditNotePrefix}
+            onChange={(e) => setSettings({ ...settings, creditNotePrefix: e.target.value })}
+            disabled={isLoading}
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Payment Terms (days)</label>
+          <input
+            type="number"
+            className="form-input"
+            value={settings.paymentTermsDays}
+            onChange={(e) => setSettings({ ...settings, paymentTermsDays: parseInt(e.target.value) || 0 })}
+            min="0"
+            disabled={isLoading}
+          />
+        </div>
+        <div className="form-group">
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '1.75rem' }}>
+            <input
+              type="checkbox"
+              checked={settings.pricesIncludeTax}
+              onChange={(e) => setSettings({ ...settings, pricesIncludeTax: e.target.checked })}
+              disabled={isLoading}
+            />
+            <span>Exam prices include tax</span>
+          </label>
+        </div>
+      </div>
+
+      <div style={{ marginTop: '1rem' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+          <label className="form-label" style={{ margin: 0 }}>Tax Rates</label>
+          <button className="btn btn-secondary" style={{ padding: '4px 8px', fontSize: '12px' }} onClick={addTaxRate}>
+            <FiPlus style={{ marginRight: '4px' }} /> Add Tax Rate
+          </button>
+        </div>
+        {settings.taxRates.length === 0 ? (
+          <div style={{ fontSize: '0.875rem', color: '#64748b' }}>No tax is charged on invoices.</div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Rate (%)</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {settings.taxRates.map((rate, index) => (
+                <tr key={index}>
+                  <td>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={rate.name}
+                      onChange={(e) => updateTaxRate(index, 'name', e.target.value)}
+                      placeholder="e.g. VAT"
+                      aria-label="Tax name"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      className="form-input"
+                      value={rate.ratePercent}
+                      onChange={(e) => updateTaxRate(index, 'ratePercent', parseFloat(e.target.value) || 0)}
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      aria-label="Tax rate percent"
+                    />
+                  </td>
+                  <td>
+                    <button
+                      className="btn btn-danger"
+                      style={{ padding: '4px 8px', fontSize: '12px' }}
+                      onClick={() => removeTaxRate(index)}
+                      aria-label="Remove tax rate"
+                    >
+                      <FiTrash2 />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {example.taxLines.length > 0 && (
+          <div style={{ marginTop: '0.75rem', fontSize: '0.875rem', color: '#64748b' }}>
+            An exam priced {formatCurrency(EXAMPLE_PRICE)} is invoiced at {formatCurrency(example.total)}:{' '}
+            {example.taxLines.map(line => `${describeTaxRate(line, settings.pricesIncludeTax)} ${formatCurrency(line.amount)}`).join(', ')}
+          </div>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '1rem' }}>
+        <button className="btn btn-primary" onClick={handleSave} disabled={isLoading || saveSettingsMutation.isPending}>
+          {saveSettingsMutation.isPending ? 'Saving...' : 'Save Invoice Settings'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default InvoiceSettings;
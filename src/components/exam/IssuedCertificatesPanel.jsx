@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiExternalLink, FiSlash } from 'react-icons/fi';
+import { certificateAPI } from '../../services/api';
+import { CERTIFICATE_STATUS_BADGES, getCertificateStatus, getVerificationUrl } from '../../utils/exam/certificates';
+
+const getHolderName = (certificate) => certificate.holderName
+  || `${certificate.user?.firstName || ''} ${certificate.user?.lastName || ''}`.trim()
+  || certificate.user?.email
+  || '-';
+
+// Admin list of every issued certificate, searchable by serial or holder,
+// with revocation. A revoked certificate still verifies, but the public page
+// shows it as revoked along with the reason.
+const IssuedCertificatesPanel = () => {
+  const queryClient = useQueryClient();
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [revoking, setRevoking] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const { data: certificates = [], isLoading } = useQuery({
+    queryKey: ['admin-certificates', search, status],
+    queryFn: async () => {
+      const response = await certificateAPI.getAllCertificates({
+        search: search.trim() || undefined,
+        status: status || undefined,
+        limit: 100
+      });
+      return response.data?.data?.certificates || [];
+    }
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: ({ id, reason }) => certificateAPI.revokeCertificate(id, reason),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['admin-certificates']);
+      queryClient.invalidateQueries(['userCertificates']);
+      toast.success('Certificate revoked');
+      setRevoking(null);
+      setReason('');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to revoke certificate');
+    }
+  });
+
+  const handleRevoke = () => {
+    if (!reason.trim()) {
+      toast.error('Please give a reason for revoking');
+      return;
+    }
+    revokeMutation.mutate({ id: revoking.id, reason: reason.trim() });
+  };
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '20px',
+      padding: '32px',
+      marginBottom: '40px',
+      boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+      border: '1px solid #e2e8f0'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '16px', flexWrap: 'wrap', marginBottom: '24px' }}>
+        <h3 style={{ fontSize: '24px', fontWeight: '600', color: '#1E293B', margin: 0 }}>
+          Issued Certificates
+        </h3>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <input
+            type="text"
+            className="form-input"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search serial or name..."
+            aria-label="Search certificates"
+          />
+          <select className="form-input" value={status} onChange={(e) => setStatus(e.target.value)} aria-label="Status">
+            <option value="">All</option>
+            <option value="VALID">Valid</option>
+            <option value="REVOKED">Revoked</option>
+          </select>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading certificates...</p>
+        </div>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Serial</th>
+              <th>Holder</th>
+              <th>Test</th>
+              <th>Score</th>
+              <th>Issued</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {certificates.length === 0 ? (
+              <tr>
+                <td colSpan="7" style={{ textAlign: 'center', padding: '20px' }}>
+                  No certificates found
+                </td>
+              </tr>
+            ) : (
+              certificates.map(certificate => {
+                const certificateStatus = getCertificateStatus(certificate);
+                return (
+                  <tr key={certificate.id}>
+                    <td style={{ fontFamily: 'monospace' }}>{certificate.serial || '-'}</td>
+                    <td>{getHolderName(certificate)}</td>
+                    <td>{certificate.exam?.title || certificate.examTitle || '-'}</td>
+                    <td>{certificate.score !== undefined && certificate.score !== null ? `${certificate.score}%` : '-'}</td>
+                    <td>{certificate.issuedAt ? new Date(certificate.issuedAt).toLocaleDateString() : '-'}</td>
+                    <td>
+                      <span className={`badge ${certificateStatus === 'REVOKED' ? 'badge-danger' : 'badge-success'}`}>
+                        {CERTIFICATE_STATUS_BADGES[certificateStatus].label}
+                      </span>
+                      {certificate.revocationReason && (
+                        <div style={{ fontSize: '12px', color: 'var(--secondary-500)', marginTop: '4px' }}>
+                          {certificate.revocationReason}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      <div className="data-table-actions-cell">
+                        {certificate.serial && (
+                          <a
+                            className="btn btn-secondary"
+                            style={{ padding: '4px 8px', fontSize: '12px' }}
+                            href={getVerificationUrl(certificate)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                          >
+                            <FiExternalLink style={{ marginRight: '4px' }} /> Verify
+                          </a>
+                        )}
+                        {certificateStatus !== 'REVOKED' && (
+                          <button
+                            className="btn btn-danger"
+                            style={{ padding: '4px 8px', fontSize: '12px' }}
+                            onClick={() => setRevoking(certificate)}
+                          >
+                            <FiSlash style={{ marginRight: '4px' }} /> Revoke
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      )}
+
+      {revoking && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          backgroundColor: 'rgba(0, 0, 0, 0.5)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}>
+          <div style={{
+            backgroundColor: 'white',
+            borderRadius: '12px',
+            padding: '32px',
+            width: '90%',
+            maxWidth: '480px'
+          }}>
+            <h2 style={{ marginBottom: '8px', fontSize: '20px', fontWeight: '600' }}>Revoke Certificate</h2>
+            <p style={{ color: 'var(--secondary-600)', fontSize: '14px', marginBottom: '16px' }}>
+              {revoking.serial} for {getHolderName(revoking)}. Anyone verifying it will see it as revoked
+              with this reason. This cannot be undone.
+            </p>
+            <div className="form-group">
+              <label className="form-label">Reason</label>
+              <textarea
+                className="form-input"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows={3}
+                placeholder="e.g. Issued in error, exam result annulled"
+              />
+            </div>
+            <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end', marginTop: '16px' }}>
+              <button
+                className="btn btn-secondary"
+                onClick={() => {
+                  setRevoking(null);
+                  setReason('');
+                }}
+              >
+                Cancel
+              </button>
+              <button className="btn btn-danger" onClick={handleRevoke} disabled={revokeMutation.isPending}>
+                {revokeMutation.isPending ? 'Revoking...' : 'Revoke Certificate'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IssuedCertificatesPanel;
@@ -0,0 +1,249 @@
+import React, { useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import * as XLSX from 'xlsx';
+import { FiDownload, FiChevronDown, FiChevronRight, FiArrowUp, FiArrowDown, FiFlag } from 'react-icons/fi';
+import { adminAPI } from '../../services/api';
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+import { computeItemAnalysis, buildItemAnalysisWorkbook } from '../../utils/exam/itemAnalysis';
+import RichText from './RichText';
+
+const { ITEM_ANALYSIS } = EXAM_CONSTANTS;
+
+const selectStyle = {
+  padding: '8px 12px',
+  border: '1px solid var(--secondary-300)',
+  borderRadius: '6px'
+};
+
+const PERIODS = [
+  { value: 'all', label: 'All time' },
+  { value: '90', label: 'Last 90 days' },
+  { value: '365', label: 'Last 12 months' }
+];
+
+const COLUMNS = [
+  { key: 'text', label: 'Question' },
+  { key: 'responses', label: 'Responses' },
+  { key: 'pValue', label: 'p-value', title: 'Share of available marks earned' },
+  { key: 'discrimination', label: 'Discrimination', title: 'Point-biserial correlation with the rest of the exam' },
+  { key: 'averageTime', label: 'Avg Time' },
+  { key: 'flags', label: 'Flags' }
+];
+
+const formatNumber = (value, places = 2) => (value === null || value === undefined ? '-' : value.toFixed(places));
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const getSortValue = (item, key) => {
+  if (key === 'flags') return item.flags.length;
+  if (key === 'text') return item.text.toLowerCase();
+  return item[key] ?? -Infinity;
+};
+
+// Pages through every completed attempt matching the filters
+const fetchItemResponses = async (params) => {
+  const attempts = [];
+  let page = 1;
+  let pages = 1;
+  do {
+    const response = await adminAPI.getItemAnalysisResponses({ ...params, page, limit: 200 });
+    attempts.push(...(response.data?.data?.attempts || []));
+    pages = response.data?.data?.pagination?.pages || 1;
+    page += 1;
+  } while (page <= pages);
+  return attempts;
+};
+
+// Item statistics for the questions in the bank: difficulty (p-value),
+// discrimination, distractor choice rates and time, with flags for items
+// worth revising. Rows expand to show how each option was chosen by the
+// top and bottom scorers.
+const ItemAnalysisPanel = ({ questions, filters }) => {
+  const [period, setPeriod] = useState('all');
+  const [sort, setSort] = useState({ key: 'flags', direction: 'desc' });
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [exportFormat, setExportFormat] = useState('XLSX');
+
+  const from = period === 'all' ? undefined : new Date(Date.now() - Number(period) * 86400000).toISOString().split('T')[0];
+
+  const { data: attempts = [], isLoading, error } = useQuery({
+    queryKey: ['item-analysis-responses', filters.examCategoryId, from],
+    queryFn: () => fetchItemResponses({ examCategoryId: filters.examCategoryId, from }),
+    staleTime: 60000
+  });
+
+  const items = useMemo(() => {
+    const questionIds = new Set(questions.map(question => question.id));
+    return computeItemAnalysis(attempts, questions).filter(item => questionIds.has(item.questionId));
+  }, [attempts, questions]);
+
+  const rows = useMemo(() => {
+    const visible = flaggedOnly ? items.filter(item => item.flags.some(flag => flag !== 'LOW_SAMPLE')) : items;
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...visible].sort((a, b) => {
+      const left = getSortValue(a, sort.key);
+      const right = getSortValue(b, sort.key);
+      if (left < right) return -direction;
+      if (left > right) return direction;
+      return 0;
+    });
+  }, [items, sort, flaggedOnly]);
+
+  const toggleSort = (key) => {
+    setSort(prev => ({ key, direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc' }));
+  };
+
+  const handleExport = () => {
+    const date = new Date().toISOString().split('T')[0];
+    XLSX.writeFile(buildItemAnalysisWorkbook(rows), `item-analysis-${date}.${exportFormat.toLowerCase()}`, {
+      bookType: exportFormat === 'CSV' ? 'csv' : 'xlsx'
+    });
+  };
+
+  if (isLoading) {
+    return <div style={{ padding: '24px', color: 'var(--secondary-600)' }}>Loading responses...</div>;
+  }
+
+  if (error) {
+    return <div style={{ padding: '24px', color: 'var(--danger-600)' }}>Error loading responses: {error.message}</div>;
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap', padding: '16px 24px' }}>
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} style={selectStyle} aria-label="Attempt period">
+          {PERIODS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px' }}>
+          <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+          Flagged only
+        </label>
+        <span style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+          {attempts.length} attempt(s), {items.length} question(s) answered
+        </span>
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: '8px' }}>
+          <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} style={selectStyle} aria-label="Export format">
+            <option value="XLSX">Excel</option>
+            <option value="CSV">CSV</option>
+          </select>
+          <button className="btn btn-secondary" onClick={handleExport} disabled={!rows.length}>
+            <FiDownload style={{ marginRight: '4px' }} /> Export
+          </button>
+        </div>
+      </div>
+
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th style={{ width: '32px' }}></th>
+            {COLUMNS.map(column => (
+              <th
+                key={column.key}
+                title={column.title}
+                onClick={() => toggleSort(column.key)}
+                style={{ cursor: 'pointer', whiteSpace: 'nowrap' }}
+                aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+              >
+                {column.label}
+                {sort.key === column.key && (sort.direction === 'asc'
+                  ? <FiArrowUp size={12} style={{ marginLeft: '4px' }} />
+                  : <FiArrowDown size={12} style={{ marginLeft: '4px' }} />)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(item => (
+            <React.Fragment key={item.questionId}>
+              <tr>
+                <td>
+                  {item.distractors.length > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => setExpanded(expanded === item.questionId ? null : item.questionId)}
+                      aria-label={expanded === item.questionId ? 'Hide options' : 'Show options'}
+                      style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--secondary-600)' }}
+                    >
+                      {expanded === item.questionId ? <FiChevronDown /> : <FiChevronRight />}
+                    </button>
+                  )}
+                </td>
+                <td style={{ maxWidth: '320px' }}>
+                  <RichText text={item.text} style={{ fontWeight: '500', color: 'var(--secondary-900)' }} />
+                  <div style={{ fontSize: '12px', color: 'var(--secondary-500)', marginTop: '4px' }}>{item.type}</div>
+                </td>
+                <td>
+                  {item.responses}
+                  {item.omitted > 0 && (
+                    <div style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>{item.omitted} omitted</div>
+                  )}
+                </td>
+                <td>{formatNumber(item.pValue)}</td>
+                <td style={{ color: item.discrimination < 0 ? 'var(--danger-600)' : undefined }}>
+                  {formatNumber(item.discrimination)}
+                </td>
+                <td>{item.averageTime === null ? '-' : `${Math.round(item.averageTime)}s`}</td>
+                <td>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+                    {item.flags.map(flag => (
+                      <span key={flag} style={{ fontSize: '12px', color: ITEM_ANALYSIS.FLAGS[flag].color, display: 'flex', alignItems: 'center', gap: '4px' }}>
+                        <FiFlag size={11} /> {ITEM_ANALYSIS.FLAGS[flag].label}
+                      </span>
+                    ))}
+                  </div>
+                </td>
+              </tr>
+              {expanded === item.questionId && (
+                <tr>
+                  <td></td>
+                  <td colSpan={COLUMNS.length} style={{ backgroundColor: 'var(--secondary-50)' }}>
+                    <table style={{ width: '100%', fontSize: '13px' }}>
+                      <thead>
+                        <tr style={{ textAlign: 'left', color: 'var(--secondary-600)' }}>
+                          <th>Option</th>
+                          <th>Chosen</th>
+                          <th>Top {Math.round(ITEM_ANALYSIS.GROUP_FRACTION * 100)}%</th>
+                          <th>Bottom {Math.round(ITEM_ANALYSIS.GROUP_FRACTION * 100)}%</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {item.distractors.map(option => (
+                          <tr key={option.key}>
+                            <td style={{ color: option.isCorrect ? 'var(--success-700)' : 'var(--secondary-800)', fontWeight: option.isCorrect ? '600' : '400' }}>
+                              <RichText text={option.text} inline />
+                              {option.isCorrect && ' (key)'}
+                            </td>
+                            <td>{option.count} ({formatPercent(option.rate)})</td>
+                            <td>{formatPercent(option.upperRate)}</td>
+                            <td>{formatPercent(option.lowerRate)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+
+      {!rows.length && (
+        <div style={{ padding: '24px', textAlign: 'center', color: 'var(--secondary-500)' }}>
+          {items.length ? 'No flagged questions.' : 'No completed attempts include these questions yet.'}
+        </div>
+      )}
+
+      <p style={{ fontSize: '12px', color: 'var(--secondary-500)', padding: '0 24px 16px', margin: '12px 0 0' }}>
+        A p-value of {ITEM_ANALYSIS.HARD_P_VALUE} or less is flagged too hard and {ITEM_ANALYSIS.EASY_P_VALUE} or more too easy.
+        Discrimination under {ITEM_ANALYSIS.LOW_DISCRIMINATION} is weak and below 0 means low scorers do better than high scorers.
+        Flags need at least {ITEM_ANALYSIS.MIN_RESPONSES} responses.
+      </p>
+    </div>
+  );
+};
+
+export default ItemAnalysisPanel;
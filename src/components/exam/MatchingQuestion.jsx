@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import { FiLink, FiX } from 'react-icons/fi';
+import { getMatchingPrompts, getMatchingChoices } from '../../utils/exam/matchingOrdering';
+import { stripRichText } from '../../utils/exam/richText';
+import RichText from './RichText';
+
+// Matching question renderer. Answers can be dragged from the pool onto a
+// prompt, or picked from the select next to each prompt (keyboard friendly).
+// The answer is a map of prompt option id -> matched option id; each answer
+// can only be used once.
+const MatchingQuestion = ({ question, answer, seed, onChange }) => {
+  const [dragOverKey, setDragOverKey] = useState(null);
+  const prompts = useMemo(() => getMatchingPrompts(question), [question]);
+  const choices = useMemo(() => getMatchingChoices(question, seed), [question, seed]);
+  const matches = answer || {};
+  const usedChoices = new Set(Object.values(matches));
+
+  const assign = (promptKey, choiceKey) => {
+    const next = { ...matches };
+    // Moving an answer to a new prompt frees the prompt it was on
+    Object.keys(next).forEach(key => {
+      if (next[key] === choiceKey) delete next[key];
+    });
+    if (choiceKey) {
+      next[promptKey] = choiceKey;
+    } else {
+      delete next[promptKey];
+    }
+    onChange(next);
+  };
+
+  const getChoiceText = (choiceKey) => stripRichText(choices.find(choice => choice.key === choiceKey)?.text);
+
+  return (
+    <div>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        marginBottom: '12px',
+        fontWeight: '500',
+        fontSize: '16px',
+        color: 'var(--secondary-900)'
+      }}>
+        <FiLink size={18} />
+        Match each item with its answer
+      </div>
+      <p style={{ fontSize: '14px', color: 'var(--secondary-500)', margin: '0 0 16px' }}>
+        Drag an answer onto an item, or choose it from the list next to the item.
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '20px' }}>
+        {choices.map(choice => (
+          <div
+            key={choice.key}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.setData('text/plain', choice.key);
+              e.dataTransfer.effectAllowed = 'move';
+            }}
+            style={{
+              padding: '8px 14px',
+              borderRadius: '8px',
+              border: '1px solid var(--primary-300)',
+              backgroundColor: usedChoices.has(choice.key) ? 'var(--secondary-50)' : 'var(--primary-50)',
+              color: usedChoices.has(choice.key) ? 'var(--secondary-400)' : 'var(--primary-700)',
+              fontSize: '14px',
+              cursor: 'grab',
+              userSelect: 'none'
+            }}
+          >
+            <RichText text={choice.text} inline />
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+        {prompts.map((prompt, index) => {
+          const matched = matches[prompt.key];
+          return (
+            <div
+              key={prompt.key}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDragOverKey(prompt.key);
+              }}
+              onDragLeave={() => setDragOverKey(null)}
+              onDrop={(e) => {
+                e.preventDefault();
+                setDragOverKey(null);
+                assign(prompt.key, e.dataTransfer.getData('text/plain'));
+              }}
+              style={{
+                display: 'grid',
+                gridTemplateColumns: '1fr 1fr',
+                gap: '12px',
+                alignItems: 'center',
+                padding: '12px',
+                borderRadius: '8px',
+                border: `2px ${dragOverKey === prompt.key ? 'dashed var(--primary-500)' : 'solid var(--secondary-200)'}`,
+                backgroundColor: matched ? 'var(--primary-50)' : 'white'
+              }}
+            >
+              <label htmlFor={`match-${question.id}-${prompt.key}`} style={{ fontSize: '16px', color: 'var(--secondary-900)' }}>
+                {index + 1}. <RichText text={prompt.text} inline />
+              </label>
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                <select
+                  id={`match-${question.id}-${prompt.key}`}
+                  value={matched || ''}
+                  onChange={(e) => assign(prompt.key, e.target.value)}
+                  style={{
+                    flex: 1,
+                    padding: '10px',
+                    border: '1px solid var(--secondary-300)',
+                    borderRadius: '6px',
+                    fontSize: '14px'
+                  }}
+                >
+                  <option value="">Select an answer</option>
+                  {choices.map(choice => (
+                    <option key={choice.key} value={choice.key}>
+                      {stripRichText(choice.text)}{usedChoices.has(choice.key) && choice.key !== matched ? ' (used)' : ''}
+                    </option>
+                  ))}
+                </select>
+                {matched && (
+                  <button
+                    type="button"
+                    onClick={() => assign(prompt.key, '')}
+                    aria-label={`Clear answer for ${stripRichText(prompt.text)}`}
+                    title={`Clear "${getChoiceText(matched)}"`}
+                    style={{
+                      padding: '8px',
+                      border: '1px solid var(--secondary-300)',
+                      borderRadius: '6px',
+                      backgroundColor: 'white',
+                      cursor: 'pointer',
+                      display: 'flex'
+                    }}
+                  >
+                    <FiX size={14} />
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default MatchingQuestion;
@@ -0,0 +1,149 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { FiList, FiMenu, FiChevronUp, FiChevronDown, FiCheck } from 'react-icons/fi';
+import { getOptionKey, getInitialOrder, moveItem } from '../../utils/exam/matchingOrdering';
+import { stripRichText } from '../../utils/exam/richText';
+import RichText from './RichText';
+
+// Ordering question renderer. Items can be dragged into place, moved with the
+// arrow buttons, or moved with Alt+Arrow keys while an item is focused.
+// The answer is the list of option ids in the chosen order.
+const OrderingQuestion = ({ question, answer, seed, onChange }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const itemRefs = useRef([]);
+
+  const itemsByKey = useMemo(() => (question.options || []).reduce((acc, option, index) => ({
+    ...acc,
+    [getOptionKey(option, index)]: option.text
+  }), {}), [question]);
+  const initialOrder = useMemo(() => getInitialOrder(question, seed), [question, seed]);
+  const order = Array.isArray(answer) && answer.length ? answer : initialOrder;
+  const isAnswered = Array.isArray(answer) && answer.length > 0;
+
+  const move = (fromIndex, toIndex, { focus = false } = {}) => {
+    const next = moveItem(order, fromIndex, toIndex);
+    if (next === order) return;
+    onChange(next);
+    setAnnouncement(`${stripRichText(itemsByKey[order[fromIndex]])} moved to position ${toIndex + 1} of ${order.length}`);
+    if (focus) {
+      requestAnimationFrame(() => itemRefs.current[toIndex]?.focus());
+    }
+  };
+
+  const handleKeyDown = (e, index) => {
+    if (!e.altKey) return;
+    if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      move(index, index - 1, { focus: true });
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      move(index, index + 1, { focus: true });
+    }
+  };
+
+  const arrowButtonStyle = (disabled) => ({
+    padding: '6px',
+    border: '1px solid var(--secondary-300)',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    opacity: disabled ? 0.4 : 1,
+    display: 'flex'
+  });
+
+  return (
+    <div>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        marginBottom: '12px',
+        fontWeight: '500',
+        fontSize: '16px',
+        color: 'var(--secondary-900)'
+      }}>
+        <FiList size={18} />
+        Put the items in the correct order
+      </div>
+      <p style={{ fontSize: '14px', color: 'var(--secondary-500)', margin: '0 0 16px' }}>
+        Drag items into place, use the arrows, or focus an item and press Alt + Arrow Up / Down.
+      </p>
+
+      <ol style={{ listStyle: 'none', padding: 0, margin: 0, display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {order.map((key, index) => (
+          <li
+            key={key}
+            ref={el => { itemRefs.current[index] = el; }}
+            tabIndex={0}
+            draggable
+            aria-label={`${stripRichText(itemsByKey[key])}, position ${index + 1} of ${order.length}`}
+            onKeyDown={(e) => handleKeyDown(e, index)}
+            onDragStart={(e) => {
+              setDragIndex(index);
+              e.dataTransfer.effectAllowed = 'move';
+              e.dataTransfer.setData('text/plain', key);
+            }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (dragIndex !== null) move(dragIndex, index);
+              setDragIndex(null);
+            }}
+            onDragEnd={() => setDragIndex(null)}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '12px',
+              padding: '12px 16px',
+              borderRadius: '8px',
+              border: `2px solid ${dragIndex === index ? 'var(--primary-500)' : 'var(--secondary-200)'}`,
+              backgroundColor: isAnswered ? 'var(--primary-50)' : 'white',
+              opacity: dragIndex === index ? 0.6 : 1,
+              cursor: 'grab'
+            }}
+          >
+            <FiMenu size={16} color="var(--secondary-400)" aria-hidden="true" />
+            <span style={{ fontWeight: '600', color: 'var(--primary-600)', minWidth: '20px' }}>{index + 1}.</span>
+            <RichText text={itemsByKey[key]} inline style={{ flex: 1, fontSize: '16px', color: 'var(--secondary-900)' }} />
+            <button
+              type="button"
+              onClick={() => move(index, index - 1)}
+              disabled={index === 0}
+              aria-label={`Move ${stripRichText(itemsByKey[key])} up`}
+              style={arrowButtonStyle(index === 0)}
+            >
+              <FiChevronUp size={14} />
+            </button>
+            <button
+              type="button"
+              onClick={() => move(index, index + 1)}
+              disabled={index === order.length - 1}
+              aria-label={`Move ${stripRichText(itemsByKey[key])} down`}
+              style={arrowButtonStyle(index === order.length - 1)}
+            >
+              <FiChevronDown size={14} />
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {!isAnswered && order.length > 0 && (
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => onChange(order)}
+          style={{ marginTop: '12px', display: 'flex', alignItems: 'center', gap: '6px' }}
+        >
+          <FiCheck size={14} />
+          Keep this order
+        </button>
+      )}
+
+      <div aria-live="polite" style={{ position: 'absolute', width: '1px', height: '1px', overflow: 'hidden', clip: 'rect(0 0 0 0)' }}>
+        {announcement}
+      </div>
+    </div>
+  );
+};
+
+export default OrderingQuestion;
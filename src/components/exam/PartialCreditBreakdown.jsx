@@ -0,0 +1,84 @@
+import React from 'react';
+import { FiLink, FiList } from 'react-icons/fi';
+import { responseToAnswer, getResponseQuestion } from '../../utils/exam/examResponseUtils';
+import { getPartialCredit } from '../../utils/exam/matchingOrdering';
+import RichText from './RichText';
+
+const PARTIAL_CREDIT_TYPES = ['MATCHING', 'ORDERING'];
+
+const formatMarks = (value) => Math.round(value * 100) / 100;
+
+// Per-question breakdown for question types that earn partial credit
+// (matching pairs and ordered items), shown on the results page.
+const PartialCreditBreakdown = ({ responses, questions }) => {
+  const rows = (responses || [])
+    .map(response => {
+      const question = getResponseQuestion(response, questions);
+      if (!PARTIAL_CREDIT_TYPES.includes(question?.type)) return null;
+
+      const credit = getPartialCredit(question, responseToAnswer(question, response));
+      const maxMarks = question.marks ?? response.maxMarks ?? 0;
+      const obtained = response.marksObtained ?? response.obtainedMarks ?? response.score
+        ?? (credit && credit.total ? (maxMarks * credit.correct) / credit.total : null);
+      return { response, question, credit, maxMarks, obtained };
+    })
+    .filter(Boolean);
+
+  if (!rows.length) return null;
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '12px',
+      padding: '32px',
+      boxShadow: 'var(--shadow)',
+      marginTop: '24px'
+    }}>
+      <h3 style={{ fontSize: '20px', fontWeight: '600', color: 'var(--secondary-900)', marginBottom: '8px' }}>
+        Partial Credit
+      </h3>
+      <p style={{ fontSize: '14px', color: 'var(--secondary-600)', margin: '0 0 24px' }}>
+        Matching and ordering questions earn marks for every pair or item placed correctly.
+      </p>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+        {rows.map(({ response, question, credit, maxMarks, obtained }) => {
+          const ratio = maxMarks && obtained !== null ? Math.min(1, obtained / maxMarks) : (credit?.total ? credit.correct / credit.total : 0);
+          const Icon = question.type === 'MATCHING' ? FiLink : FiList;
+          return (
+            <div key={response.id || response.questionId} style={{
+              padding: '16px',
+              border: '1px solid var(--secondary-200)',
+              borderRadius: '8px',
+              backgroundColor: 'var(--secondary-50)'
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '16px', marginBottom: '8px' }}>
+                <span style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', color: 'var(--secondary-900)' }}>
+                  <Icon size={14} />
+                  <RichText text={question.text} inline />
+                </span>
+                <span style={{ fontSize: '14px', fontWeight: '600', color: 'var(--secondary-700)', whiteSpace: 'nowrap' }}>
+                  {obtained !== null ? `${formatMarks(obtained)}/${maxMarks} marks` : '—'}
+                </span>
+              </div>
+              <div style={{ height: '8px', borderRadius: '4px', backgroundColor: 'var(--secondary-200)', overflow: 'hidden' }}>
+                <div style={{
+                  width: `${Math.round(ratio * 100)}%`,
+                  height: '100%',
+                  backgroundColor: ratio === 1 ? 'var(--success-500)' : ratio > 0 ? 'var(--warning-500)' : 'var(--danger-500)'
+                }} />
+              </div>
+              {credit && (
+                <div style={{ fontSize: '13px', color: 'var(--secondary-600)', marginTop: '6px' }}>
+                  {credit.correct} of {credit.total} {question.type === 'MATCHING' ? 'pairs matched' : 'items in the right position'}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PartialCreditBreakdown;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { FiMaximize, FiAlertTriangle, FiShield } from 'react-icons/fi';
+
+const overlayStyle = {
+  position: 'fixed',
+  inset: 0,
+  backgroundColor: 'rgba(15, 23, 42, 0.85)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  zIndex: 950,
+  padding: '24px'
+};
+
+const dialogStyle = {
+  background: 'white',
+  borderRadius: '16px',
+  padding: '32px',
+  boxShadow: 'var(--shadow)',
+  textAlign: 'center',
+  maxWidth: '460px',
+  width: '100%'
+};
+
+// Blocking screens for proctored exams: the fullscreen gate shown until the
+// student (re-)enters fullscreen, and the warning shown after each violation.
+const ProctoringOverlay = ({
+  requireFullscreen,
+  isFullscreen,
+  warning,
+  violationCount,
+  maxViolations,
+  onEnterFullscreen,
+  onDismissWarning
+}) => {
+  const remaining = maxViolations > 0 ? Math.max(0, maxViolations - violationCount) : null;
+
+  if (requireFullscreen && !isFullscreen) {
+    return (
+      <div style={overlayStyle} role="dialog" aria-modal="true" aria-labelledby="proctoring-fullscreen-title">
+        <div style={dialogStyle}>
+          <FiShield size={40} color="var(--primary-500)" />
+          <h2 id="proctoring-fullscreen-title" style={{ fontSize: '22px', fontWeight: '600', color: 'var(--secondary-900)', margin: '16px 0 8px' }}>
+            This exam is proctored
+          </h2>
+          <p style={{ fontSize: '14px', color: 'var(--secondary-600)', margin: '0 0 8px', lineHeight: '1.6' }}>
+            The exam must be taken in fullscreen. Leaving fullscreen, switching tabs or windows,
+            copying, pasting and right-clicking are recorded.
+          </p>
+          {violationCount > 0 && (
+            <p style={{ fontSize: '14px', color: 'var(--danger-600)', margin: '0 0 8px' }}>
+              Violations recorded: {violationCount}{maxViolations > 0 ? ` of ${maxViolations}` : ''}
+            </p>
+          )}
+          <button
+            className="btn btn-primary"
+            type="button"
+            onClick={onEnterFullscreen}
+            style={{ marginTop: '16px', display: 'inline-flex', alignItems: 'center', gap: '8px' }}
+          >
+            <FiMaximize size={16} />
+            {violationCount > 0 ? 'Return to Fullscreen' : 'Enter Fullscreen'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!warning) return null;
+
+  return (
+    <div style={overlayStyle} role="alertdialog" aria-modal="true" aria-labelledby="proctoring-warning-title">
+      <div style={dialogStyle}>
+        <FiAlertTriangle size={40} color="var(--warning-500)" />
+        <h2 id="proctoring-warning-title" style={{ fontSize: '22px', fontWeight: '600', color: 'var(--secondary-900)', margin: '16px 0 8px' }}>
+          Integrity warning
+        </h2>
+        <p style={{ fontSize: '14px', color: 'var(--secondary-700)', margin: '0 0 8px' }}>
+          {warning.label}. This has been recorded.
+        </p>
+        <p style={{ fontSize: '14px', color: 'var(--danger-600)', margin: '0 0 20px', lineHeight: '1.6' }}>
+          {remaining === null
+            ? `Violations recorded: ${violationCount}.`
+            : remaining > 0
+              ? `Violation ${violationCount} of ${maxViolations}. Your exam will be submitted automatically after ${remaining} more.`
+              : 'The violation limit has been reached and your exam is being submitted.'}
+        </p>
+        {remaining !== 0 && (
+          <button className="btn btn-primary" type="button" onClick={onDismissWarning}>
+            Return to Exam
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProctoringOverlay;
@@ -0,0 +1,261 @@
+import React, { useMemo, useState } from 'react';
+import * as XLSX from 'xlsx';
+import { FiUpload, FiDownload, FiAlertCircle, FiCheckCircle, FiCopy } from 'react-icons/fi';
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+import {
+  parseQuestionFile,
+  validateImportedQuestion,
+  findDuplicates,
+  suggestCategoryMapping,
+  toBulkQuestion
+} from '../../utils/exam/questionImport';
+import { buildSpreadsheetTemplate } from '../../utils/exam/questionExport';
+import { stripRichText } from '../../utils/exam/richText';
+
+const { QUESTION_FILE_FORMATS } = EXAM_CONSTANTS;
+
+const ACCEPTED_EXTENSIONS = [...new Set(Object.values(QUESTION_FILE_FORMATS).flatMap(format => format.extensions))].join(',');
+
+const selectStyle = {
+  padding: '8px 12px',
+  border: '1px solid var(--secondary-300)',
+  borderRadius: '6px'
+};
+
+const DUPLICATE_LABELS = {
+  file: 'Duplicate of an earlier row',
+  bank: 'Already in the question bank'
+};
+
+// Import from QTI, GIFT, Aiken, spreadsheets or JSON: parses the file in the
+// browser, maps its categories onto the bank's, and shows a row-by-row
+// preview with validation errors and duplicates before anything is created.
+const QuestionImportPanel = ({ categories, existingQuestions, isCheckingDuplicates, onImport, isImporting }) => {
+  const [fileName, setFileName] = useState('');
+  const [formatOverride, setFormatOverride] = useState('');
+  const [detectedFormat, setDetectedFormat] = useState('');
+  const [questions, setQuestions] = useState([]);
+  const [parseError, setParseError] = useState('');
+  const [categoryMapping, setCategoryMapping] = useState({});
+  const [excluded, setExcluded] = useState({});
+  const [file, setFile] = useState(null);
+
+  const loadFile = async (selectedFile, format) => {
+    if (!selectedFile) return;
+    setFile(selectedFile);
+    setFileName(selectedFile.name);
+    setParseError('');
+    setExcluded({});
+    try {
+      const result = await parseQuestionFile(selectedFile, format || undefined);
+      setDetectedFormat(result.format);
+      setQuestions(result.questions);
+      setCategoryMapping(suggestCategoryMapping(result.questions, categories));
+      if (!result.questions.length) setParseError('No questions were found in this file.');
+    } catch (error) {
+      console.error('Failed to parse question file:', error);
+      setQuestions([]);
+      setParseError(`Could not read the file: ${error.message}`);
+    }
+  };
+
+  const downloadTemplate = () => {
+    XLSX.writeFile(buildSpreadsheetTemplate(), 'question-import-template.xlsx');
+  };
+
+  const categoryIds = useMemo(() => new Set(categories.map(category => category.id)), [categories]);
+  // Only categories of rows without a known category id need mapping
+  const sourceCategories = Object.keys(categoryMapping).filter(name =>
+    questions.some(question => (question.category || '') === name && !categoryIds.has(question.examCategoryId)));
+
+  const rows = useMemo(() => {
+    const duplicates = findDuplicates(questions, existingQuestions);
+    return questions.map((question, index) => {
+      // A category id carried in the file wins over the name mapping
+      const categoryId = categoryIds.has(question.examCategoryId)
+        ? question.examCategoryId
+        : categoryMapping[question.category || ''] || '';
+      const errors = validateImportedQuestion(question);
+      if (!categoryId) errors.push('No category selected');
+      return { question, index, categoryId, errors, duplicate: duplicates[index] };
+    });
+  }, [questions, existingQuestions, categoryMapping, categoryIds]);
+
+  // Valid rows are included unless they are duplicates or were unticked
+  const isIncluded = (row) => !row.errors.length && (excluded[row.index] ?? !!row.duplicate) === false;
+  const selectedRows = rows.filter(isIncluded);
+  const errorCount = rows.filter(row => row.errors.length).length;
+  const duplicateCount = rows.filter(row => row.duplicate).length;
+
+  const toggleRow = (row) => {
+    setExcluded(prev => ({ ...prev, [row.index]: isIncluded(row) }));
+  };
+
+  const handleImport = () => {
+    onImport(selectedRows.map(row => toBulkQuestion(row.question, row.categoryId)));
+  };
+
+  return (
+    <div style={{ display: 'grid', gap: '16px' }}>
+      <div style={{ display: 'flex', gap: '12px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+        <div style={{ flex: 1, minWidth: '240px' }}>
+          <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+            Question File *
+          </label>
+          <input
+            type="file"
+            accept={ACCEPTED_EXTENSIONS}
+            onChange={(e) => loadFile(e.target.files[0], formatOverride)}
+            style={{ ...selectStyle, width: '100%' }}
+          />
+        </div>
+        <div>
+          <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+            Format
+          </label>
+          <select
+            value={formatOverride}
+            onChange={(e) => {
+              setFormatOverride(e.target.value);
+              if (file) loadFile(file, e.target.value);
+            }}
+            style={selectStyle}
+          >
+            <option value="">Detect from file</option>
+            {Object.entries(QUESTION_FILE_FORMATS).map(([key, format]) => (
+              <option key={key} value={key}>{format.label}</option>
+            ))}
+          </select>
+        </div>
+        <button type="button" className="btn btn-secondary" onClick={downloadTemplate}>
+          <FiDownload style={{ marginRight: '4px' }} /> Spreadsheet Template
+        </button>
+      </div>
+
+      <p style={{ margin: 0, fontSize: '13px', color: 'var(--secondary-600)' }}>
+        Supported: IMS QTI 2.1 items or content packages (.xml, .zip), Moodle GIFT, Aiken (.txt),
+        Excel or CSV using the template columns, and the bulk insert JSON.
+      </p>
+
+      {parseError && (
+        <div style={{ padding: '12px', borderRadius: '6px', backgroundColor: 'var(--danger-50)', color: 'var(--danger-700)', fontSize: '14px' }}>
+          <FiAlertCircle style={{ marginRight: '6px', verticalAlign: 'middle' }} />
+          {parseError}
+        </div>
+      )}
+
+      {questions.length > 0 && (
+        <>
+          <div style={{ fontSize: '14px', color: 'var(--secondary-700)' }}>
+            <strong>{fileName}</strong> ({QUESTION_FILE_FORMATS[detectedFormat]?.label || detectedFormat}):
+            {' '}{questions.length} question(s), {errorCount} with errors, {duplicateCount} duplicate(s)
+            {isCheckingDuplicates && ' - checking the bank for duplicates...'}
+          </div>
+
+          {sourceCategories.length > 0 && (
+            <div>
+              <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                Category Mapping
+              </label>
+              <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 1fr) minmax(0, 1fr)', gap: '8px', alignItems: 'center' }}>
+                {sourceCategories.map(name => (
+                  <React.Fragment key={name || '__none__'}>
+                    <span style={{ fontSize: '14px', color: 'var(--secondary-700)' }}>
+                      {name || <em>No category in file</em>}
+                    </span>
+                    <select
+                      value={categoryMapping[name]}
+                      onChange={(e) => setCategoryMapping(prev => ({ ...prev, [name]: e.target.value }))}
+                      style={selectStyle}
+                    >
+                      <option value="">Select category</option>
+                      {categories.map(category => (
+                        <option key={category.id} value={category.id}>{category.name}</option>
+                      ))}
+                    </select>
+                  </React.Fragment>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div style={{ maxHeight: '360px', overflow: 'auto', border: '1px solid var(--secondary-200)', borderRadius: '6px' }}>
+            <table className="data-table" style={{ margin: 0 }}>
+              <thead>
+                <tr>
+                  <th style={{ width: '32px' }}></th>
+                  <th>#</th>
+                  <th>Question</th>
+                  <th>Type</th>
+                  <th>Category</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => {
+                  const text = stripRichText(row.question.text);
+                  return (
+                    <tr key={row.index} style={{ opacity: isIncluded(row) ? 1 : 0.6 }}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={isIncluded(row)}
+                          disabled={row.errors.length > 0}
+                          onChange={() => toggleRow(row)}
+                          aria-label={`Import row ${row.index + 1}`}
+                        />
+                      </td>
+                      <td>{row.index + 1}</td>
+                      <td style={{ maxWidth: '260px' }} title={text}>
+                        {text.length > 80 ? `${text.slice(0, 80)}...` : text || <em>Empty</em>}
+                      </td>
+                      <td style={{ fontSize: '12px' }}>{row.question.type || '-'}</td>
+                      <td style={{ fontSize: '12px' }}>
+                        {categories.find(category => category.id === row.categoryId)?.name || '-'}
+                      </td>
+                      <td style={{ fontSize: '12px' }}>
+                        {row.errors.length > 0 ? (
+                          <span style={{ color: 'var(--danger-600)' }}>
+                            <FiAlertCircle style={{ marginRight: '4px', verticalAlign: 'middle' }} />
+                            {row.errors.join('; ')}
+                          </span>
+                        ) : row.duplicate ? (
+                          <span style={{ color: 'var(--warning-600)' }}>
+                            <FiCopy style={{ marginRight: '4px', verticalAlign: 'middle' }} />
+                            {DUPLICATE_LABELS[row.duplicate]}
+                          </span>
+                        ) : (
+                          <span style={{ color: 'var(--success-600)' }}>
+                            <FiCheckCircle style={{ marginRight: '4px', verticalAlign: 'middle' }} />
+                            Ready
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+            <span style={{ fontSize: '13px', color: 'var(--secondary-600)' }}>
+              Rows with errors cannot be imported. Duplicates are skipped unless ticked.
+            </span>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleImport}
+              disabled={!selectedRows.length || isImporting}
+            >
+              <FiUpload style={{ marginRight: '4px' }} />
+              {isImporting ? 'Importing...' : `Import ${selectedRows.length} Question(s)`}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default QuestionImportPanel;
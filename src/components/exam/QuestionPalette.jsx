@@ -0,0 +1,166 @@
+import React from 'react';
+import { FiFlag, FiLock } from 'react-icons/fi';
+import { hasAnswer } from '../../utils/exam/examResponseUtils';
+import { getSectionTimeLeft, isSectionLocked } from '../../utils/exam/examSections';
+
+const LEGEND = [
+  { label: 'Answered', color: 'var(--success-500)', background: 'var(--success-50)', text: 'var(--success-700)' },
+  { label: 'Not answered', color: 'var(--danger-300)', background: 'var(--danger-100)', text: 'var(--danger-600)' },
+  { label: 'Not visited', color: 'var(--secondary-300)', background: 'var(--secondary-50)', text: 'var(--secondary-700)' },
+  { label: 'Marked', color: 'var(--warning-500)', background: 'var(--warning-50)', text: 'var(--warning-700)' },
+  { label: 'Current', color: 'var(--primary-500)', background: 'var(--primary-50)', text: 'var(--primary-700)' }
+];
+
+const formatMinutes = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+const getQuestionStatus = (question, { answers, flagged, visited }) => {
+  if (flagged[question.id]) return 'flagged';
+  if (hasAnswer(answers[question.id])) return 'answered';
+  if (visited[question.id]) return 'unanswered';
+  return 'not-visited';
+};
+
+const STATUS_STYLES = {
+  answered: { backgroundColor: 'var(--success-100)', color: 'var(--success-700)', borderColor: 'var(--success-300)' },
+  unanswered: { backgroundColor: 'var(--danger-100)', color: 'var(--danger-600)', borderColor: 'var(--danger-300)' },
+  'not-visited': { backgroundColor: 'white', color: 'var(--secondary-700)', borderColor: 'var(--secondary-300)' },
+  flagged: { backgroundColor: 'var(--warning-100)', color: 'var(--warning-700)', borderColor: 'var(--warning-500)' },
+  current: { backgroundColor: 'var(--primary-500)', color: 'white', borderColor: 'var(--primary-500)' }
+};
+
+// Grid of question buttons showing answered / unanswered / flagged / visited
+// state, grouped by section when the exam has sections. Questions in a locked
+// section or whose own time is over cannot be reopened.
+const QuestionPalette = ({
+  questions,
+  answers,
+  flagged,
+  visited,
+  currentQuestion,
+  sections,
+  sectionUsage,
+  expiredQuestions = {},
+  onSelect
+}) => {
+  const groups = sections || [{ key: 'ALL', label: null, questionIndexes: questions.map((_, index) => index) }];
+
+  return (
+    <div>
+      {groups.map(group => {
+        const locked = sections ? isSectionLocked(group, sectionUsage) : false;
+        const timeLeft = sections ? getSectionTimeLeft(group, sectionUsage) : null;
+
+        return (
+          <div key={group.key} style={{ marginBottom: '16px' }}>
+            {group.label && (
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                fontSize: '13px',
+                fontWeight: '600',
+                color: locked ? 'var(--secondary-500)' : 'var(--secondary-700)',
+                marginBottom: '8px'
+              }}>
+                <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  {locked && <FiLock size={12} />}
+                  {group.label}
+                </span>
+                {timeLeft !== null && (
+                  <span style={{ fontWeight: '500', color: timeLeft < 60 ? 'var(--danger-600)' : 'var(--secondary-500)' }}>
+                    {locked ? 'Time over' : formatMinutes(timeLeft)}
+                  </span>
+                )}
+              </div>
+            )}
+
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(5, 1fr)',
+              gap: '8px'
+            }}>
+              {group.questionIndexes.map(index => {
+                const question = questions[index];
+                const disabled = locked || !!expiredQuestions[question.id];
+                const status = index === currentQuestion
+                  ? 'current'
+                  : getQuestionStatus(question, { answers, flagged, visited });
+
+                return (
+                  <button
+                    key={question.id}
+                    type="button"
+                    onClick={() => onSelect(index)}
+                    disabled={disabled}
+                    title={locked ? 'Section time is over' : disabled ? 'Question time is over' : `Question ${index + 1}`}
+                    aria-label={`Question ${index + 1}${flagged[question.id] ? ', marked for review' : ''}`}
+                    aria-current={index === currentQuestion ? 'step' : undefined}
+                    style={{
+                      position: 'relative',
+                      width: '40px',
+                      height: '40px',
+                      border: '1px solid',
+                      borderRadius: '8px',
+                      cursor: disabled ? 'not-allowed' : 'pointer',
+                      opacity: disabled ? 0.5 : 1,
+                      transition: 'var(--transition-normal)',
+                      fontSize: '14px',
+                      fontWeight: '500',
+                      ...STATUS_STYLES[status]
+                    }}
+                  >
+                    {index + 1}
+                    {flagged[question.id] && (
+                      <FiFlag
+                        size={10}
+                        style={{ position: 'absolute', top: '2px', right: '2px', color: 'var(--warning-600)' }}
+                      />
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+
+      <div style={{
+        marginBottom: '24px',
+        display: 'grid',
+        gridTemplateColumns: '1fr 1fr',
+        gap: '8px'
+      }}>
+        {LEGEND.map(item => (
+          <div key={item.label} style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            padding: '6px 8px',
+            borderRadius: '6px',
+            backgroundColor: item.background
+          }}>
+            <div style={{
+              width: '12px',
+              height: '12px',
+              borderRadius: '50%',
+              backgroundColor: item.color
+            }}></div>
+            <span style={{
+              fontSize: '12px',
+              color: item.text,
+              fontWeight: '500'
+            }}>
+              {item.label}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionPalette;
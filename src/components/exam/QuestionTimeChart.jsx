@@ -0,0 +1,113 @@
+import React from 'react';
+import { FiClock, FiEyeOff } from 'react-icons/fi';
+import { stripRichText } from '../../utils/exam/richText';
+
+const formatSeconds = (seconds) => {
+  const rounded = Math.round(seconds);
+  if (rounded < 60) return `${rounded}s`;
+  return `${Math.floor(rounded / 60)}m ${(rounded % 60).toString().padStart(2, '0')}s`;
+};
+
+const getBarColor = (timing) => {
+  if (timing.isCorrect === true) return 'var(--success-500)';
+  if (timing.isCorrect === false) return 'var(--danger-400)';
+  return 'var(--primary-500)';
+};
+
+// Horizontal bar chart of the time spent on each question. The hatched part
+// of a bar is time spent with the exam tab hidden; the tick marks the
+// question's own time limit.
+const QuestionTimeChart = ({ timings }) => {
+  if (!timings?.length || !timings.some(timing => timing.timeSpent > 0)) return null;
+
+  const maxSeconds = Math.max(...timings.map(timing => Math.max(timing.timeSpent, timing.timeLimit || 0)), 1);
+  const totalSeconds = timings.reduce((sum, timing) => sum + timing.timeSpent, 0);
+  const totalHidden = timings.reduce((sum, timing) => sum + timing.hiddenTime, 0);
+  const average = totalSeconds / timings.length;
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '12px',
+      padding: '32px',
+      boxShadow: 'var(--shadow)',
+      marginTop: '24px'
+    }}>
+      <h3 style={{ fontSize: '20px', fontWeight: '600', color: 'var(--secondary-900)', marginBottom: '8px' }}>
+        Time per Question
+      </h3>
+      <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap', fontSize: '14px', color: 'var(--secondary-600)', marginBottom: '24px' }}>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <FiClock size={14} /> Average {formatSeconds(average)}
+        </span>
+        {totalHidden > 0 && (
+          <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <FiEyeOff size={14} /> {formatSeconds(totalHidden)} with the exam hidden
+          </span>
+        )}
+      </div>
+
+      <div role="list" style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {timings.map((timing, index) => {
+          const width = (timing.timeSpent / maxSeconds) * 100;
+          const hiddenWidth = timing.timeSpent ? (timing.hiddenTime / timing.timeSpent) * 100 : 0;
+          const overLimit = timing.timeLimit && timing.timeSpent > timing.timeLimit;
+
+          return (
+            <div
+              key={timing.questionId}
+              role="listitem"
+              title={stripRichText(timing.text)}
+              style={{ display: 'grid', gridTemplateColumns: '48px 1fr 90px', alignItems: 'center', gap: '12px' }}
+            >
+              <span style={{ fontSize: '13px', fontWeight: '500', color: 'var(--secondary-700)' }}>Q{index + 1}</span>
+              <div style={{ position: 'relative', height: '16px', backgroundColor: 'var(--secondary-100)', borderRadius: '4px' }}>
+                <div style={{
+                  width: `${width}%`,
+                  height: '100%',
+                  borderRadius: '4px',
+                  backgroundColor: getBarColor(timing),
+                  overflow: 'hidden',
+                  display: 'flex',
+                  justifyContent: 'flex-end'
+                }}>
+                  {hiddenWidth > 0 && (
+                    <div style={{
+                      width: `${hiddenWidth}%`,
+                      height: '100%',
+                      backgroundImage: 'repeating-linear-gradient(45deg, rgba(255,255,255,0.5) 0 4px, transparent 4px 8px)'
+                    }} />
+                  )}
+                </div>
+                {timing.timeLimit && (
+                  <div style={{
+                    position: 'absolute',
+                    top: '-3px',
+                    bottom: '-3px',
+                    left: `${(timing.timeLimit / maxSeconds) * 100}%`,
+                    width: '2px',
+                    backgroundColor: 'var(--secondary-500)'
+                  }} />
+                )}
+              </div>
+              <span style={{ fontSize: '13px', color: overLimit ? 'var(--danger-600)' : 'var(--secondary-600)', textAlign: 'right' }}>
+                {formatSeconds(timing.timeSpent)}
+                {timing.visits > 1 && ` · ${timing.visits}×`}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', fontSize: '12px', color: 'var(--secondary-500)', marginTop: '16px' }}>
+        <span>Green: correct</span>
+        <span>Red: incorrect</span>
+        <span>Hatched: tab hidden</span>
+        <span>Tick: question time limit</span>
+        <span>n×: times visited</span>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionTimeChart;
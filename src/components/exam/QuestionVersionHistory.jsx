@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiClock, FiRotateCcw } from 'react-icons/fi';
+import { adminAPI } from '../../services/api';
+import { getVersionChanges } from '../../utils/exam/questionDiff';
+
+const DIFF_COLORS = {
+  added: { backgroundColor: 'var(--success-100)', color: 'var(--success-800)' },
+  removed: { backgroundColor: 'var(--danger-100)', color: 'var(--danger-700)', textDecoration: 'line-through' },
+  same: {}
+};
+
+const getAuthor = (version) => {
+  const author = version.createdBy || version.author;
+  if (!author) return null;
+  return `${author.firstName || ''} ${author.lastName || ''}`.trim() || author.email;
+};
+
+// Version list for a question with a diff between any two versions and
+// revert. Reverting saves the old content as a new version, so history is
+// never rewritten and attempts keep pointing at the version they saw.
+const QuestionVersionHistory = ({ question, categories, onReverted }) => {
+  const queryClient = useQueryClient();
+  const [selection, setSelection] = useState({ from: null, to: null });
+
+  const { data: versions = [], isLoading } = useQuery({
+    queryKey: ['question-versions', question.id],
+    queryFn: async () => {
+      const response = await adminAPI.getQuestionVersions(question.id);
+      const list = response.data?.data?.versions || [];
+      return [...list].sort((a, b) => b.version - a.version);
+    }
+  });
+
+  const revertMutation = useMutation({
+    mutationFn: (version) => adminAPI.revertQuestion(question.id, version.id),
+    onSuccess: (response, version) => {
+      queryClient.invalidateQueries(['questions']);
+      queryClient.invalidateQueries(['question-versions', question.id]);
+      toast.success(`Reverted to version ${version.version}`);
+      setSelection({ from: null, to: null });
+      onReverted?.(response.data?.data?.question);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to revert question');
+    }
+  });
+
+  if (isLoading) {
+    return <div style={{ fontSize: '14px', color: 'var(--secondary-500)' }}>Loading history...</div>;
+  }
+
+  if (!versions.length) {
+    return <div style={{ fontSize: '14px', color: 'var(--secondary-500)' }}>No earlier versions of this question.</div>;
+  }
+
+  // Defaults to the latest change: previous version against the current one
+  const toVersion = versions.find(version => version.id === selection.to) || versions[0];
+  const fromVersion = versions.find(version => version.id === selection.from) || versions[1] || versions[0];
+  const changes = getVersionChanges(fromVersion, toVersion);
+  const categoryName = (id) => categories.find(category => category.id === id)?.name || id || '-';
+
+  const handleRevert = (version) => {
+    if (window.confirm(`Revert this question to version ${version.version}? The current content is kept in the history.`)) {
+      revertMutation.mutate(version);
+    }
+  };
+
+  return (
+    <div style={{ display: 'grid', gap: '16px' }}>
+      <div style={{ maxHeight: '220px', overflow: 'auto', border: '1px solid var(--secondary-200)', borderRadius: '6px' }}>
+        <table className="data-table" style={{ margin: 0 }}>
+          <thead>
+            <tr>
+              <th>Version</th>
+              <th>Saved</th>
+              <th>Note</th>
+              <th>From</th>
+              <th>To</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {versions.map((version, index) => (
+              <tr key={version.id}>
+                <td style={{ whiteSpace: 'nowrap' }}>
+                  v{version.version}
+                  {index === 0 && <span className="badge badge-primary" style={{ marginLeft: '6px' }}>Current</span>}
+                </td>
+                <td style={{ fontSize: '12px' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    <FiClock size={12} /> {new Date(version.createdAt).toLocaleString()}
+                  </div>
+                  {getAuthor(version) && <div style={{ color: 'var(--secondary-500)' }}>{getAuthor(version)}</div>}
+                </td>
+                <td style={{ fontSize: '12px' }}>
+                  {version.changeNote || '-'}
+                  {version.attemptCount > 0 && (
+                    <div style={{ color: 'var(--secondary-500)' }}>Used in {version.attemptCount} attempt(s)</div>
+                  )}
+                </td>
+                <td>
+                  <input
+                    type="radio"
+                    name="version-from"
+                    checked={fromVersion.id === version.id}
+                    onChange={() => setSelection(prev => ({ ...prev, from: version.id }))}
+                    aria-label={`Compare from version ${version.version}`}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="radio"
+                    name="version-to"
+                    checked={toVersion.id === version.id}
+                    onChange={() => setSelection(prev => ({ ...prev, to: version.id }))}
+                    aria-label={`Compare to version ${version.version}`}
+                  />
+                </td>
+                <td>
+                  {index > 0 && (
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      style={{ padding: '4px 8px', fontSize: '12px', whiteSpace: 'nowrap' }}
+                      onClick={() => handleRevert(version)}
+                      disabled={revertMutation.isPending}
+                    >
+                      <FiRotateCcw style={{ marginRight: '4px' }} /> Revert
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <div style={{ fontSize: '14px', fontWeight: '500', marginBottom: '8px' }}>
+          Changes from v{fromVersion.version} to v{toVersion.version}
+        </div>
+        {fromVersion.id === toVersion.id || !changes.length ? (
+          <div style={{ fontSize: '14px', color: 'var(--secondary-500)' }}>No differences.</div>
+        ) : (
+          <div style={{ display: 'grid', gap: '12px' }}>
+            {changes.map(change => (
+              <div key={change.key} style={{ fontSize: '14px' }}>
+                <div style={{ fontSize: '12px', fontWeight: '600', color: 'var(--secondary-600)', marginBottom: '4px' }}>
+                  {change.label}
+                </div>
+                {change.parts ? (
+                  <div style={{ whiteSpace: 'pre-wrap', lineHeight: '1.6' }}>
+                    {change.parts.map((part, index) => (
+                      <span key={index} style={{ ...DIFF_COLORS[part.type], borderRadius: '2px' }}>{part.text}</span>
+                    ))}
+                  </div>
+                ) : change.lines ? (
+                  <div style={{ fontFamily: 'monospace', fontSize: '13px' }}>
+                    {change.lines.map((line, index) => (
+                      <div key={index} style={{ ...DIFF_COLORS[line.type], padding: '1px 6px' }}>
+                        {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div>
+                    <span style={DIFF_COLORS.removed}>
+                      {change.key === 'examCategoryId' ? categoryName(change.before) : String(change.before || '-')}
+                    </span>
+                    {' → '}
+                    <span style={DIFF_COLORS.added}>
+                      {change.key === 'examCategoryId' ? categoryName(change.after) : String(change.after || '-')}
+                    </span>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionVersionHistory;
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiX, FiCalendar } from 'react-icons/fi';
+import { bookingAPI, sessionAPI } from '../../services/api';
+import { formatSessionTime, getSessionAvailability } from '../../utils/exam/sessionSeating';
+import { formatNotice, getRescheduleEligibility, isSlotBookable, normalizeBookingPolicy } from '../../utils/exam/bookingPolicy';
+
+// Lets a student move their booking to another session of the same exam.
+// Full sessions and sessions inside the policy's notice period can't be
+// picked; the server checks the same rules again.
+const RescheduleBookingModal = ({ booking, policy, onClose }) => {
+  const queryClient = useQueryClient();
+  const [sessionId, setSessionId] = useState('');
+  const { minNoticeHours } = normalizeBookingPolicy(policy);
+  const eligibility = getRescheduleEligibility(booking, policy);
+  const examId = booking.exam?.id || booking.examId;
+  const currentSessionId = booking.session?.id || booking.sessionId;
+
+  const { data: sessions = [], isLoading } = useQuery({
+    queryKey: ['exam-sessions', 'reschedule', examId],
+    queryFn: async () => {
+      const response = await sessionAPI.getSessions({ examId, from: new Date().toISOString() });
+      return response.data?.data?.sessions || [];
+    },
+    enabled: eligibility.allowed && !!examId
+  });
+
+  const slots = sessions.filter(session => session.status !== 'CANCELLED' && session.id !== currentSessionId);
+  const selectedSession = slots.find(session => session.id === sessionId);
+
+  const rescheduleMutation = useMutation({
+    mutationFn: (session) => bookingAPI.rescheduleBooking(booking.id, session.startsAt, { sessionId: session.id }),
+    onSuccess: (response, session) => {
+      queryClient.invalidateQueries(['user-bookings']);
+      queryClient.invalidateQueries(['exam-sessions']);
+      toast.success(`Booking moved to ${formatSessionTime(session)}`);
+      onClose();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to reschedule booking');
+    }
+  });
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '12px',
+        padding: '32px',
+        width: '600px',
+        maxWidth: '90vw',
+        maxHeight: '90vh',
+        overflow: 'auto'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
+          <div>
+            <h3 style={{ fontSize: '24px', fontWeight: '600', margin: 0 }}>Reschedule Booking</h3>
+            <div style={{ fontSize: '14px', color: 'var(--secondary-600)', marginTop: '4px' }}>{booking.exam?.title}</div>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            style={{ background: 'none', border: 'none', fontSize: '20px', cursor: 'pointer', color: 'var(--secondary-500)' }}
+          >
+            <FiX />
+          </button>
+        </div>
+
+        {!eligibility.allowed ? (
+          <div style={{ padding: '16px', borderRadius: '6px', backgroundColor: 'var(--warning-50)', color: 'var(--warning-700)' }}>
+            {eligibility.reason}
+          </div>
+        ) : (
+          <>
+            <div style={{ fontSize: '14px', color: 'var(--secondary-600)', marginBottom: '16px' }}>
+              You can reschedule {eligibility.remaining} more time{eligibility.remaining === 1 ? '' : 's'}.
+              New sessions must start at least {formatNotice(minNoticeHours)} from now.
+            </div>
+
+            {isLoading ? (
+              <div style={{ padding: '16px', color: 'var(--secondary-600)' }}>Loading sessions...</div>
+            ) : !slots.length ? (
+              <div style={{ padding: '16px', textAlign: 'center', color: 'var(--secondary-500)' }}>
+                No other sessions are open for this exam.
+              </div>
+            ) : (
+              <div role="radiogroup" aria-label="Available sessions" style={{ display: 'grid', gap: '8px' }}>
+                {slots.map(session => {
+                  const availability = getSessionAvailability(session);
+                  const tooSoon = !isSlotBookable(session.startsAt, policy);
+                  const disabled = availability.isFull || tooSoon;
+                  const selected = session.id === sessionId;
+                  return (
+                    <button
+                      key={session.id}
+                      type="button"
+                      role="radio"
+                      aria-checked={selected}
+                      disabled={disabled}
+                      onClick={() => setSessionId(session.id)}
+                      style={{
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        alignItems: 'center',
+                        gap: '12px',
+                        padding: '12px 16px',
+                        textAlign: 'left',
+                        border: `1px solid ${selected ? 'var(--primary-500)' : 'var(--secondary-200)'}`,
+                        borderRadius: '8px',
+                        backgroundColor: selected ? 'var(--primary-50)' : disabled ? 'var(--secondary-50)' : 'white',
+                        color: disabled ? 'var(--secondary-400)' : 'var(--secondary-900)',
+                        cursor: disabled ? 'not-allowed' : 'pointer'
+                      }}
+                    >
+                      <span style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <FiCalendar />
+                        <span>
+                          <span style={{ display: 'block', fontWeight: '500' }}>{formatSessionTime(session)}</span>
+                          <span style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>
+                            {session.room?.name || 'No room'}{session.room?.location ? ` · ${session.room.location}` : ''}
+                          </span>
+                        </span>
+                      </span>
+                      <span style={{ fontSize: '12px', whiteSpace: 'nowrap' }}>
+                        {tooSoon ? 'Too soon' : availability.isFull ? 'Full' : `${availability.available} seats left`}
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </>
+        )}
+
+        <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end', marginTop: '24px' }}>
+          <button className="btn btn-secondary" onClick={onClose} disabled={rescheduleMutation.isPending}>
+            Close
+          </button>
+          {eligibility.allowed && (
+            <button
+              className="btn btn-primary"
+              onClick={() => rescheduleMutation.mutate(selectedSession)}
+              disabled={!selectedSession || rescheduleMutation.isPending}
+            >
+              {rescheduleMutation.isPending ? 'Rescheduling...' : 'Move Booking'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RescheduleBookingModal;
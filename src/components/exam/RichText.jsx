@@ -0,0 +1,22 @@
+import React, { useMemo } from 'react';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github.css';
+import './RichText.css';
+import { renderRichText } from '../../utils/exam/richText';
+
+// Renders Markdown question content with LaTeX math and highlighted code.
+// Use `inline` for options and other single-line text.
+const RichText = ({ text, inline = false, as, className = '', style }) => {
+  const html = useMemo(() => renderRichText(text, { inline }), [text, inline]);
+  const Tag = as || (inline ? 'span' : 'div');
+
+  return (
+    <Tag
+      className={`rich-text${inline ? ' rich-text-inline' : ''}${className ? ` ${className}` : ''}`}
+      style={style}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default RichText;
@@ -0,0 +1,141 @@
+import React, { useRef, useState } from 'react';
+import { FiBold, FiItalic, FiCode, FiTerminal, FiEye, FiEyeOff } from 'react-icons/fi';
+import RichText from './RichText';
+
+// Each action wraps the selection (or a placeholder) in the given markers
+const TOOLBAR_ACTIONS = [
+  { id: 'bold', label: 'Bold', icon: FiBold, before: '**', after: '**', placeholder: 'bold text' },
+  { id: 'italic', label: 'Italic', icon: FiItalic, before: '*', after: '*', placeholder: 'italic text' },
+  { id: 'code', label: 'Inline code', icon: FiCode, before: '`', after: '`', placeholder: 'code' },
+  { id: 'codeBlock', label: 'Code block', icon: FiTerminal, before: '\n```javascript\n', after: '\n```\n', placeholder: '// code' },
+  { id: 'math', label: 'Inline formula', text: '$x$', before: '$', after: '$', placeholder: 'x^2' },
+  { id: 'displayMath', label: 'Display formula', text: '$$', before: '\n$$\n', after: '\n$$\n', placeholder: '\\frac{a}{b}' }
+];
+
+const toolbarButtonStyle = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  minWidth: '30px',
+  height: '28px',
+  padding: '0 6px',
+  border: '1px solid transparent',
+  borderRadius: '4px',
+  background: 'transparent',
+  color: 'var(--secondary-700)',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+// Markdown editor for question text, options and explanations with a
+// formatting toolbar and a live preview rendered exactly as students see it.
+const RichTextEditor = ({
+  value,
+  onChange,
+  rows = 3,
+  placeholder,
+  inline = false,
+  defaultPreview = true
+}) => {
+  const textareaRef = useRef(null);
+  const [showPreview, setShowPreview] = useState(defaultPreview);
+
+  const applyAction = (action) => {
+    const textarea = textareaRef.current;
+    const current = value || '';
+    const start = textarea ? textarea.selectionStart : current.length;
+    const end = textarea ? textarea.selectionEnd : current.length;
+    const selected = current.slice(start, end) || action.placeholder;
+    const next = `${current.slice(0, start)}${action.before}${selected}${action.after}${current.slice(end)}`;
+    onChange(next);
+
+    // Reselect the wrapped text once React has applied the new value
+    requestAnimationFrame(() => {
+      if (!textareaRef.current) return;
+      const selectionStart = start + action.before.length;
+      textareaRef.current.focus();
+      textareaRef.current.setSelectionRange(selectionStart, selectionStart + selected.length);
+    });
+  };
+
+  return (
+    <div style={{ border: '1px solid var(--secondary-300)', borderRadius: '6px', overflow: 'hidden' }}>
+      <div
+        role="toolbar"
+        aria-label="Formatting"
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '2px',
+          padding: '4px 6px',
+          borderBottom: '1px solid var(--secondary-200)',
+          backgroundColor: 'var(--secondary-50)'
+        }}
+      >
+        {TOOLBAR_ACTIONS.map(action => {
+          const Icon = action.icon;
+          return (
+            <button
+              key={action.id}
+              type="button"
+              title={action.label}
+              aria-label={action.label}
+              onClick={() => applyAction(action)}
+              style={toolbarButtonStyle}
+            >
+              {Icon ? <Icon size={14} /> : action.text}
+            </button>
+          );
+        })}
+        <span style={{ flex: 1 }} />
+        <span style={{ fontSize: '11px', color: 'var(--secondary-500)', marginRight: '6px' }}>
+          Markdown, $LaTeX$, ```code```
+        </span>
+        <button
+          type="button"
+          onClick={() => setShowPreview(prev => !prev)}
+          aria-pressed={showPreview}
+          style={{ ...toolbarButtonStyle, gap: '4px', fontWeight: '500' }}
+        >
+          {showPreview ? <FiEyeOff size={14} /> : <FiEye size={14} />}
+          Preview
+        </button>
+      </div>
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        rows={rows}
+        placeholder={placeholder}
+        style={{
+          width: '100%',
+          padding: '12px',
+          border: 'none',
+          outline: 'none',
+          resize: 'vertical',
+          display: 'block',
+          fontFamily: 'inherit'
+        }}
+      />
+      {showPreview && (
+        <div style={{
+          padding: '12px',
+          borderTop: '1px dashed var(--secondary-300)',
+          backgroundColor: 'var(--secondary-50)',
+          fontSize: '14px',
+          color: 'var(--secondary-900)',
+          minHeight: '40px'
+        }}>
+          {value?.trim() ? (
+            <RichText text={value} inline={inline} />
+          ) : (
+            <span style={{ color: 'var(--secondary-400)' }}>Preview appears here</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RichTextEditor;
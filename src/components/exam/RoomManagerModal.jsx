@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiPlus, FiEdit, FiTrash2, FiX } from 'react-icons/fi';
+import { roomAPI } from '../../services/api';
+import { buildSeatMap, getRoomCapacity } from '../../utils/exam/sessionSeating';
+import SeatMap from './SeatMap';
+
+const EMPTY_ROOM = { name: '', location: '', rows: 5, seatsPerRow: 6, blockedSeats: [] };
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid var(--secondary-300)',
+  borderRadius: '6px'
+};
+
+// Rooms available for exam sessions. Seats are laid out as a grid; clicking
+// a seat in the preview blocks it (a pillar, a broken desk) so it is never
+// booked.
+const RoomManagerModal = ({ onClose }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(null);
+
+  const { data: rooms = [], isLoading } = useQuery({
+    queryKey: ['rooms'],
+    queryFn: async () => (await roomAPI.getRooms()).data?.data?.rooms || []
+  });
+
+  const saveRoomMutation = useMutation({
+    mutationFn: ({ id, ...roomData }) => (id ? roomAPI.updateRoom(id, roomData) : roomAPI.createRoom(roomData)),
+    onSuccess: (response, room) => {
+      queryClient.invalidateQueries(['rooms']);
+      queryClient.invalidateQueries(['exam-sessions']);
+      toast.success(room.id ? 'Room updated' : 'Room created');
+      setForm(null);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to save room');
+    }
+  });
+
+  const deleteRoomMutation = useMutation({
+    mutationFn: (roomId) => roomAPI.deleteRoom(roomId),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['rooms']);
+      toast.success('Room deleted');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to delete room');
+    }
+  });
+
+  const handleDelete = (room) => {
+    if (window.confirm(`Delete room "${room.name}"? Rooms with upcoming sessions cannot be deleted.`)) {
+      deleteRoomMutation.mutate(room.id);
+    }
+  };
+
+  const toggleBlockedSeat = (seat) => {
+    setForm(prev => ({
+      ...prev,
+      blockedSeats: prev.blockedSeats.includes(seat)
+        ? prev.blockedSeats.filter(blocked => blocked !== seat)
+        : [...prev.blockedSeats, seat]
+    }));
+  };
+
+  const handleSave = () => {
+    if (!form.name.trim() || form.rows < 1 || form.seatsPerRow < 1) {
+      toast.error('Please enter a name and at least one row and seat');
+      return;
+    }
+    // Seats outside a shrunk grid are dropped from the blocked list
+    const seats = new Set(buildSeatMap({ rows: form.rows, seatsPerRow: form.seatsPerRow }).flat().map(seat => seat.label));
+    const blockedSeats = form.blockedSeats.filter(seat => seats.has(seat));
+    saveRoomMutation.mutate({
+      ...form,
+      name: form.name.trim(),
+      location: form.location.trim(),
+      blockedSeats,
+      capacity: getRoomCapacity({ ...form, blockedSeats })
+    });
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '12px',
+        padding: '32px',
+        width: '800px',
+        maxWidth: '90vw',
+        maxHeight: '90vh',
+        overflow: 'auto'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
+          <h3 style={{ fontSize: '24px', fontWeight: '600', margin: 0 }}>Rooms</h3>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            style={{ background: 'none', border: 'none', fontSize: '20px', cursor: 'pointer', color: 'var(--secondary-500)' }}
+          >
+            <FiX />
+          </button>
+        </div>
+
+        {form ? (
+          <div style={{ display: 'grid', gap: '16px' }}>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+              <div>
+                <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>Name *</label>
+                <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} style={inputStyle} />
+              </div>
+              <div>
+                <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>Location</label>
+                <input
+                  type="text"
+                  value={form.location}
+                  onChange={(e) => setForm({ ...form, location: e.target.value })}
+                  placeholder="Building, floor..."
+                  style={inputStyle}
+                />
+              </div>
+              <div>
+                <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>Rows *</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="40"
+                  value={form.rows}
+                  onChange={(e) => setForm({ ...form, rows: parseInt(e.target.value) || 0 })}
+                  style={inputStyle}
+                />
+              </div>
+              <div>
+                <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>Seats per Row *</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="40"
+                  value={form.seatsPerRow}
+                  onChange={(e) => setForm({ ...form, seatsPerRow: parseInt(e.target.value) || 0 })}
+                  style={inputStyle}
+                />
+              </div>
+            </div>
+
+            <div>
+              <div style={{ fontWeight: '500', marginBottom: '8px' }}>
+                Seat Map ({getRoomCapacity(form)} usable seats)
+              </div>
+              <div style={{ fontSize: '13px', color: 'var(--secondary-600)', marginBottom: '12px' }}>
+                Click a seat to block or unblock it.
+              </div>
+              <SeatMap
+                room={form}
+                mode="edit"
+                onSelect={toggleBlockedSeat}
+              />
+            </div>
+
+            <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+              <button className="btn btn-secondary" onClick={() => setForm(null)} disabled={saveRoomMutation.isPending}>
+                Back
+              </button>
+              <button className="btn btn-primary" onClick={handleSave} disabled={saveRoomMutation.isPending}>
+                {saveRoomMutation.isPending ? 'Saving...' : 'Save Room'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '16px' }}>
+              <button className="btn btn-primary" onClick={() => setForm({ ...EMPTY_ROOM })}>
+                <FiPlus style={{ marginRight: '4px' }} /> Add Room
+              </button>
+            </div>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Room</th>
+                  <th>Layout</th>
+                  <th>Capacity</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rooms.map(room => (
+                  <tr key={room.id}>
+                    <td>
+                      <div style={{ fontWeight: '500' }}>{room.name}</div>
+                      {room.location && <div style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>{room.location}</div>}
+                    </td>
+                    <td>{room.rows} x {room.seatsPerRow}</td>
+                    <td>{getRoomCapacity(room)}</td>
+                    <td>
+                      <div className="data-table-actions-cell">
+                        <button
+                          className="btn btn-secondary"
+                          style={{ padding: '4px 8px', fontSize: '12px' }}
+                          onClick={() => setForm({ ...EMPTY_ROOM, ...room, location: room.location || '', blockedSeats: room.blockedSeats || [] })}
+                        >
+                          <FiEdit style={{ marginRight: '4px' }} /> Edit
+                        </button>
+                        <button
+                          className="btn btn-danger"
+                          style={{ padding: '4px 8px', fontSize: '12px' }}
+                          onClick={() => handleDelete(room)}
+                          disabled={deleteRoomMutation.isPending}
+                        >
+                          <FiTrash2 style={{ marginRight: '4px' }} /> Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!isLoading && !rooms.length && (
+              <div style={{ textAlign: 'center', padding: '24px', color: 'var(--secondary-500)' }}>
+                No rooms yet. Add one to start scheduling sessions.
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoomManagerModal;
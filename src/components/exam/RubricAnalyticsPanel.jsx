@@ -0,0 +1,124 @@
+import React, { useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { FiFlag } from 'react-icons/fi';
+import { examAPI, rubricAPI } from '../../services/api';
+import { summarizeRubricScores } from '../../utils/exam/rubrics';
+
+const selectStyle = {
+  padding: '8px 12px',
+  border: '1px solid var(--secondary-300)',
+  borderRadius: '6px'
+};
+
+const LEVEL_COLORS = ['var(--success-500)', 'var(--primary-500)', 'var(--warning-500)', 'var(--danger-500)', 'var(--secondary-400)'];
+
+// Green for the highest-scoring level down to red for the lowest
+const getLevelColor = (levels, level) => {
+  const rank = [...levels].sort((a, b) => b.points - a.points).findIndex(item => item.id === level.id);
+  return LEVEL_COLORS[Math.min(rank, LEVEL_COLORS.length - 1)];
+};
+
+// How students scored on each criterion of a rubric, from final grades:
+// average share of points and the spread across levels. Criteria where
+// students earn under half the points are flagged.
+const RubricAnalyticsPanel = ({ rubric }) => {
+  const [examId, setExamId] = useState('');
+
+  const { data: graded = [], isLoading, error } = useQuery({
+    queryKey: ['rubric-scores', rubric.id, examId],
+    queryFn: async () => {
+      const response = await rubricAPI.getRubricScores(rubric.id, { examId: examId || undefined });
+      return response.data?.data?.scores || [];
+    },
+    staleTime: 60000
+  });
+
+  const { data: examsData } = useQuery({
+    queryKey: ['admin-exams'],
+    queryFn: () => examAPI.getAllExams({ limit: 100 })
+  });
+  const exams = examsData?.data?.data?.exams || [];
+
+  const criteria = useMemo(() => summarizeRubricScores(rubric, graded), [rubric, graded]);
+
+  return (
+    <div className="data-table-container" style={{ marginTop: '24px' }}>
+      <div className="data-table-header">
+        <h2 className="data-table-title">Criteria Analytics: {rubric.name}</h2>
+        <div className="data-table-actions">
+          <select value={examId} onChange={(e) => setExamId(e.target.value)} style={selectStyle} aria-label="Exam">
+            <option value="">All Exams</option>
+            {exams.map(exam => (
+              <option key={exam.id} value={exam.id}>{exam.title}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading rubric scores...</p>
+        </div>
+      ) : error ? (
+        <p style={{ padding: '20px', color: 'var(--danger-600)' }}>Failed to load rubric scores</p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Criterion</th>
+              <th>Responses</th>
+              <th>Avg Points</th>
+              <th>Avg Score</th>
+              <th>Levels Given</th>
+            </tr>
+          </thead>
+          <tbody>
+            {graded.length === 0 ? (
+              <tr>
+                <td colSpan="5" style={{ textAlign: 'center', padding: '20px' }}>
+                  No responses have been graded with this rubric yet
+                </td>
+              </tr>
+            ) : (
+              criteria.map(criterion => (
+                <tr key={criterion.id}>
+                  <td>
+                    {criterion.name}
+                    {criterion.struggling && (
+                      <span className="badge badge-danger" style={{ marginLeft: '8px' }} title="Students earn under half the points here">
+                        <FiFlag size={10} style={{ marginRight: '4px' }} /> Struggling
+                      </span>
+                    )}
+                  </td>
+                  <td>{criterion.responses}</td>
+                  <td>{criterion.averagePoints === null ? '-' : `${criterion.averagePoints.toFixed(2)} / ${criterion.maxPoints}`}</td>
+                  <td>{criterion.averageShare === null ? '-' : `${Math.round(criterion.averageShare * 100)}%`}</td>
+                  <td style={{ minWidth: '220px' }}>
+                    <div style={{ display: 'flex', height: '10px', borderRadius: '5px', overflow: 'hidden', backgroundColor: 'var(--secondary-100)' }}>
+                      {criterion.levelCounts.map(level => (criterion.responses ? (
+                        <div
+                          key={level.id}
+                          title={`${level.label}: ${level.count}`}
+                          style={{
+                            width: `${(level.count / criterion.responses) * 100}%`,
+                            backgroundColor: getLevelColor(criterion.levelCounts, level)
+                          }}
+                        />
+                      ) : null))}
+                    </div>
+                    <div style={{ fontSize: '12px', color: 'var(--secondary-600)', marginTop: '4px' }}>
+                      {criterion.levelCounts.map(level => `${level.label} ${level.count}`).join(' · ')}
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default RubricAnalyticsPanel;
@@ -0,0 +1,90 @@
+import React from 'react';
+import { buildSeatMap } from '../../utils/exam/sessionSeating';
+
+const SEAT_STYLES = {
+  free: { backgroundColor: 'white', borderColor: 'var(--secondary-300)', color: 'var(--secondary-700)' },
+  occupied: { backgroundColor: 'var(--primary-100)', borderColor: 'var(--primary-400)', color: 'var(--primary-800)' },
+  selected: { backgroundColor: 'var(--success-500)', borderColor: 'var(--success-600)', color: 'white' },
+  blocked: { backgroundColor: 'var(--secondary-200)', borderColor: 'var(--secondary-300)', color: 'var(--secondary-400)' }
+};
+
+// Grid of a room's seats with the front of the room at the top. In 'assign'
+// mode free seats can be picked; in 'edit' mode clicking a seat blocks or
+// unblocks it. occupied maps seat labels to who is sitting there.
+const SeatMap = ({ room, occupied = {}, selected, onSelect, mode = 'assign' }) => {
+  const rows = buildSeatMap(room);
+
+  if (!rows.length || !rows[0].length) {
+    return <div style={{ fontSize: '14px', color: 'var(--secondary-500)' }}>This room has no seats set up.</div>;
+  }
+
+  const getState = (seat) => {
+    if (seat.label === selected) return 'selected';
+    if (seat.blocked) return 'blocked';
+    if (occupied[seat.label]) return 'occupied';
+    return 'free';
+  };
+
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <div style={{
+        textAlign: 'center',
+        fontSize: '12px',
+        color: 'var(--secondary-500)',
+        borderBottom: '2px solid var(--secondary-300)',
+        marginBottom: '12px',
+        paddingBottom: '4px'
+      }}>
+        Front
+      </div>
+      <div role="grid" aria-label={`Seats in ${room?.name || 'room'}`} style={{ display: 'grid', gap: '6px', justifyContent: 'center' }}>
+        {rows.map((row, rowIndex) => (
+          <div key={rowIndex} role="row" style={{ display: 'flex', gap: '6px' }}>
+            {row.map(seat => {
+              const state = getState(seat);
+              const clickable = mode === 'edit' ? !occupied[seat.label] : state === 'free' || state === 'selected';
+              const title = occupied[seat.label]
+                ? `${seat.label}: ${occupied[seat.label]}`
+                : seat.blocked ? `${seat.label}: blocked` : seat.label;
+              return (
+                <button
+                  key={seat.label}
+                  type="button"
+                  role="gridcell"
+                  title={title}
+                  aria-label={title}
+                  aria-pressed={state === 'selected'}
+                  disabled={!clickable}
+                  onClick={() => onSelect?.(seat.label)}
+                  style={{
+                    ...SEAT_STYLES[state],
+                    width: '40px',
+                    height: '32px',
+                    border: '1px solid',
+                    borderRadius: '6px',
+                    fontSize: '11px',
+                    fontWeight: '500',
+                    cursor: clickable ? 'pointer' : 'default',
+                    padding: 0
+                  }}
+                >
+                  {seat.label}
+                </button>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '16px', justifyContent: 'center', fontSize: '12px', color: 'var(--secondary-600)', marginTop: '12px' }}>
+        {Object.entries({ free: 'Free', occupied: 'Taken', selected: 'Selected', blocked: 'Blocked' }).map(([state, label]) => (
+          <span key={state} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            <span style={{ ...SEAT_STYLES[state], width: '12px', height: '12px', border: '1px solid', borderRadius: '3px', display: 'inline-block' }} />
+            {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SeatMap;
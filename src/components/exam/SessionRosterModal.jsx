@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiPrinter, FiX, FiArrowUp, FiGrid } from 'react-icons/fi';
+import { sessionAPI } from '../../services/api';
+import { formatSessionTime, getSessionAvailability, isSeatedBooking, WAITLIST_STATUS } from '../../utils/exam/sessionSeating';
+import { exportSessionRosterPdf } from '../../utils/exam/sessionRoster';
+import SeatMap from './SeatMap';
+
+const getName = (booking) => `${booking.user?.firstName || ''} ${booking.user?.lastName || ''}`.trim() || booking.user?.email || '-';
+
+// Roster for one session: seated candidates with seat assignment on the
+// room's seat map, the waitlist with manual promotion, and a printable
+// roster for check-in.
+const SessionRosterModal = ({ session, onClose }) => {
+  const queryClient = useQueryClient();
+  const [selectedBookingId, setSelectedBookingId] = useState(null);
+
+  const { data: roster, isLoading } = useQuery({
+    queryKey: ['session-roster', session.id],
+    queryFn: async () => (await sessionAPI.getSessionRoster(session.id)).data?.data || {}
+  });
+
+  const currentSession = { ...session, ...(roster?.session || {}) };
+  const bookings = (roster?.bookings || []).filter(isSeatedBooking);
+  const waitlist = [...(roster?.waitlist || (roster?.bookings || []).filter(booking => booking.status === WAITLIST_STATUS))]
+    .sort((a, b) => (a.waitlistPosition ?? Infinity) - (b.waitlistPosition ?? Infinity));
+  const availability = getSessionAvailability({ ...currentSession, bookedCount: bookings.length, waitlistCount: waitlist.length });
+  const selectedBooking = bookings.find(booking => booking.id === selectedBookingId);
+  const occupied = bookings.reduce((acc, booking) => (booking.seatNumber ? { ...acc, [booking.seatNumber]: getName(booking) } : acc), {});
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['session-roster', session.id]);
+    queryClient.invalidateQueries(['exam-sessions']);
+    queryClient.invalidateQueries(['admin-bookings']);
+  };
+
+  const assignSeatMutation = useMutation({
+    mutationFn: ({ bookingId, seatNumber }) => sessionAPI.assignSeat(session.id, bookingId, seatNumber),
+    onSuccess: (response, { seatNumber }) => {
+      refresh();
+      toast.success(`Seat ${seatNumber} assigned`);
+      setSelectedBookingId(null);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to assign seat');
+    }
+  });
+
+  const autoAssignMutation = useMutation({
+    mutationFn: () => sessionAPI.autoAssignSeats(session.id),
+    onSuccess: () => {
+      refresh();
+      toast.success('Seats assigned');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to assign seats');
+    }
+  });
+
+  const promoteMutation = useMutation({
+    mutationFn: (bookingId) => sessionAPI.promoteWaitlisted(session.id, bookingId),
+    onSuccess: () => {
+      refresh();
+      toast.success('Booking moved off the waitlist');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to promote booking');
+    }
+  });
+
+  const handleSeatSelect = (seatNumber) => {
+    if (!selectedBooking) {
+      toast.error('Select a candidate first');
+      return;
+    }
+    assignSeatMutation.mutate({ bookingId: selectedBooking.id, seatNumber });
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '12px',
+        padding: '32px',
+        width: '1000px',
+        maxWidth: '95vw',
+        maxHeight: '90vh',
+        overflow: 'auto'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '24px' }}>
+          <div>
+            <h3 style={{ fontSize: '24px', fontWeight: '600', margin: 0 }}>{currentSession.exam?.title || 'Session'} Roster</h3>
+            <div style={{ fontSize: '14px', color: 'var(--secondary-600)', marginTop: '4px' }}>
+              {formatSessionTime(currentSession)} · {currentSession.room?.name || 'No room'} · {availability.booked}/{availability.capacity} seats
+              {availability.waitlisted > 0 && ` · ${availability.waitlisted} waitlisted`}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            style={{ background: 'none', border: 'none', fontSize: '20px', cursor: 'pointer', color: 'var(--secondary-500)' }}
+          >
+            <FiX />
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div style={{ padding: '24px', color: 'var(--secondary-600)' }}>Loading roster...</div>
+        ) : (
+          <>
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginBottom: '16px' }}>
+              <button
+                className="btn btn-secondary"
+                onClick={() => autoAssignMutation.mutate()}
+                disabled={autoAssignMutation.isPending || !bookings.some(booking => !booking.seatNumber)}
+              >
+                <FiGrid style={{ marginRight: '4px' }} /> Auto-assign Seats
+              </button>
+              <button className="btn btn-primary" onClick={() => exportSessionRosterPdf(currentSession, bookings, waitlist)}>
+                <FiPrinter style={{ marginRight: '4px' }} /> Print Roster
+              </button>
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 1fr) minmax(0, 1fr)', gap: '24px' }}>
+              <div>
+                <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '8px' }}>Candidates ({bookings.length})</h4>
+                <div style={{ fontSize: '13px', color: 'var(--secondary-600)', marginBottom: '8px' }}>
+                  Select a candidate, then a free seat to move them.
+                </div>
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Seat</th>
+                      <th>Candidate</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {bookings.map(booking => (
+                      <tr
+                        key={booking.id}
+                        onClick={() => setSelectedBookingId(booking.id === selectedBookingId ? null : booking.id)}
+                        style={{
+                          cursor: 'pointer',
+                          backgroundColor: booking.id === selectedBookingId ? 'var(--primary-50)' : undefined
+                        }}
+                      >
+                        <td style={{ fontWeight: '600' }}>{booking.seatNumber || '-'}</td>
+                        <td>
+                          <div>{getName(booking)}</div>
+                          <div style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>{booking.user?.email}</div>
+                        </td>
+                        <td><span className="badge badge-secondary">{booking.status}</span></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {!bookings.length && (
+                  <div style={{ padding: '16px', textAlign: 'center', color: 'var(--secondary-500)' }}>No bookings yet</div>
+                )}
+
+                {waitlist.length > 0 && (
+                  <>
+                    <h4 style={{ fontSize: '16px', fontWeight: '600', margin: '24px 0 8px' }}>Waitlist ({waitlist.length})</h4>
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>#</th>
+                          <th>Candidate</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {waitlist.map((booking, index) => (
+                          <tr key={booking.id}>
+                            <td>{booking.waitlistPosition || index + 1}</td>
+                            <td>
+                              <div>{getName(booking)}</div>
+                              <div style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>{booking.user?.email}</div>
+                            </td>
+                            <td>
+                              <button
+                                className="btn btn-secondary"
+                                style={{ padding: '4px 8px', fontSize: '12px' }}
+                                onClick={() => promoteMutation.mutate(booking.id)}
+                                disabled={availability.isFull || promoteMutation.isPending}
+                                title={availability.isFull ? 'The session is full' : undefined}
+                              >
+                                <FiArrowUp style={{ marginRight: '4px' }} /> Promote
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </>
+                )}
+              </div>
+
+              <div>
+                <h4 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '8px' }}>
+                  Seat Map{selectedBooking ? ` - seating ${getName(selectedBooking)}` : ''}
+                </h4>
+                {currentSession.room ? (
+                  <SeatMap
+                    room={currentSession.room}
+                    occupied={occupied}
+                    selected={selectedBooking?.seatNumber}
+                    onSelect={handleSeatSelect}
+                  />
+                ) : (
+                  <div style={{ fontSize: '14px', color: 'var(--secondary-500)' }}>This session has no room assigned.</div>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionRosterModal;
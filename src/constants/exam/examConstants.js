@@ -0,0 +1,88 @@
+export const EXAM_CONSTANTS = {
+  // Sections an exam is split into when sections are enabled, in the order the
+  // student sits them. Each maps onto the per-type count configured on the exam.
+  QUESTION_TYPE_SECTIONS: [
+    { key: 'MULTIPLE_CHOICE', label: 'Multiple Choice', types: ['MULTIPLE_CHOICE', 'SINGLE_CHOICE'], countField: 'multipleChoiceQuestionsCount' },
+    { key: 'TRUE_FALSE', label: 'True/False', types: ['TRUE_FALSE'], countField: 'trueFalseQuestionsCount' },
+    { key: 'FILL_IN_THE_BLANK', label: 'Fill in the Blank', types: ['FILL_IN_THE_BLANK'], countField: 'fillInTheBlankQuestionsCount' },
+    { key: 'MATCHING', label: 'Matching', types: ['MATCHING'], countField: 'matchingQuestionsCount' },
+    { key: 'ORDERING', label: 'Ordering', types: ['ORDERING'], countField: 'orderingQuestionsCount' },
+    { key: 'SHORT_ANSWER', label: 'Short Answer', types: ['SHORT_ANSWER'], countField: 'shortAnswerQuestionsCount' },
+    { key: 'ESSAY', label: 'Essay', types: ['ESSAY'], countField: 'essayQuestionsCount' },
+  ],
+
+  // Integrity events recorded in proctoring mode. Violations count towards the
+  // exam's auto-submit limit; the rest only give context in the timeline.
+  PROCTORING_EVENTS: {
+    PROCTORING_STARTED: { label: 'Proctoring started', violation: false },
+    FULLSCREEN_ENTERED: { label: 'Entered fullscreen', violation: false },
+    FULLSCREEN_EXITED: { label: 'Left fullscreen', violation: true },
+    TAB_HIDDEN: { label: 'Switched tab or minimised', violation: true },
+    TAB_VISIBLE: { label: 'Returned to the exam tab', violation: false },
+    WINDOW_BLUR: { label: 'Exam window lost focus', violation: true },
+    WINDOW_FOCUS: { label: 'Exam window regained focus', violation: false },
+    COPY: { label: 'Copy attempted', violation: true },
+    CUT: { label: 'Cut attempted', violation: true },
+    PASTE: { label: 'Paste attempted', violation: true },
+    CONTEXT_MENU: { label: 'Right-click menu attempted', violation: true },
+    DEVTOOLS_SUSPECTED: { label: 'Developer tools suspected open', violation: true },
+    AUTO_SUBMITTED: { label: 'Exam auto-submitted after too many violations', violation: false },
+  },
+  PROCTORING_DEFAULT_MAX_VIOLATIONS: 3,
+
+  // File formats the question bank can be imported from and exported to
+  QUESTION_FILE_FORMATS: {
+    QTI: { label: 'IMS QTI 2.1', extensions: ['.zip', '.xml'] },
+    GIFT: { label: 'Moodle GIFT', extensions: ['.gift', '.txt'] },
+    AIKEN: { label: 'Aiken', extensions: ['.txt'] },
+    XLSX: { label: 'Excel spreadsheet', extensions: ['.xlsx', '.xls'] },
+    CSV: { label: 'CSV spreadsheet', extensions: ['.csv'] },
+    JSON: { label: 'JSON', extensions: ['.json'] },
+  },
+
+  // Classical test theory thresholds for item analysis. p-value is the share
+  // of available marks earned; discrimination is the point-biserial
+  // correlation between the item and the rest of the exam.
+  ITEM_ANALYSIS: {
+    MIN_RESPONSES: 10,
+    EASY_P_VALUE: 0.9,
+    HARD_P_VALUE: 0.25,
+    LOW_DISCRIMINATION: 0.2,
+    WEAK_DISTRACTOR_RATE: 0.05,
+    GROUP_FRACTION: 0.27,
+    FLAGS: {
+      TOO_EASY: { label: 'Too easy', color: 'var(--warning-600)' },
+      TOO_HARD: { label: 'Too hard', color: 'var(--warning-600)' },
+      NEGATIVE_DISCRIMINATION: { label: 'Negative discrimination', color: 'var(--danger-600)' },
+      LOW_DISCRIMINATION: { label: 'Low discrimination', color: 'var(--warning-600)' },
+      MISLEADING_DISTRACTOR: { label: 'Distractor favoured by top scorers', color: 'var(--danger-600)' },
+      WEAK_DISTRACTOR: { label: 'Distractor rarely chosen', color: 'var(--secondary-600)' },
+      LOW_SAMPLE: { label: 'Too few responses', color: 'var(--secondary-500)' },
+    },
+  },
+
+  // Default rules for students changing their own bookings, used until an
+  // admin saves a policy. Cancellation fees are a percentage of what was paid
+  // and depend on how far ahead of the exam the booking is cancelled.
+  BOOKING_POLICY: {
+    MIN_NOTICE_HOURS: 24,
+    MAX_RESCHEDULES: 2,
+    CANCELLATION_TIERS: [
+      { minHoursBefore: 168, feePercent: 0 },
+      { minHoursBefore: 72, feePercent: 25 },
+      { minHoursBefore: 24, feePercent: 50 },
+      { minHoursBefore: 0, feePercent: 100 },
+    ],
+  },
+
+  // Invoicing defaults until an admin saves the organization's settings.
+  // Numbers are assigned by the server from one gap-free sequence, so only
+  // the prefix is configurable here.
+  INVOICING: {
+    NUMBER_PREFIX: 'INV-',
+    CREDIT_NOTE_PREFIX: 'CN-',
+    PAYMENT_TERMS_DAYS: 15,
+    PRICES_INCLUDE_TAX: false,
+    TAX_RATES: [],
+  },
+}
@@ -0,0 +1,173 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { attemptAPI } from '../../services/api';
+import { examAnswerQueue } from '../../utils/storage/examAnswerQueue';
+
+const AUTOSAVE_DEBOUNCE_MS = 1000;
+const RETRY_INTERVAL_MS = 30000;
+
+// Persists each answer of an exam attempt as it changes. Answers are written to
+// the IndexedDB queue straight away and sent through attemptAPI.submitAnswer
+// after a short debounce; anything that fails to send stays queued and is
+// retried when the browser comes back online, periodically, and on flush.
+export const useExamAutosave = (attemptId) => {
+  const [saveStatus, setSaveStatus] = useState('idle'); // idle | saving | saved | offline | error
+  const [pendingCount, setPendingCount] = useState(0);
+  const pendingRef = useRef(new Map()); // questionId -> { payload, queuedAt }
+  const timersRef = useRef(new Map());
+  const flushingRef = useRef(null);
+
+  const updatePendingCount = useCallback(() => {
+    setPendingCount(pendingRef.current.size);
+  }, []);
+
+  const clearTimers = useCallback(() => {
+    timersRef.current.forEach(timer => clearTimeout(timer));
+    timersRef.current.clear();
+  }, []);
+
+  // Send one queued answer; resolves to the error when it could not be saved
+  const sendEntry = useCallback(async (entry) => {
+    const { payload, queuedAt } = entry;
+    try {
+      await attemptAPI.submitAnswer(
+        attemptId,
+        payload.questionId,
+        payload.selectedOptions,
+        payload.timeSpent,
+        { essayAnswer: payload.essayAnswer }
+      );
+
+      const latest = pendingRef.current.get(payload.questionId);
+      if (latest && latest.queuedAt === queuedAt) {
+        pendingRef.current.delete(payload.questionId);
+      }
+      await examAnswerQueue.remove(attemptId, payload.questionId, queuedAt);
+      return null;
+    } catch (error) {
+      console.error('Autosave failed for question:', payload.questionId, error);
+      return error;
+    }
+  }, [attemptId]);
+
+  const finishSync = useCallback((error) => {
+    updatePendingCount();
+    if (!error) {
+      setSaveStatus(pendingRef.current.size ? 'saving' : 'saved');
+    } else if (!navigator.onLine || !error.response) {
+      setSaveStatus('offline');
+    } else {
+      setSaveStatus('error');
+    }
+  }, [updatePendingCount]);
+
+  const syncEntry = useCallback(async (entry) => {
+    if (!entry || !attemptId) return;
+    if (!navigator.onLine) {
+      setSaveStatus('offline');
+      return;
+    }
+    setSaveStatus('saving');
+    finishSync(await sendEntry(entry));
+  }, [attemptId, sendEntry, finishSync]);
+
+  // Try to send everything still queued (in memory or left over in IndexedDB
+  // from a previous session). Resolves to true when nothing is left pending.
+  const flushPending = useCallback(async () => {
+    if (!attemptId) return true;
+    if (flushingRef.current) return flushingRef.current;
+
+    flushingRef.current = (async () => {
+      clearTimers();
+
+      const stored = await examAnswerQueue.getPending(attemptId);
+      stored.forEach(entry => {
+        const current = pendingRef.current.get(entry.questionId);
+        if (!current || current.queuedAt < entry.queuedAt) {
+          pendingRef.current.set(entry.questionId, { payload: entry.payload, queuedAt: entry.queuedAt });
+        }
+      });
+      updatePendingCount();
+
+      const entries = [...pendingRef.current.values()];
+      if (!entries.length) return true;
+      if (!navigator.onLine) {
+        setSaveStatus('offline');
+        return false;
+      }
+
+      setSaveStatus('saving');
+      let lastError = null;
+      for (const entry of entries) {
+        lastError = await sendEntry(entry);
+        // Without a response the server is unreachable, so stop hammering it
+        if (lastError && !lastError.response) break;
+      }
+      finishSync(lastError);
+      return pendingRef.current.size === 0;
+    })();
+
+    try {
+      return await flushingRef.current;
+    } finally {
+      flushingRef.current = null;
+    }
+  }, [attemptId, clearTimers, sendEntry, finishSync, updatePendingCount]);
+
+  const queueAnswer = useCallback((payload) => {
+    if (!attemptId || !payload?.questionId) return;
+
+    const entry = { payload, queuedAt: Date.now() };
+    pendingRef.current.set(payload.questionId, entry);
+    updatePendingCount();
+    examAnswerQueue.enqueue(attemptId, payload.questionId, payload, entry.queuedAt);
+
+    clearTimeout(timersRef.current.get(payload.questionId));
+    timersRef.current.set(payload.questionId, setTimeout(() => {
+      timersRef.current.delete(payload.questionId);
+      syncEntry(pendingRef.current.get(payload.questionId));
+    }, AUTOSAVE_DEBOUNCE_MS));
+  }, [attemptId, syncEntry, updatePendingCount]);
+
+  // Drop everything queued for the attempt once it has been submitted
+  const clearPending = useCallback(async () => {
+    clearTimers();
+    pendingRef.current.clear();
+    updatePendingCount();
+    if (attemptId) {
+      await examAnswerQueue.clearAttempt(attemptId);
+    }
+  }, [attemptId, clearTimers, updatePendingCount]);
+
+  useEffect(() => {
+    if (!attemptId) return;
+
+    // Pick up answers left in the queue by a crashed or closed tab
+    flushPending();
+
+    const handleOnline = () => flushPending();
+    const handleOffline = () => setSaveStatus('offline');
+    const retryTimer = setInterval(() => {
+      if (pendingRef.current.size > 0) flushPending();
+    }, RETRY_INTERVAL_MS);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      clearInterval(retryTimer);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [attemptId, flushPending]);
+
+  useEffect(() => clearTimers, [clearTimers]);
+
+  return {
+    saveStatus,
+    pendingCount,
+    queueAnswer,
+    flushPending,
+    clearPending
+  };
+};
+
+export default useExamAutosave;
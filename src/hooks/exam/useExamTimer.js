@@ -0,0 +1,118 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { attemptAPI } from '../../services/api';
+import { getAttemptDeadline, getClockOffset, getRemainingSeconds } from '../../utils/exam/examTimer';
+import { isAttemptResumable } from '../../utils/exam/examSession';
+
+const TICK_INTERVAL_MS = 1000;
+const RESYNC_INTERVAL_MS = 60000;
+
+// Countdown for an exam attempt derived from the server's start timestamp, the
+// exam duration and any extra time, rather than from a locally decremented
+// counter. The remaining time is recomputed from the wall clock on every tick,
+// so throttled background tabs and sleeps cannot stretch the exam, and the
+// deadline and clock offset are refreshed from the server periodically.
+export const useExamTimer = ({ attemptId, attempt, examDuration, onExpire, enabled = true }) => {
+  const [deadline, setDeadline] = useState(null);
+  const [timeLeft, setTimeLeft] = useState(null);
+  const clockOffsetRef = useRef(0);
+  const fallbackStartRef = useRef(null);
+  const expiredRef = useRef(false);
+  const onExpireRef = useRef(onExpire);
+
+  useEffect(() => {
+    onExpireRef.current = onExpire;
+  }, [onExpire]);
+
+  // A new attempt gets a fresh expiry guard
+  useEffect(() => {
+    expiredRef.current = false;
+    fallbackStartRef.current = null;
+  }, [attemptId]);
+
+  useEffect(() => {
+    if (!attempt) return;
+    if (!fallbackStartRef.current) {
+      fallbackStartRef.current = Date.now() + clockOffsetRef.current;
+    }
+    setDeadline(getAttemptDeadline(attempt, examDuration, fallbackStartRef.current));
+  }, [attempt, examDuration]);
+
+  const expire = useCallback(() => {
+    if (expiredRef.current) return;
+    expiredRef.current = true;
+    onExpireRef.current?.();
+  }, []);
+
+  const tick = useCallback(() => {
+    const remaining = getRemainingSeconds(deadline, clockOffsetRef.current);
+    setTimeLeft(remaining);
+    if (enabled && remaining === 0) {
+      expire();
+    }
+  }, [deadline, enabled, expire]);
+
+  const syncNow = useCallback(async () => {
+    if (!attemptId) return;
+
+    const requestedAt = Date.now();
+    try {
+      const response = await attemptAPI.getAttemptById(attemptId, { skipErrorToast: true });
+      const offset = getClockOffset(response, requestedAt, Date.now());
+      if (offset !== null) {
+        clockOffsetRef.current = offset;
+      }
+
+      const serverAttempt = response.data?.data?.attempt;
+      if (!serverAttempt) return;
+
+      // The server closed the attempt (deadline passed while we were away)
+      if (!isAttemptResumable(serverAttempt)) {
+        if (enabled) expire();
+        return;
+      }
+      setDeadline(getAttemptDeadline(serverAttempt, examDuration, fallbackStartRef.current));
+    } catch (error) {
+      // Keep counting down against the last known deadline
+      console.error('Failed to sync exam timer:', error);
+    }
+  }, [attemptId, examDuration, enabled, expire]);
+
+  useEffect(() => {
+    if (!deadline) return;
+
+    tick();
+    const timer = setInterval(tick, TICK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [deadline, tick]);
+
+  useEffect(() => {
+    if (!attemptId || !enabled) return;
+
+    syncNow();
+    const resyncTimer = setInterval(syncNow, RESYNC_INTERVAL_MS);
+
+    // Background tabs get their timers throttled; catch up as soon as we are visible
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        tick();
+        syncNow();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('online', syncNow);
+    return () => {
+      clearInterval(resyncTimer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('online', syncNow);
+    };
+  }, [attemptId, enabled, syncNow, tick]);
+
+  return {
+    timeLeft,
+    deadline,
+    syncNow
+  };
+};
+
+export default useExamTimer;
@@ -0,0 +1,210 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { attemptAPI } from '../../services/api';
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+
+const { PROCTORING_EVENTS } = EXAM_CONSTANTS;
+
+const FLUSH_INTERVAL_MS = 10000;
+const DEVTOOLS_CHECK_INTERVAL_MS = 2000;
+// Docked devtools shrink the viewport well beyond normal browser chrome
+const DEVTOOLS_SIZE_THRESHOLD = 160;
+// Leaving the tab fires blur and visibilitychange together; one action should
+// only count as one violation
+const VIOLATION_GRACE_MS = 2000;
+
+const isFullscreenActive = () =>
+  typeof document !== 'undefined' && !!(document.fullscreenElement || document.webkitFullscreenElement);
+
+const isDevtoolsSuspected = () =>
+  window.outerWidth - window.innerWidth > DEVTOOLS_SIZE_THRESHOLD ||
+  window.outerHeight - window.innerHeight > DEVTOOLS_SIZE_THRESHOLD;
+
+// Browser-side proctoring for an exam attempt: enforces fullscreen, records
+// tab switches, focus loss, clipboard and context-menu use and devtools
+// heuristics as a timestamped integrity log sent to the attempt, warns the
+// student on each violation and reports when the violation limit is reached.
+export const useProctoring = ({
+  attemptId,
+  enabled = false,
+  requireFullscreen = true,
+  maxViolations = EXAM_CONSTANTS.PROCTORING_DEFAULT_MAX_VIOLATIONS,
+  onViolationLimit
+}) => {
+  const [violationCount, setViolationCount] = useState(0);
+  const [warning, setWarning] = useState(null);
+  const [isFullscreen, setIsFullscreen] = useState(isFullscreenActive());
+  const pendingRef = useRef([]);
+  const flushingRef = useRef(null);
+  const violationsRef = useRef(0);
+  const lastViolationAtRef = useRef(0);
+  const limitReachedRef = useRef(false);
+  const startedForRef = useRef(null);
+  const onLimitRef = useRef(onViolationLimit);
+
+  useEffect(() => {
+    onLimitRef.current = onViolationLimit;
+  });
+
+  const flushEvents = useCallback(async () => {
+    if (!attemptId || flushingRef.current || !pendingRef.current.length) return flushingRef.current;
+
+    const batch = pendingRef.current;
+    pendingRef.current = [];
+    flushingRef.current = attemptAPI.logIntegrityEvents(attemptId, batch)
+      .catch(error => {
+        // Keep the batch for the next flush
+        console.error('Failed to send integrity events:', error);
+        pendingRef.current = [...batch, ...pendingRef.current];
+      })
+      .finally(() => {
+        flushingRef.current = null;
+      });
+    return flushingRef.current;
+  }, [attemptId]);
+
+  const recordEvent = useCallback((type, detail) => {
+    const definition = PROCTORING_EVENTS[type];
+    if (!definition) return;
+
+    const now = Date.now();
+    const counted = definition.violation && now - lastViolationAtRef.current > VIOLATION_GRACE_MS;
+    pendingRef.current.push({
+      type,
+      occurredAt: new Date(now).toISOString(),
+      violation: definition.violation,
+      counted,
+      ...(detail ? { detail } : {})
+    });
+
+    if (!counted) return;
+
+    lastViolationAtRef.current = now;
+    violationsRef.current += 1;
+    setViolationCount(violationsRef.current);
+    setWarning({ type, label: definition.label, count: violationsRef.current });
+
+    if (maxViolations > 0 && violationsRef.current >= maxViolations && !limitReachedRef.current) {
+      limitReachedRef.current = true;
+      pendingRef.current.push({
+        type: 'AUTO_SUBMITTED',
+        occurredAt: new Date().toISOString(),
+        violation: false,
+        counted: false
+      });
+      onLimitRef.current?.();
+    }
+    flushEvents();
+  }, [maxViolations, flushEvents]);
+
+  // Seed the count from a restored session so a reload does not reset it
+  const restoreViolations = useCallback((count) => {
+    violationsRef.current = count || 0;
+    setViolationCount(violationsRef.current);
+  }, []);
+
+  const requestFullscreen = useCallback(() => {
+    const element = document.documentElement;
+    const request = element.requestFullscreen || element.webkitRequestFullscreen;
+    if (!request) return;
+    Promise.resolve(request.call(element)).catch(error => {
+      console.error('Failed to enter fullscreen:', error);
+    });
+  }, []);
+
+  const dismissWarning = useCallback(() => setWarning(null), []);
+
+  useEffect(() => {
+    if (!enabled || !attemptId) return;
+
+    if (startedForRef.current !== attemptId) {
+      startedForRef.current = attemptId;
+      recordEvent('PROCTORING_STARTED', { userAgent: navigator.userAgent });
+    }
+
+    let devtoolsOpen = isDevtoolsSuspected();
+
+    const handleVisibilityChange = () => {
+      recordEvent(document.hidden ? 'TAB_HIDDEN' : 'TAB_VISIBLE');
+      if (document.hidden) flushEvents();
+    };
+    const handleBlur = () => recordEvent('WINDOW_BLUR');
+    const handleFocus = () => recordEvent('WINDOW_FOCUS');
+    const handleClipboard = (e) => {
+      e.preventDefault();
+      recordEvent(e.type.toUpperCase());
+    };
+    const handleContextMenu = (e) => {
+      e.preventDefault();
+      recordEvent('CONTEXT_MENU');
+    };
+    const handleFullscreenChange = () => {
+      const active = isFullscreenActive();
+      setIsFullscreen(active);
+      if (active) {
+        recordEvent('FULLSCREEN_ENTERED');
+      } else if (requireFullscreen) {
+        recordEvent('FULLSCREEN_EXITED');
+      }
+    };
+    const checkDevtools = () => {
+      const suspected = isDevtoolsSuspected();
+      if (suspected && !devtoolsOpen) {
+        recordEvent('DEVTOOLS_SUSPECTED', {
+          widthGap: window.outerWidth - window.innerWidth,
+          heightGap: window.outerHeight - window.innerHeight
+        });
+      }
+      devtoolsOpen = suspected;
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('focus', handleFocus);
+    document.addEventListener('copy', handleClipboard);
+    document.addEventListener('cut', handleClipboard);
+    document.addEventListener('paste', handleClipboard);
+    document.addEventListener('contextmenu', handleContextMenu);
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    document.addEventListener('webkitfullscreenchange', handleFullscreenChange);
+    window.addEventListener('resize', checkDevtools);
+    const devtoolsTimer = setInterval(checkDevtools, DEVTOOLS_CHECK_INTERVAL_MS);
+    const flushTimer = setInterval(flushEvents, FLUSH_INTERVAL_MS);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('focus', handleFocus);
+      document.removeEventListener('copy', handleClipboard);
+      document.removeEventListener('cut', handleClipboard);
+      document.removeEventListener('paste', handleClipboard);
+      document.removeEventListener('contextmenu', handleContextMenu);
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+      document.removeEventListener('webkitfullscreenchange', handleFullscreenChange);
+      window.removeEventListener('resize', checkDevtools);
+      clearInterval(devtoolsTimer);
+      clearInterval(flushTimer);
+      flushEvents();
+    };
+  }, [enabled, attemptId, requireFullscreen, recordEvent, flushEvents]);
+
+  // Leave fullscreen once proctoring ends (submitted or time up)
+  useEffect(() => {
+    if (enabled || !requireFullscreen || !startedForRef.current || !isFullscreenActive()) return;
+    const exit = document.exitFullscreen || document.webkitExitFullscreen;
+    if (exit) {
+      Promise.resolve(exit.call(document)).catch(() => {});
+    }
+  }, [enabled, requireFullscreen]);
+
+  return {
+    violationCount,
+    warning,
+    dismissWarning,
+    isFullscreen,
+    requestFullscreen,
+    flushEvents,
+    restoreViolations
+  };
+};
+
+export default useProctoring;
@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const TICK_INTERVAL_MS = 1000;
+
+const isDocumentHidden = () => typeof document !== 'undefined' && document.hidden;
+
+// Tracks how long the student spends on each question, how many times they
+// came back to it, and how much of that time the exam tab was hidden. Time is
+// measured from the wall clock so throttled timers in background tabs still
+// count in full. When a question has a time limit, onQuestionExpire fires once
+// it has been used up.
+export const useQuestionTimer = ({ activeQuestionId, enabled = true, getTimeLimit, onQuestionExpire }) => {
+  const [questionTimes, setQuestionTimes] = useState({});
+  const timesRef = useRef({});
+  const lastTickRef = useRef(null);
+  const lastVisitedRef = useRef(null);
+  const hiddenRef = useRef(isDocumentHidden());
+  const expiredRef = useRef(new Set());
+  const getTimeLimitRef = useRef(getTimeLimit);
+  const onExpireRef = useRef(onQuestionExpire);
+
+  useEffect(() => {
+    getTimeLimitRef.current = getTimeLimit;
+    onExpireRef.current = onQuestionExpire;
+  });
+
+  // Seed times from a restored session
+  const restoreTimes = useCallback((times) => {
+    timesRef.current = { ...(times || {}) };
+    expiredRef.current = new Set();
+    lastVisitedRef.current = null;
+    setQuestionTimes(timesRef.current);
+  }, []);
+
+  const updateTiming = useCallback((questionId, update) => {
+    const current = timesRef.current[questionId] || { timeSpent: 0, hiddenTime: 0, visits: 0 };
+    timesRef.current = { ...timesRef.current, [questionId]: update(current) };
+    return timesRef.current[questionId];
+  }, []);
+
+  const recordElapsed = useCallback((questionId) => {
+    if (!lastTickRef.current) return timesRef.current[questionId];
+    const now = Date.now();
+    const elapsed = (now - lastTickRef.current) / 1000;
+    lastTickRef.current = now;
+    return updateTiming(questionId, timing => ({
+      ...timing,
+      timeSpent: timing.timeSpent + elapsed,
+      hiddenTime: timing.hiddenTime + (hiddenRef.current ? elapsed : 0)
+    }));
+  }, [updateTiming]);
+
+  useEffect(() => {
+    if (!enabled || !activeQuestionId) return;
+
+    // Re-running the effect for the same question is not a new visit
+    if (lastVisitedRef.current !== activeQuestionId) {
+      lastVisitedRef.current = activeQuestionId;
+      updateTiming(activeQuestionId, timing => ({ ...timing, visits: timing.visits + 1 }));
+      setQuestionTimes(timesRef.current);
+    }
+    lastTickRef.current = Date.now();
+
+    const tick = () => {
+      const timing = recordElapsed(activeQuestionId);
+      setQuestionTimes(timesRef.current);
+
+      const limit = getTimeLimitRef.current?.(activeQuestionId);
+      if (limit && timing.timeSpent >= limit && !expiredRef.current.has(activeQuestionId)) {
+        expiredRef.current.add(activeQuestionId);
+        onExpireRef.current?.(activeQuestionId);
+      }
+    };
+
+    // Close off the time before the tab was hidden or shown, so each part is
+    // attributed to the right bucket
+    const handleVisibilityChange = () => {
+      recordElapsed(activeQuestionId);
+      hiddenRef.current = isDocumentHidden();
+      setQuestionTimes(timesRef.current);
+    };
+
+    const timer = setInterval(tick, TICK_INTERVAL_MS);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      // Keep the partial second spent before moving to another question
+      recordElapsed(activeQuestionId);
+      lastTickRef.current = null;
+    };
+  }, [enabled, activeQuestionId, recordElapsed, updateTiming]);
+
+  return {
+    questionTimes,
+    restoreTimes
+  };
+};
+
+export default useQuestionTimer;
@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const TICK_INTERVAL_MS = 1000;
+
+// Accumulates how long the student spends in each exam section and reports
+// when a section's time limit runs out. Elapsed time is measured from the wall
+// clock, so throttled timers in background tabs still count in full.
+export const useSectionTimer = ({ sections, activeSectionKey, enabled = true, onSectionExpire }) => {
+  const [sectionUsage, setSectionUsage] = useState({});
+  const usageRef = useRef({});
+  const lastTickRef = useRef(null);
+  const expiredRef = useRef(new Set());
+  const sectionsRef = useRef(sections);
+  const onExpireRef = useRef(onSectionExpire);
+
+  useEffect(() => {
+    sectionsRef.current = sections;
+    onExpireRef.current = onSectionExpire;
+  });
+
+  // Seed usage from a restored session
+  const restoreUsage = useCallback((usage) => {
+    usageRef.current = { ...(usage || {}) };
+    expiredRef.current = new Set();
+    setSectionUsage(usageRef.current);
+  }, []);
+
+  const recordElapsed = useCallback((sectionKey) => {
+    if (!lastTickRef.current) return 0;
+    const now = Date.now();
+    const elapsed = (now - lastTickRef.current) / 1000;
+    lastTickRef.current = now;
+    const used = (usageRef.current[sectionKey] || 0) + elapsed;
+    usageRef.current = { ...usageRef.current, [sectionKey]: used };
+    return used;
+  }, []);
+
+  useEffect(() => {
+    if (!enabled || !activeSectionKey) return;
+
+    lastTickRef.current = Date.now();
+    const timer = setInterval(() => {
+      const used = recordElapsed(activeSectionKey);
+      setSectionUsage(usageRef.current);
+
+      const section = sectionsRef.current?.find(s => s.key === activeSectionKey);
+      if (section?.timeLimitSeconds && used >= section.timeLimitSeconds && !expiredRef.current.has(section.key)) {
+        expiredRef.current.add(section.key);
+        onExpireRef.current?.(section);
+      }
+    }, TICK_INTERVAL_MS);
+
+    return () => {
+      clearInterval(timer);
+      // Keep the partial second spent before switching section
+      recordElapsed(activeSectionKey);
+      lastTickRef.current = null;
+    };
+  }, [enabled, activeSectionKey, recordElapsed]);
+
+  return {
+    sectionUsage,
+    restoreUsage
+  };
+};
+
+export default useSectionTimer;
@@ -29,7 +29,13 @@ import {
   FiEye,
   FiEyeOff,
   FiGlobe,
-  FiAward
+  FiAward,
+  FiGrid,
+  FiTag,
+  FiDollarSign,
+  FiLayout,
+  FiCheckSquare,
+  FiSliders
 } from 'react-icons/fi';
 
 const AdminLayout = () => {
@@ -297,9 +303,15 @@ const AdminLayout = () => {
     { name: 'Categories', path: '/admin/categories', icon: FiBook, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'], disabledFor: ['MODERATOR'] },
     { name: 'Tests', path: '/admin/tests', icon: FiFileText, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'], disabledFor: ['MODERATOR'] },
     { name: 'Questions', path: '/admin/questions', icon: FiHelpCircle, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'] },
+    { name: 'Grading', path: '/admin/grading', icon: FiCheckSquare, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'] },
+    { name: 'Rubrics', path: '/admin/rubrics', icon: FiSliders, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'] },
     { name: 'Users', path: '/admin/users', icon: FiUsers, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'] },
     { name: 'Test Bookings', path: '/admin/bookings', icon: FiCalendar, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'] },
+    { name: 'Exam Sessions', path: '/admin/sessions', icon: FiGrid, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'] },
+    { name: 'Coupons', path: '/admin/coupons', icon: FiTag, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'], disabledFor: ['MODERATOR'] },
+    { name: 'Payments', path: '/admin/payments', icon: FiDollarSign, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'], disabledFor: ['MODERATOR'] },
     { name: 'Certificates', path: '/admin/certificates', icon: FiAward , roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'], disabledFor: ['MODERATOR'] },
+    { name: 'Certificate Templates', path: '/admin/certificate-templates', icon: FiLayout, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'], disabledFor: ['MODERATOR'] },
     { name: 'Reports', path: '/admin/reports', icon: FiTrendingUp, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'], disabledFor: ['MODERATOR'] },
     { name: 'Settings', path: '/admin/settings', icon: FiSettingsIcon, roles: ['SUPER_ADMIN', 'ADMIN', 'MODERATOR'], disabledFor: ['MODERATOR'] }
   ];
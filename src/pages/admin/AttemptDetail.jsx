@@ -0,0 +1,144 @@
+import React from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { FiArrowLeft, FiShield, FiUser, FiFileText, FiLayers } from 'react-icons/fi';
+import { attemptAPI } from '../../services/api';
+import IntegrityTimeline from '../../components/exam/IntegrityTimeline';
+import RichText from '../../components/exam/RichText';
+import { BLUEPRINT_DIFFICULTIES, BLUEPRINT_QUESTION_TYPES } from '../../utils/exam/blueprint';
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  padding: '24px',
+  boxShadow: 'var(--shadow)',
+  marginBottom: '24px'
+};
+
+const AttemptDetail = () => {
+  const { attemptId } = useParams();
+  const navigate = useNavigate();
+
+  const { data: attempt, isLoading, error } = useQuery({
+    queryKey: ['attempt', attemptId],
+    queryFn: async () => {
+      const response = await attemptAPI.getAttemptById(attemptId);
+      return response.data?.data?.attempt;
+    },
+    enabled: !!attemptId
+  });
+
+  // Integrity log recorded by proctored attempts
+  const { data: integrityEvents = [], isLoading: eventsLoading } = useQuery({
+    queryKey: ['attempt-integrity-events', attemptId],
+    queryFn: async () => {
+      const response = await attemptAPI.getIntegrityEvents(attemptId);
+      return response.data?.data?.events || [];
+    },
+    enabled: !!attemptId
+  });
+
+  if (isLoading) {
+    return <div style={{ padding: '24px' }}>Loading attempt...</div>;
+  }
+
+  if (error || !attempt) {
+    return (
+      <div style={{ padding: '24px' }}>
+        <h2>Attempt not found</h2>
+        <button className="btn btn-secondary" onClick={() => navigate(-1)}>Go Back</button>
+      </div>
+    );
+  }
+
+  const student = attempt.user || attempt.student;
+  const details = [
+    { label: 'Student', value: student ? `${student.firstName || ''} ${student.lastName || ''}`.trim() || student.email : 'N/A' },
+    { label: 'Exam', value: attempt.exam?.title || 'N/A' },
+    { label: 'Status', value: attempt.status || 'N/A' },
+    { label: 'Score', value: attempt.percentage != null ? `${attempt.percentage}%` : 'N/A' },
+    { label: 'Started', value: attempt.startedAt ? new Date(attempt.startedAt).toLocaleString() : 'N/A' },
+    { label: 'Completed', value: attempt.completedAt ? new Date(attempt.completedAt).toLocaleString() : 'N/A' }
+  ];
+
+  // Questions drawn for this attempt when the exam uses a blueprint
+  const paper = [...(attempt.paper || [])].sort((a, b) => a.position - b.position);
+  const blueprintRows = attempt.exam?.blueprint?.rows || [];
+
+  return (
+    <div style={{ padding: '24px', maxWidth: '1000px', margin: '0 auto' }}>
+      <button
+        className="btn btn-secondary"
+        onClick={() => navigate(-1)}
+        style={{ marginBottom: '16px', display: 'inline-flex', alignItems: 'center', gap: '6px' }}
+      >
+        <FiArrowLeft size={16} /> Back
+      </button>
+
+      <div style={cardStyle}>
+        <h1 style={{ fontSize: '24px', fontWeight: '600', color: 'var(--secondary-900)', margin: '0 0 16px', display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <FiFileText size={22} /> Attempt Details
+        </h1>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px' }}>
+          {details.map(detail => (
+            <div key={detail.label}>
+              <div style={{ fontSize: '12px', color: 'var(--secondary-500)', marginBottom: '4px', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                {detail.label === 'Student' && <FiUser size={12} />}
+                {detail.label}
+              </div>
+              <div style={{ fontSize: '15px', fontWeight: '500', color: 'var(--secondary-900)' }}>{detail.value}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {paper.length > 0 && (
+        <div style={cardStyle}>
+          <h2 style={{ fontSize: '18px', fontWeight: '600', color: 'var(--secondary-900)', margin: '0 0 16px', display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <FiLayers size={18} /> Paper Received
+          </h2>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Question</th>
+                <th>Category</th>
+                <th>Difficulty</th>
+                <th>Type</th>
+                <th>Blueprint Row</th>
+              </tr>
+            </thead>
+            <tbody>
+              {paper.map(item => {
+                const rowIndex = blueprintRows.findIndex(row => row.id === item.blueprintRowId);
+                return (
+                  <tr key={item.questionId}>
+                    <td>{item.position}</td>
+                    <td><RichText text={item.question?.text || item.questionId} inline /></td>
+                    <td>{item.question?.examCategory?.name || '-'}</td>
+                    <td>{BLUEPRINT_DIFFICULTIES[item.question?.difficulty] || '-'}</td>
+                    <td>{BLUEPRINT_QUESTION_TYPES[item.question?.type] || '-'}</td>
+                    <td>{rowIndex === -1 ? '-' : rowIndex + 1}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={cardStyle}>
+        <h2 style={{ fontSize: '18px', fontWeight: '600', color: 'var(--secondary-900)', margin: '0 0 16px', display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <FiShield size={18} /> Integrity Timeline
+        </h2>
+        {eventsLoading ? (
+          <div style={{ fontSize: '14px', color: 'var(--secondary-500)' }}>Loading events...</div>
+        ) : (
+          <IntegrityTimeline events={integrityEvents} startedAt={attempt.startedAt} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AttemptDetail;
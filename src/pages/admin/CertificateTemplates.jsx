@@ -0,0 +1,606 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiPlus, FiEdit, FiTrash2, FiArrowLeft, FiImage, FiX } from 'react-icons/fi';
+import { certificateTemplateAPI, categoryAPI } from '../../services/api';
+import {
+  CERTIFICATE_PLACEHOLDERS,
+  DEFAULT_CERTIFICATE_TEMPLATE,
+  createTemplateField,
+  createTemplateLogo,
+  createTemplateSignature,
+  getPageSize,
+  getTemplateForCategory,
+  normalizeCertificateTemplate,
+  readTemplateImage
+} from '../../utils/exam/certificateTemplates';
+import { buildCertificatePdf } from '../../utils/exam/certificates';
+
+const SAMPLE_CERTIFICATE = {
+  holderName: 'Alex Morgan',
+  examTitle: 'Sample Exam',
+  categoryName: 'Sample Category',
+  score: 92,
+  earnedDate: new Date().toISOString(),
+  issuedAt: new Date().toISOString(),
+  serial: 'SAMPLE-0001'
+};
+
+const sectionStyle = {
+  border: '1px solid var(--secondary-200)',
+  borderRadius: '8px',
+  padding: '16px',
+  marginBottom: '16px'
+};
+
+const sectionTitleStyle = { fontSize: '15px', fontWeight: '600', marginBottom: '12px' };
+
+const smallInputStyle = { width: '72px' };
+
+const rowStyle = { display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' };
+
+// Scales a position when the page turns, so elements keep their place
+const scalePosition = (item, from, to) => ({
+  ...item,
+  x: Math.round((item.x * to.width / from.width) * 10) / 10,
+  y: Math.round((item.y * to.height / from.height) * 10) / 10
+});
+
+const CertificateTemplates = () => {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+
+  const { data: templates = [], isLoading, error } = useQuery({
+    queryKey: ['certificate-templates'],
+    queryFn: async () => (await certificateTemplateAPI.getTemplates()).data?.data?.templates || []
+  });
+
+  const { data: categoriesData } = useQuery({
+    queryKey: ['categories'],
+    queryFn: () => categoryAPI.getAllCategories()
+  });
+  const categories = Array.isArray(categoriesData?.data?.data) ? categoriesData.data.data : [];
+
+  // Redraw the preview a moment after the last change
+  useEffect(() => {
+    if (!editing) {
+      setPreviewUrl(null);
+      return undefined;
+    }
+    let cancelled = false;
+    let url = null;
+    const timer = setTimeout(async () => {
+      try {
+        const doc = await buildCertificatePdf(SAMPLE_CERTIFICATE, editing);
+        if (cancelled) return;
+        url = URL.createObjectURL(doc.output('blob'));
+        setPreviewUrl(url);
+      } catch (previewError) {
+        console.error('Certificate preview error:', previewError);
+      }
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [editing]);
+
+  const saveTemplateMutation = useMutation({
+    mutationFn: ({ id, ...templateData }) => (id
+      ? certificateTemplateAPI.updateTemplate(id, templateData)
+      : certificateTemplateAPI.createTemplate(templateData)),
+    onSuccess: (_, template) => {
+      queryClient.invalidateQueries(['certificate-templates']);
+      toast.success(template.id ? 'Template updated' : 'Template created');
+      setEditing(null);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to save template');
+    }
+  });
+
+  const deleteTemplateMutation = useMutation({
+    mutationFn: (templateId) => certificateTemplateAPI.deleteTemplate(templateId),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['certificate-templates']);
+      toast.success('Template deleted');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to delete template');
+    }
+  });
+
+  const updateTemplate = (patch) => setEditing(prev => ({ ...prev, ...patch }));
+
+  const updateListItem = (list, index, key, value) => {
+    setEditing(prev => ({
+      ...prev,
+      [list]: prev[list].map((item, i) => (i === index ? { ...item, [key]: value } : item))
+    }));
+  };
+
+  const removeListItem = (list, index) => {
+    setEditing(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+  };
+
+  const handleOrientationChange = (orientation) => {
+    const from = getPageSize(editing.orientation);
+    const to = getPageSize(orientation);
+    setEditing(prev => ({
+      ...prev,
+      orientation,
+      fields: prev.fields.map(field => scalePosition(field, from, to)),
+      signatures: prev.signatures.map(signature => scalePosition(signature, from, to)),
+      logo: prev.logo && scalePosition(prev.logo, from, to),
+      qrCode: scalePosition(prev.qrCode, from, to)
+    }));
+  };
+
+  const handleImageUpload = async (e, apply) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      apply(await readTemplateImage(file));
+    } catch (uploadError) {
+      toast.error(uploadError.message);
+    }
+  };
+
+  const toggleCategory = (categoryId) => {
+    setEditing(prev => ({
+      ...prev,
+      categoryIds: prev.categoryIds.includes(categoryId)
+        ? prev.categoryIds.filter(id => id !== categoryId)
+        : [...prev.categoryIds, categoryId]
+    }));
+  };
+
+  const handleSave = () => {
+    if (!editing.name.trim()) {
+      toast.error('Please give the template a name');
+      return;
+    }
+    if (!editing.fields.some(field => field.text.includes('{studentName}'))) {
+      toast.error('Add a text field with {studentName} so the certificate names its holder');
+      return;
+    }
+    saveTemplateMutation.mutate({ ...editing, name: editing.name.trim() });
+  };
+
+  const handleDelete = (template) => {
+    if (window.confirm(`Delete the template "${template.name}"? Certificates already issued keep their layout.`)) {
+      deleteTemplateMutation.mutate(template.id);
+    }
+  };
+
+  const renderNumber = (label, value, onChange, step = 1) => (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px' }}>
+      {label}
+      <input
+        type="number"
+        className="form-input"
+        value={value}
+        step={step}
+        onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+        style={smallInputStyle}
+      />
+    </label>
+  );
+
+  const renderImagePicker = (label, image, onChange) => (
+    <div style={{ ...rowStyle, marginBottom: '8px' }}>
+      {image ? (
+        <>
+          <img src={image} alt={label} style={{ height: '36px', maxWidth: '120px', objectFit: 'contain', border: '1px solid var(--secondary-200)' }} />
+          <button
+            className="btn btn-secondary"
+            style={{ padding: '4px 8px', fontSize: '12px' }}
+            onClick={() => onChange(null)}
+            aria-label={`Remove ${label}`}
+          >
+            <FiX />
+          </button>
+        </>
+      ) : (
+        <label className="btn btn-secondary" style={{ padding: '4px 8px', fontSize: '12px', cursor: 'pointer' }}>
+          <FiImage style={{ marginRight: '4px' }} /> Upload {label}
+          <input
+            type="file"
+            accept="image/png,image/jpeg"
+            onChange={(e) => handleImageUpload(e, onChange)}
+            style={{ display: 'none' }}
+          />
+        </label>
+      )}
+    </div>
+  );
+
+  if (error) {
+    return (
+      <div className="error-container">
+        <h3>Error loading certificate templates</h3>
+        <p>{error.message}</p>
+      </div>
+    );
+  }
+
+  if (editing) {
+    return (
+      <div>
+        <div className="data-table-header" style={{ marginBottom: '16px' }}>
+          <h2 className="data-table-title">
+            <button
+              className="btn btn-secondary"
+              style={{ padding: '4px 8px', fontSize: '12px', marginRight: '12px' }}
+              onClick={() => setEditing(null)}
+              aria-label="Back to templates"
+            >
+              <FiArrowLeft />
+            </button>
+            {editing.id ? 'Edit Certificate Template' : 'New Certificate Template'}
+          </h2>
+          <div className="data-table-actions">
+            <button className="btn btn-secondary" onClick={() => setEditing(null)} style={{ marginRight: '8px' }}>
+              Cancel
+            </button>
+            <button className="btn btn-primary" onClick={handleSave} disabled={saveTemplateMutation.isPending}>
+              {saveTemplateMutation.isPending ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'minmax(380px, 1fr) minmax(420px, 1.3fr)', gap: '24px', alignItems: 'start' }}>
+          <div>
+            <div style={sectionStyle}>
+              <div className="form-group">
+                <label className="form-label">Template Name</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={editing.name}
+                  onChange={(e) => updateTemplate({ name: e.target.value })}
+                  placeholder="e.g. Professional Certification"
+                />
+              </div>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '12px' }}>
+                <input
+                  type="checkbox"
+                  checked={!!editing.isDefault}
+                  onChange={(e) => updateTemplate({ isDefault: e.target.checked })}
+                />
+                Default for categories without their own template
+              </label>
+              <label className="form-label">Exam Categories</label>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', maxHeight: '160px', overflowY: 'auto' }}>
+                {categories.map(category => {
+                  const assignedTo = templates.find(template =>
+                    template.id !== editing.id && template.categoryIds?.includes(category.id));
+                  return (
+                    <label key={category.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px' }}>
+                      <input
+                        type="checkbox"
+                        checked={editing.categoryIds.includes(category.id)}
+                        onChange={() => toggleCategory(category.id)}
+                      />
+                      {category.name}
+                      {assignedTo && (
+                        <span style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>
+                          (now uses {assignedTo.name}, saving moves it here)
+                        </span>
+                      )}
+                    </label>
+                  );
+                })}
+              </div>
+            </div>
+
+            <div style={sectionStyle}>
+              <div style={sectionTitleStyle}>Page</div>
+              <div style={{ ...rowStyle, marginBottom: '12px' }}>
+                <select
+                  className="form-input"
+                  value={editing.orientation}
+                  onChange={(e) => handleOrientationChange(e.target.value)}
+                  aria-label="Orientation"
+                  style={{ width: 'auto' }}
+                >
+                  <option value="landscape">Landscape</option>
+                  <option value="portrait">Portrait</option>
+                </select>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px' }}>
+                  Background
+                  <input
+                    type="color"
+                    value={editing.backgroundColor}
+                    onChange={(e) => updateTemplate({ backgroundColor: e.target.value })}
+                  />
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px' }}>
+                  Accent
+                  <input
+                    type="color"
+                    value={editing.accentColor}
+                    onChange={(e) => updateTemplate({ accentColor: e.target.value })}
+                  />
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px' }}>
+                  <input
+                    type="checkbox"
+                    checked={editing.decorated}
+                    onChange={(e) => updateTemplate({ decorated: e.target.checked })}
+                  />
+                  Border and shapes
+                </label>
+              </div>
+              {renderImagePicker('background image', editing.backgroundImage, image => updateTemplate({ backgroundImage: image }))}
+              <small style={{ color: 'var(--secondary-500)', fontSize: '12px' }}>
+                The background image is stretched to the page; border and shapes are drawn over it.
+              </small>
+            </div>
+
+            <div style={sectionStyle}>
+              <div style={sectionTitleStyle}>Logo</div>
+              {renderImagePicker('logo', editing.logo?.image, image => updateTemplate({
+                logo: image ? { ...(editing.logo || createTemplateLogo(image)), image } : null
+              }))}
+              {editing.logo && (
+                <div style={rowStyle}>
+                  {renderNumber('X', editing.logo.x, value => updateTemplate({ logo: { ...editing.logo, x: value } }))}
+                  {renderNumber('Y', editing.logo.y, value => updateTemplate({ logo: { ...editing.logo, y: value } }))}
+                  {renderNumber('Width', editing.logo.width, value => updateTemplate({ logo: { ...editing.logo, width: value } }))}
+                </div>
+              )}
+            </div>
+
+            <div style={sectionStyle}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                <div style={{ ...sectionTitleStyle, marginBottom: 0 }}>Text</div>
+                <button
+                  className="btn btn-secondary"
+                  style={{ padding: '4px 8px', fontSize: '12px' }}
+                  onClick={() => updateTemplate({ fields: [...editing.fields, createTemplateField(editing.orientation)] })}
+                >
+                  <FiPlus style={{ marginRight: '4px' }} /> Add Text
+                </button>
+              </div>
+              <div style={{ fontSize: '12px', color: 'var(--secondary-500)', marginBottom: '12px' }}>
+                Placeholders:{' '}
+                {CERTIFICATE_PLACEHOLDERS.map(placeholder => (
+                  <code key={placeholder.key} title={placeholder.label} style={{ marginRight: '6px' }}>{`{${placeholder.key}}`}</code>
+                ))}
+              </div>
+              {editing.fields.map((field, index) => (
+                <div key={index} style={{ paddingBottom: '12px', marginBottom: '12px', borderBottom: '1px solid var(--secondary-100)' }}>
+                  <div style={{ ...rowStyle, marginBottom: '8px', flexWrap: 'nowrap' }}>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={field.text}
+                      onChange={(e) => updateListItem('fields', index, 'text', e.target.value)}
+                      placeholder="Text, e.g. Awarded to {studentName}"
+                      aria-label="Text"
+                    />
+                    <button
+                      className="btn btn-danger"
+                      style={{ padding: '4px 8px', fontSize: '12px' }}
+                      onClick={() => removeListItem('fields', index)}
+                      aria-label="Remove text"
+                    >
+                      <FiTrash2 />
+                    </button>
+                  </div>
+                  <div style={rowStyle}>
+                    {renderNumber('X', field.x, value => updateListItem('fields', index, 'x', value))}
+                    {renderNumber('Y', field.y, value => updateListItem('fields', index, 'y', value))}
+                    {renderNumber('Size', field.fontSize, value => updateListItem('fields', index, 'fontSize', value))}
+                    <input
+                      type="color"
+                      value={field.color}
+                      onChange={(e) => updateListItem('fields', index, 'color', e.target.value)}
+                      aria-label="Text colour"
+                    />
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px' }}>
+                      <input
+                        type="checkbox"
+                        checked={field.bold}
+                        onChange={(e) => updateListItem('fields', index, 'bold', e.target.checked)}
+                      />
+                      Bold
+                    </label>
+                    <select
+                      className="form-input"
+                      value={field.align}
+                      onChange={(e) => updateListItem('fields', index, 'align', e.target.value)}
+                      aria-label="Alignment"
+                      style={{ width: 'auto' }}
+                    >
+                      <option value="left">Left</option>
+                      <option value="center">Centre</option>
+                      <option value="right">Right</option>
+                    </select>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div style={sectionStyle}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                <div style={{ ...sectionTitleStyle, marginBottom: 0 }}>Signatures</div>
+                <button
+                  className="btn btn-secondary"
+                  style={{ padding: '4px 8px', fontSize: '12px' }}
+                  onClick={() => updateTemplate({ signatures: [...editing.signatures, createTemplateSignature()] })}
+                >
+                  <FiPlus style={{ marginRight: '4px' }} /> Add Signature
+                </button>
+              </div>
+              {editing.signatures.map((signature, index) => (
+                <div key={index} style={{ paddingBottom: '12px', marginBottom: '12px', borderBottom: '1px solid var(--secondary-100)' }}>
+                  <div style={{ ...rowStyle, marginBottom: '8px', flexWrap: 'nowrap' }}>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={signature.name}
+                      onChange={(e) => updateListItem('signatures', index, 'name', e.target.value)}
+                      placeholder="Name"
+                      aria-label="Signatory name"
+                    />
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={signature.title}
+                      onChange={(e) => updateListItem('signatures', index, 'title', e.target.value)}
+                      placeholder="Title"
+                      aria-label="Signatory title"
+                    />
+                    <button
+                      className="btn btn-danger"
+                      style={{ padding: '4px 8px', fontSize: '12px' }}
+                      onClick={() => removeListItem('signatures', index)}
+                      aria-label="Remove signature"
+                    >
+                      <FiTrash2 />
+                    </button>
+                  </div>
+                  {renderImagePicker('signature', signature.image, image => updateListItem('signatures', index, 'image', image))}
+                  <div style={rowStyle}>
+                    {renderNumber('X', signature.x, value => updateListItem('signatures', index, 'x', value))}
+                    {renderNumber('Y', signature.y, value => updateListItem('signatures', index, 'y', value))}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div style={sectionStyle}>
+              <div style={sectionTitleStyle}>Verification QR Code</div>
+              <div style={rowStyle}>
+                {renderNumber('X', editing.qrCode.x, value => updateTemplate({ qrCode: { ...editing.qrCode, x: value } }))}
+                {renderNumber('Y', editing.qrCode.y, value => updateTemplate({ qrCode: { ...editing.qrCode, y: value } }))}
+                {renderNumber('Size', editing.qrCode.size, value => updateTemplate({ qrCode: { ...editing.qrCode, size: Math.max(20, value) } }))}
+              </div>
+              <small style={{ color: 'var(--secondary-500)', fontSize: '12px' }}>
+                Every certificate carries its QR code so it can be verified; it can be moved but not removed.
+              </small>
+            </div>
+          </div>
+
+          <div style={{ position: 'sticky', top: '16px' }}>
+            <div style={{ fontSize: '13px', color: 'var(--secondary-600)', marginBottom: '8px' }}>
+              Preview with sample data. Positions are in millimetres from the top left of an A4 page
+              ({getPageSize(editing.orientation).width} × {getPageSize(editing.orientation).height}).
+            </div>
+            {previewUrl ? (
+              <iframe
+                title="Certificate preview"
+                src={`${previewUrl}#toolbar=0&navpanes=0&view=Fit`}
+                style={{
+                  width: '100%',
+                  aspectRatio: editing.orientation === 'portrait' ? '210 / 297' : '297 / 210',
+                  border: '1px solid var(--secondary-200)',
+                  borderRadius: '8px'
+                }}
+              />
+            ) : (
+              <div className="loading-container">
+                <div className="spinner"></div>
+                <p>Drawing preview...</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const unassignedCategories = categories.filter(category => !getTemplateForCategory(templates, category.id));
+
+  return (
+    <div className="data-table-container">
+      <div className="data-table-header">
+        <h2 className="data-table-title">Certificate Templates</h2>
+        <div className="data-table-actions">
+          <button
+            className="btn btn-primary"
+            onClick={() => setEditing(normalizeCertificateTemplate({ ...DEFAULT_CERTIFICATE_TEMPLATE, name: '' }))}
+          >
+            <FiPlus style={{ marginRight: '4px' }} /> New Template
+          </button>
+        </div>
+      </div>
+
+      {unassignedCategories.length > 0 && (
+        <div style={{ fontSize: '13px', color: 'var(--secondary-600)', padding: '0 0 12px' }}>
+          {unassignedCategories.map(category => category.name).join(', ')}{' '}
+          {unassignedCategories.length === 1 ? 'has' : 'have'} no template and will use the classic layout.
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading templates...</p>
+        </div>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Page</th>
+              <th>Categories</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {templates.length === 0 ? (
+              <tr>
+                <td colSpan="4" style={{ textAlign: 'center', padding: '20px' }}>
+                  No templates yet. Certificates use the classic layout.
+                </td>
+              </tr>
+            ) : (
+              templates.map(template => (
+                <tr key={template.id}>
+                  <td style={{ fontWeight: '500' }}>
+                    {template.name}
+                    {template.isDefault && <span className="badge badge-primary" style={{ marginLeft: '8px' }}>Default</span>}
+                  </td>
+                  <td style={{ textTransform: 'capitalize' }}>{template.orientation || 'landscape'}</td>
+                  <td>
+                    {categories
+                      .filter(category => template.categoryIds?.includes(category.id))
+                      .map(category => category.name)
+                      .join(', ') || '-'}
+                  </td>
+                  <td>
+                    <div className="data-table-actions-cell">
+                      <button
+                        className="btn btn-secondary"
+                        style={{ padding: '4px 8px', fontSize: '12px' }}
+                        onClick={() => setEditing(normalizeCertificateTemplate(template))}
+                      >
+                        <FiEdit style={{ marginRight: '4px' }} /> Edit
+                      </button>
+                      <button
+                        className="btn btn-danger"
+                        style={{ padding: '4px 8px', fontSize: '12px' }}
+                        onClick={() => handleDelete(template)}
+                        disabled={deleteTemplateMutation.isPending}
+                      >
+                        <FiTrash2 style={{ marginRight: '4px' }} /> Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default CertificateTemplates;
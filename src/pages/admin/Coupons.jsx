@@ -0,0 +1,592 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiPlus, FiEdit, FiXCircle, FiLayers, FiDownload } from 'react-icons/fi';
+import { couponAPI, examAPI, categoryAPI } from '../../services/api';
+import {
+  COUPON_SCOPES,
+  COUPON_STATUS_BADGES,
+  COUPON_TYPES,
+  describeCouponScope,
+  describeCouponValue,
+  downloadCouponCodes,
+  getCouponStatus,
+  normalizeCouponCode
+} from '../../utils/exam/coupons';
+
+const EMPTY_COUPON = {
+  code: '',
+  description: '',
+  type: COUPON_TYPES.PERCENT,
+  value: 10,
+  currency: 'USD',
+  scope: COUPON_SCOPES.ALL,
+  examId: '',
+  examCategoryId: '',
+  maxRedemptions: '',
+  perUserLimit: 1,
+  startsAt: '',
+  expiresAt: ''
+};
+
+// Partner batches default to single-use codes
+const EMPTY_BATCH = { ...EMPTY_COUPON, bulk: true, batchName: '', prefix: '', count: 50, maxRedemptions: 1 };
+
+const STATUS_LABELS = {
+  ACTIVE: 'Active',
+  SCHEDULED: 'Scheduled',
+  USED_UP: 'Used up',
+  EXPIRED: 'Expired',
+  INACTIVE: 'Inactive'
+};
+
+const selectStyle = {
+  padding: '8px 12px',
+  border: '1px solid var(--secondary-300)',
+  borderRadius: '6px'
+};
+
+// date inputs want the local calendar date
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const Coupons = () => {
+  const queryClient = useQueryClient();
+  const [filters, setFilters] = useState({ search: '', status: '' });
+  const [couponForm, setCouponForm] = useState(null);
+
+  const { data: coupons = [], isLoading, error } = useQuery({
+    queryKey: ['coupons'],
+    queryFn: async () => (await couponAPI.getCoupons({ limit: 1000 })).data?.data?.coupons || []
+  });
+
+  const { data: examsData } = useQuery({
+    queryKey: ['admin-exams'],
+    queryFn: () => examAPI.getAllExams({ limit: 100 })
+  });
+  const exams = examsData?.data?.data?.exams || [];
+
+  const { data: categoriesData } = useQuery({
+    queryKey: ['categories'],
+    queryFn: () => categoryAPI.getAllCategories()
+  });
+  const categories = Array.isArray(categoriesData?.data?.data) ? categoriesData.data.data : [];
+
+  const saveCouponMutation = useMutation({
+    mutationFn: ({ id, bulk, ...couponData }) => {
+      if (bulk) return couponAPI.generateCoupons(couponData);
+      return id ? couponAPI.updateCoupon(id, couponData) : couponAPI.createCoupon(couponData);
+    },
+    onSuccess: (response, coupon) => {
+      queryClient.invalidateQueries(['coupons']);
+      if (coupon.bulk) {
+        const generated = response.data?.data?.coupons || [];
+        toast.success(`${generated.length} codes generated`);
+        if (generated.length) {
+          downloadCouponCodes(generated, `coupons-${normalizeCouponCode(coupon.batchName || coupon.prefix) || 'batch'}.csv`);
+        }
+      } else {
+        toast.success(coupon.id ? 'Coupon updated' : 'Coupon created');
+      }
+      setCouponForm(null);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to save coupon');
+    }
+  });
+
+  const deactivateCouponMutation = useMutation({
+    mutationFn: (couponId) => couponAPI.deactivateCoupon(couponId),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['coupons']);
+      toast.success('Coupon deactivated');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to deactivate coupon');
+    }
+  });
+
+  const handleDeactivate = (coupon) => {
+    if (window.confirm(`Deactivate ${coupon.code}? It can no longer be redeemed; existing discounts stay on their invoices.`)) {
+      deactivateCouponMutation.mutate(coupon.id);
+    }
+  };
+
+  const handleEditCoupon = (coupon) => {
+    setCouponForm({
+      ...EMPTY_COUPON,
+      id: coupon.id,
+      code: coupon.code,
+      description: coupon.description || '',
+      type: coupon.type || COUPON_TYPES.PERCENT,
+      value: coupon.value ?? '',
+      currency: coupon.currency || 'USD',
+      scope: coupon.scope || COUPON_SCOPES.ALL,
+      examId: coupon.examId || coupon.exam?.id || '',
+      examCategoryId: coupon.examCategoryId || coupon.examCategory?.id || '',
+      maxRedemptions: coupon.maxRedemptions || '',
+      perUserLimit: coupon.perUserLimit || '',
+      startsAt: toDateInput(coupon.startsAt),
+      expiresAt: toDateInput(coupon.expiresAt)
+    });
+  };
+
+  const handleExportBatch = (batchName) => {
+    const batch = coupons.filter(coupon => coupon.batchName === batchName);
+    downloadCouponCodes(batch, `coupons-${normalizeCouponCode(batchName) || 'batch'}.csv`);
+  };
+
+  const handleSaveCoupon = () => {
+    const value = Number(couponForm.value);
+    if (!(value > 0)) {
+      toast.error('Enter a discount greater than zero');
+      return;
+    }
+    if (couponForm.type === COUPON_TYPES.PERCENT && value > 100) {
+      toast.error('A percentage discount cannot be more than 100%');
+      return;
+    }
+    if (couponForm.scope === COUPON_SCOPES.EXAM && !couponForm.examId) {
+      toast.error('Choose the test this coupon applies to');
+      return;
+    }
+    if (couponForm.scope === COUPON_SCOPES.CATEGORY && !couponForm.examCategoryId) {
+      toast.error('Choose the category this coupon applies to');
+      return;
+    }
+    if (couponForm.startsAt && couponForm.expiresAt && couponForm.expiresAt < couponForm.startsAt) {
+      toast.error('The expiry date must be after the start date');
+      return;
+    }
+
+    const couponData = {
+      id: couponForm.id,
+      bulk: couponForm.bulk,
+      description: couponForm.description.trim(),
+      type: couponForm.type,
+      value,
+      ...(couponForm.type === COUPON_TYPES.FIXED && { currency: couponForm.currency }),
+      scope: couponForm.scope,
+      examId: couponForm.scope === COUPON_SCOPES.EXAM ? couponForm.examId : null,
+      examCategoryId: couponForm.scope === COUPON_SCOPES.CATEGORY ? couponForm.examCategoryId : null,
+      maxRedemptions: parseInt(couponForm.maxRedemptions) || null,
+      perUserLimit: parseInt(couponForm.perUserLimit) || null,
+      // Start of the first day to the end of the last, in local time
+      startsAt: couponForm.startsAt ? new Date(`${couponForm.startsAt}T00:00:00`).toISOString() : null,
+      expiresAt: couponForm.expiresAt ? new Date(`${couponForm.expiresAt}T23:59:59`).toISOString() : null
+    };
+
+    if (couponForm.bulk) {
+      const count = parseInt(couponForm.count);
+      if (!couponForm.batchName.trim() || !(count > 0) || count > 1000) {
+        toast.error('Name the batch and generate between 1 and 1000 codes');
+        return;
+      }
+      saveCouponMutation.mutate({
+        ...couponData,
+        batchName: couponForm.batchName.trim(),
+        prefix: normalizeCouponCode(couponForm.prefix),
+        count
+      });
+      return;
+    }
+
+    const code = normalizeCouponCode(couponForm.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      toast.error('Codes are 3-32 letters, numbers, dashes or underscores');
+      return;
+    }
+    saveCouponMutation.mutate({ ...couponData, code });
+  };
+
+  const search = normalizeCouponCode(filters.search);
+  const filteredCoupons = coupons.filter(coupon => {
+    if (filters.status && getCouponStatus(coupon) !== filters.status) return false;
+    if (!search) return true;
+    return coupon.code.includes(search) || normalizeCouponCode(coupon.batchName).includes(search);
+  });
+
+  if (error) {
+    return (
+      <div className="error-container">
+        <h3>Error loading coupons</h3>
+        <p>{error.message}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="data-table-container">
+        <div className="data-table-header">
+          <h2 className="data-table-title">Coupons</h2>
+          <div className="data-table-actions">
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+              placeholder="Search code or batch..."
+              style={{ ...selectStyle, marginRight: '12px' }}
+            />
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+              style={{ ...selectStyle, marginRight: '12px' }}
+            >
+              <option value="">All Statuses</option>
+              {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                <option key={status} value={status}>{label}</option>
+              ))}
+            </select>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button className="btn btn-secondary" onClick={() => setCouponForm({ ...EMPTY_BATCH })}>
+                <FiLayers style={{ marginRight: '4px' }} /> Bulk Generate
+              </button>
+              <button className="btn btn-primary" onClick={() => setCouponForm({ ...EMPTY_COUPON })}>
+                <FiPlus style={{ marginRight: '4px' }} /> New Coupon
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading coupons...</p>
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Discount</th>
+                <th>Applies To</th>
+                <th>Used</th>
+                <th>Per Student</th>
+                <th>Valid</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredCoupons.length === 0 ? (
+                <tr>
+                  <td colSpan="8" style={{ textAlign: 'center', padding: '20px' }}>
+                    {coupons.length ? 'No coupons match the filters' : 'No coupons yet'}
+                  </td>
+                </tr>
+              ) : (
+                filteredCoupons.map(coupon => {
+                  const status = getCouponStatus(coupon);
+                  return (
+                    <tr key={coupon.id} style={{ opacity: status === 'INACTIVE' || status === 'EXPIRED' ? 0.6 : 1 }}>
+                      <td>
+                        <div style={{ fontFamily: 'monospace', fontWeight: '600' }}>{coupon.code}</div>
+                        {coupon.batchName && (
+                          <div style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>Batch: {coupon.batchName}</div>
+                        )}
+                        {coupon.description && (
+                          <div style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>{coupon.description}</div>
+                        )}
+                      </td>
+                      <td>{describeCouponValue(coupon)}</td>
+                      <td>{describeCouponScope(coupon)}</td>
+                      <td>{coupon.redemptionCount || 0}/{coupon.maxRedemptions || '∞'}</td>
+                      <td>{coupon.perUserLimit || '∞'}</td>
+                      <td style={{ fontSize: '13px' }}>
+                        {coupon.startsAt ? new Date(coupon.startsAt).toLocaleDateString() : 'Now'}
+                        {' - '}
+                        {coupon.expiresAt ? new Date(coupon.expiresAt).toLocaleDateString() : 'No expiry'}
+                      </td>
+                      <td>
+                        <span className={`badge ${COUPON_STATUS_BADGES[status]}`}>{STATUS_LABELS[status]}</span>
+                      </td>
+                      <td>
+                        <div className="data-table-actions-cell">
+                          {coupon.batchName && (
+                            <button
+                              className="btn btn-secondary"
+                              style={{ padding: '4px 8px', fontSize: '12px' }}
+                              onClick={() => handleExportBatch(coupon.batchName)}
+                              title="Download every code in this batch"
+                            >
+                              <FiDownload style={{ marginRight: '4px' }} /> Batch
+                            </button>
+                          )}
+                          {status !== 'INACTIVE' && (
+                            <>
+                              <button
+                                className="btn btn-secondary"
+                                style={{ padding: '4px 8px', fontSize: '12px' }}
+                                onClick={() => handleEditCoupon(coupon)}
+                              >
+                                <FiEdit style={{ marginRight: '4px' }} /> Edit
+                              </button>
+                              <button
+                                className="btn btn-danger"
+                                style={{ padding: '4px 8px', fontSize: '12px' }}
+                                onClick={() => handleDeactivate(coupon)}
+                                disabled={deactivateCouponMutation.isPending}
+                              >
+                                <FiXCircle style={{ marginRight: '4px' }} /> Deactivate
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {couponForm && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          backgroundColor: 'rgba(0, 0, 0, 0.5)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}>
+          <div style={{
+            backgroundColor: 'white',
+            borderRadius: '12px',
+            padding: '32px',
+            width: '600px',
+            maxWidth: '90vw',
+            maxHeight: '90vh',
+            overflow: 'auto'
+          }}>
+            <h3 style={{ marginBottom: '24px', fontSize: '24px', fontWeight: '600' }}>
+              {couponForm.bulk ? 'Bulk Generate Codes' : couponForm.id ? 'Edit Coupon' : 'New Coupon'}
+            </h3>
+
+            <div style={{ display: 'grid', gap: '16px' }}>
+              {couponForm.bulk ? (
+                <>
+                  <div className="form-group">
+                    <label className="form-label">Batch Name *</label>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={couponForm.batchName}
+                      onChange={(e) => setCouponForm(prev => ({ ...prev, batchName: e.target.value }))}
+                      placeholder="Partner institution, e.g. Riverside College 2026"
+                    />
+                  </div>
+                  <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '12px' }}>
+                    <div className="form-group">
+                      <label className="form-label">Code Prefix</label>
+                      <input
+                        type="text"
+                        className="form-input"
+                        value={couponForm.prefix}
+                        onChange={(e) => setCouponForm(prev => ({ ...prev, prefix: normalizeCouponCode(e.target.value) }))}
+                        placeholder="e.g. RIVER-"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label className="form-label">Number of Codes *</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="1000"
+                        className="form-input"
+                        value={couponForm.count}
+                        onChange={(e) => setCouponForm(prev => ({ ...prev, count: e.target.value }))}
+                      />
+                    </div>
+                  </div>
+                  <small style={{ color: 'var(--secondary-500)', fontSize: '12px', marginTop: '-8px' }}>
+                    Each code gets a random suffix. The codes download as a CSV once they are generated.
+                  </small>
+                </>
+              ) : (
+                <div className="form-group">
+                  <label className="form-label">Code *</label>
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={couponForm.code}
+                    onChange={(e) => setCouponForm(prev => ({ ...prev, code: normalizeCouponCode(e.target.value) }))}
+                    placeholder="e.g. SPRING20"
+                    disabled={!!couponForm.id}
+                    style={{ fontFamily: 'monospace' }}
+                  />
+                </div>
+              )}
+
+              <div className="form-group">
+                <label className="form-label">Description</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={couponForm.description}
+                  onChange={(e) => setCouponForm(prev => ({ ...prev, description: e.target.value }))}
+                  placeholder="Shown on the invoice, e.g. Spring promotion"
+                />
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '12px' }}>
+                <div className="form-group">
+                  <label className="form-label">Type</label>
+                  <select
+                    className="form-select"
+                    value={couponForm.type}
+                    onChange={(e) => setCouponForm(prev => ({ ...prev, type: e.target.value }))}
+                  >
+                    <option value={COUPON_TYPES.PERCENT}>Percentage</option>
+                    <option value={COUPON_TYPES.FIXED}>Fixed amount</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label className="form-label">{couponForm.type === COUPON_TYPES.PERCENT ? 'Discount (%) *' : 'Discount *'}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max={couponForm.type === COUPON_TYPES.PERCENT ? 100 : undefined}
+                    step="0.01"
+                    className="form-input"
+                    value={couponForm.value}
+                    onChange={(e) => setCouponForm(prev => ({ ...prev, value: e.target.value }))}
+                  />
+                </div>
+                {couponForm.type === COUPON_TYPES.FIXED && (
+                  <div className="form-group">
+                    <label className="form-label">Currency</label>
+                    <select
+                      className="form-select"
+                      value={couponForm.currency}
+                      onChange={(e) => setCouponForm(prev => ({ ...prev, currency: e.target.value }))}
+                    >
+                      <option value="USD">USD ($)</option>
+                      <option value="EUR">EUR (€)</option>
+                      <option value="GBP">GBP (£)</option>
+                      <option value="CAD">CAD (C$)</option>
+                      <option value="AUD">AUD (A$)</option>
+                      <option value="JPY">JPY (¥)</option>
+                      <option value="INR">INR (₹)</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '12px' }}>
+                <div className="form-group">
+                  <label className="form-label">Applies To</label>
+                  <select
+                    className="form-select"
+                    value={couponForm.scope}
+                    onChange={(e) => setCouponForm(prev => ({ ...prev, scope: e.target.value }))}
+                  >
+                    <option value={COUPON_SCOPES.ALL}>All tests</option>
+                    <option value={COUPON_SCOPES.EXAM}>One test</option>
+                    <option value={COUPON_SCOPES.CATEGORY}>A category</option>
+                  </select>
+                </div>
+                {couponForm.scope === COUPON_SCOPES.EXAM && (
+                  <div className="form-group">
+                    <label className="form-label">Test *</label>
+                    <select
+                      className="form-select"
+                      value={couponForm.examId}
+                      onChange={(e) => setCouponForm(prev => ({ ...prev, examId: e.target.value }))}
+                    >
+                      <option value="">Choose a test...</option>
+                      {exams.map(exam => (
+                        <option key={exam.id} value={exam.id}>{exam.title}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {couponForm.scope === COUPON_SCOPES.CATEGORY && (
+                  <div className="form-group">
+                    <label className="form-label">Category *</label>
+                    <select
+                      className="form-select"
+                      value={couponForm.examCategoryId}
+                      onChange={(e) => setCouponForm(prev => ({ ...prev, examCategoryId: e.target.value }))}
+                    >
+                      <option value="">Choose a category...</option>
+                      {categories.map(category => (
+                        <option key={category.id} value={category.id}>{category.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+                <div className="form-group">
+                  <label className="form-label">{couponForm.bulk ? 'Uses per Code' : 'Total Uses'}</label>
+                  <input
+                    type="number"
+                    min="1"
+                    className="form-input"
+                    value={couponForm.maxRedemptions}
+                    onChange={(e) => setCouponForm(prev => ({ ...prev, maxRedemptions: e.target.value }))}
+                    placeholder="Unlimited"
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Uses per Student</label>
+                  <input
+                    type="number"
+                    min="1"
+                    className="form-input"
+                    value={couponForm.perUserLimit}
+                    onChange={(e) => setCouponForm(prev => ({ ...prev, perUserLimit: e.target.value }))}
+                    placeholder="Unlimited"
+                  />
+                </div>
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+                <div className="form-group">
+                  <label className="form-label">Valid From</label>
+                  <input
+                    type="date"
+                    className="form-input"
+                    value={couponForm.startsAt}
+                    onChange={(e) => setCouponForm(prev => ({ ...prev, startsAt: e.target.value }))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Expires</label>
+                  <input
+                    type="date"
+                    className="form-input"
+                    value={couponForm.expiresAt}
+                    onChange={(e) => setCouponForm(prev => ({ ...prev, expiresAt: e.target.value }))}
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: '12px', marginTop: '24px', justifyContent: 'flex-end' }}>
+              <button className="btn btn-secondary" onClick={() => setCouponForm(null)} disabled={saveCouponMutation.isPending}>
+                Cancel
+              </button>
+              <button className="btn btn-primary" onClick={handleSaveCoupon} disabled={saveCouponMutation.isPending}>
+                {saveCouponMutation.isPending ? 'Saving...' : couponForm.bulk ? 'Generate Codes' : 'Save Coupon'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Coupons;
@@ -0,0 +1,430 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiPlus, FiEdit, FiUsers, FiXCircle, FiHome } from 'react-icons/fi';
+import { sessionAPI, roomAPI, examAPI } from '../../services/api';
+import { formatSessionTime, getRoomCapacity, getSessionAvailability } from '../../utils/exam/sessionSeating';
+import RoomManagerModal from '../../components/exam/RoomManagerModal';
+import SessionRosterModal from '../../components/exam/SessionRosterModal';
+
+const EMPTY_SESSION = { examId: '', roomId: '', startsAt: '', duration: 60, capacity: '', notes: '' };
+
+const selectStyle = {
+  padding: '8px 12px',
+  border: '1px solid var(--secondary-300)',
+  borderRadius: '6px'
+};
+
+// datetime-local inputs want local time without seconds or a zone
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const getCapacityColor = (availability) => {
+  if (availability.isFull) return 'var(--danger-500)';
+  if (availability.available <= Math.ceil(availability.capacity * 0.1)) return 'var(--warning-500)';
+  return 'var(--success-500)';
+};
+
+const ExamSessions = () => {
+  const queryClient = useQueryClient();
+  const [filters, setFilters] = useState({
+    from: new Date().toISOString().split('T')[0],
+    examId: '',
+    roomId: '',
+    includeCancelled: false
+  });
+  const [sessionForm, setSessionForm] = useState(null);
+  const [showRooms, setShowRooms] = useState(false);
+  const [rosterSession, setRosterSession] = useState(null);
+
+  const { data: sessions = [], isLoading, error } = useQuery({
+    queryKey: ['exam-sessions', filters],
+    queryFn: async () => {
+      const response = await sessionAPI.getSessions({
+        from: filters.from || undefined,
+        examId: filters.examId || undefined,
+        roomId: filters.roomId || undefined,
+        includeCancelled: filters.includeCancelled || undefined
+      });
+      return response.data?.data?.sessions || [];
+    },
+    refetchInterval: 30000
+  });
+
+  const { data: rooms = [] } = useQuery({
+    queryKey: ['rooms'],
+    queryFn: async () => (await roomAPI.getRooms()).data?.data?.rooms || []
+  });
+
+  const { data: examsData } = useQuery({
+    queryKey: ['admin-exams'],
+    queryFn: () => examAPI.getAllExams({ limit: 100 })
+  });
+  const exams = examsData?.data?.data?.exams || [];
+
+  const saveSessionMutation = useMutation({
+    mutationFn: ({ id, ...sessionData }) => (id ? sessionAPI.updateSession(id, sessionData) : sessionAPI.createSession(sessionData)),
+    onSuccess: (response, session) => {
+      queryClient.invalidateQueries(['exam-sessions']);
+      toast.success(session.id ? 'Session updated' : 'Session created');
+      setSessionForm(null);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to save session');
+    }
+  });
+
+  const cancelSessionMutation = useMutation({
+    mutationFn: ({ id, reason }) => sessionAPI.cancelSession(id, reason),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['exam-sessions']);
+      queryClient.invalidateQueries(['admin-bookings']);
+      toast.success('Session cancelled');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to cancel session');
+    }
+  });
+
+  const handleCancelSession = (session) => {
+    const reason = window.prompt('Cancel this session? Booked candidates will be notified. Reason (optional):');
+    if (reason === null) return;
+    cancelSessionMutation.mutate({ id: session.id, reason });
+  };
+
+  const handleEditSession = (session) => {
+    const duration = session.endsAt
+      ? Math.round((new Date(session.endsAt) - new Date(session.startsAt)) / 60000)
+      : session.exam?.duration || 60;
+    setSessionForm({
+      id: session.id,
+      examId: session.examId || session.exam?.id || '',
+      roomId: session.roomId || session.room?.id || '',
+      startsAt: toDateTimeInput(session.startsAt),
+      duration,
+      capacity: session.capacity || '',
+      notes: session.notes || ''
+    });
+  };
+
+  const handleExamChange = (examId) => {
+    const exam = exams.find(candidate => candidate.id === examId);
+    setSessionForm(prev => ({ ...prev, examId, duration: exam?.duration || prev.duration }));
+  };
+
+  const handleSaveSession = () => {
+    if (!sessionForm.examId || !sessionForm.roomId || !sessionForm.startsAt) {
+      toast.error('Please choose an exam, a room and a start time');
+      return;
+    }
+    const room = rooms.find(candidate => candidate.id === sessionForm.roomId);
+    const roomCapacity = getRoomCapacity(room);
+    const capacity = Number(sessionForm.capacity) || roomCapacity;
+    if (capacity > roomCapacity) {
+      toast.error(`${room.name} only has ${roomCapacity} usable seats`);
+      return;
+    }
+    const startsAt = new Date(sessionForm.startsAt);
+    saveSessionMutation.mutate({
+      id: sessionForm.id,
+      examId: sessionForm.examId,
+      roomId: sessionForm.roomId,
+      startsAt: startsAt.toISOString(),
+      endsAt: new Date(startsAt.getTime() + (Number(sessionForm.duration) || 60) * 60000).toISOString(),
+      capacity,
+      ...(sessionForm.notes && { notes: sessionForm.notes })
+    });
+  };
+
+  const formRoom = rooms.find(room => room.id === sessionForm?.roomId);
+
+  if (error) {
+    return (
+      <div className="error-container">
+        <h3>Error loading sessions</h3>
+        <p>{error.message}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="data-table-container">
+        <div className="data-table-header">
+          <h2 className="data-table-title">Exam Sessions</h2>
+          <div className="data-table-actions">
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => setFilters(prev => ({ ...prev, from: e.target.value }))}
+              aria-label="From date"
+              style={{ ...selectStyle, marginRight: '12px' }}
+            />
+            <select
+              value={filters.examId}
+              onChange={(e) => setFilters(prev => ({ ...prev, examId: e.target.value }))}
+              style={{ ...selectStyle, marginRight: '12px' }}
+            >
+              <option value="">All Tests</option>
+              {exams.map(exam => (
+                <option key={exam.id} value={exam.id}>{exam.title}</option>
+              ))}
+            </select>
+            <select
+              value={filters.roomId}
+              onChange={(e) => setFilters(prev => ({ ...prev, roomId: e.target.value }))}
+              style={{ ...selectStyle, marginRight: '12px' }}
+            >
+              <option value="">All Rooms</option>
+              {rooms.map(room => (
+                <option key={room.id} value={room.id}>{room.name}</option>
+              ))}
+            </select>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', marginRight: '12px' }}>
+              <input
+                type="checkbox"
+                checked={filters.includeCancelled}
+                onChange={(e) => setFilters(prev => ({ ...prev, includeCancelled: e.target.checked }))}
+              />
+              Show cancelled
+            </label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button className="btn btn-secondary" onClick={() => setShowRooms(true)}>
+                <FiHome style={{ marginRight: '4px' }} /> Rooms
+              </button>
+              <button className="btn btn-primary" onClick={() => setSessionForm({ ...EMPTY_SESSION })}>
+                <FiPlus style={{ marginRight: '4px' }} /> New Session
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading sessions...</p>
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Test</th>
+                <th>Room</th>
+                <th>Seats</th>
+                <th>Waitlist</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.length === 0 ? (
+                <tr>
+                  <td colSpan="7" style={{ textAlign: 'center', padding: '20px' }}>
+                    No sessions scheduled
+                  </td>
+                </tr>
+              ) : (
+                sessions.map(session => {
+                  const availability = getSessionAvailability(session);
+                  const cancelled = session.status === 'CANCELLED';
+                  return (
+                    <tr key={session.id} style={{ opacity: cancelled ? 0.6 : 1 }}>
+                      <td>{formatSessionTime(session)}</td>
+                      <td style={{ fontWeight: '500' }}>{session.exam?.title}</td>
+                      <td>
+                        {session.room?.name || '-'}
+                        {session.room?.location && (
+                          <div style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>{session.room.location}</div>
+                        )}
+                      </td>
+                      <td style={{ minWidth: '140px' }}>
+                        <div style={{ fontSize: '13px', marginBottom: '4px' }}>
+                          {availability.booked}/{availability.capacity}
+                          {availability.isFull && <span className="badge badge-danger" style={{ marginLeft: '6px' }}>Full</span>}
+                        </div>
+                        <div style={{ height: '6px', backgroundColor: 'var(--secondary-100)', borderRadius: '3px' }}>
+                          <div style={{
+                            width: `${availability.capacity ? Math.min(100, (availability.booked / availability.capacity) * 100) : 0}%`,
+                            height: '100%',
+                            borderRadius: '3px',
+                            backgroundColor: getCapacityColor(availability)
+                          }} />
+                        </div>
+                      </td>
+                      <td>{availability.waitlisted || '-'}</td>
+                      <td>
+                        <span className={`badge ${cancelled ? 'badge-danger' : 'badge-primary'}`}>{session.status || 'SCHEDULED'}</span>
+                      </td>
+                      <td>
+                        <div className="data-table-actions-cell">
+                          <button
+                            className="btn btn-secondary"
+                            style={{ padding: '4px 8px', fontSize: '12px' }}
+                            onClick={() => setRosterSession(session)}
+                          >
+                            <FiUsers style={{ marginRight: '4px' }} /> Roster
+                          </button>
+                          {!cancelled && (
+                            <>
+                              <button
+                                className="btn btn-secondary"
+                                style={{ padding: '4px 8px', fontSize: '12px' }}
+                                onClick={() => handleEditSession(session)}
+                              >
+                                <FiEdit style={{ marginRight: '4px' }} /> Edit
+                              </button>
+                              <button
+                                className="btn btn-danger"
+                                style={{ padding: '4px 8px', fontSize: '12px' }}
+                                onClick={() => handleCancelSession(session)}
+                                disabled={cancelSessionMutation.isPending}
+                              >
+                                <FiXCircle style={{ marginRight: '4px' }} /> Cancel
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {sessionForm && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          backgroundColor: 'rgba(0, 0, 0, 0.5)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}>
+          <div style={{
+            backgroundColor: 'white',
+            borderRadius: '12px',
+            padding: '32px',
+            width: '600px',
+            maxWidth: '90vw',
+            maxHeight: '90vh',
+            overflow: 'auto'
+          }}>
+            <h3 style={{ marginBottom: '24px', fontSize: '24px', fontWeight: '600' }}>
+              {sessionForm.id ? 'Edit Session' : 'New Session'}
+            </h3>
+
+            <div style={{ display: 'grid', gap: '16px' }}>
+              <div className="form-group">
+                <label className="form-label">Test *</label>
+                <select className="form-select" value={sessionForm.examId} onChange={(e) => handleExamChange(e.target.value)}>
+                  <option value="">Choose a test...</option>
+                  {exams.map(exam => (
+                    <option key={exam.id} value={exam.id}>{exam.title}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Room *</label>
+                <select
+                  className="form-select"
+                  value={sessionForm.roomId}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, roomId: e.target.value }))}
+                >
+                  <option value="">Choose a room...</option>
+                  {rooms.map(room => (
+                    <option key={room.id} value={room.id}>
+                      {room.name} ({getRoomCapacity(room)} seats)
+                    </option>
+                  ))}
+                </select>
+                {!rooms.length && (
+                  <small style={{ color: 'var(--secondary-500)', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                    No rooms yet. Add one under Rooms first.
+                  </small>
+                )}
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '12px' }}>
+                <div className="form-group">
+                  <label className="form-label">Starts At *</label>
+                  <input
+                    type="datetime-local"
+                    className="form-input"
+                    value={sessionForm.startsAt}
+                    onChange={(e) => setSessionForm(prev => ({ ...prev, startsAt: e.target.value }))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Duration (min)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    className="form-input"
+                    value={sessionForm.duration}
+                    onChange={(e) => setSessionForm(prev => ({ ...prev, duration: e.target.value }))}
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Capacity</label>
+                <input
+                  type="number"
+                  min="1"
+                  max={formRoom ? getRoomCapacity(formRoom) : undefined}
+                  className="form-input"
+                  value={sessionForm.capacity}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, capacity: e.target.value }))}
+                  placeholder={formRoom ? `${getRoomCapacity(formRoom)} (all usable seats)` : 'Defaults to the room size'}
+                />
+                <small style={{ color: 'var(--secondary-500)', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                  Bookings beyond capacity join the waitlist and are promoted in order when a seat frees up.
+                </small>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Notes</label>
+                <textarea
+                  className="form-input"
+                  rows="2"
+                  value={sessionForm.notes}
+                  onChange={(e) => setSessionForm(prev => ({ ...prev, notes: e.target.value }))}
+                  placeholder="Invigilator, access instructions..."
+                />
+              </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: '12px', marginTop: '24px', justifyContent: 'flex-end' }}>
+              <button className="btn btn-secondary" onClick={() => setSessionForm(null)} disabled={saveSessionMutation.isPending}>
+                Cancel
+              </button>
+              <button className="btn btn-primary" onClick={handleSaveSession} disabled={saveSessionMutation.isPending}>
+                {saveSessionMutation.isPending ? 'Saving...' : 'Save Session'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showRooms && <RoomManagerModal onClose={() => setShowRooms(false)} />}
+
+      {rosterSession && (
+        <SessionRosterModal session={rosterSession} onClose={() => setRosterSession(null)} />
+      )}
+    </div>
+  );
+};
+
+export default ExamSessions;
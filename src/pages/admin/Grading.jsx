@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { FiEdit3, FiUsers, FiAlertTriangle, FiCheckSquare } from 'react-icons/fi';
+import { useAuth } from '../../contexts/AuthContext';
+import { examAPI, gradingAPI } from '../../services/api';
+import { GRADING_STATUS, getCandidateLabel, getGradingAction, getGradingStatus } from '../../utils/exam/grading';
+import { stripRichText } from '../../utils/exam/richText';
+import GradingPanel from '../../components/exam/GradingPanel';
+
+const selectStyle = {
+  padding: '8px 12px',
+  border: '1px solid var(--secondary-300)',
+  borderRadius: '6px'
+};
+
+const ACTION_LABELS = { GRADE: 'Grade', RESOLVE: 'Resolve' };
+
+const truncate = (text, length = 80) => (text.length > length ? `${text.slice(0, length)}…` : text);
+
+// Queue of essay and short-answer responses waiting to be graded, across all
+// attempts, oldest first. Graders work through it one response at a time.
+const Grading = () => {
+  const { user } = useAuth();
+  const [filters, setFilters] = useState({ examId: '', type: '', status: 'OPEN' });
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['grading-queue', filters],
+    queryFn: async () => {
+      const response = await gradingAPI.getQueue({
+        examId: filters.examId || undefined,
+        type: filters.type || undefined,
+        status: filters.status,
+        limit: 200
+      });
+      return response.data?.data || {};
+    },
+    refetchInterval: 60000
+  });
+
+  const { data: examsData } = useQuery({
+    queryKey: ['admin-exams'],
+    queryFn: () => examAPI.getAllExams({ limit: 100 })
+  });
+  const exams = examsData?.data?.data?.exams || [];
+
+  const items = data?.responses || [];
+  const countStatus = (status) => data?.summary?.[status] ?? items.filter(item => getGradingStatus(item) === status).length;
+
+  // After saving, move on to the next response this grader can act on
+  const handleGraded = () => {
+    const index = items.findIndex(item => item.id === selectedId);
+    const next = [...items.slice(index + 1), ...items.slice(0, Math.max(index, 0))]
+      .find(item => getGradingAction(item, user));
+    setSelectedId(next ? next.id : null);
+  };
+
+  if (error) {
+    return (
+      <div className="error-container">
+        <h3>Error loading grading queue</h3>
+        <p>{error.message}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="dashboard-grid" style={{ marginBottom: '24px' }}>
+        <div className="dashboard-card">
+          <div className="dashboard-card-header">
+            <div className="dashboard-card-title">Ungraded</div>
+            <div className="dashboard-card-icon warning">
+              <FiEdit3 size={24} />
+            </div>
+          </div>
+          <div className="dashboard-card-value">{countStatus('UNGRADED')}</div>
+          <div className="dashboard-card-description">responses waiting for a first mark</div>
+        </div>
+        <div className="dashboard-card">
+          <div className="dashboard-card-header">
+            <div className="dashboard-card-title">Second Marking</div>
+            <div className="dashboard-card-icon primary">
+              <FiUsers size={24} />
+            </div>
+          </div>
+          <div className="dashboard-card-value">{countStatus('SECOND_MARK')}</div>
+          <div className="dashboard-card-description">double-marked responses needing another grader</div>
+        </div>
+        <div className="dashboard-card">
+          <div className="dashboard-card-header">
+            <div className="dashboard-card-title">Disagreements</div>
+            <div className={`dashboard-card-icon ${countStatus('DISAGREEMENT') ? 'danger' : 'success'}`}>
+              <FiAlertTriangle size={24} />
+            </div>
+          </div>
+          <div className="dashboard-card-value">{countStatus('DISAGREEMENT')}</div>
+          <div className="dashboard-card-description">marks too far apart to average</div>
+        </div>
+      </div>
+
+      {selectedId && (
+        <div style={{ marginBottom: '24px' }}>
+          <GradingPanel
+            key={selectedId}
+            responseId={selectedId}
+            user={user}
+            onClose={() => setSelectedId(null)}
+            onGraded={handleGraded}
+          />
+        </div>
+      )}
+
+      <div className="data-table-container">
+        <div className="data-table-header">
+          <h2 className="data-table-title">Grading Queue</h2>
+          <div className="data-table-actions">
+            <select
+              value={filters.examId}
+              onChange={(e) => setFilters(prev => ({ ...prev, examId: e.target.value }))}
+              style={{ ...selectStyle, marginRight: '12px' }}
+            >
+              <option value="">All Exams</option>
+              {exams.map(exam => (
+                <option key={exam.id} value={exam.id}>{exam.title}</option>
+              ))}
+            </select>
+            <select
+              value={filters.type}
+              onChange={(e) => setFilters(prev => ({ ...prev, type: e.target.value }))}
+              style={{ ...selectStyle, marginRight: '12px' }}
+            >
+              <option value="">Essay & Short Answer</option>
+              <option value="ESSAY">Essay</option>
+              <option value="SHORT_ANSWER">Short Answer</option>
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+              style={selectStyle}
+            >
+              <option value="OPEN">Needs Grading</option>
+              {Object.entries(GRADING_STATUS).map(([status, { label }]) => (
+                <option key={status} value={status}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading grading queue...</p>
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Candidate</th>
+                <th>Exam</th>
+                <th>Question</th>
+                <th>Type</th>
+                <th>Submitted</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.length === 0 ? (
+                <tr>
+                  <td colSpan="7" style={{ textAlign: 'center', padding: '20px' }}>
+                    <FiCheckSquare style={{ marginRight: '6px' }} />
+                    Nothing to grade
+                  </td>
+                </tr>
+              ) : (
+                items.map(item => {
+                  const status = getGradingStatus(item);
+                  const action = getGradingAction(item, user);
+                  return (
+                    <tr key={item.id} style={item.id === selectedId ? { backgroundColor: 'var(--primary-50)' } : undefined}>
+                      <td>{getCandidateLabel(item)}</td>
+                      <td>{item.exam?.title || '-'}</td>
+                      <td title={stripRichText(item.question?.text)}>{truncate(stripRichText(item.question?.text))}</td>
+                      <td>{item.question?.type === 'ESSAY' ? 'Essay' : 'Short answer'}</td>
+                      <td>{item.submittedAt ? new Date(item.submittedAt).toLocaleString() : '-'}</td>
+                      <td>
+                        <span className={`badge ${GRADING_STATUS[status].badge}`}>{GRADING_STATUS[status].label}</span>
+                      </td>
+                      <td>
+                        <div className="data-table-actions-cell">
+                          <button
+                            className={`btn ${action ? 'btn-primary' : 'btn-secondary'}`}
+                            style={{ padding: '4px 8px', fontSize: '12px' }}
+                            onClick={() => setSelectedId(item.id)}
+                          >
+                            {ACTION_LABELS[action] || 'View'}
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Grading;
@@ -0,0 +1,328 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import * as XLSX from 'xlsx';
+import { FiDollarSign, FiCheckCircle, FiAlertTriangle, FiDownload, FiFileText } from 'react-icons/fi';
+import { adminAPI } from '../../services/api';
+import {
+  RECONCILIATION_ISSUES,
+  buildCashUp,
+  buildCashUpWorkbook,
+  exportCashUpPdf,
+  getDayBounds,
+  reconcilePayments,
+  summarizePaymentsByDay,
+  toDayKey
+} from '../../utils/exam/reconciliation';
+import { formatCurrency } from '../../utils/exam/money';
+
+const inputStyle = {
+  padding: '8px 12px',
+  border: '1px solid var(--secondary-300)',
+  borderRadius: '6px'
+};
+
+const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString();
+
+const fetchReconciliation = async (fromDay, toDay) => {
+  const response = await adminAPI.getPaymentReconciliation(getDayBounds(fromDay, toDay));
+  return {
+    payments: response.data?.data?.payments || [],
+    bookings: response.data?.data?.bookings || []
+  };
+};
+
+const PaymentReconciliation = () => {
+  const today = toDayKey(new Date());
+  const [range, setRange] = useState({
+    from: toDayKey(Date.now() - 6 * 24 * 60 * 60 * 1000),
+    to: today
+  });
+  const [cashUpDay, setCashUpDay] = useState(today);
+  const [counted, setCounted] = useState({});
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['payment-reconciliation', range.from, range.to],
+    queryFn: () => fetchReconciliation(range.from, range.to),
+    enabled: !!range.from && !!range.to,
+    refetchInterval: 60000
+  });
+
+  const { data: cashUpData, isLoading: cashUpLoading } = useQuery({
+    queryKey: ['payment-reconciliation', cashUpDay, cashUpDay],
+    queryFn: () => fetchReconciliation(cashUpDay, cashUpDay),
+    enabled: !!cashUpDay
+  });
+
+  const payments = data?.payments || [];
+  const dailyRows = summarizePaymentsByDay(payments);
+  const { matched, issues } = reconcilePayments(payments, data?.bookings || []);
+  const cashUp = buildCashUp(cashUpData?.payments || [], cashUpDay, counted);
+  const currency = payments[0]?.currency || 'USD';
+  const netTotal = dailyRows.reduce((sum, row) => sum + row.net, 0);
+
+  const handleCashUpDayChange = (day) => {
+    setCashUpDay(day);
+    setCounted({});
+  };
+
+  const handleExportExcel = () => {
+    XLSX.writeFile(buildCashUpWorkbook(cashUp), `cash-up-${cashUp.day}.xlsx`);
+  };
+
+  const getVarianceColor = (variance) => {
+    if (variance === null || variance === 0) return 'inherit';
+    return variance < 0 ? 'var(--danger-600)' : 'var(--warning-600)';
+  };
+
+  if (error) {
+    return (
+      <div className="error-container">
+        <h3>Error loading payments</h3>
+        <p>{error.message}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="dashboard-grid" style={{ marginBottom: '24px' }}>
+        <div className="dashboard-card">
+          <div className="dashboard-card-header">
+            <div className="dashboard-card-title">Net Takings</div>
+            <div className="dashboard-card-icon primary">
+              <FiDollarSign size={24} />
+            </div>
+          </div>
+          <div className="dashboard-card-value">{formatCurrency(netTotal, currency)}</div>
+          <div className="dashboard-card-description">{dailyRows.reduce((sum, row) => sum + row.count, 0)} payments in period</div>
+        </div>
+        <div className="dashboard-card">
+          <div className="dashboard-card-header">
+            <div className="dashboard-card-title">Matched</div>
+            <div className="dashboard-card-icon success">
+              <FiCheckCircle size={24} />
+            </div>
+          </div>
+          <div className="dashboard-card-value">{matched}</div>
+          <div className="dashboard-card-description">payments matched to a booking</div>
+        </div>
+        <div className="dashboard-card">
+          <div className="dashboard-card-header">
+            <div className="dashboard-card-title">Exceptions</div>
+            <div className={`dashboard-card-icon ${issues.length ? 'danger' : 'success'}`}>
+              <FiAlertTriangle size={24} />
+            </div>
+          </div>
+          <div className="dashboard-card-value">{issues.length}</div>
+          <div className="dashboard-card-description">need checking by finance</div>
+        </div>
+      </div>
+
+      <div className="data-table-container" style={{ marginBottom: '24px' }}>
+        <div className="data-table-header">
+          <h2 className="data-table-title">Payment Reconciliation</h2>
+          <div className="data-table-actions">
+            <input
+              type="date"
+              value={range.from}
+              max={range.to}
+              onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+              aria-label="From date"
+              style={{ ...inputStyle, marginRight: '8px' }}
+            />
+            <input
+              type="date"
+              value={range.to}
+              min={range.from}
+              onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+              aria-label="To date"
+              style={inputStyle}
+            />
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading payments...</p>
+          </div>
+        ) : (
+          <>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Day</th>
+                  <th>Method</th>
+                  <th>Cashier</th>
+                  <th>Payments</th>
+                  <th>Taken</th>
+                  <th>Refunded</th>
+                  <th>Net</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dailyRows.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" style={{ textAlign: 'center', padding: '20px' }}>
+                      No payments in this period
+                    </td>
+                  </tr>
+                ) : (
+                  dailyRows.map(row => (
+                    <tr key={row.key}>
+                      <td>{formatDay(row.day)}</td>
+                      <td><span className="badge badge-secondary">{row.method}</span></td>
+                      <td>{row.cashier}</td>
+                      <td>{row.count}</td>
+                      <td>{formatCurrency(row.gross, row.currency)}</td>
+                      <td>{row.refunded ? formatCurrency(row.refunded, row.currency) : '-'}</td>
+                      <td style={{ fontWeight: '600' }}>{formatCurrency(row.net, row.currency)}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+
+            <h3 style={{ margin: '24px 0 12px', fontSize: '16px', fontWeight: '600' }}>Exceptions</h3>
+            {issues.length === 0 ? (
+              <div style={{ color: 'var(--secondary-600)', padding: '12px 0' }}>
+                Every payment matches a booking and every paid booking has a payment.
+              </div>
+            ) : (
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Issue</th>
+                    <th>Reference</th>
+                    <th>Student</th>
+                    <th>Test</th>
+                    <th>Amount</th>
+                    <th>Detail</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {issues.map(issue => (
+                    <tr key={issue.id}>
+                      <td>
+                        <span className={`badge ${RECONCILIATION_ISSUES[issue.type].badge}`}>
+                          {RECONCILIATION_ISSUES[issue.type].label}
+                        </span>
+                      </td>
+                      <td style={{ fontFamily: 'monospace' }}>{issue.reference}</td>
+                      <td>{issue.student}</td>
+                      <td>{issue.exam}</td>
+                      <td>{formatCurrency(issue.amount, issue.currency)}</td>
+                      <td style={{ fontSize: '13px', color: 'var(--secondary-600)' }}>{issue.detail}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="data-table-container">
+        <div className="data-table-header">
+          <h2 className="data-table-title">Daily Cash-Up</h2>
+          <div className="data-table-actions">
+            <input
+              type="date"
+              value={cashUpDay}
+              max={today}
+              onChange={(e) => handleCashUpDayChange(e.target.value)}
+              aria-label="Cash-up day"
+              style={{ ...inputStyle, marginRight: '12px' }}
+            />
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button className="btn btn-secondary" onClick={handleExportExcel} disabled={cashUpLoading}>
+                <FiDownload style={{ marginRight: '4px' }} /> Excel
+              </button>
+              <button className="btn btn-primary" onClick={() => exportCashUpPdf(cashUp)} disabled={cashUpLoading}>
+                <FiFileText style={{ marginRight: '4px' }} /> PDF
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {cashUpLoading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading cash-up...</p>
+          </div>
+        ) : (
+          <>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Cashier</th>
+                  <th>Cash Payments</th>
+                  <th>Taken</th>
+                  <th>Refunded</th>
+                  <th>Expected</th>
+                  <th>Counted</th>
+                  <th>Variance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {cashUp.cashiers.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" style={{ textAlign: 'center', padding: '20px' }}>
+                      No cash was taken on {formatDay(cashUpDay)}
+                    </td>
+                  </tr>
+                ) : (
+                  cashUp.cashiers.map(row => (
+                    <tr key={row.key}>
+                      <td style={{ fontWeight: '500' }}>{row.cashier}</td>
+                      <td>{row.count}</td>
+                      <td>{formatCurrency(row.taken, cashUp.currency)}</td>
+                      <td>{row.refunded ? formatCurrency(row.refunded, cashUp.currency) : '-'}</td>
+                      <td style={{ fontWeight: '600' }}>{formatCurrency(row.expected, cashUp.currency)}</td>
+                      <td>
+                        <input
+                          type="number"
+                          className="form-input"
+                          value={counted[row.key] ?? ''}
+                          onChange={(e) => setCounted(prev => ({ ...prev, [row.key]: e.target.value }))}
+                          min="0"
+                          step="0.01"
+                          placeholder="Counted"
+                          aria-label={`Cash counted by ${row.cashier}`}
+                          style={{ width: '120px' }}
+                        />
+                      </td>
+                      <td style={{ fontWeight: '600', color: getVarianceColor(row.variance) }}>
+                        {row.variance === null ? '-' : formatCurrency(row.variance, cashUp.currency)}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+
+            <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap', marginTop: '16px', fontSize: '14px' }}>
+              {cashUp.methods.map(row => (
+                <div key={row.method}>
+                  <span style={{ color: 'var(--secondary-600)' }}>{row.method}:</span>{' '}
+                  <strong>{formatCurrency(row.net, cashUp.currency)}</strong>{' '}
+                  <span style={{ color: 'var(--secondary-500)' }}>({row.count} payments)</span>
+                </div>
+              ))}
+              <div style={{ marginLeft: 'auto' }}>
+                Cash expected <strong>{formatCurrency(cashUp.totals.cashExpected, cashUp.currency)}</strong>
+                {cashUp.totals.variance !== null && (
+                  <span style={{ color: getVarianceColor(cashUp.totals.variance), marginLeft: '12px' }}>
+                    Variance <strong>{formatCurrency(cashUp.totals.variance, cashUp.currency)}</strong>
+                  </span>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentReconciliation;
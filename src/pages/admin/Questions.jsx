@@ -1,10 +1,46 @@
 import React, { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { questionAPI, categoryAPI, adminAPI } from '../../services/api';
+import { questionAPI, categoryAPI, adminAPI, rubricAPI } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
 import socketService from '../../services/socketService';
 import toast from 'react-hot-toast';
-import { FiPlus, FiEdit, FiPackage, FiTrash2, FiSearch, FiFilter } from 'react-icons/fi';
+import jsPDF from 'jspdf';
+import { FiPlus, FiEdit, FiPackage, FiTrash2, FiSearch, FiFilter, FiDownload, FiArchive, FiRotateCcw, FiClock, FiBarChart2, FiList } from 'react-icons/fi';
+import { moveItem } from '../../utils/exam/matchingOrdering';
+import { RUBRIC_QUESTION_TYPES } from '../../utils/exam/rubrics';
+import {
+  ANSWER_KEY_QUESTION_TYPES,
+  getAnswerKey,
+  getLegacyAnswerFields,
+  resizeAnswerKey,
+  toAnswerKeyPayload,
+  validateAnswerKey
+} from '../../utils/exam/answerKey';
+import { writeRichTextToPdf } from '../../utils/exam/richTextPdf';
+import { exportQuestions } from '../../utils/exam/questionExport';
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+import { saveAs } from 'file-saver';
+import RichText from '../../components/exam/RichText';
+import RichTextEditor from '../../components/exam/RichTextEditor';
+import QuestionImportPanel from '../../components/exam/QuestionImportPanel';
+import QuestionVersionHistory from '../../components/exam/QuestionVersionHistory';
+import ItemAnalysisPanel from '../../components/exam/ItemAnalysisPanel';
+import AnswerKeyEditor from '../../components/exam/AnswerKeyEditor';
+
+// Loads every page of questions matching the filters, for exports and
+// duplicate checks that need more than the page on screen
+const fetchAllQuestions = async (filters = {}) => {
+  const questions = [];
+  let page = 1;
+  let pages = 1;
+  do {
+    const response = await adminAPI.getAllQuestions({ ...filters, isActive: true, page, limit: 200 });
+    questions.push(...(response.data?.data?.questions || []));
+    pages = response.data?.data?.pagination?.pages || 1;
+    page += 1;
+  } while (page <= pages);
+  return questions;
+};
 
 const Questions = () => {
   const { user: currentUser } = useAuth();
@@ -15,6 +51,7 @@ const Questions = () => {
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [selectedDifficulty, setSelectedDifficulty] = useState('all');
   const [selectedType, setSelectedType] = useState('all');
+  const [selectedStatus, setSelectedStatus] = useState('ACTIVE');
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize, setPageSize] = useState(20);
   const [realTimeStats, setRealTimeStats] = useState({
@@ -64,7 +101,12 @@ const Questions = () => {
     type: 'MULTIPLE_CHOICE',
     correctAnswer: '',
     options: ['', '', '', ''],
+    matchingPairs: [{ left: '', right: '' }, { left: '', right: '' }, { left: '', right: '' }],
+    orderingItems: ['', '', ''],
     explanation: '',
+    rubricId: '',
+    showRubricToStudents: false,
+    answerKey: getAnswerKey(),
     points: 1,
     timeLimit: 60,
     images: []
@@ -73,11 +115,17 @@ const Questions = () => {
   const [isBulkInsert, setIsBulkInsert] = useState(false);
   const [bulkData, setBulkData] = useState('');
   const [bulkQuestionType, setBulkQuestionType] = useState('MULTIPLE_CHOICE');
+  const [bulkMode, setBulkMode] = useState('file');
+  const [changeNote, setChangeNote] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const [exportFormat, setExportFormat] = useState('PDF');
+  const [isExporting, setIsExporting] = useState(false);
+  const [showItemAnalysis, setShowItemAnalysis] = useState(false);
 
   // Reset page when filters change
   useEffect(() => {
     setCurrentPage(1);
-  }, [searchTerm, selectedCategory, selectedDifficulty, selectedType]);
+  }, [searchTerm, selectedCategory, selectedDifficulty, selectedType, selectedStatus]);
 
   // Pagination handlers
   const handlePageChange = (newPage) => {
@@ -91,12 +139,13 @@ const Questions = () => {
 
   // Fetch all questions
   const { data: questionsData, isLoading: questionsLoading, error: questionsError } = useQuery({
-    queryKey: ['questions', searchTerm, selectedCategory, selectedDifficulty, selectedType, currentPage, pageSize],
+    queryKey: ['questions', searchTerm, selectedCategory, selectedDifficulty, selectedType, selectedStatus, currentPage, pageSize],
     queryFn: () => adminAPI.getAllQuestions({ 
       search: searchTerm, 
       examCategoryId: selectedCategory !== 'all' ? selectedCategory : undefined,
       difficulty: selectedDifficulty !== 'all' ? selectedDifficulty : undefined,
       type: selectedType !== 'all' ? selectedType : undefined,
+      status: selectedStatus !== 'all' ? selectedStatus : undefined,
       isActive: true,
       page: currentPage,
       limit: pageSize
@@ -110,6 +159,37 @@ const Questions = () => {
     queryFn: () => categoryAPI.getAllCategories()
   });
 
+  // Whole bank, only needed to flag duplicates while importing a file
+  const { data: bankQuestions = [], isFetching: bankQuestionsLoading } = useQuery({
+    queryKey: ['questions', 'import-duplicate-check'],
+    queryFn: () => fetchAllQuestions(),
+    enabled: showAddModal && isBulkInsert && bulkMode === 'file',
+    staleTime: 60000
+  });
+
+  const questionFilters = {
+    search: searchTerm,
+    examCategoryId: selectedCategory !== 'all' ? selectedCategory : undefined,
+    difficulty: selectedDifficulty !== 'all' ? selectedDifficulty : undefined,
+    type: selectedType !== 'all' ? selectedType : undefined,
+    status: selectedStatus !== 'all' ? selectedStatus : undefined
+  };
+
+  // Item analysis covers every question matching the filters, not just this page
+  const { data: analysisQuestions = [], isLoading: analysisQuestionsLoading } = useQuery({
+    queryKey: ['questions', 'item-analysis', questionFilters],
+    queryFn: () => fetchAllQuestions(questionFilters),
+    enabled: showItemAnalysis,
+    staleTime: 60000
+  });
+
+  const { data: rubrics = [] } = useQuery({
+    queryKey: ['rubrics'],
+    queryFn: async () => (await rubricAPI.getRubrics()).data?.data?.rubrics || [],
+    enabled: showAddModal,
+    staleTime: 60000
+  });
+
   // Create question mutation
   const createQuestionMutation = useMutation({
     mutationFn: (questionData) => adminAPI.createQuestion(questionData),
@@ -124,7 +204,12 @@ const Questions = () => {
         type: 'MULTIPLE_CHOICE',
         correctAnswer: '',
         options: ['', '', '', ''],
+        matchingPairs: [{ left: '', right: '' }, { left: '', right: '' }, { left: '', right: '' }],
+        orderingItems: ['', '', ''],
         explanation: '',
+        rubricId: '',
+        showRubricToStudents: false,
+        answerKey: getAnswerKey(),
         points: 1,
         timeLimit: 60,
         images: []
@@ -138,9 +223,11 @@ const Questions = () => {
   // Update question mutation
   const updateQuestionMutation = useMutation({
     mutationFn: ({ questionId, questionData }) => adminAPI.updateQuestion(questionId, questionData),
-    onSuccess: () => {
+    onSuccess: (data, { questionId }) => {
       queryClient.invalidateQueries(['questions']);
+      queryClient.invalidateQueries(['question-versions', questionId]);
       toast.success('Question updated successfully!');
+      setChangeNote('');
       setShowAddModal(false);
       setEditingQuestion(null);
       setFormData({
@@ -150,7 +237,12 @@ const Questions = () => {
         type: 'MULTIPLE_CHOICE',
         correctAnswer: '',
         options: ['', '', '', ''],
+        matchingPairs: [{ left: '', right: '' }, { left: '', right: '' }, { left: '', right: '' }],
+        orderingItems: ['', '', ''],
         explanation: '',
+        rubricId: '',
+        showRubricToStudents: false,
+        answerKey: getAnswerKey(),
         points: 1,
         timeLimit: 60,
         images: []
@@ -161,6 +253,26 @@ const Questions = () => {
     }
   });
 
+  // Retired questions leave circulation but stay attached to past attempts
+  const retireQuestionMutation = useMutation({
+    mutationFn: ({ questionId, retire }) => (retire ? adminAPI.retireQuestion(questionId) : adminAPI.reinstateQuestion(questionId)),
+    onSuccess: (data, { retire }) => {
+      queryClient.invalidateQueries(['questions']);
+      toast.success(retire ? 'Question retired' : 'Question reinstated');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update question status');
+    }
+  });
+
+  const handleRetireQuestion = (question) => {
+    const retire = question.status !== 'RETIRED';
+    if (retire && !window.confirm('Retire this question? It will no longer be picked for new exams, but past results keep it.')) {
+      return;
+    }
+    retireQuestionMutation.mutate({ questionId: question.id, retire });
+  };
+
   // Bulk insert questions mutation
   const bulkInsertMutation = useMutation({
     mutationFn: (questionsData) => adminAPI.bulkCreateQuestions(questionsData),
@@ -177,9 +289,80 @@ const Questions = () => {
     }
   });
 
+  // Matching pairs and ordering items that have been filled in
+  const getCompletePairs = () =>
+    formData.matchingPairs.filter(pair => pair.left.trim() && pair.right.trim());
+  const getCompleteItems = () =>
+    formData.orderingItems.filter(item => item.trim());
+
+  // Short answers have a single blank; fill-in questions one per gap
+  const getEditedAnswerKey = () => (formData.type === 'SHORT_ANSWER'
+    ? { blanks: formData.answerKey.blanks.slice(0, 1) }
+    : formData.answerKey);
+
+  const getAnswerKeyProblem = () => (ANSWER_KEY_QUESTION_TYPES.includes(formData.type)
+    ? validateAnswerKey(getEditedAnswerKey())
+    : null);
+
+  const hasRequiredAnswer = () => {
+    if (ANSWER_KEY_QUESTION_TYPES.includes(formData.type)) return !getAnswerKeyProblem();
+    if (formData.type === 'MATCHING') return getCompletePairs().length >= 2;
+    if (formData.type === 'ORDERING') return getCompleteItems().length >= 2;
+    return formData.correctAnswer;
+  };
+
+  const buildQuestionOptions = () => {
+    if (formData.type === 'MULTIPLE_CHOICE') {
+      return formData.options.filter(opt => opt.trim()).map(option => ({
+        text: option,
+        isCorrect: option === formData.correctAnswer
+      }));
+    }
+    if (formData.type === 'FILL_IN_THE_BLANK') {
+      // One option per blank, which is how the exam screen counts them
+      return getLegacyAnswerFields(getEditedAnswerKey(), 'FILL_IN_THE_BLANK').options;
+    }
+    if (formData.type === 'MATCHING') {
+      // Each option is a prompt paired with the answer it matches
+      return getCompletePairs().map(pair => ({
+        text: pair.left.trim(),
+        matchText: pair.right.trim(),
+        isCorrect: true
+      }));
+    }
+    if (formData.type === 'ORDERING') {
+      // Items are authored in their correct order
+      return getCompleteItems().map((item, index) => ({
+        text: item.trim(),
+        correctOrder: index + 1,
+        isCorrect: true
+      }));
+    }
+    return [];
+  };
+
+  // Rubrics only apply to free-text questions
+  const getRubricFields = () => (RUBRIC_QUESTION_TYPES.includes(formData.type)
+    ? { rubricId: formData.rubricId || null, showRubricToStudents: !!formData.rubricId && formData.showRubricToStudents }
+    : { rubricId: null, showRubricToStudents: false });
+
+  // Accepted answers for auto-scored text questions. Short answers also keep
+  // correctAnswer filled in for screens that still read it.
+  const getAnswerKeyFields = () => {
+    if (!ANSWER_KEY_QUESTION_TYPES.includes(formData.type)) return { answerKey: null };
+    const answerKey = toAnswerKeyPayload(getEditedAnswerKey());
+    return formData.type === 'SHORT_ANSWER'
+      ? { answerKey, ...getLegacyAnswerFields(answerKey, 'SHORT_ANSWER') }
+      : { answerKey };
+  };
+
   const handleAddQuestion = () => {
-    if (formData.question && formData.categoryId && 
-        (formData.type === 'FILL_IN_THE_BLANK' ? formData.options.length > 0 : formData.correctAnswer)) {
+    const answerKeyProblem = getAnswerKeyProblem();
+    if (answerKeyProblem && formData.question && formData.categoryId) {
+      toast.error(answerKeyProblem);
+      return;
+    }
+    if (formData.question && formData.categoryId && hasRequiredAnswer()) {
       const questionData = {
         text: formData.question,
         examCategoryId: formData.categoryId,
@@ -187,15 +370,10 @@ const Questions = () => {
         type: formData.type,
         marks: formData.points,
         timeLimit: formData.timeLimit,
-        options: ['MULTIPLE_CHOICE', 'FILL_IN_THE_BLANK'].includes(formData.type) ? 
-          (formData.type === 'MULTIPLE_CHOICE' ? 
-            formData.options.filter(opt => opt.trim()).map((option, index) => ({
-              text: option,
-              isCorrect: option === formData.correctAnswer
-            })) : 
-            formData.options.filter(opt => opt.text && opt.text.trim()) // For fill-in-the-blank, use the structured options
-          ) : [],
-        explanation: formData.explanation
+        options: buildQuestionOptions(),
+        explanation: formData.explanation,
+        ...getRubricFields(),
+        ...getAnswerKeyFields()
       };
 
       // Create FormData for file upload
@@ -238,7 +416,32 @@ const Questions = () => {
             isCorrect: option.isCorrect || false
           }));
         }
+
+        if (q.type === 'MATCHING' && q.options) {
+          q.options = q.options.map(option => {
+            if (!option.text || !option.matchText) {
+              throw new Error(`Question ${index + 1}: matching options need both text and matchText`);
+            }
+            return { text: option.text, matchText: option.matchText, isCorrect: true };
+          });
+        }
+
+        // Ordering items are listed in their correct order unless correctOrder is given
+        if (q.type === 'ORDERING' && q.options) {
+          q.options = q.options.map((option, optionIndex) => ({
+            text: option.text || option,
+            correctOrder: option.correctOrder ?? optionIndex + 1,
+            isCorrect: true
+          }));
+        }
         
+        if (q.answerKey) {
+          const answerKeyProblem = validateAnswerKey(getAnswerKey(q));
+          if (answerKeyProblem) {
+            throw new Error(`Question ${index + 1}: ${answerKeyProblem}`);
+          }
+        }
+
         return {
           text: q.text,
           examCategoryId: q.examCategoryId,
@@ -246,7 +449,8 @@ const Questions = () => {
           type: q.type,
           marks: q.marks || 1,
           timeLimit: q.timeLimit || 60,
-          options: ['MULTIPLE_CHOICE', 'FILL_IN_THE_BLANK'].includes(q.type) ? (q.options || []) : []
+          options: ['MULTIPLE_CHOICE', 'FILL_IN_THE_BLANK', 'MATCHING', 'ORDERING'].includes(q.type) ? (q.options || []) : [],
+          ...(q.answerKey && ANSWER_KEY_QUESTION_TYPES.includes(q.type) ? { answerKey: toAnswerKeyPayload(getAnswerKey(q)) } : {})
         };
       });
       
@@ -258,6 +462,8 @@ const Questions = () => {
 
   const handleEditQuestion = (question) => {
     setEditingQuestion(question);
+    setChangeNote('');
+    setShowHistory(false);
     setFormData({
       question: question.text,
       categoryId: question.examCategoryId,
@@ -265,7 +471,18 @@ const Questions = () => {
       type: question.type,
       correctAnswer: question.correctAnswer,
       options: question.options?.map(opt => opt.text) || ['', '', '', ''],
+      matchingPairs: question.type === 'MATCHING' && question.options?.length
+        ? question.options.map(opt => ({ left: opt.text || '', right: opt.matchText || '' }))
+        : [{ left: '', right: '' }, { left: '', right: '' }, { left: '', right: '' }],
+      orderingItems: question.type === 'ORDERING' && question.options?.length
+        ? [...question.options]
+          .sort((a, b) => (a.correctOrder ?? 0) - (b.correctOrder ?? 0))
+          .map(opt => opt.text || '')
+        : ['', '', ''],
       explanation: question.explanation || '',
+      rubricId: question.rubricId || '',
+      showRubricToStudents: question.showRubricToStudents || false,
+      answerKey: getAnswerKey(question),
       points: question.marks || 1,
       timeLimit: question.timeLimit || 60,
       images: question.images || []
@@ -274,8 +491,12 @@ const Questions = () => {
   };
 
   const handleUpdateQuestion = () => {
-    if (formData.question && formData.categoryId && 
-        (formData.type === 'FILL_IN_THE_BLANK' ? formData.options.length > 0 : formData.correctAnswer)) {
+    const answerKeyProblem = getAnswerKeyProblem();
+    if (answerKeyProblem && formData.question && formData.categoryId) {
+      toast.error(answerKeyProblem);
+      return;
+    }
+    if (formData.question && formData.categoryId && hasRequiredAnswer()) {
       const questionData = {
         text: formData.question,
         examCategoryId: formData.categoryId,
@@ -283,14 +504,12 @@ const Questions = () => {
         type: formData.type,
         marks: formData.points,
         timeLimit: formData.timeLimit,
-        options: ['MULTIPLE_CHOICE', 'FILL_IN_THE_BLANK'].includes(formData.type) ? 
-          (formData.type === 'MULTIPLE_CHOICE' ? 
-            formData.options.filter(opt => opt.trim()).map((option, index) => ({
-              text: option,
-              isCorrect: option === formData.correctAnswer
-            })) : 
-            formData.options.filter(opt => opt.text && opt.text.trim()) // For fill-in-the-blank, use the structured options
-          ) : []
+        options: buildQuestionOptions(),
+        explanation: formData.explanation,
+        ...getRubricFields(),
+        ...getAnswerKeyFields(),
+        // Saved with the new version the server creates for this edit
+        changeNote: changeNote.trim() || undefined
       };
       updateQuestionMutation.mutate({ questionId: editingQuestion.id, questionData });
     } else {
@@ -313,6 +532,37 @@ const Questions = () => {
     setFormData({ ...formData, options: newOptions });
   };
 
+  const handlePairChange = (index, side, value) => {
+    const newPairs = formData.matchingPairs.map((pair, i) => (i === index ? { ...pair, [side]: value } : pair));
+    setFormData({ ...formData, matchingPairs: newPairs });
+  };
+
+  const addPair = () => {
+    setFormData({ ...formData, matchingPairs: [...formData.matchingPairs, { left: '', right: '' }] });
+  };
+
+  const removePair = (index) => {
+    setFormData({ ...formData, matchingPairs: formData.matchingPairs.filter((_, i) => i !== index) });
+  };
+
+  const handleOrderingItemChange = (index, value) => {
+    const newItems = [...formData.orderingItems];
+    newItems[index] = value;
+    setFormData({ ...formData, orderingItems: newItems });
+  };
+
+  const addOrderingItem = () => {
+    setFormData({ ...formData, orderingItems: [...formData.orderingItems, ''] });
+  };
+
+  const removeOrderingItem = (index) => {
+    setFormData({ ...formData, orderingItems: formData.orderingItems.filter((_, i) => i !== index) });
+  };
+
+  const moveOrderingItem = (fromIndex, toIndex) => {
+    setFormData({ ...formData, orderingItems: moveItem(formData.orderingItems, fromIndex, toIndex) });
+  };
+
   // Image upload handling
   const handleImageUpload = (event) => {
     const files = Array.from(event.target.files);
@@ -359,6 +609,89 @@ const Questions = () => {
   const categories = Array.isArray(categoriesData?.data?.data) ? categoriesData.data.data : [];
   const pagination = questionsData?.data?.data?.pagination || { page: 1, limit: 20, total: 0, pages: 1 };
 
+  // Writes the questions with their options and explanations, keeping math
+  // and code readable in the PDF
+  const exportQuestionsPdf = (questions) => {
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const maxWidth = pageWidth - 40;
+
+    doc.setFontSize(18);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Question Bank', pageWidth / 2, 20, { align: 'center' });
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`Generated: ${new Date().toLocaleDateString()} - ${questions.length} question(s)`, pageWidth / 2, 28, { align: 'center' });
+
+    let y = 42;
+    questions.forEach((q, index) => {
+      if (y > doc.internal.pageSize.getHeight() - 40) {
+        doc.addPage();
+        y = 20;
+      }
+
+      const category = q.exam_categories?.name || categories.find(c => c.id === q.examCategoryId)?.name || 'Unknown';
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.text(`Q${index + 1}  |  ${q.type}  |  ${q.difficulty}  |  ${category}  |  ${q.marks || 1} point(s)`, 20, y);
+      y = writeRichTextToPdf(doc, q.text, { x: 20, y: y + 6, maxWidth, fontStyle: 'bold' });
+
+      const options = q.type === 'ORDERING'
+        ? [...(q.options || [])].sort((a, b) => (a.correctOrder ?? 0) - (b.correctOrder ?? 0))
+        : q.options || [];
+      options.forEach((option, optionIndex) => {
+        const label = q.type === 'ORDERING' ? `${optionIndex + 1}.` : `${String.fromCharCode(65 + optionIndex)}.`;
+        const answer = q.type === 'MATCHING' ? ` -> ${option.matchText || ''}` : option.isCorrect ? ' (correct)' : '';
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'normal');
+        doc.text(label, 26, y + 1);
+        y = writeRichTextToPdf(doc, `${option.text || ''}${answer}`, { x: 34, y: y + 1, maxWidth: maxWidth - 14 });
+      });
+
+      if (q.explanation) {
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'bold');
+        doc.text('Explanation:', 20, y + 2);
+        y = writeRichTextToPdf(doc, q.explanation, { x: 20, y: y + 8, maxWidth, fontSize: 10 });
+      }
+      y += 8;
+    });
+
+    doc.save(`questions-${new Date().toISOString().split('T')[0]}.pdf`);
+  };
+
+  // Exports every question matching the current filters, not just this page
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const questions = await fetchAllQuestions(questionFilters);
+      if (!questions.length) {
+        toast.error('No questions to export');
+        return;
+      }
+
+      if (exportFormat === 'PDF') {
+        exportQuestionsPdf(questions);
+        toast.success(`Exported ${questions.length} questions`);
+        return;
+      }
+
+      const { blob, fileName, skipped } = exportQuestions(questions, exportFormat, categories);
+      saveAs(blob, fileName);
+      const exported = questions.length - skipped.length;
+      if (skipped.length) {
+        toast.success(`Exported ${exported} questions; ${skipped.length} skipped because ${EXAM_CONSTANTS.QUESTION_FILE_FORMATS[exportFormat].label} cannot represent their type`);
+      } else {
+        toast.success(`Exported ${exported} questions`);
+      }
+    } catch (error) {
+      console.error('Failed to export questions:', error);
+      toast.error('Failed to export questions');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
 
 
 
@@ -455,6 +788,22 @@ const Questions = () => {
               <option value="TRUE_FALSE">True/False</option>
               <option value="SHORT_ANSWER">Short Answer</option>
               <option value="ESSAY">Essay</option>
+              <option value="MATCHING">Matching</option>
+              <option value="ORDERING">Ordering</option>
+            </select>
+            <select
+              value={selectedStatus}
+              onChange={(e) => setSelectedStatus(e.target.value)}
+              style={{
+                padding: '8px 12px',
+                border: '1px solid var(--secondary-300)',
+                borderRadius: '6px',
+                marginRight: '12px'
+              }}
+            >
+              <option value="ACTIVE">Active</option>
+              <option value="RETIRED">Retired</option>
+              <option value="all">All Statuses</option>
             </select>
             <div style={{ display: 'flex', gap: '8px' }}>
               <button 
@@ -469,7 +818,12 @@ const Questions = () => {
                     type: 'MULTIPLE_CHOICE',
                     correctAnswer: '',
                     options: ['', '', '', ''],
+                    matchingPairs: [{ left: '', right: '' }, { left: '', right: '' }, { left: '', right: '' }],
+                    orderingItems: ['', '', ''],
                     explanation: '',
+                    rubricId: '',
+                    showRubricToStudents: false,
+                    answerKey: getAnswerKey(),
                     points: 1,
                     timeLimit: 60,
                     images: []
@@ -479,6 +833,28 @@ const Questions = () => {
               >
                 <FiPlus style={{ marginRight: '4px' }} /> Add Question
               </button>
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                aria-label="Export format"
+                style={{
+                  padding: '8px 12px',
+                  border: '1px solid var(--secondary-300)',
+                  borderRadius: '6px'
+                }}
+              >
+                <option value="PDF">PDF</option>
+                {Object.entries(EXAM_CONSTANTS.QUESTION_FILE_FORMATS).map(([key, format]) => (
+                  <option key={key} value={key}>{format.label}</option>
+                ))}
+              </select>
+              <button
+                className="btn btn-secondary"
+                onClick={handleExport}
+                disabled={isExporting}
+              >
+                <FiDownload style={{ marginRight: '4px' }} /> {isExporting ? 'Exporting...' : 'Export'}
+              </button>
               <button 
                 className="btn btn-secondary"
                 onClick={() => {
@@ -490,10 +866,26 @@ const Questions = () => {
               >
                 <FiPackage style={{ marginRight: '4px' }} /> Bulk Insert
               </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => setShowItemAnalysis(prev => !prev)}
+              >
+                {showItemAnalysis
+                  ? <><FiList style={{ marginRight: '4px' }} /> Question List</>
+                  : <><FiBarChart2 style={{ marginRight: '4px' }} /> Item Analysis</>}
+              </button>
             </div>
           </div>
         </div>
 
+        {showItemAnalysis ? (
+          analysisQuestionsLoading ? (
+            <div style={{ padding: '24px', color: 'var(--secondary-600)' }}>Loading questions...</div>
+          ) : (
+            <ItemAnalysisPanel questions={analysisQuestions} filters={questionFilters} />
+          )
+        ) : (
+        <>
         <table className="data-table">
           <thead>
             <tr>
@@ -510,8 +902,10 @@ const Questions = () => {
             {filteredQuestions.map((q) => (
               <tr key={q.id}>
                 <td style={{ maxWidth: '300px' }}>
-                  <div style={{ fontWeight: '500', color: 'var(--secondary-900)' }}>
-                    {q.text}
+                  <RichText text={q.text} style={{ fontWeight: '500', color: 'var(--secondary-900)' }} />
+                  <div style={{ display: 'flex', gap: '6px', marginTop: '4px' }}>
+                    {q.version > 1 && <span className="badge badge-primary">v{q.version}</span>}
+                    {q.status === 'RETIRED' && <span className="badge badge-danger">Retired</span>}
                   </div>
                 </td>
                 <td>
@@ -539,6 +933,16 @@ const Questions = () => {
                     >
                       <FiEdit style={{ marginRight: '4px' }} /> Edit
                     </button>
+                    <button
+                      className="btn btn-secondary"
+                      style={{ padding: '4px 8px', fontSize: '12px' }}
+                      onClick={() => handleRetireQuestion(q)}
+                      disabled={retireQuestionMutation.isPending}
+                    >
+                      {q.status === 'RETIRED'
+                        ? <><FiRotateCcw style={{ marginRight: '4px' }} /> Reinstate</>
+                        : <><FiArchive style={{ marginRight: '4px' }} /> Retire</>}
+                    </button>
                   </div>
                 </td>
               </tr>
@@ -640,6 +1044,8 @@ const Questions = () => {
             No questions found
           </div>
         )}
+        </>
+        )}
       </div>
 
       {/* Add/Edit Question Modal */}
@@ -669,7 +1075,30 @@ const Questions = () => {
               {editingQuestion ? 'Edit Question' : (isBulkInsert ? 'Bulk Insert Questions' : 'Add New Question')}
             </h3>
             
-            {isBulkInsert ? (
+            {isBulkInsert && (
+              <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+                {[{ key: 'file', label: 'Import File' }, { key: 'json', label: 'Paste JSON' }].map(mode => (
+                  <button
+                    key={mode.key}
+                    type="button"
+                    className={`btn ${bulkMode === mode.key ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setBulkMode(mode.key)}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {isBulkInsert && bulkMode === 'file' ? (
+              <QuestionImportPanel
+                categories={categories}
+                existingQuestions={bankQuestions}
+                isCheckingDuplicates={bankQuestionsLoading}
+                onImport={(questions) => bulkInsertMutation.mutate(questions)}
+                isImporting={bulkInsertMutation.isPending}
+              />
+            ) : isBulkInsert ? (
               <div style={{ display: 'grid', gap: '16px' }}>
                 <div>
                   <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
@@ -701,7 +1130,7 @@ const Questions = () => {
                     Questions JSON *
                   </label>
                   <div style={{ marginBottom: '8px', fontSize: '14px', color: 'var(--secondary-600)' }}>
-                    Enter an array of questions in JSON format. Each question should have: text, examCategoryId, type, difficulty (optional), marks (optional), timeLimit (optional), and options (for MULTIPLE_CHOICE, FILL_IN_THE_BLANK types).
+                    Enter an array of questions in JSON format. Each question should have: text, examCategoryId, type, difficulty (optional), marks (optional), timeLimit (optional), and options (for MULTIPLE_CHOICE, FILL_IN_THE_BLANK, MATCHING and ORDERING types).
                     <button
                       type="button"
                       onClick={() => {
@@ -776,6 +1205,37 @@ const Questions = () => {
                               ]
                             }
                           ];
+                        } else if (bulkQuestionType === 'MATCHING') {
+                          sampleData = [
+                            {
+                              "text": "Match each country with its capital.",
+                              "examCategoryId": categories[0]?.id || "cat_001",
+                              "type": "MATCHING",
+                              "difficulty": "EASY",
+                              "marks": 3,
+                              "options": [
+                                {"text": "France", "matchText": "Paris"},
+                                {"text": "Japan", "matchText": "Tokyo"},
+                                {"text": "Kenya", "matchText": "Nairobi"}
+                              ]
+                            }
+                          ];
+                        } else if (bulkQuestionType === 'ORDERING') {
+                          sampleData = [
+                            {
+                              "text": "Put the project phases in the order they happen.",
+                              "examCategoryId": categories[0]?.id || "cat_001",
+                              "type": "ORDERING",
+                              "difficulty": "MEDIUM",
+                              "marks": 4,
+                              "options": [
+                                {"text": "Initiation"},
+                                {"text": "Planning"},
+                                {"text": "Execution"},
+                                {"text": "Closure"}
+                              ]
+                            }
+                          ];
                         } else {
                           sampleData = [
                             {
@@ -857,17 +1317,10 @@ const Questions = () => {
                 <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
                   Question *
                 </label>
-                <textarea
+                <RichTextEditor
                   value={formData.question}
-                  onChange={(e) => setFormData({ ...formData, question: e.target.value })}
+                  onChange={(question) => setFormData(prev => ({ ...prev, question }))}
                   rows={3}
-                  style={{
-                    width: '100%',
-                    padding: '12px',
-                    border: '1px solid var(--secondary-300)',
-                    borderRadius: '6px',
-                    resize: 'vertical'
-                  }}
                 />
               </div>
 
@@ -917,7 +1370,12 @@ const Questions = () => {
                   </label>
                   <select
                     value={formData.type}
-                    onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                    onChange={(e) => setFormData({
+                      ...formData,
+                      type: e.target.value,
+                      // A short answer needs a blank even if the fill-in text had none
+                      answerKey: formData.answerKey.blanks.length ? formData.answerKey : getAnswerKey()
+                    })}
                     style={{
                       width: '100%',
                       padding: '12px',
@@ -1011,6 +1469,25 @@ const Questions = () => {
                       )}
                     </div>
                   ))}
+                  {formData.options.some(option => option.trim()) && (
+                    <div style={{
+                      padding: '8px 12px',
+                      border: '1px dashed var(--secondary-300)',
+                      borderRadius: '6px',
+                      backgroundColor: 'var(--secondary-50)',
+                      fontSize: '14px'
+                    }}>
+                      <div style={{ fontSize: '12px', color: 'var(--secondary-500)', marginBottom: '4px' }}>
+                        Options preview (Markdown, $LaTeX$ and `code` are supported)
+                      </div>
+                      {formData.options.map((option, index) => option.trim() && (
+                        <div key={index} style={{ display: 'flex', gap: '8px', padding: '2px 0' }}>
+                          <span style={{ fontWeight: '500', color: 'var(--secondary-600)' }}>{String.fromCharCode(65 + index)}.</span>
+                          <RichText text={option} inline />
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   <button
                     type="button"
                     onClick={addOption}
@@ -1028,6 +1505,166 @@ const Questions = () => {
                 </div>
               )}
 
+              {formData.type === 'MATCHING' && (
+                <div>
+                  <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                    Matching Pairs *
+                  </label>
+                  <p style={{ fontSize: '12px', color: 'var(--secondary-600)', margin: '0 0 8px' }}>
+                    Enter each item with the answer it matches. Students see the answers shuffled.
+                  </p>
+                  {formData.matchingPairs.map((pair, index) => (
+                    <div key={index} style={{ display: 'flex', gap: '8px', marginBottom: '8px', alignItems: 'center' }}>
+                      <input
+                        type="text"
+                        value={pair.left}
+                        onChange={(e) => handlePairChange(index, 'left', e.target.value)}
+                        placeholder={`Item ${index + 1}`}
+                        style={{
+                          flex: 1,
+                          padding: '8px 12px',
+                          border: '1px solid var(--secondary-300)',
+                          borderRadius: '6px'
+                        }}
+                      />
+                      <span style={{ color: 'var(--secondary-500)' }}>→</span>
+                      <input
+                        type="text"
+                        value={pair.right}
+                        onChange={(e) => handlePairChange(index, 'right', e.target.value)}
+                        placeholder={`Matches ${index + 1}`}
+                        style={{
+                          flex: 1,
+                          padding: '8px 12px',
+                          border: '1px solid var(--secondary-300)',
+                          borderRadius: '6px'
+                        }}
+                      />
+                      {formData.matchingPairs.length > 2 && (
+                        <button
+                          type="button"
+                          onClick={() => removePair(index)}
+                          style={{
+                            padding: '8px 12px',
+                            border: 'none',
+                            borderRadius: '6px',
+                            backgroundColor: 'var(--danger-500)',
+                            color: 'white',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={addPair}
+                    style={{
+                      padding: '8px 16px',
+                      border: '1px solid var(--secondary-300)',
+                      borderRadius: '6px',
+                      backgroundColor: 'white',
+                      cursor: 'pointer',
+                      marginTop: '8px'
+                    }}
+                  >
+                    + Add Pair
+                  </button>
+                </div>
+              )}
+
+              {formData.type === 'ORDERING' && (
+                <div>
+                  <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                    Items in Correct Order *
+                  </label>
+                  <p style={{ fontSize: '12px', color: 'var(--secondary-600)', margin: '0 0 8px' }}>
+                    List the items from first to last. Students see them shuffled.
+                  </p>
+                  {formData.orderingItems.map((item, index) => (
+                    <div key={index} style={{ display: 'flex', gap: '8px', marginBottom: '8px', alignItems: 'center' }}>
+                      <span style={{ fontSize: '12px', color: 'var(--secondary-600)', minWidth: '24px' }}>
+                        {index + 1}.
+                      </span>
+                      <input
+                        type="text"
+                        value={item}
+                        onChange={(e) => handleOrderingItemChange(index, e.target.value)}
+                        placeholder={`Item ${index + 1}`}
+                        style={{
+                          flex: 1,
+                          padding: '8px 12px',
+                          border: '1px solid var(--secondary-300)',
+                          borderRadius: '6px'
+                        }}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => moveOrderingItem(index, index - 1)}
+                        disabled={index === 0}
+                        aria-label={`Move item ${index + 1} up`}
+                        style={{
+                          padding: '8px',
+                          border: '1px solid var(--secondary-300)',
+                          borderRadius: '6px',
+                          backgroundColor: 'white',
+                          cursor: index === 0 ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => moveOrderingItem(index, index + 1)}
+                        disabled={index === formData.orderingItems.length - 1}
+                        aria-label={`Move item ${index + 1} down`}
+                        style={{
+                          padding: '8px',
+                          border: '1px solid var(--secondary-300)',
+                          borderRadius: '6px',
+                          backgroundColor: 'white',
+                          cursor: index === formData.orderingItems.length - 1 ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        ↓
+                      </button>
+                      {formData.orderingItems.length > 2 && (
+                        <button
+                          type="button"
+                          onClick={() => removeOrderingItem(index)}
+                          style={{
+                            padding: '8px 12px',
+                            border: 'none',
+                            borderRadius: '6px',
+                            backgroundColor: 'var(--danger-500)',
+                            color: 'white',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={addOrderingItem}
+                    style={{
+                      padding: '8px 16px',
+                      border: '1px solid var(--secondary-300)',
+                      borderRadius: '6px',
+                      backgroundColor: 'white',
+                      cursor: 'pointer',
+                      marginTop: '8px'
+                    }}
+                  >
+                    + Add Item
+                  </button>
+                </div>
+              )}
+
               {formData.type === 'FILL_IN_THE_BLANK' && (
                 <div>
                   <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
@@ -1041,7 +1678,7 @@ const Questions = () => {
                     border: '1px solid var(--secondary-200)'
                   }}>
                     <p style={{ fontSize: '12px', color: 'var(--secondary-600)', marginBottom: '8px' }}>
-                      💡 <strong>Tip:</strong> Use parentheses () to mark blanks. Each set of parentheses will become a fill-in option.
+                      💡 <strong>Tip:</strong> Use parentheses () to mark blanks. Each set of parentheses becomes a blank, and the text inside it its first accepted answer.
                     </p>
                     <p style={{ fontSize: '12px', color: 'var(--secondary-600)' }}>
                       <strong>Example:</strong> "When planning the upcoming conference ( ) how should we handle the keynote speaker's schedule ( ) to ensure that all attendees ( ) have the best possible experience?"
@@ -1051,17 +1688,9 @@ const Questions = () => {
                     value={formData.question}
                     onChange={(e) => {
                       const text = e.target.value;
-                      setFormData({ ...formData, question: text });
-                      
-                      // Auto-generate options from parentheses
-                      const matches = text.match(/\([^)]*\)/g);
-                      if (matches) {
-                        const newOptions = matches.map((match, index) => ({
-                          text: match.slice(1, -1), // Remove parentheses
-                          isCorrect: false
-                        }));
-                        setFormData(prev => ({ ...prev, options: newOptions }));
-                      }
+                      // One blank per set of parentheses
+                      const values = (text.match(/\([^)]*\)/g) || []).map(match => match.slice(1, -1).trim());
+                      setFormData({ ...formData, question: text, answerKey: resizeAnswerKey(formData.answerKey, values) });
                     }}
                     rows={4}
                     placeholder="Enter your question text with blanks marked by parentheses ()"
@@ -1074,66 +1703,35 @@ const Questions = () => {
                     }}
                   />
                   
-                  {formData.options.length > 0 && (
+                  {formData.answerKey.blanks.length > 0 && (
                     <div style={{ marginTop: '16px' }}>
                       <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
-                        Fill-in Options (Generated from parentheses)
+                        Accepted Answers *
                       </label>
-                      {formData.options.map((option, index) => (
-                        <div key={index} style={{ 
-                          display: 'flex', 
-                          gap: '8px', 
-                          marginBottom: '8px',
-                          alignItems: 'center'
-                        }}>
-                          <span style={{ 
-                            fontSize: '12px', 
-                            color: 'var(--secondary-600)',
-                            minWidth: '60px'
-                          }}>
-                            Blank {index + 1}:
-                          </span>
-                          <input
-                            type="text"
-                            value={option.text}
-                            onChange={(e) => {
-                              const newOptions = [...formData.options];
-                              newOptions[index].text = e.target.value;
-                              setFormData({ ...formData, options: newOptions });
-                            }}
-                            placeholder={`Answer for blank ${index + 1}`}
-                            style={{
-                              flex: '1',
-                              padding: '8px',
-                              border: '1px solid var(--secondary-300)',
-                              borderRadius: '4px'
-                            }}
-                          />
-                          <label style={{ 
-                            display: 'flex', 
-                            alignItems: 'center', 
-                            gap: '4px',
-                            cursor: 'pointer'
-                          }}>
-                            <input
-                              type="checkbox"
-                              checked={option.isCorrect}
-                              onChange={(e) => {
-                                const newOptions = [...formData.options];
-                                newOptions[index].isCorrect = e.target.checked;
-                                setFormData({ ...formData, options: newOptions });
-                              }}
-                            />
-                            <span style={{ fontSize: '12px' }}>Correct</span>
-                          </label>
-                        </div>
-                      ))}
+                      <AnswerKeyEditor
+                        answerKey={formData.answerKey}
+                        onChange={(answerKey) => setFormData({ ...formData, answerKey })}
+                        marks={formData.points}
+                      />
                     </div>
                   )}
                 </div>
               )}
 
-              {formData.type !== 'FILL_IN_THE_BLANK' && (
+              {formData.type === 'SHORT_ANSWER' && (
+                <div>
+                  <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                    Accepted Answers *
+                  </label>
+                  <AnswerKeyEditor
+                    answerKey={getEditedAnswerKey()}
+                    onChange={(answerKey) => setFormData({ ...formData, answerKey })}
+                    marks={formData.points}
+                  />
+                </div>
+              )}
+
+              {!['FILL_IN_THE_BLANK', 'SHORT_ANSWER', 'MATCHING', 'ORDERING'].includes(formData.type) && (
                 <div>
                   <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
                     Correct Answer *
@@ -1170,22 +1768,53 @@ const Questions = () => {
                 </div>
               )}
 
+              {RUBRIC_QUESTION_TYPES.includes(formData.type) && (
+                <div>
+                  <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                    Rubric
+                  </label>
+                  <select
+                    value={formData.rubricId}
+                    onChange={(e) => setFormData({ ...formData, rubricId: e.target.value })}
+                    style={{
+                      width: '100%',
+                      padding: '12px',
+                      border: '1px solid var(--secondary-300)',
+                      borderRadius: '6px'
+                    }}
+                  >
+                    <option value="">No rubric (graders enter marks)</option>
+                    {rubrics.map(rubric => (
+                      <option key={rubric.id} value={rubric.id}>{rubric.name}</option>
+                    ))}
+                  </select>
+                  {formData.rubricId && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px' }}>
+                      <input
+                        type="checkbox"
+                        id="showRubricToStudents"
+                        checked={formData.showRubricToStudents}
+                        onChange={(e) => setFormData({ ...formData, showRubricToStudents: e.target.checked })}
+                        style={{ width: '16px', height: '16px' }}
+                      />
+                      <label htmlFor="showRubricToStudents" style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+                        Show the rubric and its scores to students in their results
+                      </label>
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div>
                 <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
                   Explanation
                 </label>
-                <textarea
+                <RichTextEditor
                   value={formData.explanation}
-                  onChange={(e) => setFormData({ ...formData, explanation: e.target.value })}
+                  onChange={(explanation) => setFormData(prev => ({ ...prev, explanation }))}
                   rows={3}
                   placeholder="Optional explanation for the correct answer..."
-                  style={{
-                    width: '100%',
-                    padding: '12px',
-                    border: '1px solid var(--secondary-300)',
-                    borderRadius: '6px',
-                    resize: 'vertical'
-                  }}
+                  defaultPreview={false}
                 />
               </div>
 
@@ -1267,6 +1896,50 @@ const Questions = () => {
                   </div>
                 )}
               </div>
+
+              {editingQuestion && (
+                <>
+                  <div>
+                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                      Change Note
+                    </label>
+                    <input
+                      type="text"
+                      value={changeNote}
+                      onChange={(e) => setChangeNote(e.target.value)}
+                      placeholder="Optional: what changed in this version"
+                      style={{
+                        width: '100%',
+                        padding: '12px',
+                        border: '1px solid var(--secondary-300)',
+                        borderRadius: '6px'
+                      }}
+                    />
+                    <div style={{ fontSize: '12px', color: 'var(--secondary-500)', marginTop: '4px' }}>
+                      Saving creates version {(editingQuestion.version || 1) + 1}. Attempts already taken keep the version they were shown.
+                    </div>
+                  </div>
+
+                  <div style={{ borderTop: '1px solid var(--secondary-200)', paddingTop: '16px' }}>
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={() => setShowHistory(prev => !prev)}
+                      style={{ marginBottom: showHistory ? '12px' : 0 }}
+                    >
+                      <FiClock style={{ marginRight: '4px' }} />
+                      {showHistory ? 'Hide Version History' : 'Show Version History'}
+                    </button>
+                    {showHistory && (
+                      <QuestionVersionHistory
+                        question={editingQuestion}
+                        categories={categories}
+                        onReverted={(question) => (question ? handleEditQuestion(question) : setShowAddModal(false))}
+                      />
+                    )}
+                  </div>
+                </>
+              )}
             </div>
             )}
 
@@ -1282,13 +1955,15 @@ const Questions = () => {
               >
                 Cancel
               </button>
-              <button
-                className="btn btn-primary"
-                onClick={editingQuestion ? handleUpdateQuestion : (isBulkInsert ? handleBulkInsert : handleAddQuestion)}
-                disabled={createQuestionMutation.isPending || updateQuestionMutation.isPending || bulkInsertMutation.isPending}
-              >
-                {createQuestionMutation.isPending || updateQuestionMutation.isPending || bulkInsertMutation.isPending ? 'Saving...' : (editingQuestion ? 'Update Question' : (isBulkInsert ? 'Create Questions' : 'Add Question'))}
-              </button>
+              {!(isBulkInsert && bulkMode === 'file') && (
+                <button
+                  className="btn btn-primary"
+                  onClick={editingQuestion ? handleUpdateQuestion : (isBulkInsert ? handleBulkInsert : handleAddQuestion)}
+                  disabled={createQuestionMutation.isPending || updateQuestionMutation.isPending || bulkInsertMutation.isPending}
+                >
+                  {createQuestionMutation.isPending || updateQuestionMutation.isPending || bulkInsertMutation.isPending ? 'Saving...' : (editingQuestion ? 'Update Question' : (isBulkInsert ? 'Create Questions' : 'Add Question'))}
+                </button>
+              )}
             </div>
           </div>
         </div>
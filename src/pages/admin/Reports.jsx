@@ -1,13 +1,34 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation } from '@tanstack/react-query';
-import { FiUsers, FiFileText, FiHelpCircle, FiBarChart2, FiDownload, FiTrendingUp, FiCheckCircle, FiClock, FiXCircle } from 'react-icons/fi';
-import { adminAPI } from '../../services/api';
+import { FiUsers, FiFileText, FiHelpCircle, FiBarChart2, FiDownload, FiTrendingUp, FiCheckCircle, FiClock, FiXCircle, FiTag } from 'react-icons/fi';
+import { adminAPI, couponAPI } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
 import toast from 'react-hot-toast';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import * as XLSX from 'xlsx';
 import { saveAs } from 'file-saver';
+import { summarizeRedemptions } from '../../utils/exam/coupons';
+
+const RANGE_DAYS = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+
+// { from, to } ISO bounds of the selected period, for server-side filtering
+const getDateRangeBounds = (dateRange, customDateRange) => {
+  if (dateRange === 'custom') {
+    return {
+      from: customDateRange.start ? new Date(`${customDateRange.start}T00:00:00`).toISOString() : undefined,
+      to: customDateRange.end ? new Date(`${customDateRange.end}T23:59:59`).toISOString() : undefined
+    };
+  }
+  const now = new Date();
+  return {
+    from: new Date(now.getTime() - (RANGE_DAYS[dateRange] || 30) * 24 * 60 * 60 * 1000).toISOString(),
+    to: now.toISOString()
+  };
+};
+
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount);
 
 const Reports = () => {
   const { user: currentUser } = useAuth();
@@ -65,6 +86,17 @@ const Reports = () => {
     refetchInterval: 60000
   });
 
+  // Coupon redemptions in the selected period, only loaded for the coupon report
+  const { data: redemptions = [], isLoading: redemptionsLoading } = useQuery({
+    queryKey: ['coupon-redemptions', dateRange, customDateRange.start, customDateRange.end],
+    queryFn: async () => {
+      const response = await couponAPI.getRedemptions(getDateRangeBounds(dateRange, customDateRange));
+      return response.data?.data?.redemptions || [];
+    },
+    enabled: reportType === 'coupons'
+  });
+  const redemptionSummary = summarizeRedemptions(redemptions);
+
   // Export report mutation
   const exportReportMutation = useMutation({
     mutationFn: (exportData) => adminAPI.exportData(exportData),
@@ -244,6 +276,44 @@ const Reports = () => {
       });
     }
     
+    // Add coupon redemption data
+    if (reportType === 'coupons') {
+      const { totals } = redemptionSummary;
+      doc.setFontSize(16);
+      doc.setFont('helvetica', 'bold');
+      doc.text('Coupon Redemptions', 20, yPosition);
+      yPosition += 10;
+
+      autoTable(doc, {
+        startY: yPosition,
+        head: [['Metric', 'Value']],
+        body: [
+          ['Redemptions', totals.redemptions],
+          ['Students', totals.students],
+          ['Discount Given', formatMoney(totals.discountTotal, totals.currency)],
+          ['Invoiced After Discount', formatMoney(totals.netTotal, totals.currency)]
+        ],
+        theme: 'grid',
+        headStyles: { fillColor: [66, 139, 202] }
+      });
+
+      yPosition = doc.lastAutoTable.finalY + 15;
+      autoTable(doc, {
+        startY: yPosition,
+        head: [['Code', 'Batch', 'Redemptions', 'Students', 'Discount', 'Invoiced']],
+        body: redemptionSummary.coupons.map(entry => [
+          entry.code,
+          entry.batch || '-',
+          entry.redemptions,
+          entry.students,
+          formatMoney(entry.discountTotal, entry.currency),
+          formatMoney(entry.netTotal, entry.currency)
+        ]),
+        theme: 'grid',
+        headStyles: { fillColor: [66, 139, 202] }
+      });
+    }
+    
     // Save the PDF
     const fileName = `report-${reportType}-${new Date().toISOString().split('T')[0]}.pdf`;
     doc.save(fileName);
@@ -452,13 +522,46 @@ const Reports = () => {
           reportData.push([{ v: type.type, s: metricStyle }, { v: type.count, s: valueStyle }]);
         });
       }
+    } else if (reportType === 'coupons') {
+      const { totals } = redemptionSummary;
+      sheetName = 'Coupon Report';
+      reportData = [
+        [{ v: 'Coupon Redemptions', s: titleStyle }],
+        [],
+        [{ v: 'Metric', s: dataHeaderStyle }, { v: 'Value', s: dataHeaderStyle }],
+        [{ v: 'Redemptions', s: metricStyle }, { v: totals.redemptions, s: valueStyle }],
+        [{ v: 'Students', s: metricStyle }, { v: totals.students, s: valueStyle }],
+        [{ v: 'Discount Given', s: metricStyle }, { v: totals.discountTotal, s: valueStyle }],
+        [{ v: 'Invoiced After Discount', s: metricStyle }, { v: totals.netTotal, s: valueStyle }],
+        [],
+        [{ v: 'By Coupon', s: subHeaderStyle }],
+        [],
+        ['Code', 'Batch', 'Redemptions', 'Students', 'Discount', 'Invoiced'].map(header => ({ v: header, s: dataHeaderStyle })),
+        ...redemptionSummary.coupons.map(entry => [
+          { v: entry.code, s: metricStyle },
+          { v: entry.batch || '-', s: valueStyle },
+          { v: entry.redemptions, s: valueStyle },
+          { v: entry.students, s: valueStyle },
+          { v: entry.discountTotal, s: valueStyle },
+          { v: entry.netTotal, s: valueStyle }
+        ])
+      ];
     }
     
     if (reportData.length > 0) {
       const reportSheet = XLSX.utils.aoa_to_sheet(reportData);
       
       // Set column widths for report sheet
-      if (reportType === 'exams' && examStats.recentAttempts && examStats.recentAttempts.length > 0) {
+      if (reportType === 'coupons') {
+        reportSheet['!cols'] = [
+          { width: 25 }, // Code
+          { width: 25 }, // Batch
+          { width: 14 }, // Redemptions
+          { width: 12 }, // Students
+          { width: 14 }, // Discount
+          { width: 14 }  // Invoiced
+        ];
+      } else if (reportType === 'exams' && examStats.recentAttempts && examStats.recentAttempts.length > 0) {
         reportSheet['!cols'] = [
           { width: 30 }, // Exam Title
           { width: 20 }, // User Name
@@ -596,6 +699,19 @@ const Reports = () => {
         });
         csvContent += '\n';
       }
+    } else if (reportType === 'coupons') {
+      const { totals } = redemptionSummary;
+      csvContent += 'Coupon Redemptions\n';
+      csvContent += 'Metric,Value\n';
+      csvContent += `Redemptions,${totals.redemptions}\n`;
+      csvContent += `Students,${totals.students}\n`;
+      csvContent += `Discount Given,${totals.discountTotal}\n`;
+      csvContent += `Invoiced After Discount,${totals.netTotal}\n\n`;
+      csvContent += 'Code,Batch,Redemptions,Students,Discount,Invoiced\n';
+      redemptionSummary.coupons.forEach(entry => {
+        csvContent += `${entry.code},"${(entry.batch || '').replace(/"/g, '""')}",${entry.redemptions},${entry.students},${entry.discountTotal},${entry.netTotal}\n`;
+      });
+      csvContent += '\n';
     }
     
     // Create and download CSV file
@@ -991,6 +1107,86 @@ const Reports = () => {
     </div>
   );
 
+  const renderCouponReport = () => {
+    const { totals, coupons } = redemptionSummary;
+    return (
+      <div>
+        <div className="dashboard-grid" style={{ marginBottom: '32px' }}>
+          <div className="dashboard-card">
+            <div className="dashboard-card-header">
+              <div className="dashboard-card-title">Redemptions</div>
+              <div className="dashboard-card-icon primary">
+                <FiTag size={24} />
+              </div>
+            </div>
+            <div className="dashboard-card-value">{totals.redemptions}</div>
+            <div className="dashboard-card-description">{coupons.length} codes used</div>
+          </div>
+          <div className="dashboard-card">
+            <div className="dashboard-card-header">
+              <div className="dashboard-card-title">Students</div>
+              <div className="dashboard-card-icon success">
+                <FiUsers size={24} />
+              </div>
+            </div>
+            <div className="dashboard-card-value">{totals.students}</div>
+            <div className="dashboard-card-description">redeemed at least one code</div>
+          </div>
+          <div className="dashboard-card">
+            <div className="dashboard-card-header">
+              <div className="dashboard-card-title">Discount Given</div>
+              <div className="dashboard-card-icon warning">
+                <FiTrendingUp size={24} />
+              </div>
+            </div>
+            <div className="dashboard-card-value">{formatMoney(totals.discountTotal, totals.currency)}</div>
+            <div className="dashboard-card-description">{formatMoney(totals.netTotal, totals.currency)} invoiced after discounts</div>
+          </div>
+        </div>
+
+        <div className="chart-container">
+          <div className="chart-header">
+            <h3 className="chart-title">Redemptions by Coupon</h3>
+          </div>
+          <div className="chart-content">
+            {redemptionsLoading ? (
+              <div style={{ color: 'var(--secondary-600)', textAlign: 'center', padding: '20px' }}>Loading redemptions...</div>
+            ) : coupons.length === 0 ? (
+              <div style={{ color: 'var(--secondary-600)', textAlign: 'center', padding: '20px' }}>
+                No coupons were redeemed in this period
+              </div>
+            ) : (
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Code</th>
+                    <th>Batch</th>
+                    <th>Redemptions</th>
+                    <th>Students</th>
+                    <th>Discount</th>
+                    <th>Invoiced</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {coupons.map(entry => (
+                    <tr key={entry.code}>
+                      <td style={{ fontFamily: 'monospace', fontWeight: '600' }}>{entry.code}</td>
+                      <td>{entry.batch || '-'}</td>
+                      <td>{entry.redemptions}</td>
+                      <td>{entry.students}</td>
+                      <td>{formatMoney(entry.discountTotal, entry.currency)}</td>
+                      <td>{formatMoney(entry.netTotal, entry.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   const renderReportContent = () => {
     switch (reportType) {
       case 'overview':
@@ -1001,6 +1197,8 @@ const Reports = () => {
         return renderExamReport();
       case 'questions':
         return renderQuestionReport();
+      case 'coupons':
+        return renderCouponReport();
       default:
         return renderOverviewReport();
     }
@@ -1064,6 +1262,7 @@ const Reports = () => {
               <option value="users">User Report</option>
               <option value="exams">Exam Report</option>
               <option value="questions">Question Report</option>
+              <option value="coupons">Coupon Redemptions</option>
             </select>
             <select
               value={dateRange}
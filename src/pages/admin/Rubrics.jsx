@@ -0,0 +1,347 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { FiPlus, FiEdit, FiTrash2, FiBarChart2, FiX } from 'react-icons/fi';
+import { rubricAPI } from '../../services/api';
+import { getRubricMaxPoints } from '../../utils/exam/grading';
+import {
+  createRubric,
+  createRubricCriterion,
+  createRubricLevel,
+  toRubricPayload,
+  validateRubric
+} from '../../utils/exam/rubrics';
+import RubricAnalyticsPanel from '../../components/exam/RubricAnalyticsPanel';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px',
+  border: '1px solid var(--secondary-300)',
+  borderRadius: '6px'
+};
+
+// Library of reusable rubrics for essay and short-answer questions. Each
+// criterion has its own performance levels; graders pick one level per
+// criterion and the points are scaled to the question's marks.
+const Rubrics = () => {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(null);
+  const [analyticsRubric, setAnalyticsRubric] = useState(null);
+
+  const { data: rubrics = [], isLoading, error } = useQuery({
+    queryKey: ['rubrics'],
+    queryFn: async () => (await rubricAPI.getRubrics()).data?.data?.rubrics || []
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: ({ id, rubricData }) => (id ? rubricAPI.updateRubric(id, rubricData) : rubricAPI.createRubric(rubricData)),
+    onSuccess: (response, { id }) => {
+      queryClient.invalidateQueries(['rubrics']);
+      toast.success(id ? 'Rubric updated' : 'Rubric created');
+      setEditing(null);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to save rubric');
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (rubricId) => rubricAPI.deleteRubric(rubricId),
+    onSuccess: (response, rubricId) => {
+      queryClient.invalidateQueries(['rubrics']);
+      toast.success('Rubric deleted');
+      if (analyticsRubric?.id === rubricId) setAnalyticsRubric(null);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to delete rubric');
+    }
+  });
+
+  const handleDelete = (rubric) => {
+    const usage = rubric.questionCount ? ` It is attached to ${rubric.questionCount} question(s), which will be left without a rubric.` : '';
+    if (window.confirm(`Delete the rubric "${rubric.name}"?${usage}`)) {
+      deleteMutation.mutate(rubric.id);
+    }
+  };
+
+  const handleSave = () => {
+    const problem = validateRubric(editing);
+    if (problem) {
+      toast.error(problem);
+      return;
+    }
+    saveMutation.mutate({ id: editing.id, rubricData: toRubricPayload(editing) });
+  };
+
+  const updateCriterion = (criterionId, changes) => {
+    setEditing(prev => ({
+      ...prev,
+      criteria: prev.criteria.map(criterion => (criterion.id === criterionId ? { ...criterion, ...changes } : criterion))
+    }));
+  };
+
+  const updateLevel = (criterion, levelId, changes) => {
+    updateCriterion(criterion.id, {
+      levels: criterion.levels.map(level => (level.id === levelId ? { ...level, ...changes } : level))
+    });
+  };
+
+  if (error) {
+    return (
+      <div className="error-container">
+        <h3>Error loading rubrics</h3>
+        <p>{error.message}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="data-table-container">
+        <div className="data-table-header">
+          <h2 className="data-table-title">Rubrics</h2>
+          <div className="data-table-actions">
+            <button className="btn btn-primary" onClick={() => setEditing(createRubric())}>
+              <FiPlus style={{ marginRight: '4px' }} /> New Rubric
+            </button>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading rubrics...</p>
+          </div>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Criteria</th>
+                <th>Max Points</th>
+                <th>Questions</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rubrics.length === 0 ? (
+                <tr>
+                  <td colSpan="5" style={{ textAlign: 'center', padding: '20px' }}>
+                    No rubrics yet
+                  </td>
+                </tr>
+              ) : (
+                rubrics.map(rubric => (
+                  <tr key={rubric.id}>
+                    <td>
+                      <div style={{ fontWeight: '600' }}>{rubric.name}</div>
+                      {rubric.description && (
+                        <div style={{ fontSize: '12px', color: 'var(--secondary-500)' }}>{rubric.description}</div>
+                      )}
+                    </td>
+                    <td>{rubric.criteria?.map(criterion => criterion.name).join(', ') || '-'}</td>
+                    <td>{getRubricMaxPoints(rubric)}</td>
+                    <td>{rubric.questionCount ?? '-'}</td>
+                    <td>
+                      <div className="data-table-actions-cell">
+                        <button
+                          className="btn btn-secondary"
+                          style={{ padding: '4px 8px', fontSize: '12px' }}
+                          onClick={() => setEditing({ ...rubric, description: rubric.description || '' })}
+                        >
+                          <FiEdit style={{ marginRight: '4px' }} /> Edit
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          style={{ padding: '4px 8px', fontSize: '12px' }}
+                          onClick={() => setAnalyticsRubric(analyticsRubric?.id === rubric.id ? null : rubric)}
+                        >
+                          <FiBarChart2 style={{ marginRight: '4px' }} /> Analytics
+                        </button>
+                        <button
+                          className="btn btn-danger"
+                          style={{ padding: '4px 8px', fontSize: '12px' }}
+                          onClick={() => handleDelete(rubric)}
+                        >
+                          <FiTrash2 />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {analyticsRubric && <RubricAnalyticsPanel rubric={analyticsRubric} />}
+
+      {editing && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          backgroundColor: 'rgba(0, 0, 0, 0.5)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}>
+          <div style={{
+            backgroundColor: 'white',
+            borderRadius: '12px',
+            padding: '32px',
+            width: '90%',
+            maxWidth: '900px',
+            maxHeight: '90vh',
+            overflowY: 'auto'
+          }}>
+            <h2 style={{ marginBottom: '16px', fontSize: '20px', fontWeight: '600' }}>
+              {editing.id ? 'Edit Rubric' : 'New Rubric'}
+            </h2>
+            {editing.id && editing.questionCount > 0 && (
+              <p style={{ fontSize: '13px', color: 'var(--warning-700)', margin: '0 0 16px' }}>
+                Used by {editing.questionCount} question(s). Responses already graded keep the scores they were given.
+              </p>
+            )}
+
+            <div className="form-group">
+              <label className="form-label">Name</label>
+              <input
+                type="text"
+                className="form-input"
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                placeholder="e.g. Argumentative essay"
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Description</label>
+              <input
+                type="text"
+                className="form-input"
+                value={editing.description || ''}
+                onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+              />
+            </div>
+
+            {editing.criteria.map((criterion, criterionIndex) => (
+              <div key={criterion.id} style={{
+                border: '1px solid var(--secondary-200)',
+                borderRadius: '8px',
+                padding: '16px',
+                marginBottom: '12px'
+              }}>
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-start', marginBottom: '8px' }}>
+                  <div style={{ flex: 1, display: 'grid', gap: '8px' }}>
+                    <input
+                      type="text"
+                      value={criterion.name}
+                      onChange={(e) => updateCriterion(criterion.id, { name: e.target.value })}
+                      placeholder={`Criterion ${criterionIndex + 1}, e.g. Structure`}
+                      aria-label="Criterion name"
+                      style={{ ...inputStyle, fontWeight: '600' }}
+                    />
+                    <input
+                      type="text"
+                      value={criterion.description || ''}
+                      onChange={(e) => updateCriterion(criterion.id, { description: e.target.value })}
+                      placeholder="What graders should look for"
+                      aria-label="Criterion description"
+                      style={inputStyle}
+                    />
+                  </div>
+                  <button
+                    className="btn btn-secondary"
+                    style={{ padding: '4px 8px', fontSize: '12px' }}
+                    onClick={() => setEditing({ ...editing, criteria: editing.criteria.filter(item => item.id !== criterion.id) })}
+                    disabled={editing.criteria.length === 1}
+                    aria-label="Remove criterion"
+                  >
+                    <FiX />
+                  </button>
+                </div>
+
+                <div style={{ display: 'grid', gridTemplateColumns: `repeat(${criterion.levels.length}, minmax(140px, 1fr)) auto`, gap: '8px', overflowX: 'auto' }}>
+                  {criterion.levels.map(level => (
+                    <div key={level.id} style={{ display: 'grid', gap: '4px', padding: '8px', backgroundColor: 'var(--secondary-50)', borderRadius: '6px' }}>
+                      <div style={{ display: 'flex', gap: '4px' }}>
+                        <input
+                          type="text"
+                          value={level.label}
+                          onChange={(e) => updateLevel(criterion, level.id, { label: e.target.value })}
+                          placeholder="Level"
+                          aria-label="Level label"
+                          style={{ ...inputStyle, padding: '6px' }}
+                        />
+                        <button
+                          className="btn btn-secondary"
+                          style={{ padding: '2px 6px', fontSize: '12px' }}
+                          onClick={() => updateCriterion(criterion.id, { levels: criterion.levels.filter(item => item.id !== level.id) })}
+                          disabled={criterion.levels.length <= 2}
+                          aria-label="Remove level"
+                        >
+                          <FiX />
+                        </button>
+                      </div>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={level.points}
+                        onChange={(e) => updateLevel(criterion, level.id, { points: e.target.value })}
+                        aria-label="Level points"
+                        style={{ ...inputStyle, padding: '6px' }}
+                      />
+                      <textarea
+                        value={level.description || ''}
+                        onChange={(e) => updateLevel(criterion, level.id, { description: e.target.value })}
+                        placeholder="Descriptor"
+                        aria-label="Level descriptor"
+                        rows={2}
+                        style={{ ...inputStyle, padding: '6px', fontSize: '13px' }}
+                      />
+                    </div>
+                  ))}
+                  <button
+                    className="btn btn-secondary"
+                    style={{ padding: '4px 8px', fontSize: '12px', alignSelf: 'center' }}
+                    onClick={() => updateCriterion(criterion.id, { levels: [...criterion.levels, createRubricLevel()] })}
+                  >
+                    <FiPlus /> Level
+                  </button>
+                </div>
+              </div>
+            ))}
+
+            <button
+              className="btn btn-secondary"
+              onClick={() => setEditing({ ...editing, criteria: [...editing.criteria, createRubricCriterion(editing.criteria[0])] })}
+            >
+              <FiPlus style={{ marginRight: '4px' }} /> Add Criterion
+            </button>
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginTop: '24px' }}>
+              <span style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+                Max points: {getRubricMaxPoints(editing)}
+              </span>
+              <div style={{ display: 'flex', gap: '12px' }}>
+                <button className="btn btn-secondary" onClick={() => setEditing(null)}>
+                  Cancel
+                </button>
+                <button className="btn btn-primary" onClick={handleSave} disabled={saveMutation.isPending}>
+                  {saveMutation.isPending ? 'Saving...' : 'Save Rubric'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Rubrics;
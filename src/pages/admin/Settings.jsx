@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { MdPersonAdd, MdPeople, MdSettings, MdSecurity } from 'react-icons/md';
 import UserModal from '../../components/modals/UserModal';
+import BookingPolicySettings from '../../components/exam/BookingPolicySettings';
+import InvoiceSettings from '../../components/exam/InvoiceSettings';
 import { adminAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 
@@ -352,6 +354,10 @@ const Settings = () => {
         </div>
       </div>
 
+      <BookingPolicySettings />
+
+      <InvoiceSettings />
+
       {/* User Management Section */}
       <div className="form-container" style={{ marginTop: '2rem' }}>
         <div className="form-title" style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
@@ -1,8 +1,12 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { bookingAPI, examAPI, userAPI } from '../../services/api';
+import { bookingAPI, examAPI, userAPI, sessionAPI, billingAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 import BillModal from '../../components/BillModal';
+import SeatMap from '../../components/exam/SeatMap';
+import CalendarFeedModal from '../../components/exam/CalendarFeedModal';
+import { downloadBookingIcs } from '../../utils/exam/bookingIcs';
+import { formatSessionTime, getSessionAvailability, WAITLIST_STATUS } from '../../utils/exam/sessionSeating';
 import { 
   MdCalendarToday, 
   MdCheckCircle, 
@@ -15,8 +19,14 @@ import {
   MdFilterList,
   MdClear,
   MdDateRange,
-  MdAssignment
+  MdAssignment,
+  MdEventSeat,
+  MdQueue,
+  MdEvent,
+  MdRssFeed,
+  MdReceipt
 } from 'react-icons/md';
+import { formatCurrency } from '../../utils/exam/money';
 
 const TestBookings = () => {
   const queryClient = useQueryClient();
@@ -28,15 +38,20 @@ const TestBookings = () => {
   });
   const [searchQuery, setSearchQuery] = useState('');
   const [showScheduleModal, setShowScheduleModal] = useState(false);
+  const [showCalendarFeed, setShowCalendarFeed] = useState(false);
   const [showBill, setShowBill] = useState(false);
   const [currentBill, setCurrentBill] = useState(null);
   const [scheduleData, setScheduleData] = useState({
     userId: '',
     examId: '',
-    scheduledAt: '',
+    sessionId: '',
+    seatNumber: '',
     attemptsAllowed: 1,
-    notes: ''
+    notes: '',
+    discountCode: ''
   });
+  // Price preview for the discount code entered while scheduling
+  const [discountQuote, setDiscountQuote] = useState(null);
 
   // Fetch bookings data
   const { 
@@ -62,14 +77,35 @@ const TestBookings = () => {
     queryFn: () => examAPI.getAllExams({ limit: 100 }),
   });
 
+  // Fetch upcoming sessions of the chosen exam
+  const { data: sessions = [], isLoading: sessionsLoading } = useQuery({
+    queryKey: ['exam-sessions', 'bookable', scheduleData.examId],
+    queryFn: async () => {
+      const response = await sessionAPI.getSessions({
+        examId: scheduleData.examId,
+        from: new Date().toISOString(),
+        includeTakenSeats: true
+      });
+      return response.data?.data?.sessions || [];
+    },
+    enabled: showScheduleModal && !!scheduleData.examId
+  });
+
   // Create booking mutation
   const createBookingMutation = useMutation({
     mutationFn: (bookingData) => bookingAPI.createAdminBooking(bookingData),
     onSuccess: (response) => {
       queryClient.invalidateQueries(['admin-bookings']);
-      toast.success('Test scheduled successfully!');
+      queryClient.invalidateQueries(['exam-sessions']);
+      const booking = response.data?.data?.booking;
+      if (booking?.status === WAITLIST_STATUS) {
+        toast.success(`Session is full - added to the waitlist at position ${booking.waitlistPosition || '?'}`);
+      } else {
+        toast.success(booking?.seatNumber ? `Test scheduled - seat ${booking.seatNumber}` : 'Test scheduled successfully!');
+      }
       setShowScheduleModal(false);
-      setScheduleData({ userId: '', examId: '', scheduledAt: '', attemptsAllowed: 1, notes: '' });
+      setScheduleData({ userId: '', examId: '', sessionId: '', seatNumber: '', attemptsAllowed: 1, notes: '', discountCode: '' });
+      setDiscountQuote(null);
       
       // Show bill if available
       if (response.data?.data?.bill) {
@@ -88,6 +124,8 @@ const TestBookings = () => {
   const pagination = bookingsData?.data?.data?.pagination;
   const users = usersData?.data?.data?.users || [];
   const exams = examsData?.data?.data?.exams || [];
+  const selectedSession = sessions.find(session => session.id === scheduleData.sessionId);
+  const selectedAvailability = selectedSession ? getSessionAvailability(selectedSession) : null;
 
   // Client-side filtering for additional search functionality
   const filteredBookings = bookings.filter((booking) => {
@@ -121,8 +159,14 @@ const TestBookings = () => {
   // Handle booking cancellation
   const handleCancelBooking = async (bookingId) => {
     try {
-      await bookingAPI.cancelBooking(bookingId);
+      const response = await bookingAPI.cancelBooking(bookingId);
       toast.success('Booking cancelled successfully');
+      // Cancelling a seated booking promotes the first waitlisted one
+      const promoted = response.data?.data?.promotedBooking;
+      if (promoted) {
+        toast.success(`${promoted.user?.firstName || 'Next candidate'} ${promoted.user?.lastName || ''} moved off the waitlist`.trim());
+      }
+      queryClient.invalidateQueries(['exam-sessions']);
       refetch();
     } catch (error) {
       toast.error('Failed to cancel booking');
@@ -142,22 +186,58 @@ const TestBookings = () => {
 
   // Handle confirm scheduling
   const handleConfirmScheduling = () => {
-    if (!scheduleData.userId || !scheduleData.examId || !scheduleData.scheduledAt) {
+    if (!scheduleData.userId || !scheduleData.examId || !scheduleData.sessionId) {
       toast.error('Please fill in all required fields');
       return;
     }
 
+    // The server seats the booking, or waitlists it when the session is full
     const bookingPayload = {
       userId: scheduleData.userId,
       examId: scheduleData.examId,
-      scheduledAt: scheduleData.scheduledAt,
-      ...(scheduleData.notes && { notes: scheduleData.notes })
+      sessionId: scheduleData.sessionId,
+      scheduledAt: selectedSession?.startsAt,
+      ...(scheduleData.seatNumber && !selectedAvailability?.isFull && { seatNumber: scheduleData.seatNumber }),
+      ...(scheduleData.notes && { notes: scheduleData.notes }),
+      ...(scheduleData.discountCode.trim() && { discountCode: scheduleData.discountCode.trim() })
     };
 
     console.log('Creating admin booking with payload:', bookingPayload);
     createBookingMutation.mutate(bookingPayload);
   };
 
+  // Checks the code against the chosen student and test and shows the price
+  // the invoice will be issued at
+  const handleApplyDiscount = async () => {
+    const code = scheduleData.discountCode.trim();
+    if (!code || !scheduleData.userId || !scheduleData.examId) {
+      toast.error('Choose a student and a test before applying a discount code');
+      return;
+    }
+    try {
+      const response = await billingAPI.previewDiscount({ code, userId: scheduleData.userId, examId: scheduleData.examId });
+      setDiscountQuote(response.data?.data?.quote || null);
+    } catch (error) {
+      setDiscountQuote(null);
+      toast.error(error.response?.data?.message || 'This discount code cannot be used');
+    }
+  };
+
+  // Opens the invoice the server holds for a booking
+  const handleViewInvoice = async (booking) => {
+    try {
+      const response = await billingAPI.generateBill(booking.id);
+      if (!response.data?.data?.bill) {
+        toast.error('No invoice has been issued for this booking yet');
+        return;
+      }
+      setCurrentBill(response.data.data.bill);
+      setShowBill(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load invoice');
+    }
+  };
+
   // Handle filter changes
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
@@ -196,6 +276,7 @@ const TestBookings = () => {
       case 'SCHEDULED':
         return 'badge-primary';
       case 'PENDING':
+      case WAITLIST_STATUS:
         return 'badge-warning';
       case 'CANCELLED':
         return 'badge-danger';
@@ -222,6 +303,10 @@ const TestBookings = () => {
         <div className="data-table-header">
           <h2 className="data-table-title">Test Bookings</h2>
           <div className="data-table-actions">
+            <button className="btn btn-secondary" onClick={() => setShowCalendarFeed(true)}>
+              <MdRssFeed style={{ marginRight: '6px', fontSize: '16px' }} />
+              Calendar Feed
+            </button>
             <button className="btn btn-primary" onClick={handleScheduleTest}>
               <MdCalendarToday style={{ marginRight: '6px', fontSize: '16px' }} />
               Schedule Test
@@ -430,6 +515,7 @@ const TestBookings = () => {
             <option value="PENDING">Pending</option>
             <option value="CONFIRMED">Confirmed</option>
             <option value="SCHEDULED">Scheduled</option>
+            <option value="WAITLISTED">Waitlisted</option>
             <option value="COMPLETED">Completed</option>
             <option value="CANCELLED">Cancelled</option>
           </select>
@@ -635,10 +721,16 @@ const TestBookings = () => {
                         </span>
                       </td>
                       <td>
-                        {booking.scheduledAt ? formatDate(booking.scheduledAt) : 'Not scheduled'}
+                        {(booking.session?.startsAt || booking.scheduledAt) ? formatDate(booking.session?.startsAt || booking.scheduledAt) : 'Not scheduled'}
                       </td>
                       <td>
-                        {booking.scheduledAt ? formatTime(booking.scheduledAt) : '-'}
+                        {(booking.session?.startsAt || booking.scheduledAt) ? formatTime(booking.session?.startsAt || booking.scheduledAt) : '-'}
+                        {booking.session?.room && (
+                          <div style={{ fontSize: '12px', color: 'var(--secondary-600)', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                            <MdEventSeat style={{ fontSize: '12px' }} />
+                            {booking.session.room.name}{booking.seatNumber ? ` · Seat ${booking.seatNumber}` : ''}
+                          </div>
+                        )}
                       </td>
                       <td>
                         <div style={{ textAlign: 'center' }}>
@@ -662,6 +754,8 @@ const TestBookings = () => {
                             <><MdCancel style={{ marginRight: '4px', fontSize: '14px' }} />CANCELLED</>
                           ) : booking.status === 'SCHEDULED' ? (
                             <><MdCalendarToday style={{ marginRight: '4px', fontSize: '14px' }} />SCHEDULED</>
+                          ) : booking.status === WAITLIST_STATUS ? (
+                            <><MdQueue style={{ marginRight: '4px', fontSize: '14px' }} />WAITLISTED{booking.waitlistPosition ? ` #${booking.waitlistPosition}` : ''}</>
                           ) : booking.status}
                         </span>
                       </td>
@@ -674,6 +768,16 @@ const TestBookings = () => {
                       </td>
                       <td>
                         <div className="data-table-actions-cell">
+                          {booking.status === WAITLIST_STATUS && (
+                            <button 
+                              className="btn btn-danger" 
+                              style={{ padding: '4px 8px', fontSize: '12px' }}
+                              onClick={() => handleCancelBooking(booking.id)}
+                            >
+                              <MdDelete style={{ marginRight: '4px', fontSize: '12px' }} />
+                              Leave Waitlist
+                            </button>
+                          )}
                           {booking.status === 'PENDING' && (
                             <>
                               <button 
@@ -704,6 +808,25 @@ const TestBookings = () => {
                               Schedule
                             </button>
                           )}
+                          <button
+                            className="btn btn-secondary"
+                            style={{ padding: '4px 8px', fontSize: '12px' }}
+                            onClick={() => handleViewInvoice(booking)}
+                          >
+                            <MdReceipt style={{ marginRight: '4px', fontSize: '12px' }} />
+                            Invoice
+                          </button>
+                          {(booking.session?.startsAt || booking.scheduledAt) && (
+                            <button
+                              className="btn btn-secondary"
+                              style={{ padding: '4px 8px', fontSize: '12px' }}
+                              onClick={() => downloadBookingIcs(booking)}
+                              title="Download an .ics calendar file"
+                            >
+                              <MdEvent style={{ marginRight: '4px', fontSize: '12px' }} />
+                              .ics
+                            </button>
+                          )}
                           <button 
                             className="btn btn-secondary" 
                             style={{ padding: '4px 8px', fontSize: '12px' }}
@@ -797,7 +920,10 @@ const TestBookings = () => {
                 <select
                   className="form-select"
                   value={scheduleData.userId}
-                  onChange={(e) => setScheduleData({ ...scheduleData, userId: e.target.value })}
+                  onChange={(e) => {
+                    setScheduleData({ ...scheduleData, userId: e.target.value });
+                    setDiscountQuote(null);
+                  }}
                   required
                 >
                   <option value="">Choose a user...</option>
@@ -816,7 +942,10 @@ const TestBookings = () => {
                 <select
                   className="form-select"
                   value={scheduleData.examId}
-                  onChange={(e) => setScheduleData({ ...scheduleData, examId: e.target.value })}
+                  onChange={(e) => {
+                    setScheduleData({ ...scheduleData, examId: e.target.value, sessionId: '', seatNumber: '' });
+                    setDiscountQuote(null);
+                  }}
                   required
                 >
                   <option value="">Choose a test...</option>
@@ -831,18 +960,58 @@ const TestBookings = () => {
 
             <div style={{ marginBottom: '1.5rem' }}>
               <div className="form-group">
-                <label className="form-label">Scheduled Date & Time *</label>
-                <input
-                  type="datetime-local"
-                  className="form-input"
-                  value={scheduleData.scheduledAt}
-                  onChange={(e) => setScheduleData({ ...scheduleData, scheduledAt: e.target.value })}
-                  min={new Date().toISOString().slice(0, 16)}
+                <label className="form-label">Session *</label>
+                <select
+                  className="form-select"
+                  value={scheduleData.sessionId}
+                  onChange={(e) => setScheduleData({ ...scheduleData, sessionId: e.target.value, seatNumber: '' })}
+                  disabled={!scheduleData.examId}
                   required
-                />
+                >
+                  <option value="">
+                    {!scheduleData.examId ? 'Choose a test first...' : sessionsLoading ? 'Loading sessions...' : 'Choose a session...'}
+                  </option>
+                  {sessions.filter(session => session.status !== 'CANCELLED').map((session) => {
+                    const availability = getSessionAvailability(session);
+                    return (
+                      <option key={session.id} value={session.id}>
+                        {formatSessionTime(session)} - {session.room?.name || 'No room'} - {availability.isFull
+                          ? `Full, ${availability.waitlisted} waitlisted`
+                          : `${availability.available} of ${availability.capacity} seats free`}
+                      </option>
+                    );
+                  })}
+                </select>
+                {scheduleData.examId && !sessionsLoading && !sessions.length && (
+                  <small style={{ color: '#64748b', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                    No upcoming sessions for this test. Create one under Exam Sessions.
+                  </small>
+                )}
+                {selectedAvailability?.isFull && (
+                  <small style={{ color: 'var(--warning-700)', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                    This session is full. The booking will join the waitlist at position {selectedAvailability.waitlisted + 1} and
+                    is seated automatically when someone cancels.
+                  </small>
+                )}
               </div>
             </div>
 
+            {selectedSession?.room && !selectedAvailability?.isFull && (
+              <div style={{ marginBottom: '1.5rem' }}>
+                <div className="form-group">
+                  <label className="form-label">
+                    Seat {scheduleData.seatNumber ? `(${scheduleData.seatNumber})` : '(any free seat)'}
+                  </label>
+                  <SeatMap
+                    room={selectedSession.room}
+                    occupied={(selectedSession.takenSeats || []).reduce((acc, seat) => ({ ...acc, [seat]: 'Taken' }), {})}
+                    selected={scheduleData.seatNumber}
+                    onSelect={(seat) => setScheduleData({ ...scheduleData, seatNumber: seat === scheduleData.seatNumber ? '' : seat })}
+                  />
+                </div>
+              </div>
+            )}
+
             <div style={{ marginBottom: '1.5rem' }}>
               <div className="form-group">
                 <label className="form-label">Number of Attempts Allowed *</label>
@@ -869,6 +1038,39 @@ const TestBookings = () => {
               </div>
             </div>
 
+            <div style={{ marginBottom: '1.5rem' }}>
+              <div className="form-group">
+                <label className="form-label">Discount Code (Optional)</label>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={scheduleData.discountCode}
+                    onChange={(e) => {
+                      setScheduleData({ ...scheduleData, discountCode: e.target.value.toUpperCase() });
+                      setDiscountQuote(null);
+                    }}
+                    placeholder="e.g. PARTNER20"
+                  />
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={handleApplyDiscount}
+                    disabled={!scheduleData.discountCode.trim()}
+                  >
+                    Apply
+                  </button>
+                </div>
+                {discountQuote && (
+                  <small style={{ color: '#059669', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                    {discountQuote.description || discountQuote.code}: -{formatCurrency(discountQuote.discountTotal, discountQuote.currency)}
+                    {' · '}Invoice total {formatCurrency(discountQuote.total, discountQuote.currency)}
+                    {discountQuote.taxTotal > 0 && ` (incl. ${formatCurrency(discountQuote.taxTotal, discountQuote.currency)} tax)`}
+                  </small>
+                )}
+              </div>
+            </div>
+
             <div style={{ marginBottom: '1.5rem' }}>
               <div className="form-group">
                 <label className="form-label">Notes (Optional)</label>
@@ -895,13 +1097,20 @@ const TestBookings = () => {
                 onClick={handleConfirmScheduling}
                 disabled={createBookingMutation.isPending}
               >
-                {createBookingMutation.isPending ? 'Scheduling...' : 'Schedule Test'}
+                {createBookingMutation.isPending ? 'Scheduling...' : selectedAvailability?.isFull ? 'Add to Waitlist' : 'Schedule Test'}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {showCalendarFeed && (
+        <CalendarFeedModal
+          description="This feed lists every upcoming scheduled exam booking."
+          onClose={() => setShowCalendarFeed(false)}
+        />
+      )}
+
       {/* Bill Modal */}
       {showBill && (
         <BillModal
@@ -1,9 +1,18 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { examAPI, categoryAPI, adminAPI } from '../../services/api';
+import { examAPI, categoryAPI, adminAPI, questionBankAPI } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
 import toast from 'react-hot-toast';
 import { FiPlus, FiEdit, FiUpload, FiDownload, FiCheck, FiAlertTriangle, FiSearch, FiGrid, FiList } from 'react-icons/fi';
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+import {
+  getBlueprintExamCounts,
+  getBlueprintRows,
+  toBlueprintPayload,
+  validateBlueprint
+} from '../../utils/exam/blueprint';
+import { ADAPTIVE_STOP_RULES, estimateQuestionsForPrecision } from '../../utils/exam/adaptive';
+import BlueprintEditor from '../../components/exam/BlueprintEditor';
 
 const Tests = () => {
   const { user: currentUser } = useAuth();
@@ -36,6 +45,7 @@ const Tests = () => {
     currency: 'USD',
     showResults: true,
     showAnswers: false,
+    answersReleaseAt: '',
     randomizeQuestions: true,
     randomizeOptions: true,
     questionOverlapPercentage: 10.0,
@@ -46,7 +56,29 @@ const Tests = () => {
     fillInTheBlankQuestionsCount: 0,
     trueFalseQuestionsCount: 0,
     matchingQuestionsCount: 0,
-    orderingQuestionsCount: 0
+    orderingQuestionsCount: 0,
+    // Blueprint rows replace the type counts when useBlueprint is on
+    useBlueprint: false,
+    blueprint: [],
+    // Sections by question type
+    enableSections: false,
+    sectionTimeLimits: {},
+    // Per-question time limits
+    enforceQuestionTimeLimits: false,
+    // Proctoring
+    enableProctoring: false,
+    proctoringRequireFullscreen: true,
+    proctoringMaxViolations: 3,
+    blindGrading: false,
+    doubleMarking: false,
+    markingTolerance: 1,
+    // Adaptive testing
+    adaptiveMode: false,
+    adaptiveStopRule: 'FIXED_LENGTH',
+    adaptiveMinQuestions: 10,
+    adaptiveMaxQuestions: 30,
+    adaptiveTargetStandardError: 0.3,
+    adaptiveUseCalibration: true
   });
 
   // Fetch all exams
@@ -69,6 +101,35 @@ const Tests = () => {
     refetchOnWindowFocus: false
   });
 
+  // Bank sizes per category, difficulty and type for the blueprint editor
+  const { data: bankCounts = [], isLoading: bankCountsLoading } = useQuery({
+    queryKey: ['question-bank-counts'],
+    queryFn: async () => (await questionBankAPI.getCounts()).data?.data?.counts || [],
+    enabled: showAddModal && !!formData.useBlueprint
+  });
+
+  const getBlueprintProblem = () => {
+    if (!formData.useBlueprint) return null;
+    const [problem] = validateBlueprint(formData.blueprint, {
+      bankCounts: bankCountsLoading ? undefined : bankCounts,
+      requireTypes: formData.enableSections
+    });
+    return problem?.message || null;
+  };
+
+  // Adaptive exams pick questions as they go, so they cannot also be split
+  // into sections or drawn from a blueprint
+  const getAdaptiveProblem = () => {
+    if (!formData.adaptiveMode) return null;
+    if (formData.enableSections || formData.useBlueprint) {
+      return 'Adaptive exams choose questions as they go; turn off sections and the blueprint';
+    }
+    if (formData.adaptiveStopRule === 'PRECISION' && Number(formData.adaptiveMinQuestions) > Number(formData.adaptiveMaxQuestions)) {
+      return 'The minimum number of adaptive questions cannot be above the maximum';
+    }
+    return null;
+  };
+
   // Create exam mutation
   const createExamMutation = useMutation({
     mutationFn: (examData) => {
@@ -98,6 +159,7 @@ const Tests = () => {
         currency: 'USD',
         showResults: true,
         showAnswers: false,
+        answersReleaseAt: '',
         randomizeQuestions: true,
         randomizeOptions: true,
         questionOverlapPercentage: 10.0,
@@ -108,7 +170,29 @@ const Tests = () => {
         fillInTheBlankQuestionsCount: 0,
         trueFalseQuestionsCount: 0,
         matchingQuestionsCount: 0,
-        orderingQuestionsCount: 0
+        orderingQuestionsCount: 0,
+        // Blueprint rows replace the type counts when useBlueprint is on
+        useBlueprint: false,
+        blueprint: [],
+        // Sections by question type
+        enableSections: false,
+        sectionTimeLimits: {},
+        // Per-question time limits
+        enforceQuestionTimeLimits: false,
+        // Proctoring
+        enableProctoring: false,
+        proctoringRequireFullscreen: true,
+        proctoringMaxViolations: 3,
+        blindGrading: false,
+        doubleMarking: false,
+        markingTolerance: 1,
+        // Adaptive testing
+        adaptiveMode: false,
+        adaptiveStopRule: 'FIXED_LENGTH',
+        adaptiveMinQuestions: 10,
+        adaptiveMaxQuestions: 30,
+        adaptiveTargetStandardError: 0.3,
+        adaptiveUseCalibration: true
       });
     },
     onError: (error) => {
@@ -149,6 +233,7 @@ const Tests = () => {
         currency: 'USD',
         showResults: true,
         showAnswers: false,
+        answersReleaseAt: '',
         randomizeQuestions: true,
         randomizeOptions: true,
         questionOverlapPercentage: 10.0,
@@ -159,7 +244,29 @@ const Tests = () => {
         fillInTheBlankQuestionsCount: 0,
         trueFalseQuestionsCount: 0,
         matchingQuestionsCount: 0,
-        orderingQuestionsCount: 0
+        orderingQuestionsCount: 0,
+        // Blueprint rows replace the type counts when useBlueprint is on
+        useBlueprint: false,
+        blueprint: [],
+        // Sections by question type
+        enableSections: false,
+        sectionTimeLimits: {},
+        // Per-question time limits
+        enforceQuestionTimeLimits: false,
+        // Proctoring
+        enableProctoring: false,
+        proctoringRequireFullscreen: true,
+        proctoringMaxViolations: 3,
+        blindGrading: false,
+        doubleMarking: false,
+        markingTolerance: 1,
+        // Adaptive testing
+        adaptiveMode: false,
+        adaptiveStopRule: 'FIXED_LENGTH',
+        adaptiveMinQuestions: 10,
+        adaptiveMaxQuestions: 30,
+        adaptiveTargetStandardError: 0.3,
+        adaptiveUseCalibration: true
       });
     },
     onError: (error) => {
@@ -192,6 +299,11 @@ const Tests = () => {
   });
 
         const handleAddExam = () => {
+        const settingsProblem = getBlueprintProblem() || getAdaptiveProblem();
+        if (settingsProblem) {
+          toast.error(settingsProblem);
+          return;
+        }
         if (formData.title && formData.examCategoryId) {
           // Use correct field names based on existing exam structure
           // Calculate passing marks (absolute) and ensure bounds
@@ -216,6 +328,9 @@ const Tests = () => {
             allowRetakes: formData.allowRetakes || false,
             showResults: formData.showResults !== undefined ? formData.showResults : true,
             showAnswers: formData.showAnswers || false,
+            answersReleaseAt: formData.showAnswers && formData.answersReleaseAt
+              ? toISODateOrNull(formData.answersReleaseAt)
+              : null,
             randomizeQuestions: formData.randomizeQuestions !== undefined ? formData.randomizeQuestions : true,
             randomizeOptions: formData.randomizeOptions !== undefined ? formData.randomizeOptions : true,
             questionOverlapPercentage: Number(formData.questionOverlapPercentage) || 10.0,
@@ -230,6 +345,23 @@ const Tests = () => {
             trueFalseQuestionsCount: Number(formData.trueFalseQuestionsCount) || 0,
             matchingQuestionsCount: Number(formData.matchingQuestionsCount) || 0,
             orderingQuestionsCount: Number(formData.orderingQuestionsCount) || 0,
+            blueprint: formData.useBlueprint ? toBlueprintPayload(formData.blueprint) : null,
+            ...(formData.useBlueprint ? getBlueprintExamCounts(formData.blueprint) : {}),
+            enableSections: formData.enableSections || false,
+            sectionTimeLimits: formData.enableSections ? formData.sectionTimeLimits || {} : {},
+            enforceQuestionTimeLimits: formData.enforceQuestionTimeLimits || false,
+            enableProctoring: formData.enableProctoring || false,
+            proctoringRequireFullscreen: formData.proctoringRequireFullscreen !== undefined ? formData.proctoringRequireFullscreen : true,
+            proctoringMaxViolations: Number(formData.proctoringMaxViolations) || 0,
+            blindGrading: formData.blindGrading || false,
+            doubleMarking: formData.doubleMarking || false,
+            markingTolerance: formData.doubleMarking ? Number(formData.markingTolerance) || 0 : undefined,
+            adaptiveMode: formData.adaptiveMode || false,
+            adaptiveStopRule: formData.adaptiveMode ? formData.adaptiveStopRule : undefined,
+            adaptiveMinQuestions: formData.adaptiveMode ? Number(formData.adaptiveMinQuestions) || 1 : undefined,
+            adaptiveMaxQuestions: formData.adaptiveMode ? Number(formData.adaptiveMaxQuestions) || 1 : undefined,
+            adaptiveTargetStandardError: formData.adaptiveMode ? Number(formData.adaptiveTargetStandardError) || 0.3 : undefined,
+            adaptiveUseCalibration: formData.adaptiveMode ? formData.adaptiveUseCalibration : undefined,
             scheduledStart: formData.scheduledStart
               ? toISODateOrNull(formData.scheduledStart)
               : null,
@@ -286,6 +418,7 @@ const Tests = () => {
       currency: exam.currency || 'USD',
       showResults: exam.showResults !== undefined ? exam.showResults : true,
       showAnswers: exam.showAnswers || false,
+      answersReleaseAt: exam.answersReleaseAt ? formatDateTimeLocal(exam.answersReleaseAt) : '',
       randomizeQuestions: exam.randomizeQuestions !== undefined ? exam.randomizeQuestions : true,
       randomizeOptions: exam.randomizeOptions !== undefined ? exam.randomizeOptions : true,
       questionOverlapPercentage: exam.questionOverlapPercentage || 10.0,
@@ -296,12 +429,35 @@ const Tests = () => {
       fillInTheBlankQuestionsCount: exam.fillInTheBlankQuestionsCount || 0,
       trueFalseQuestionsCount: exam.trueFalseQuestionsCount || 0,
       matchingQuestionsCount: exam.matchingQuestionsCount || 0,
-      orderingQuestionsCount: exam.orderingQuestionsCount || 0
+      orderingQuestionsCount: exam.orderingQuestionsCount || 0,
+      useBlueprint: !!exam.blueprint?.rows?.length,
+      blueprint: getBlueprintRows(exam),
+      // Sections by question type
+      enableSections: exam.enableSections || false,
+      sectionTimeLimits: exam.sectionTimeLimits || {},
+      enforceQuestionTimeLimits: exam.enforceQuestionTimeLimits || false,
+      enableProctoring: exam.enableProctoring || false,
+      proctoringRequireFullscreen: exam.proctoringRequireFullscreen !== undefined ? exam.proctoringRequireFullscreen : true,
+      proctoringMaxViolations: exam.proctoringMaxViolations ?? 3,
+      blindGrading: exam.blindGrading || false,
+      doubleMarking: exam.doubleMarking || false,
+      markingTolerance: exam.markingTolerance ?? 1,
+      adaptiveMode: exam.adaptiveMode || false,
+      adaptiveStopRule: exam.adaptiveStopRule || 'FIXED_LENGTH',
+      adaptiveMinQuestions: exam.adaptiveMinQuestions ?? 10,
+      adaptiveMaxQuestions: exam.adaptiveMaxQuestions ?? 30,
+      adaptiveTargetStandardError: exam.adaptiveTargetStandardError ?? 0.3,
+      adaptiveUseCalibration: exam.adaptiveUseCalibration !== undefined ? exam.adaptiveUseCalibration : true
     });
     setShowAddModal(true);
   };
 
   const handleUpdateExam = () => {
+    const settingsProblem = getBlueprintProblem() || getAdaptiveProblem();
+    if (settingsProblem) {
+      toast.error(settingsProblem);
+      return;
+    }
     if (formData.title && formData.examCategoryId) {
       console.log('Update validation passed, cleaning data...');
       
@@ -326,6 +482,9 @@ const Tests = () => {
             allowRetakes: formData.allowRetakes || false,
             showResults: formData.showResults !== undefined ? formData.showResults : true,
             showAnswers: formData.showAnswers || false,
+            answersReleaseAt: formData.showAnswers && formData.answersReleaseAt
+              ? toISODateOrNull(formData.answersReleaseAt)
+              : null,
             randomizeQuestions: formData.randomizeQuestions !== undefined ? formData.randomizeQuestions : true,
             randomizeOptions: formData.randomizeOptions !== undefined ? formData.randomizeOptions : true,
             questionOverlapPercentage: Number(formData.questionOverlapPercentage) || 10.0,
@@ -340,6 +499,23 @@ const Tests = () => {
             trueFalseQuestionsCount: Number(formData.trueFalseQuestionsCount) || 0,
             matchingQuestionsCount: Number(formData.matchingQuestionsCount) || 0,
             orderingQuestionsCount: Number(formData.orderingQuestionsCount) || 0,
+            blueprint: formData.useBlueprint ? toBlueprintPayload(formData.blueprint) : null,
+            ...(formData.useBlueprint ? getBlueprintExamCounts(formData.blueprint) : {}),
+            enableSections: formData.enableSections || false,
+            sectionTimeLimits: formData.enableSections ? formData.sectionTimeLimits || {} : {},
+            enforceQuestionTimeLimits: formData.enforceQuestionTimeLimits || false,
+            enableProctoring: formData.enableProctoring || false,
+            proctoringRequireFullscreen: formData.proctoringRequireFullscreen !== undefined ? formData.proctoringRequireFullscreen : true,
+            proctoringMaxViolations: Number(formData.proctoringMaxViolations) || 0,
+            blindGrading: formData.blindGrading || false,
+            doubleMarking: formData.doubleMarking || false,
+            markingTolerance: formData.doubleMarking ? Number(formData.markingTolerance) || 0 : undefined,
+            adaptiveMode: formData.adaptiveMode || false,
+            adaptiveStopRule: formData.adaptiveMode ? formData.adaptiveStopRule : undefined,
+            adaptiveMinQuestions: formData.adaptiveMode ? Number(formData.adaptiveMinQuestions) || 1 : undefined,
+            adaptiveMaxQuestions: formData.adaptiveMode ? Number(formData.adaptiveMaxQuestions) || 1 : undefined,
+            adaptiveTargetStandardError: formData.adaptiveMode ? Number(formData.adaptiveTargetStandardError) || 0.3 : undefined,
+            adaptiveUseCalibration: formData.adaptiveMode ? formData.adaptiveUseCalibration : undefined,
             scheduledStart: formData.scheduledStart
               ? toISODateOrNull(formData.scheduledStart)
               : null,
@@ -569,7 +745,29 @@ const Tests = () => {
                   fillInTheBlankQuestionsCount: 0,
                   trueFalseQuestionsCount: 0,
                   matchingQuestionsCount: 0,
-                  orderingQuestionsCount: 0
+                  orderingQuestionsCount: 0,
+                  // Blueprint rows replace the type counts when useBlueprint is on
+                  useBlueprint: false,
+                  blueprint: [],
+                  // Sections by question type
+                  enableSections: false,
+                  sectionTimeLimits: {},
+                  // Per-question time limits
+                  enforceQuestionTimeLimits: false,
+                  // Proctoring
+                  enableProctoring: false,
+                  proctoringRequireFullscreen: true,
+                  proctoringMaxViolations: 3,
+                  blindGrading: false,
+                  doubleMarking: false,
+                  markingTolerance: 1,
+                  // Adaptive testing
+                  adaptiveMode: false,
+                  adaptiveStopRule: 'FIXED_LENGTH',
+                  adaptiveMinQuestions: 10,
+                  adaptiveMaxQuestions: 30,
+                  adaptiveTargetStandardError: 0.3,
+                  adaptiveUseCalibration: true
                 });
                 setShowAddModal(true);
               }}
@@ -1191,6 +1389,25 @@ const Tests = () => {
                         Show correct answers
                       </label>
                     </div>
+                    {formData.showAnswers && (
+                      <div style={{ marginTop: '8px' }}>
+                        <label htmlFor="answersReleaseAt" style={{ display: 'block', marginBottom: '4px', fontSize: '13px', color: 'var(--secondary-600)' }}>
+                          Release answers on (optional)
+                        </label>
+                        <input
+                          type="datetime-local"
+                          id="answersReleaseAt"
+                          value={formData.answersReleaseAt}
+                          onChange={(e) => setFormData({ ...formData, answersReleaseAt: e.target.value })}
+                          style={{
+                            width: '100%',
+                            padding: '8px',
+                            border: '1px solid var(--secondary-300)',
+                            borderRadius: '6px'
+                          }}
+                        />
+                      </div>
+                    )}
                   </div>
                   
                   <div>
@@ -1229,6 +1446,242 @@ const Tests = () => {
                     </div>
                   </div>
                   
+                  <div>
+                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                      Question Time Limits
+                    </label>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <input
+                        type="checkbox"
+                        id="enforceQuestionTimeLimits"
+                        checked={formData.enforceQuestionTimeLimits || false}
+                        onChange={(e) => setFormData({ ...formData, enforceQuestionTimeLimits: e.target.checked })}
+                        style={{ width: '16px', height: '16px' }}
+                      />
+                      <label htmlFor="enforceQuestionTimeLimits" style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+                        Lock each question when its time limit runs out
+                      </label>
+                    </div>
+                  </div>
+                  
+                  <div>
+                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                      Proctoring
+                    </label>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <input
+                        type="checkbox"
+                        id="enableProctoring"
+                        checked={formData.enableProctoring || false}
+                        onChange={(e) => setFormData({ ...formData, enableProctoring: e.target.checked })}
+                        style={{ width: '16px', height: '16px' }}
+                      />
+                      <label htmlFor="enableProctoring" style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+                        Record tab switches, copy/paste and focus loss
+                      </label>
+                    </div>
+                    {formData.enableProctoring && (
+                      <div style={{ marginTop: '8px', display: 'grid', gap: '8px' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                          <input
+                            type="checkbox"
+                            id="proctoringRequireFullscreen"
+                            checked={formData.proctoringRequireFullscreen !== false}
+                            onChange={(e) => setFormData({ ...formData, proctoringRequireFullscreen: e.target.checked })}
+                            style={{ width: '16px', height: '16px' }}
+                          />
+                          <label htmlFor="proctoringRequireFullscreen" style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+                            Require fullscreen
+                          </label>
+                        </div>
+                        <div>
+                          <label htmlFor="proctoringMaxViolations" style={{ fontSize: '14px', color: 'var(--secondary-600)', display: 'block', marginBottom: '4px' }}>
+                            Auto-submit after violations
+                          </label>
+                          <input
+                            type="number"
+                            id="proctoringMaxViolations"
+                            min="0"
+                            value={formData.proctoringMaxViolations ?? 3}
+                            onChange={(e) => setFormData({ ...formData, proctoringMaxViolations: parseInt(e.target.value) || 0 })}
+                            style={{
+                              width: '100%',
+                              padding: '12px',
+                              border: '1px solid var(--secondary-300)',
+                              borderRadius: '6px'
+                            }}
+                          />
+                          <small style={{ fontSize: '12px', color: 'var(--secondary-500)', marginTop: '4px', display: 'block' }}>
+                            0 records violations without submitting automatically
+                          </small>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+
+                  <div>
+                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                      Manual Grading
+                    </label>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <input
+                        type="checkbox"
+                        id="blindGrading"
+                        checked={formData.blindGrading || false}
+                        onChange={(e) => setFormData({ ...formData, blindGrading: e.target.checked })}
+                        style={{ width: '16px', height: '16px' }}
+                      />
+                      <label htmlFor="blindGrading" style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+                        Hide student identity from graders
+                      </label>
+                    </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px' }}>
+                      <input
+                        type="checkbox"
+                        id="doubleMarking"
+                        checked={formData.doubleMarking || false}
+                        onChange={(e) => setFormData({ ...formData, doubleMarking: e.target.checked })}
+                        style={{ width: '16px', height: '16px' }}
+                      />
+                      <label htmlFor="doubleMarking" style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+                        Double-mark essay and short answers
+                      </label>
+                    </div>
+                    {formData.doubleMarking && (
+                      <div style={{ marginTop: '8px' }}>
+                        <label htmlFor="markingTolerance" style={{ fontSize: '14px', color: 'var(--secondary-600)', display: 'block', marginBottom: '4px' }}>
+                          Allowed difference between markers
+                        </label>
+                        <input
+                          type="number"
+                          id="markingTolerance"
+                          min="0"
+                          step="0.5"
+                          value={formData.markingTolerance ?? 1}
+                          onChange={(e) => setFormData({ ...formData, markingTolerance: parseFloat(e.target.value) || 0 })}
+                          style={{
+                            width: '100%',
+                            padding: '12px',
+                            border: '1px solid var(--secondary-300)',
+                            borderRadius: '6px'
+                          }}
+                        />
+                        <small style={{ fontSize: '12px', color: 'var(--secondary-500)', marginTop: '4px', display: 'block' }}>
+                          Marks further apart than this go to a third grader; closer marks are averaged
+                        </small>
+                      </div>
+                    )}
+                  </div>
+
+                  <div>
+                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                      Adaptive Testing
+                    </label>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <input
+                        type="checkbox"
+                        id="adaptiveMode"
+                        checked={formData.adaptiveMode || false}
+                        onChange={(e) => setFormData({ ...formData, adaptiveMode: e.target.checked })}
+                        style={{ width: '16px', height: '16px' }}
+                      />
+                      <label htmlFor="adaptiveMode" style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+                        Choose each question from the student's previous answers
+                      </label>
+                    </div>
+                    {formData.adaptiveMode && (
+                      <div style={{ marginTop: '8px', display: 'grid', gap: '8px' }}>
+                        <select
+                          value={formData.adaptiveStopRule}
+                          onChange={(e) => setFormData({ ...formData, adaptiveStopRule: e.target.value })}
+                          aria-label="Stopping rule"
+                          style={{
+                            width: '100%',
+                            padding: '12px',
+                            border: '1px solid var(--secondary-300)',
+                            borderRadius: '6px'
+                          }}
+                        >
+                          {Object.entries(ADAPTIVE_STOP_RULES).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                        {formData.adaptiveStopRule === 'PRECISION' && (
+                          <>
+                            <label htmlFor="adaptiveTargetStandardError" style={{ fontSize: '14px', color: 'var(--secondary-600)', display: 'block' }}>
+                              Stop once the standard error is at most
+                            </label>
+                            <input
+                              type="number"
+                              id="adaptiveTargetStandardError"
+                              min="0.1"
+                              max="1"
+                              step="0.05"
+                              value={formData.adaptiveTargetStandardError}
+                              onChange={(e) => setFormData({ ...formData, adaptiveTargetStandardError: parseFloat(e.target.value) || 0 })}
+                              style={{
+                                width: '100%',
+                                padding: '12px',
+                                border: '1px solid var(--secondary-300)',
+                                borderRadius: '6px'
+                              }}
+                            />
+                            <label htmlFor="adaptiveMinQuestions" style={{ fontSize: '14px', color: 'var(--secondary-600)', display: 'block' }}>
+                              But not before question
+                            </label>
+                            <input
+                              type="number"
+                              id="adaptiveMinQuestions"
+                              min="1"
+                              value={formData.adaptiveMinQuestions}
+                              onChange={(e) => setFormData({ ...formData, adaptiveMinQuestions: parseInt(e.target.value) || 0 })}
+                              style={{
+                                width: '100%',
+                                padding: '12px',
+                                border: '1px solid var(--secondary-300)',
+                                borderRadius: '6px'
+                              }}
+                            />
+                          </>
+                        )}
+                        <label htmlFor="adaptiveMaxQuestions" style={{ fontSize: '14px', color: 'var(--secondary-600)', display: 'block' }}>
+                          {formData.adaptiveStopRule === 'PRECISION' ? 'At most this many questions' : 'Number of questions'}
+                        </label>
+                        <input
+                          type="number"
+                          id="adaptiveMaxQuestions"
+                          min="1"
+                          value={formData.adaptiveMaxQuestions}
+                          onChange={(e) => setFormData({ ...formData, adaptiveMaxQuestions: parseInt(e.target.value) || 0 })}
+                          style={{
+                            width: '100%',
+                            padding: '12px',
+                            border: '1px solid var(--secondary-300)',
+                            borderRadius: '6px'
+                          }}
+                        />
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                          <input
+                            type="checkbox"
+                            id="adaptiveUseCalibration"
+                            checked={formData.adaptiveUseCalibration !== false}
+                            onChange={(e) => setFormData({ ...formData, adaptiveUseCalibration: e.target.checked })}
+                            style={{ width: '16px', height: '16px' }}
+                          />
+                          <label htmlFor="adaptiveUseCalibration" style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+                            Use calibrated item parameters where available
+                          </label>
+                        </div>
+                        <small style={{ fontSize: '12px', color: 'var(--secondary-500)', display: 'block' }}>
+                          Questions are drawn from the exam's category. Uncalibrated questions are placed by their difficulty level
+                          {formData.adaptiveStopRule === 'PRECISION' &&
+                            `; reaching this precision takes about ${estimateQuestionsForPrecision(formData.adaptiveTargetStandardError)} of them`}
+                          .
+                        </small>
+                      </div>
+                    )}
+                  </div>
+                  
                   <div>
                     <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
                       Question Overlap %
@@ -1259,197 +1712,299 @@ const Tests = () => {
                 <h4 style={{ marginBottom: '16px', fontSize: '18px', fontWeight: '600', color: 'var(--primary-600)' }}>
                   Question Type Distribution
                 </h4>
-                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px' }}>
-                  <div>
-                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
-                      Essay Questions
-                    </label>
-                    <input
-                      type="number"
-                      min="0"
-                      value={formData.essayQuestionsCount}
-                      onChange={(e) => setFormData({ ...formData, essayQuestionsCount: parseInt(e.target.value) || 0 })}
-                      style={{
-                        width: '100%',
-                        padding: '12px',
-                        border: '1px solid var(--secondary-300)',
-                        borderRadius: '6px'
-                      }}
-                    />
-                  </div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '16px' }}>
+                  <input
+                    type="checkbox"
+                    id="useBlueprint"
+                    checked={formData.useBlueprint || false}
+                    onChange={(e) => setFormData({ ...formData, useBlueprint: e.target.checked })}
+                    style={{ width: '16px', height: '16px' }}
+                  />
+                  <label htmlFor="useBlueprint" style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+                    Build each student's paper from a blueprint of categories, difficulties and types
+                  </label>
+                </div>
+
+                {formData.useBlueprint ? (
+                  <BlueprintEditor
+                    rows={formData.blueprint}
+                    onChange={(blueprint) => {
+                      // Keep the type counts in step so sections follow the blueprint
+                      const counts = getBlueprintExamCounts(blueprint);
+                      setFormData({ ...formData, ...counts, questionsCount: counts.totalQuestions, blueprint });
+                    }}
+                    categories={categories}
+                    bankCounts={bankCounts}
+                    bankLoading={bankCountsLoading}
+                    overlapPercentage={Number(formData.questionOverlapPercentage) || 0}
+                    requireTypes={formData.enableSections}
+                  />
+                ) : (
+                  <>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px' }}>
+                      <div>
+                        <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                          Essay Questions
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={formData.essayQuestionsCount}
+                          onChange={(e) => setFormData({ ...formData, essayQuestionsCount: parseInt(e.target.value) || 0 })}
+                          style={{
+                            width: '100%',
+                            padding: '12px',
+                            border: '1px solid var(--secondary-300)',
+                            borderRadius: '6px'
+                          }}
+                        />
+                      </div>
                   
-                  <div>
-                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
-                      Multiple Choice
-                    </label>
-                    <input
-                      type="number"
-                      min="0"
-                      value={formData.multipleChoiceQuestionsCount}
-                      onChange={(e) => setFormData({ ...formData, multipleChoiceQuestionsCount: parseInt(e.target.value) || 0 })}
-                      style={{
-                        width: '100%',
-                        padding: '12px',
-                        border: '1px solid var(--secondary-300)',
-                        borderRadius: '6px'
-                      }}
-                    />
-                  </div>
+                      <div>
+                        <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                          Multiple Choice
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={formData.multipleChoiceQuestionsCount}
+                          onChange={(e) => setFormData({ ...formData, multipleChoiceQuestionsCount: parseInt(e.target.value) || 0 })}
+                          style={{
+                            width: '100%',
+                            padding: '12px',
+                            border: '1px solid var(--secondary-300)',
+                            borderRadius: '6px'
+                          }}
+                        />
+                      </div>
                   
-                  <div>
-                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
-                      Short Answer
-                    </label>
-                    <input
-                      type="number"
-                      min="0"
-                      value={formData.shortAnswerQuestionsCount}
-                      onChange={(e) => setFormData({ ...formData, shortAnswerQuestionsCount: parseInt(e.target.value) || 0 })}
-                      style={{
-                        width: '100%',
-                        padding: '12px',
-                        border: '1px solid var(--secondary-300)',
-                        borderRadius: '6px'
-                      }}
-                    />
-                  </div>
+                      <div>
+                        <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                          Short Answer
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={formData.shortAnswerQuestionsCount}
+                          onChange={(e) => setFormData({ ...formData, shortAnswerQuestionsCount: parseInt(e.target.value) || 0 })}
+                          style={{
+                            width: '100%',
+                            padding: '12px',
+                            border: '1px solid var(--secondary-300)',
+                            borderRadius: '6px'
+                          }}
+                        />
+                      </div>
                   
-                  <div>
-                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
-                      Fill in the Blank
-                    </label>
-                    <input
-                      type="number"
-                      min="0"
-                      value={formData.fillInTheBlankQuestionsCount}
-                      onChange={(e) => setFormData({ ...formData, fillInTheBlankQuestionsCount: parseInt(e.target.value) || 0 })}
-                      style={{
-                        width: '100%',
-                        padding: '12px',
-                        border: '1px solid var(--secondary-300)',
-                        borderRadius: '6px'
-                      }}
-                    />
-                  </div>
+                      <div>
+                        <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                          Fill in the Blank
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={formData.fillInTheBlankQuestionsCount}
+                          onChange={(e) => setFormData({ ...formData, fillInTheBlankQuestionsCount: parseInt(e.target.value) || 0 })}
+                          style={{
+                            width: '100%',
+                            padding: '12px',
+                            border: '1px solid var(--secondary-300)',
+                            borderRadius: '6px'
+                          }}
+                        />
+                      </div>
                   
-                  <div>
-                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
-                      True/False
-                    </label>
-                    <input
-                      type="number"
-                      min="0"
-                      value={formData.trueFalseQuestionsCount}
-                      onChange={(e) => setFormData({ ...formData, trueFalseQuestionsCount: parseInt(e.target.value) || 0 })}
-                      style={{
-                        width: '100%',
-                        padding: '12px',
-                        border: '1px solid var(--secondary-300)',
-                        borderRadius: '6px'
-                      }}
-                    />
-                  </div>
+                      <div>
+                        <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                          True/False
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={formData.trueFalseQuestionsCount}
+                          onChange={(e) => setFormData({ ...formData, trueFalseQuestionsCount: parseInt(e.target.value) || 0 })}
+                          style={{
+                            width: '100%',
+                            padding: '12px',
+                            border: '1px solid var(--secondary-300)',
+                            borderRadius: '6px'
+                          }}
+                        />
+                      </div>
                   
-                  <div>
-                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
-                      Matching
-                    </label>
-                    <input
-                      type="number"
-                      min="0"
-                      value={formData.matchingQuestionsCount}
-                      onChange={(e) => setFormData({ ...formData, matchingQuestionsCount: parseInt(e.target.value) || 0 })}
-                      style={{
-                        width: '100%',
-                        padding: '12px',
-                        border: '1px solid var(--secondary-300)',
-                        borderRadius: '6px'
-                      }}
-                    />
-                  </div>
+                      <div>
+                        <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                          Matching
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={formData.matchingQuestionsCount}
+                          onChange={(e) => setFormData({ ...formData, matchingQuestionsCount: parseInt(e.target.value) || 0 })}
+                          style={{
+                            width: '100%',
+                            padding: '12px',
+                            border: '1px solid var(--secondary-300)',
+                            borderRadius: '6px'
+                          }}
+                        />
+                      </div>
                   
-                  <div>
-                    <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
-                      Ordering
-                    </label>
+                      <div>
+                        <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                          Ordering
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={formData.orderingQuestionsCount}
+                          onChange={(e) => setFormData({ ...formData, orderingQuestionsCount: parseInt(e.target.value) || 0 })}
+                          style={{
+                            width: '100%',
+                            padding: '12px',
+                            border: '1px solid var(--secondary-300)',
+                            borderRadius: '6px'
+                          }}
+                        />
+                      </div>
+                    </div>
+                
+                    {/* Total validation */}
+                    <div style={{ 
+                      marginTop: '12px', 
+                      padding: '12px', 
+                      borderRadius: '6px', 
+                      fontSize: '14px',
+                      backgroundColor: (() => {
+                        const total = formData.essayQuestionsCount + formData.multipleChoiceQuestionsCount + 
+                                     formData.shortAnswerQuestionsCount + formData.fillInTheBlankQuestionsCount + 
+                                     formData.trueFalseQuestionsCount + formData.matchingQuestionsCount + 
+                                     formData.orderingQuestionsCount;
+                        if (total === formData.questionsCount) {
+                          return 'var(--success-100)';
+                        } else if (total > formData.questionsCount) {
+                          return 'var(--error-100)';
+                        } else {
+                          return 'var(--warning-100)';
+                        }
+                      })(),
+                      color: (() => {
+                        const total = formData.essayQuestionsCount + formData.multipleChoiceQuestionsCount + 
+                                     formData.shortAnswerQuestionsCount + formData.fillInTheBlankQuestionsCount + 
+                                     formData.trueFalseQuestionsCount + formData.matchingQuestionsCount + 
+                                     formData.orderingQuestionsCount;
+                        if (total === formData.questionsCount) {
+                          return 'var(--success-600)';
+                        } else if (total > formData.questionsCount) {
+                          return 'var(--error-600)';
+                        } else {
+                          return 'var(--warning-600)';
+                        }
+                      })(),
+                      border: '1px solid',
+                      borderColor: (() => {
+                        const total = formData.essayQuestionsCount + formData.multipleChoiceQuestionsCount + 
+                                     formData.shortAnswerQuestionsCount + formData.fillInTheBlankQuestionsCount + 
+                                     formData.trueFalseQuestionsCount + formData.matchingQuestionsCount + 
+                                     formData.orderingQuestionsCount;
+                        if (total === formData.totalQuestions) {
+                          return 'var(--success-300)';
+                        } else if (total > formData.totalQuestions) {
+                          return 'var(--error-300)';
+                        } else {
+                          return 'var(--warning-300)';
+                        }
+                      })()
+                    }}>
+                      <strong>Total:</strong> {formData.essayQuestionsCount + formData.multipleChoiceQuestionsCount + 
+                                              formData.shortAnswerQuestionsCount + formData.fillInTheBlankQuestionsCount + 
+                                              formData.trueFalseQuestionsCount + formData.matchingQuestionsCount + 
+                                              formData.orderingQuestionsCount} / {formData.questionsCount} questions
+                      {(() => {
+                        const total = formData.essayQuestionsCount + formData.multipleChoiceQuestionsCount + 
+                                     formData.shortAnswerQuestionsCount + formData.fillInTheBlankQuestionsCount + 
+                                     formData.trueFalseQuestionsCount + formData.matchingQuestionsCount + 
+                                     formData.orderingQuestionsCount;
+                        if (total === formData.questionsCount) {
+                          return ' Perfect match!';
+                        } else if (total > formData.questionsCount) {
+                                                  return ' Too many questions specified';
+                        } else {
+                                                  return ' Some questions will be randomly selected';
+                        }
+                      })()}
+                    </div>
+                  </>
+                )}
+
+                {/* Sections */}
+                <div style={{ marginTop: '16px' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
                     <input
-                      type="number"
-                      min="0"
-                      value={formData.orderingQuestionsCount}
-                      onChange={(e) => setFormData({ ...formData, orderingQuestionsCount: parseInt(e.target.value) || 0 })}
-                      style={{
-                        width: '100%',
-                        padding: '12px',
-                        border: '1px solid var(--secondary-300)',
-                        borderRadius: '6px'
-                      }}
+                      type="checkbox"
+                      id="enableSections"
+                      checked={formData.enableSections || false}
+                      onChange={(e) => setFormData({ ...formData, enableSections: e.target.checked })}
+                      style={{ width: '16px', height: '16px' }}
                     />
+                    <label htmlFor="enableSections" style={{ fontSize: '14px', color: 'var(--secondary-600)' }}>
+                      Split the exam into sections by question type
+                    </label>
                   </div>
-                </div>
-                
-                {/* Total validation */}
-                <div style={{ 
-                  marginTop: '12px', 
-                  padding: '12px', 
-                  borderRadius: '6px', 
-                  fontSize: '14px',
-                  backgroundColor: (() => {
-                    const total = formData.essayQuestionsCount + formData.multipleChoiceQuestionsCount + 
-                                 formData.shortAnswerQuestionsCount + formData.fillInTheBlankQuestionsCount + 
-                                 formData.trueFalseQuestionsCount + formData.matchingQuestionsCount + 
-                                 formData.orderingQuestionsCount;
-                    if (total === formData.questionsCount) {
-                      return 'var(--success-100)';
-                    } else if (total > formData.questionsCount) {
-                      return 'var(--error-100)';
-                    } else {
-                      return 'var(--warning-100)';
-                    }
-                  })(),
-                  color: (() => {
-                    const total = formData.essayQuestionsCount + formData.multipleChoiceQuestionsCount + 
-                                 formData.shortAnswerQuestionsCount + formData.fillInTheBlankQuestionsCount + 
-                                 formData.trueFalseQuestionsCount + formData.matchingQuestionsCount + 
-                                 formData.orderingQuestionsCount;
-                    if (total === formData.questionsCount) {
-                      return 'var(--success-600)';
-                    } else if (total > formData.questionsCount) {
-                      return 'var(--error-600)';
-                    } else {
-                      return 'var(--warning-600)';
-                    }
-                  })(),
-                  border: '1px solid',
-                  borderColor: (() => {
-                    const total = formData.essayQuestionsCount + formData.multipleChoiceQuestionsCount + 
-                                 formData.shortAnswerQuestionsCount + formData.fillInTheBlankQuestionsCount + 
-                                 formData.trueFalseQuestionsCount + formData.matchingQuestionsCount + 
-                                 formData.orderingQuestionsCount;
-                    if (total === formData.totalQuestions) {
-                      return 'var(--success-300)';
-                    } else if (total > formData.totalQuestions) {
-                      return 'var(--error-300)';
-                    } else {
-                      return 'var(--warning-300)';
-                    }
-                  })()
-                }}>
-                  <strong>Total:</strong> {formData.essayQuestionsCount + formData.multipleChoiceQuestionsCount + 
-                                          formData.shortAnswerQuestionsCount + formData.fillInTheBlankQuestionsCount + 
-                                          formData.trueFalseQuestionsCount + formData.matchingQuestionsCount + 
-                                          formData.orderingQuestionsCount} / {formData.questionsCount} questions
-                  {(() => {
-                    const total = formData.essayQuestionsCount + formData.multipleChoiceQuestionsCount + 
-                                 formData.shortAnswerQuestionsCount + formData.fillInTheBlankQuestionsCount + 
-                                 formData.trueFalseQuestionsCount + formData.matchingQuestionsCount + 
-                                 formData.orderingQuestionsCount;
-                    if (total === formData.questionsCount) {
-                      return ' Perfect match!';
-                    } else if (total > formData.questionsCount) {
-                                              return ' Too many questions specified';
-                    } else {
-                                              return ' Some questions will be randomly selected';
-                    }
+
+                  {formData.enableSections && (() => {
+                    const configuredSections = EXAM_CONSTANTS.QUESTION_TYPE_SECTIONS.filter(
+                      section => Number(formData[section.countField]) > 0
+                    );
+                    const totalSectionMinutes = configuredSections.reduce(
+                      (sum, section) => sum + (Number(formData.sectionTimeLimits?.[section.key]) || 0), 0
+                    );
+
+                    return (
+                      <div style={{ marginTop: '12px' }}>
+                        <small style={{ fontSize: '12px', color: 'var(--secondary-500)', display: 'block', marginBottom: '12px' }}>
+                          Students sit the sections in the order below. Set a time limit in minutes per section, or 0 for no separate limit.
+                        </small>
+                        {configuredSections.length === 0 ? (
+                          <small style={{ fontSize: '12px', color: 'var(--warning-600)' }}>
+                            Set the question type counts above to configure sections.
+                          </small>
+                        ) : (
+                          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px' }}>
+                            {configuredSections.map(section => (
+                              <div key={section.key}>
+                                <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                                  {section.label} ({formData[section.countField]})
+                                </label>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  value={formData.sectionTimeLimits?.[section.key] || 0}
+                                  onChange={(e) => setFormData({
+                                    ...formData,
+                                    sectionTimeLimits: {
+                                      ...(formData.sectionTimeLimits || {}),
+                                      [section.key]: parseInt(e.target.value) || 0
+                                    }
+                                  })}
+                                  style={{
+                                    width: '100%',
+                                    padding: '12px',
+                                    border: '1px solid var(--secondary-300)',
+                                    borderRadius: '6px'
+                                  }}
+                                />
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {totalSectionMinutes > Number(formData.duration) && (
+                          <small style={{ fontSize: '12px', color: 'var(--warning-600)', marginTop: '8px', display: 'block' }}>
+                            Section limits add up to {totalSectionMinutes} minutes, more than the exam duration of {formData.duration} minutes.
+                          </small>
+                        )}
+                      </div>
+                    );
                   })()}
                 </div>
               </div>
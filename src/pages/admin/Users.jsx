@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useLocation } from 'react-router-dom';
+import { useLocation, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { userAPI, adminAPI, bookingAPI, attemptAPI } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
@@ -1110,6 +1110,9 @@ const Users = () => {
                             <div className="text-sm text-gray-800"><span className="font-semibold">Score:</span> {viewUserExamInfo.attempts[0].score != null ? viewUserExamInfo.attempts[0].score : 'N/A'}</div>
                             <div className="text-sm text-gray-800"><span className="font-semibold">Result:</span> {viewUserExamInfo.attempts[0].status || 'N/A'}</div>
                             <div className="text-sm text-gray-800"><span className="font-semibold">Date:</span> {viewUserExamInfo.attempts[0].completedAt ? new Date(viewUserExamInfo.attempts[0].completedAt).toLocaleString() : (viewUserExamInfo.attempts[0].startedAt ? new Date(viewUserExamInfo.attempts[0].startedAt).toLocaleString() : 'N/A')}</div>
+                            <Link to={`/admin/attempts/${viewUserExamInfo.attempts[0].id}`} className="text-sm font-semibold text-blue-600 hover:underline">
+                              View details and integrity timeline
+                            </Link>
                           </div>
                         )}
                       </div>
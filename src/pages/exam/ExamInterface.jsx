@@ -1,7 +1,31 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation } from '@tanstack/react-query';
 import { examAPI, attemptAPI } from '../../services/api';
+import { useExamAutosave } from '../../hooks/exam/useExamAutosave';
+import { useExamTimer } from '../../hooks/exam/useExamTimer';
+import { useSectionTimer } from '../../hooks/exam/useSectionTimer';
+import { useQuestionTimer } from '../../hooks/exam/useQuestionTimer';
+import { useProctoring } from '../../hooks/exam/useProctoring';
+import QuestionPalette from '../../components/exam/QuestionPalette';
+import ExamReviewScreen from '../../components/exam/ExamReviewScreen';
+import MatchingQuestion from '../../components/exam/MatchingQuestion';
+import OrderingQuestion from '../../components/exam/OrderingQuestion';
+import ProctoringOverlay from '../../components/exam/ProctoringOverlay';
+import RichText from '../../components/exam/RichText';
+import { examAnswerQueue } from '../../utils/storage/examAnswerQueue';
+import { buildResponsePayload, hasAnswer, responsesToAnswers } from '../../utils/exam/examResponseUtils';
+import { readExamSession, saveExamSession, clearExamSession, isAttemptResumable } from '../../utils/exam/examSession';
+import { getQuestionTimeLimit, getQuestionTimeLeft, isQuestionTimeUp, getTimingPayload } from '../../utils/exam/questionTiming';
+import {
+  orderQuestionsBySection,
+  buildExamSections,
+  getSectionForQuestion,
+  getSectionTimeLeft,
+  isSectionLocked
+} from '../../utils/exam/examSections';
+import { getAdaptiveLength } from '../../utils/exam/adaptive';
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
 import toast from 'react-hot-toast';
   import { 
   FiClock, 
@@ -14,7 +38,14 @@ import toast from 'react-hot-toast';
   FiEdit2,
   FiAlignLeft,
   FiType,
-  FiImage
+  FiImage,
+  FiInfo,
+  FiCloud,
+  FiCloudOff,
+  FiRefreshCw,
+  FiBookmark,
+  FiLayers,
+  FiShield
 } from 'react-icons/fi';
 import { FaRegCircle, FaCircle } from 'react-icons/fa';
 
@@ -27,9 +58,15 @@ const ExamInterface = () => {
   
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [answers, setAnswers] = useState({});
-  const [timeLeft, setTimeLeft] = useState(3600); // 60 minutes in seconds
+  const [flagged, setFlagged] = useState({});
+  const [visited, setVisited] = useState({});
+  const [showReview, setShowReview] = useState(false);
   const [isSubmitted, setIsSubmitted] = useState(false);
+  // Why the attempt is being handed in without the student asking: 'time' or 'violations'
+  const [autoSubmitReason, setAutoSubmitReason] = useState(null);
+  const isAutoSubmitting = autoSubmitReason !== null;
   const [attemptId, setAttemptId] = useState(null);
+  const [attemptDetails, setAttemptDetails] = useState(null);
 
   // Fetch real exam data
   const [examData, setExamData] = useState(null);
@@ -71,28 +108,34 @@ const ExamInterface = () => {
     examError
   });
 
+  const { saveStatus, pendingCount, queueAnswer, clearPending } = useExamAutosave(attemptId);
+
+  const applyAttemptQuestions = (attemptQuestions) => {
+    if (!attemptQuestions?.length) return;
+    setExamData(prev => ({
+      ...prev,
+      data: {
+        ...prev?.data,
+        data: {
+          ...prev?.data?.data,
+          questions: attemptQuestions
+        }
+      }
+    }));
+  };
+
   // Start exam attempt
   const startAttemptMutation = useMutation({
     mutationFn: (examId) => attemptAPI.startAttempt(examId),
-    onSuccess: (data) => {
+    onSuccess: (data, examId) => {
       console.log('🔍 Start attempt success:', data);
-      setAttemptId(data.data?.data?.attempt?.id);
-      setTimeLeft(data.data?.data?.attempt?.duration * 60 || 3600);
+      const newAttemptId = data.data?.data?.attempt?.id;
+      setAttemptId(newAttemptId);
+      setAttemptDetails(data.data?.data?.attempt);
+      saveExamSession(examId, { attemptId: newAttemptId, currentQuestion: 0 });
       
       // Get questions from the start attempt response
-      const startQuestions = data.data?.data?.questions || [];
-      if (startQuestions.length > 0) {
-        setExamData(prev => ({
-          ...prev,
-          data: {
-            ...prev?.data,
-            data: {
-              ...prev?.data?.data,
-              questions: startQuestions
-            }
-          }
-        }));
-      }
+      applyAttemptQuestions(data.data?.data?.questions);
       
       toast.success('Exam started successfully!');
     },
@@ -117,6 +160,8 @@ const ExamInterface = () => {
     onSuccess: (data) => {
       console.log('🔍 Submit attempt success:', data);
       setIsSubmitted(true);
+      clearPending();
+      clearExamSession(exam.id);
       toast.success('Exam submitted successfully!');
       
       // Show detailed success message with analytics preview
@@ -140,14 +185,19 @@ const ExamInterface = () => {
       }, 3000);
     },
     onError: (error) => {
-      toast.error('Failed to submit exam');
+      toast.error('Failed to submit exam. Your answers are saved, please try again.');
       console.error('Submit exam error:', error);
     }
   });
 
   // Extract exam data
-  const exam = examData?.data?.data?.exam || examData?.data?.exam || {};
-  const questions = examData?.data?.data?.questions || exam.questions || [];
+  const exam = useMemo(() => examData?.data?.data?.exam || examData?.data?.exam || {}, [examData]);
+  const rawQuestions = examData?.data?.data?.questions || exam.questions;
+  const questions = useMemo(() => orderQuestionsBySection(exam, rawQuestions || []), [exam, rawQuestions]);
+  const sections = useMemo(() => buildExamSections(exam, questions), [exam, questions]);
+  const currentSection = getSectionForQuestion(sections, currentQuestion);
+  // Adaptive exams serve one question at a time, chosen from earlier answers
+  const isAdaptive = !!exam.adaptiveMode;
   
   console.log('🔍 ExamInterface Debug:', {
     examData,
@@ -159,9 +209,72 @@ const ExamInterface = () => {
     questionsCount: questions.length
   });
 
+  // Rehydrate an in-progress attempt left behind by a reload, crash or closed tab
+  const restoreAttempt = async (examId) => {
+    const session = readExamSession(examId);
+    if (!session?.attemptId) return null;
+
+    try {
+      const [attemptResponse, responsesResponse] = await Promise.all([
+        attemptAPI.getAttemptById(session.attemptId),
+        attemptAPI.getAttemptResponses(session.attemptId)
+      ]);
+      const attempt = attemptResponse.data?.data?.attempt;
+      if (!isAttemptResumable(attempt)) {
+        clearExamSession(examId);
+        await examAnswerQueue.clearAttempt(session.attemptId);
+        return null;
+      }
+
+      const attemptQuestions = attempt.questions?.length ? attempt.questions : questions;
+      const savedResponses = responsesResponse.data?.data?.responses || attempt.responses || [];
+      // Answers still queued locally are newer than anything the server has
+      const queuedResponses = (await examAnswerQueue.getPending(session.attemptId)).map(entry => entry.payload);
+
+      return {
+        attempt,
+        questions: attemptQuestions,
+        answers: responsesToAnswers(attemptQuestions, [...savedResponses, ...queuedResponses]),
+        currentQuestion: Math.min(
+          session.currentQuestion ?? attempt.currentQuestionIndex ?? 0,
+          Math.max(attemptQuestions.length - 1, 0)
+        ),
+        flagged: session.flagged || {},
+        visited: session.visited || {},
+        sectionUsage: session.sectionUsage || {},
+        questionTimes: session.questionTimes || {},
+        violationCount: session.violationCount || 0
+      };
+    } catch (error) {
+      console.error('Failed to restore exam attempt:', error);
+      return null;
+    }
+  };
+
   useEffect(() => {
     console.log('🔍 useEffect - exam.id:', exam.id, 'attemptId:', attemptId);
-    if (exam.id && !attemptId) {
+    if (!exam.id || attemptId) return;
+
+    let cancelled = false;
+
+    restoreAttempt(exam.id).then(restored => {
+      if (cancelled) return;
+
+      if (restored) {
+        applyAttemptQuestions(restored.attempt.questions);
+        setAnswers(restored.answers);
+        setFlagged(restored.flagged);
+        setVisited(restored.visited);
+        restoreUsage(restored.sectionUsage);
+        restoreTimes(restored.questionTimes);
+        restoreViolations(restored.violationCount);
+        setCurrentQuestion(restored.currentQuestion);
+        setAttemptDetails(restored.attempt);
+        setAttemptId(restored.attempt.id);
+        toast.success('Your previous progress has been restored');
+        return;
+      }
+
       // Check attempts before starting
       const attemptsInfo = exam.attemptsInfo;
       if (attemptsInfo && !attemptsInfo.canTakeExam) {
@@ -178,31 +291,159 @@ const ExamInterface = () => {
       
       console.log('🔍 Starting exam attempt for exam ID:', exam.id);
       startAttemptMutation.mutate(exam.id);
-    }
+    });
+
+    return () => {
+      cancelled = true;
+    };
   }, [exam.id, attemptId, exam.attemptsInfo, navigate]);
 
+  const currentQuestionId = questions[currentQuestion]?.id;
   useEffect(() => {
-    if (!attemptId || isSubmitted) return;
-
-    const timer = setInterval(() => {
-      setTimeLeft(prev => {
-        if (prev <= 1) {
-          clearInterval(timer);
-          handleSubmit();
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
+    if (!attemptId || !currentQuestionId) return;
+    setVisited(prev => (prev[currentQuestionId] ? prev : { ...prev, [currentQuestionId]: true }));
+  }, [attemptId, currentQuestionId]);
 
-    return () => clearInterval(timer);
-  }, [attemptId, isSubmitted]);
+  // Time is up: hand in whatever has been answered, without asking
+  const handleTimeUp = () => {
+    setAutoSubmitReason('time');
+    toast.error('Time is up! Your exam is being submitted.', { duration: 5000 });
+    submitExam();
+  };
+
+  const { timeLeft } = useExamTimer({
+    attemptId,
+    attempt: attemptDetails,
+    examDuration: exam.duration,
+    onExpire: handleTimeUp,
+    enabled: !isSubmitted
+  });
+
+  // A section ran out of time: lock it and move on to the next open section
+  const handleSectionExpire = (section) => {
+    const openSections = (sections || []).filter(s => s.key !== section.key && !isSectionLocked(s, sectionUsage));
+    if (!openSections.length) {
+      handleTimeUp();
+      return;
+    }
+
+    const nextSection = openSections.find(s => s.questionIndexes[0] > section.questionIndexes[0]) || openSections[0];
+    toast(`Time for the ${section.label} section is over. Moving to ${nextSection.label}.`, { duration: 5000 });
+    setCurrentQuestion(nextSection.questionIndexes[0]);
+  };
+
+  const attemptActive = !!attemptId && !isSubmitted && !isAutoSubmitting;
+  const { sectionUsage, restoreUsage } = useSectionTimer({
+    sections,
+    activeSectionKey: attemptActive ? currentSection?.key : null,
+    enabled: attemptActive,
+    onSectionExpire: handleSectionExpire
+  });
+
+  // A question's own time limit ran out: lock it and move to the next open question
+  const handleQuestionExpire = (questionId) => {
+    const isOpen = (index) => questions[index].id !== questionId && !isQuestionLocked(index);
+    const nextIndex = questions.findIndex((_, index) => index > currentQuestion && isOpen(index));
+    const fallbackIndex = nextIndex === -1 ? questions.findIndex((_, index) => isOpen(index)) : nextIndex;
+    if (fallbackIndex === -1) {
+      handleTimeUp();
+      return;
+    }
+
+    toast(`Time for question ${currentQuestion + 1} is over.`, { duration: 4000 });
+    setCurrentQuestion(fallbackIndex);
+  };
+
+  const { questionTimes, restoreTimes } = useQuestionTimer({
+    activeQuestionId: attemptActive ? currentQuestionId : null,
+    enabled: attemptActive,
+    getTimeLimit: (questionId) => getQuestionTimeLimit(exam, questions.find(q => q.id === questionId)),
+    onQuestionExpire: handleQuestionExpire
+  });
+
+  // Too many integrity violations: hand the attempt in as it stands
+  const handleViolationLimit = () => {
+    setAutoSubmitReason('violations');
+    toast.error('Too many integrity violations. Your exam is being submitted.', { duration: 5000 });
+    submitExam();
+  };
+
+  const proctoringEnabled = !!exam.enableProctoring;
+  const requireFullscreen = proctoringEnabled && exam.proctoringRequireFullscreen !== false;
+  const maxViolations = Number(exam.proctoringMaxViolations ?? EXAM_CONSTANTS.PROCTORING_DEFAULT_MAX_VIOLATIONS);
+  const {
+    violationCount,
+    warning: proctoringWarning,
+    dismissWarning,
+    isFullscreen,
+    requestFullscreen,
+    flushEvents,
+    restoreViolations
+  } = useProctoring({
+    attemptId,
+    enabled: proctoringEnabled && attemptActive,
+    requireFullscreen,
+    maxViolations,
+    onViolationLimit: handleViolationLimit
+  });
+
+  // Remember where the student is so a reload lands on the same question
+  useEffect(() => {
+    if (exam.id && attemptId && !isSubmitted) {
+      saveExamSession(exam.id, { attemptId, currentQuestion, flagged, visited, sectionUsage, questionTimes, violationCount });
+    }
+  }, [exam.id, attemptId, currentQuestion, flagged, visited, sectionUsage, questionTimes, violationCount, isSubmitted]);
+
+  // Confirmed adaptive answers are final, so only the newest question is open
+  const isQuestionLocked = (index) =>
+    (isAdaptive && index < questions.length - 1) ||
+    isSectionLocked(getSectionForQuestion(sections, index), sectionUsage) ||
+    isQuestionTimeUp(exam, questions[index], questionTimes);
+
+  // Nearest question in the given direction that is not in a locked section
+  const findAdjacentQuestion = (step) => {
+    let index = currentQuestion + step;
+    while (index >= 0 && index < questions.length && isQuestionLocked(index)) {
+      index += step;
+    }
+    return index >= 0 && index < questions.length ? index : null;
+  };
+
+  const goToQuestion = (index) => {
+    if (index === null || index < 0 || index >= questions.length || isQuestionLocked(index)) return;
+    setCurrentQuestion(index);
+    setShowReview(false);
+  };
 
-  const handleAnswerSelect = (questionId, answerIndex) => {
+  const toggleFlag = (question) => {
+    setFlagged(prev => {
+      const next = { ...prev };
+      if (next[question.id]) {
+        delete next[question.id];
+      } else {
+        next[question.id] = true;
+      }
+      return next;
+    });
+  };
+
+  // Response payload including the time tracked on the question so far
+  const buildTimedPayload = (question, answer) => ({
+    ...buildResponsePayload(question, answer),
+    ...getTimingPayload(questionTimes, question.id)
+  });
+
+  const updateAnswer = (question, answer) => {
+    if (isQuestionLocked(questions.indexOf(question))) return;
     setAnswers(prev => ({
       ...prev,
-      [questionId]: answerIndex
+      [question.id]: answer
     }));
+    queueAnswer(buildTimedPayload(question, answer));
+  };
+
+  const handleAnswerSelect = (question, answerIndex) => {
+    updateAnswer(question, answerIndex);
   };
 
   const handleSubmit = () => {
@@ -213,46 +454,51 @@ const ExamInterface = () => {
       return;
     }
 
-    // Show confirmation dialog
-    const answeredCount = Object.keys(answers).length;
-    const totalQuestions = questions.length;
-    const unansweredCount = totalQuestions - answeredCount;
-    
-    let confirmMessage = `Are you sure you want to submit your exam?\n\n📊 Progress: ${answeredCount}/${totalQuestions} questions answered`;
-    
-    if (unansweredCount > 0) {
-      confirmMessage += `\n⚠️ ${unansweredCount} question(s) unanswered`;
+    setShowReview(true);
+  };
+
+  const submitExam = () => {
+    if (!attemptId || submitAttemptMutation.isPending || isSubmitted) return;
+
+    // Convert answers to the format expected by the backend. Questions that were
+    // opened but left unanswered are sent too, so their time is not lost.
+    const responses = questions
+      .filter(question => question.id in answers || questionTimes[question.id])
+      .map(question => buildTimedPayload(question, answers[question.id]));
+
+    console.log('🔍 About to call submitAttemptMutation with:', { attemptId, responses });
+    // Send any integrity events still buffered before the attempt closes
+    flushEvents();
+    submitAttemptMutation.mutate({
+      attemptId,
+      responses
+    });
+  };
+
+  const adaptiveAnswerMutation = useMutation({
+    mutationFn: ({ question, answer }) => attemptAPI.submitAdaptiveAnswer(attemptId, buildTimedPayload(question, answer)),
+    onSuccess: (data) => {
+      const { nextQuestion, done } = data.data?.data || {};
+      if (done || !nextQuestion) {
+        submitExam();
+        return;
+      }
+      applyAttemptQuestions([...questions, nextQuestion]);
+      setCurrentQuestion(questions.length);
+    },
+    onError: (error) => {
+      toast.error('Failed to save your answer. Please try again.');
+      console.error('Adaptive answer error:', error);
     }
-    
-    confirmMessage += '\n\nThis action cannot be undone.';
-    
-    if (window.confirm(confirmMessage)) {
-      // Convert answers to the format expected by the backend
-      const responses = Object.entries(answers).map(([questionId, answer]) => {
-        const currentQuestion = questions.find(q => q.id === questionId);
-        
-        if (currentQuestion?.type === 'ESSAY' || currentQuestion?.type === 'SHORT_ANSWER') {
-          return {
-            questionId,
-            selectedOptions: [],
-            essayAnswer: answer,
-            timeSpent: 0
-          };
-        } else {
-          return {
-            questionId,
-            selectedOptions: Array.isArray(answer) ? answer : [answer],
-            timeSpent: 0
-          };
-        }
-      });
+  });
 
-      console.log('🔍 About to call submitAttemptMutation with:', { attemptId, responses });
-      submitAttemptMutation.mutate({
-        attemptId,
-        responses
-      });
+  const confirmAdaptiveAnswer = () => {
+    const question = questions[currentQuestion];
+    if (!hasAnswer(answers[question.id])) {
+      toast.error('Answer the question to continue');
+      return;
     }
+    adaptiveAnswerMutation.mutate({ question, answer: answers[question.id] });
   };
 
   // Handle errors
@@ -294,7 +540,7 @@ const ExamInterface = () => {
 
   // Check if attempts exceeded
   const attemptsInfo = exam.attemptsInfo;
-  if (attemptsInfo && !attemptsInfo.canTakeExam) {
+  if (attemptsInfo && !attemptsInfo.canTakeExam && !attemptId) {
     return (
       <div style={{
         minHeight: '100vh',
@@ -487,6 +733,23 @@ const ExamInterface = () => {
   };
 
   const currentQuestionData = questions[currentQuestion];
+  const sectionTimeLeft = getSectionTimeLeft(currentSection, sectionUsage);
+  const questionTimeLeft = getQuestionTimeLeft(exam, currentQuestionData, questionTimes);
+  const expiredQuestions = questions.reduce((acc, question) => (
+    isQuestionTimeUp(exam, question, questionTimes) ? { ...acc, [question.id]: true } : acc
+  ), {});
+  const previousQuestionIndex = findAdjacentQuestion(-1);
+  const nextQuestionIndex = findAdjacentQuestion(1);
+  const answeredCount = questions.filter(q => hasAnswer(answers[q.id])).length;
+  // Adaptive exams only know their length up front with a fixed-length rule
+  const progressTotal = isAdaptive ? getAdaptiveLength(exam) || questions.length : questions.length;
+
+  const saveIndicator = {
+    saving: { icon: FiRefreshCw, label: 'Saving...', color: 'var(--secondary-600)', background: 'var(--secondary-50)' },
+    saved: { icon: FiCloud, label: 'All answers saved', color: 'var(--success-700)', background: 'var(--success-100)' },
+    offline: { icon: FiCloudOff, label: `Offline - ${pendingCount} answer(s) saved on this device`, color: 'var(--warning-700)', background: 'var(--warning-100)' },
+    error: { icon: FiCloudOff, label: 'Save failed - retrying', color: 'var(--danger-700)', background: 'var(--danger-100)' }
+  }[saveStatus];
   
   console.log('🔍 Current Question Debug:', {
     currentQuestion,
@@ -579,6 +842,87 @@ return (
       '--shadow': '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
       '--transition-normal': 'all 0.2s ease-in-out'
     }}>
+      {/* Review Before Submit */}
+      {showReview && !isAutoSubmitting && (
+        <ExamReviewScreen
+          questions={questions}
+          answers={answers}
+          flagged={flagged}
+          sections={sections}
+          sectionUsage={sectionUsage}
+          expiredQuestions={expiredQuestions}
+          isSubmitting={submitAttemptMutation.isPending}
+          onJump={goToQuestion}
+          onClose={() => setShowReview(false)}
+          onSubmit={submitExam}
+        />
+      )}
+
+      {/* Proctoring */}
+      {proctoringEnabled && attemptActive && (
+        <ProctoringOverlay
+          requireFullscreen={requireFullscreen}
+          isFullscreen={isFullscreen}
+          warning={proctoringWarning}
+          violationCount={violationCount}
+          maxViolations={maxViolations}
+          onEnterFullscreen={requestFullscreen}
+          onDismissWarning={dismissWarning}
+        />
+      )}
+
+      {/* Auto-submit Overlay */}
+      {isAutoSubmitting && (
+        <div style={{
+          position: 'fixed',
+          inset: 0,
+          backgroundColor: 'rgba(15, 23, 42, 0.6)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000,
+          padding: '24px'
+        }}>
+          <div style={{
+            background: 'white',
+            borderRadius: '16px',
+            padding: '32px',
+            boxShadow: 'var(--shadow)',
+            textAlign: 'center',
+            maxWidth: '420px',
+            width: '100%'
+          }}>
+            {autoSubmitReason === 'violations' ? (
+              <FiShield size={40} color="var(--danger-500)" />
+            ) : (
+              <FiClock size={40} color="var(--danger-500)" />
+            )}
+            <h2 style={{ fontSize: '22px', fontWeight: '600', color: 'var(--secondary-900)', margin: '16px 0 8px' }}>
+              {autoSubmitReason === 'violations' ? 'Exam ended' : 'Time is up'}
+            </h2>
+            {autoSubmitReason === 'violations' && (
+              <p style={{ fontSize: '14px', color: 'var(--secondary-600)', margin: '0 0 8px', lineHeight: '1.6' }}>
+                The limit of {maxViolations} integrity violations was reached.
+              </p>
+            )}
+            {submitAttemptMutation.isError ? (
+              <>
+                <p style={{ fontSize: '14px', color: 'var(--secondary-600)', marginBottom: '20px', lineHeight: '1.6' }}>
+                  We could not submit your exam. Your answers are saved on this device - check your connection and try again.
+                </p>
+                <button className="btn btn-primary" onClick={submitExam}>
+                  Retry Submission
+                </button>
+              </>
+            ) : (
+              <p style={{ fontSize: '14px', color: 'var(--secondary-600)', margin: 0, lineHeight: '1.6' }}>
+                Submitting your answers...
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Header */}
       <div style={{
         background: 'white',
@@ -614,9 +958,68 @@ return (
               gap: '6px'
             }}>
               <FiFlag size={14} />
-              Question {currentQuestion + 1} of {questions.length}
+              Question {currentQuestion + 1}{isAdaptive && !getAdaptiveLength(exam) ? '' : ` of ${progressTotal}`}
             </p>
+
+            {/* Current Section */}
+            {currentSection && (
+              <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '6px 12px',
+                borderRadius: '20px',
+                backgroundColor: 'var(--primary-50)',
+                fontSize: '12px',
+                fontWeight: '500',
+                color: 'var(--primary-700)'
+              }}>
+                <FiLayers size={14} />
+                <span>
+                  {currentSection.label}
+                  {sectionTimeLeft !== null && ` - ${formatTime(sectionTimeLeft)} left`}
+                </span>
+              </div>
+            )}
             
+            {/* Proctoring Status */}
+            {proctoringEnabled && (
+              <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '6px 12px',
+                borderRadius: '20px',
+                backgroundColor: violationCount ? 'var(--danger-100)' : 'var(--secondary-50)',
+                fontSize: '12px',
+                fontWeight: '500',
+                color: violationCount ? 'var(--danger-700)' : 'var(--secondary-600)'
+              }}>
+                <FiShield size={14} />
+                <span>
+                  Proctored{violationCount > 0 && ` - ${violationCount}${maxViolations > 0 ? `/${maxViolations}` : ''} violation(s)`}
+                </span>
+              </div>
+            )}
+
+            {/* Autosave Status */}
+            {saveIndicator && (
+              <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '6px 12px',
+                borderRadius: '20px',
+                backgroundColor: saveIndicator.background,
+                fontSize: '12px',
+                fontWeight: '500',
+                color: saveIndicator.color
+              }}>
+                <saveIndicator.icon size={14} />
+                <span>{saveIndicator.label}</span>
+              </div>
+            )}
+
             {/* Attempts Status */}
             {attemptsInfo && (
               <div style={{
@@ -649,7 +1052,7 @@ return (
                 overflow: 'hidden'
               }}>
                 <div style={{
-                  width: `${(Object.keys(answers).length / questions.length) * 100}%`,
+                  width: `${(answeredCount / progressTotal) * 100}%`,
                   height: '100%',
                   backgroundColor: 'var(--success-500)',
                   transition: 'width 0.3s ease'
@@ -660,13 +1063,13 @@ return (
                 color: 'var(--secondary-500)', 
                 fontWeight: '500' 
               }}>
-                {Math.round((Object.keys(answers).length / questions.length) * 100)}%
+                {Math.round((answeredCount / progressTotal) * 100)}%
               </span>
             </div>
           </div>
         </div>
         <div style={{
-          background: timeLeft < 300 ? 'linear-gradient(135deg, var(--danger-500), var(--danger-600))' : 'linear-gradient(135deg, var(--warning-500), var(--warning-600))',
+          background: timeLeft !== null && timeLeft < 300 ? 'linear-gradient(135deg, var(--danger-500), var(--danger-600))' : 'linear-gradient(135deg, var(--warning-500), var(--warning-600))',
           color: 'white',
           padding: '10px 20px',
           borderRadius: '8px',
@@ -677,7 +1080,7 @@ return (
           gap: '8px'
         }}>
           <FiClock size={18} />
-          {formatTime(timeLeft)}
+          {timeLeft === null ? '--:--:--' : formatTime(timeLeft)}
         </div>
       </div>
 
@@ -698,15 +1101,60 @@ return (
           border: '1px solid rgba(0, 0, 0, 0.05)'
         }}>
           <div style={{ marginBottom: '32px' }}>
-            <h2 style={{ 
-              fontSize: '18px', 
-              fontWeight: '600', 
-              color: 'var(--secondary-900)', 
-              lineHeight: '1.6',
-              marginBottom: '24px'
-            }}>
-              {currentQuestionData.text}
-            </h2>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+              {questionTimeLeft !== null && (
+                <div
+                  role="timer"
+                  aria-label="Time left for this question"
+                  style={{
+                    padding: '8px 14px',
+                    borderRadius: '8px',
+                    backgroundColor: questionTimeLeft <= 10 ? 'var(--danger-100)' : 'var(--secondary-100)',
+                    color: questionTimeLeft <= 10 ? 'var(--danger-600)' : 'var(--secondary-700)',
+                    fontWeight: '500',
+                    fontSize: '13px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '6px'
+                  }}
+                >
+                  <FiClock size={14} />
+                  {formatTime(questionTimeLeft)}
+                </div>
+              )}
+              <button
+                type="button"
+                onClick={() => toggleFlag(currentQuestionData)}
+                aria-pressed={!!flagged[currentQuestionData.id]}
+                style={{
+                  padding: '8px 14px',
+                  borderRadius: '8px',
+                  border: `1px solid ${flagged[currentQuestionData.id] ? 'var(--warning-500)' : 'var(--secondary-300)'}`,
+                  backgroundColor: flagged[currentQuestionData.id] ? 'var(--warning-100)' : 'white',
+                  color: flagged[currentQuestionData.id] ? 'var(--warning-700)' : 'var(--secondary-700)',
+                  fontWeight: '500',
+                  fontSize: '13px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px',
+                  cursor: 'pointer',
+                  transition: 'var(--transition-normal)'
+                }}
+              >
+                <FiBookmark size={14} />
+                {flagged[currentQuestionData.id] ? 'Marked for review' : 'Mark for review'}
+              </button>
+            </div>
+            <RichText
+              text={currentQuestionData.text}
+              style={{
+                fontSize: '18px',
+                fontWeight: '600',
+                color: 'var(--secondary-900)',
+                lineHeight: '1.6',
+                marginBottom: '24px'
+              }}
+            />
             
             {/* Question Images */}
             {currentQuestionData.images && currentQuestionData.images.length > 0 && (
@@ -777,7 +1225,7 @@ return (
                 </label>
                 <textarea
                   value={answers[currentQuestionData.id] || ''}
-                  onChange={(e) => setAnswers(prev => ({ ...prev, [currentQuestionData.id]: e.target.value }))}
+                  onChange={(e) => updateAnswer(currentQuestionData, e.target.value)}
                   placeholder="Write your detailed essay answer here..."
                   rows={12}
                   style={{
@@ -825,7 +1273,7 @@ return (
                 </label>
                 <textarea
                   value={answers[currentQuestionData.id] || ''}
-                  onChange={(e) => setAnswers(prev => ({ ...prev, [currentQuestionData.id]: e.target.value }))}
+                  onChange={(e) => updateAnswer(currentQuestionData, e.target.value)}
                   placeholder="Write your short answer here..."
                   rows={4}
                   style={{
@@ -885,12 +1333,9 @@ return (
                       type="text"
                       value={answers[currentQuestionData.id]?.[index] || ''}
                       onChange={(e) => {
-                        const newAnswers = { ...answers };
-                        if (!newAnswers[currentQuestionData.id]) {
-                          newAnswers[currentQuestionData.id] = [];
-                        }
-                        newAnswers[currentQuestionData.id][index] = e.target.value;
-                        setAnswers(newAnswers);
+                        const blanks = [...(answers[currentQuestionData.id] || [])];
+                        blanks[index] = e.target.value;
+                        updateAnswer(currentQuestionData, blanks);
                       }}
                       placeholder={`Answer for blank ${index + 1}`}
                       style={{
@@ -910,12 +1355,26 @@ return (
                   </div>
                 ))}
               </div>
+            ) : currentQuestionData.type === 'MATCHING' ? (
+              <MatchingQuestion
+                question={currentQuestionData}
+                answer={answers[currentQuestionData.id]}
+                seed={attemptId}
+                onChange={(matches) => updateAnswer(currentQuestionData, matches)}
+              />
+            ) : currentQuestionData.type === 'ORDERING' ? (
+              <OrderingQuestion
+                question={currentQuestionData}
+                answer={answers[currentQuestionData.id]}
+                seed={attemptId}
+                onChange={(order) => updateAnswer(currentQuestionData, order)}
+              />
             ) : (
               /* Multiple choice questions */
               currentQuestionData.options.map((option, index) => (
                 <div
                   key={index}
-                  onClick={() => handleAnswerSelect(currentQuestionData.id, index)}
+                  onClick={() => handleAnswerSelect(currentQuestionData, index)}
                   style={{
                     padding: '16px',
                     border: `2px solid ${answers[currentQuestionData.id] === index ? 'var(--primary-500)' : 'var(--secondary-200)'}`,
@@ -935,13 +1394,15 @@ return (
                     ) : (
                       <FaRegCircle size={20} color="var(--secondary-300)" />
                     )}
-                    <span style={{ 
-                      fontSize: '16px', 
-                      color: 'var(--secondary-900)',
-                      lineHeight: '1.5'
-                    }}>
-                      {option.text}
-                    </span>
+                    <RichText
+                      text={option.text}
+                      inline
+                      style={{
+                        fontSize: '16px',
+                        color: 'var(--secondary-900)',
+                        lineHeight: '1.5'
+                      }}
+                    />
                   </div>
                 </div>
               ))
@@ -955,37 +1416,49 @@ return (
             marginTop: '32px',
             gap: '16px'
           }}>
-            <button
-              style={{
-                padding: '12px 20px',
-                borderRadius: '8px',
-                border: '1px solid var(--secondary-300)',
-                backgroundColor: 'white',
-                color: 'var(--secondary-700)',
-                fontWeight: '500',
-                fontSize: '14px',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '8px',
-                cursor: 'pointer',
-                transition: 'var(--transition-normal)',
-                '&:hover': {
-                  backgroundColor: 'var(--secondary-50)',
-                  borderColor: 'var(--secondary-400)'
-                },
-                '&:disabled': {
-                  opacity: '0.5',
-                  cursor: 'not-allowed'
-                }
-              }}
-              onClick={() => setCurrentQuestion(prev => Math.max(0, prev - 1))}
-              disabled={currentQuestion === 0}
-            >
-              <FiChevronLeft size={18} />
-              Previous
-            </button>
+            {!isAdaptive && (
+              <button
+                style={{
+                  padding: '12px 20px',
+                  borderRadius: '8px',
+                  border: '1px solid var(--secondary-300)',
+                  backgroundColor: 'white',
+                  color: 'var(--secondary-700)',
+                  fontWeight: '500',
+                  fontSize: '14px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  cursor: 'pointer',
+                  transition: 'var(--transition-normal)',
+                  '&:hover': {
+                    backgroundColor: 'var(--secondary-50)',
+                    borderColor: 'var(--secondary-400)'
+                  },
+                  '&:disabled': {
+                    opacity: '0.5',
+                    cursor: 'not-allowed'
+                  }
+                }}
+                onClick={() => goToQuestion(previousQuestionIndex)}
+                disabled={previousQuestionIndex === null}
+              >
+                <FiChevronLeft size={18} />
+                Previous
+              </button>
+            )}
             
-            {currentQuestion === questions.length - 1 ? (
+            {isAdaptive ? (
+              <button
+                className="btn btn-primary"
+                onClick={confirmAdaptiveAnswer}
+                disabled={adaptiveAnswerMutation.isPending || submitAttemptMutation.isPending || isSubmitted}
+                style={{ marginLeft: 'auto', padding: '12px 24px', display: 'flex', alignItems: 'center', gap: '8px' }}
+              >
+                {adaptiveAnswerMutation.isPending ? 'Saving...' : 'Confirm & Continue'}
+                <FiChevronRight size={18} />
+              </button>
+            ) : nextQuestionIndex === null ? (
               <button
                 style={{
                   padding: '12px 24px',
@@ -1012,7 +1485,7 @@ return (
                 disabled={isSubmitted}
               >
                 <FiSend size={16} />
-                Submit Test
+                Review & Submit
               </button>
             ) : (
               <button
@@ -1033,7 +1506,7 @@ return (
                     backgroundColor: 'var(--primary-600)'
                   }
                 }}
-                onClick={() => setCurrentQuestion(prev => Math.min(questions.length - 1, prev + 1))}
+                onClick={() => goToQuestion(nextQuestionIndex)}
               >
                 Next
                 <FiChevronRight size={18} />
@@ -1048,7 +1521,8 @@ return (
               borderRadius: '16px',
               padding: '24px',
               boxShadow: 'var(--shadow)',
-              height: '60vh',
+              maxHeight: '80vh',
+              overflowY: 'auto',
               border: '1px solid rgba(0, 0, 0, 0.05)',
               display: 'flex',
               flexDirection: 'column'
@@ -1067,137 +1541,37 @@ return (
                   Question Navigation
                 </h3>
                 
-                <div style={{ 
-                  display: 'grid', 
-                  gridTemplateColumns: 'repeat(5, 1fr)', 
-                  gap: '8px', 
-                  marginBottom: '24px'
-                }}>
-                  {questions.map((question, index) => (
+                {isAdaptive ? (
+                  <p style={{ fontSize: '14px', color: 'var(--secondary-600)', lineHeight: '1.6', margin: '0 0 24px' }}>
+                    Each question is chosen from your earlier answers, so questions come one at a time and
+                    answers cannot be changed once confirmed. The exam ends by itself when enough questions are answered.
+                  </p>
+                ) : (
+                  <>
+                    <QuestionPalette
+                      questions={questions}
+                      answers={answers}
+                      flagged={flagged}
+                      visited={visited}
+                      currentQuestion={currentQuestion}
+                      sections={sections}
+                      sectionUsage={sectionUsage}
+                      expiredQuestions={expiredQuestions}
+                      onSelect={goToQuestion}
+                    />
+
                     <button
-                      key={question.id}
-                      onClick={() => setCurrentQuestion(index)}
-                      style={{
-                        width: '40px',
-                        height: '40px',
-                        border: '1px solid var(--secondary-300)',
-                        borderRadius: '8px',
-                        cursor: 'pointer',
-                        transition: 'var(--transition-normal)',
-                        fontSize: '14px',
-                        fontWeight: '500',
-                        backgroundColor: currentQuestion === index ? 'var(--primary-500)' : 
-                                      answers[question.id] !== undefined ? 'var(--success-100)' : 'white',
-                        color: currentQuestion === index ? 'white' : 
-                              answers[question.id] !== undefined ? 'var(--success-700)' : 'var(--secondary-700)',
-                        borderColor: currentQuestion === index ? 'var(--primary-500)' : 
-                                    answers[question.id] !== undefined ? 'var(--success-300)' : 'var(--secondary-300)',
-                        '&:hover': {
-                          transform: 'translateY(-2px)',
-                          boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)'
-                        }
-                      }}
+                      type="button"
+                      className="btn btn-primary"
+                      onClick={handleSubmit}
+                      disabled={isSubmitted}
+                      style={{ width: '100%', marginBottom: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}
                     >
-                      {index + 1}
+                      <FiSend size={16} />
+                      Review & Submit
                     </button>
-                  ))}
-                </div>
-
-                <div style={{ 
-                  marginBottom: '24px',
-                  display: 'grid',
-                  gridTemplateColumns: '1fr 1fr',
-                  gap: '12px'
-                }}>
-                  <div style={{ 
-                    display: 'flex', 
-                    alignItems: 'center', 
-                    gap: '8px',
-                    padding: '8px',
-                    borderRadius: '6px',
-                    backgroundColor: 'var(--success-50)'
-                  }}>
-                    <div style={{ 
-                      width: '16px', 
-                      height: '16px', 
-                      borderRadius: '50%', 
-                      backgroundColor: 'var(--success-500)' 
-                    }}></div>
-                    <span style={{ 
-                      fontSize: '13px', 
-                      color: 'var(--success-700)',
-                      fontWeight: '500'
-                    }}>
-                      Answered
-                    </span>
-                  </div>
-                  <div style={{ 
-                    display: 'flex', 
-                    alignItems: 'center', 
-                    gap: '8px',
-                    padding: '8px',
-                    borderRadius: '6px',
-                    backgroundColor: 'var(--secondary-50)'
-                  }}>
-                    <div style={{ 
-                      width: '16px', 
-                      height: '16px', 
-                      borderRadius: '50%', 
-                      backgroundColor: 'var(--secondary-300)' 
-                    }}></div>
-                    <span style={{ 
-                      fontSize: '13px', 
-                      color: 'var(--secondary-700)',
-                      fontWeight: '500'
-                    }}>
-                      Unanswered
-                    </span>
-                  </div>
-                  <div style={{ 
-                    display: 'flex', 
-                    alignItems: 'center', 
-                    gap: '8px',
-                    padding: '8px',
-                    borderRadius: '6px',
-                    backgroundColor: 'var(--primary-50)'
-                  }}>
-                    <div style={{ 
-                      width: '16px', 
-                      height: '16px', 
-                      borderRadius: '50%', 
-                      backgroundColor: 'var(--primary-500)' 
-                    }}></div>
-                    <span style={{ 
-                      fontSize: '13px', 
-                      color: 'var(--primary-700)',
-                      fontWeight: '500'
-                    }}>
-                      Current
-                    </span>
-                  </div>
-                  <div style={{ 
-                    display: 'flex', 
-                    alignItems: 'center', 
-                    gap: '8px',
-                    padding: '8px',
-                    borderRadius: '6px',
-                    backgroundColor: 'var(--warning-50)'
-                  }}>
-                    <div style={{ 
-                      width: '16px', 
-                      height: '16px', 
-                      borderRadius: '50%', 
-                      backgroundColor: 'var(--warning-500)' 
-                    }}></div>
-                    <span style={{ 
-                      fontSize: '13px', 
-                      color: 'var(--warning-700)',
-                      fontWeight: '500'
-                    }}>
-                      Marked
-                    </span>
-                  </div>
-                </div>
+                  </>
+                )}
               </div>
 
             <div 
@@ -1238,7 +1612,7 @@ return (
                   boxShadow: '0 1px 2px rgba(0,0,0,0.05)'
                 }}>
                   <FiCheck size={16} color="var(--success-600)" />
-                  {Object.keys(answers).length}/{questions.length}
+                  {answeredCount}/{progressTotal}
                 </span>
               </div>
               
@@ -1252,7 +1626,7 @@ return (
                 boxShadow: 'inset 0 1px 2px rgba(0,0,0,0.05)'
               }}>
                 <div style={{
-                  width: `${(Object.keys(answers).length / questions.length) * 100}%`,
+                  width: `${(answeredCount / progressTotal) * 100}%`,
                   height: '100%',
                   background: 'linear-gradient(90deg, var(--primary-400) 0%, var(--primary-600) 100%)',
                   transition: 'width 0.4s cubic-bezier(0.16, 1, 0.3, 1)',
@@ -1269,10 +1643,10 @@ return (
                 fontStyle: 'italic',
                 marginTop: '4px'
               }}>
-                {Object.keys(answers).length === questions.length ? (
+                {answeredCount === progressTotal ? (
                   "Completed! 🎉"
                 ) : (
-                  `${Math.round((Object.keys(answers).length / questions.length) * 100)}% done`
+                  `${Math.round((answeredCount / progressTotal) * 100)}% done`
                 )}
               </div>
             </div>
@@ -1,12 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { attemptAPI } from '../../services/api';
+import AbilityEstimate from '../../components/exam/AbilityEstimate';
+import AnswerReview from '../../components/exam/AnswerReview';
+import PartialCreditBreakdown from '../../components/exam/PartialCreditBreakdown';
+import QuestionTimeChart from '../../components/exam/QuestionTimeChart';
+import { getQuestionTimings } from '../../utils/exam/questionTiming';
 import toast from 'react-hot-toast';
 
 const ExamResults = () => {
   const { resultId } = useParams();
   const navigate = useNavigate();
   const [results, setResults] = useState(null);
+  const [responses, setResponses] = useState([]);
+  const [analytics, setAnalytics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -21,7 +28,22 @@ const ExamResults = () => {
       setLoading(true);
       const response = await attemptAPI.getAttemptById(resultId);
       console.log('🔍 Exam results:', response);
-      setResults(response.data?.data?.attempt);
+      const attempt = response.data?.data?.attempt;
+      setResults(attempt);
+
+      // Per-question responses drive the partial-credit breakdown; the page
+      // still works without them
+      if (attempt?.responses) {
+        setResponses(attempt.responses);
+      } else {
+        attemptAPI.getAttemptResponses(resultId, { skipErrorToast: true })
+          .then(res => setResponses(res.data?.data?.responses || []))
+          .catch(err => console.error('Failed to fetch attempt responses:', err));
+      }
+
+      attemptAPI.getAttemptAnalytics(resultId, { skipErrorToast: true })
+        .then(res => setAnalytics(res.data?.data?.analytics || res.data?.data || null))
+        .catch(err => console.error('Failed to fetch attempt analytics:', err));
     } catch (error) {
       console.error('Failed to fetch results:', error);
       setError(error);
@@ -181,6 +203,9 @@ const ExamResults = () => {
             {getScoreMessage(score)}
           </p>
 
+          {/* Adaptive attempts also get an ability estimate */}
+          <AbilityEstimate adaptive={attempt.adaptive} />
+
           {/* Certificate Display */}
           {certificate && (
             <div style={{
@@ -417,6 +442,17 @@ const ExamResults = () => {
             )}
           </div>
         </div>
+
+        <QuestionTimeChart
+          timings={getQuestionTimings(analytics, responses, attempt.questions || attempt.exam?.questions)}
+        />
+
+        <PartialCreditBreakdown
+          responses={responses}
+          questions={attempt.questions || attempt.exam?.questions}
+        />
+
+        <AnswerReview attempt={attempt} responses={responses} />
       </div>
     </div>
   );
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { FiAward, FiCheckCircle, FiXCircle, FiAlertTriangle, FiSearch } from 'react-icons/fi';
+import { certificateAPI } from '../../services/api';
+
+const RESULT_STYLES = {
+  VALID: { icon: FiCheckCircle, color: '#166534', background: '#DCFCE7', title: 'Valid certificate' },
+  REVOKED: { icon: FiXCircle, color: '#991B1B', background: '#FEE2E2', title: 'This certificate has been revoked' },
+  TAMPERED: { icon: FiAlertTriangle, color: '#92400E', background: '#FEF3C7', title: 'This document does not match our records' }
+};
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+  : '-');
+
+// Public page the certificate QR code links to. Anyone can enter or scan a
+// serial and see who holds the certificate and whether it is still valid.
+const VerifyCertificate = () => {
+  const navigate = useNavigate();
+  const { serial } = useParams();
+  const [searchParams] = useSearchParams();
+  const signature = searchParams.get('sig') || undefined;
+  const [serialInput, setSerialInput] = useState(serial || '');
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['certificate-verification', serial, signature],
+    queryFn: async () => {
+      const response = await certificateAPI.verifyCertificate(serial, signature);
+      return response.data?.data;
+    },
+    enabled: !!serial,
+    retry: false
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = serialInput.trim().toUpperCase();
+    if (value) navigate(`/verify/${encodeURIComponent(value)}`);
+  };
+
+  const certificate = data?.certificate;
+  let result = null;
+  if (certificate) {
+    if (data.signatureValid === false) result = 'TAMPERED';
+    else result = certificate.revokedAt ? 'REVOKED' : 'VALID';
+  }
+  const resultStyle = result && RESULT_STYLES[result];
+
+  const renderDetail = (label, value) => (
+    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '16px', padding: '10px 0', borderBottom: '1px solid #E2E8F0' }}>
+      <span style={{ color: '#64748B' }}>{label}</span>
+      <span style={{ fontWeight: '600', color: '#1E293B', textAlign: 'right' }}>{value}</span>
+    </div>
+  );
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      background: '#F8FAFC',
+      display: 'flex',
+      alignItems: 'flex-start',
+      justifyContent: 'center',
+      padding: '64px 16px'
+    }}>
+      <div style={{
+        width: '100%',
+        maxWidth: '560px',
+        background: 'white',
+        borderRadius: '20px',
+        padding: '32px',
+        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+        border: '1px solid #E2E8F0'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '24px' }}>
+          <div style={{
+            width: '48px',
+            height: '48px',
+            borderRadius: '12px',
+            background: 'linear-gradient(135deg, #1565C0, #0D47A1)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            color: 'white'
+          }}>
+            <FiAward size={24} />
+          </div>
+          <div>
+            <h1 style={{ fontSize: '22px', fontWeight: '700', color: '#1E293B', margin: 0 }}>Certificate Verification</h1>
+            <p style={{ fontSize: '14px', color: '#64748B', margin: 0 }}>Check that a certificate was issued by us and is still valid</p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '8px', marginBottom: '24px' }}>
+          <input
+            type="text"
+            value={serialInput}
+            onChange={(e) => setSerialInput(e.target.value)}
+            placeholder="Certificate serial"
+            aria-label="Certificate serial"
+            style={{ flex: 1, padding: '10px 12px', border: '1px solid #CBD5E1', borderRadius: '8px', fontFamily: 'monospace' }}
+          />
+          <button
+            type="submit"
+            style={{
+              padding: '10px 16px',
+              border: 'none',
+              borderRadius: '8px',
+              background: '#2563EB',
+              color: 'white',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px'
+            }}
+          >
+            <FiSearch size={16} /> Verify
+          </button>
+        </form>
+
+        {serial && isLoading && (
+          <p style={{ textAlign: 'center', color: '#64748B' }}>Checking certificate...</p>
+        )}
+
+        {serial && error && (
+          <div style={{ padding: '16px', borderRadius: '12px', background: '#FEE2E2', color: '#991B1B' }}>
+            {error.response?.status === 404
+              ? <>No certificate with serial <strong style={{ fontFamily: 'monospace' }}>{serial}</strong> was issued by us.</>
+              : 'The certificate could not be checked right now. Please try again later.'}
+          </div>
+        )}
+
+        {certificate && (
+          <>
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '10px',
+              padding: '16px',
+              borderRadius: '12px',
+              background: resultStyle.background,
+              color: resultStyle.color,
+              fontWeight: '600',
+              marginBottom: '16px'
+            }}>
+              <resultStyle.icon size={22} />
+              <div>
+                {resultStyle.title}
+                {result === 'REVOKED' && (
+                  <div style={{ fontWeight: '400', fontSize: '14px', marginTop: '4px' }}>
+                    Revoked on {formatDate(certificate.revokedAt)}
+                    {certificate.revocationReason && `: ${certificate.revocationReason}`}
+                  </div>
+                )}
+                {result === 'TAMPERED' && (
+                  <div style={{ fontWeight: '400', fontSize: '14px', marginTop: '4px' }}>
+                    The QR code was not issued for this serial. Rely only on the details below.
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {renderDetail('Serial', <span style={{ fontFamily: 'monospace' }}>{certificate.serial}</span>)}
+            {renderDetail('Name', certificate.holderName || '-')}
+            {renderDetail('Exam', certificate.examTitle || '-')}
+            {renderDetail('Score', certificate.score !== undefined && certificate.score !== null ? `${certificate.score}%` : '-')}
+            {renderDetail('Issued', formatDate(certificate.issuedAt))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyCertificate;
@@ -1,11 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useNavigate } from 'react-router-dom';
-import { examAPI, categoryAPI, bookingAPI } from '../../services/api';
+import { examAPI, categoryAPI, bookingAPI, billingAPI } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
 import toast from 'react-hot-toast';
 import BillModal from '../../components/BillModal';
-import { FiTarget, FiBarChart } from 'react-icons/fi';
+import RescheduleBookingModal from '../../components/exam/RescheduleBookingModal';
+import CancelBookingModal from '../../components/exam/CancelBookingModal';
+import CalendarFeedModal from '../../components/exam/CalendarFeedModal';
+import CouponRedeemField from '../../components/exam/CouponRedeemField';
+import { downloadBookingIcs } from '../../utils/exam/bookingIcs';
+import { getCancellationQuote, getRescheduleEligibility, isBookingClosed, normalizeBookingPolicy } from '../../utils/exam/bookingPolicy';
+import { FiTarget, FiBarChart, FiCalendar, FiXCircle, FiRss } from 'react-icons/fi';
 
 const AvailableTests = () => {
   console.log('AvailableTests Component - RENDERING');
@@ -21,6 +27,9 @@ const AvailableTests = () => {
   const [filterDifficulty, setFilterDifficulty] = useState('all');
   const [showBill, setShowBill] = useState(false);
   const [currentBill, setCurrentBill] = useState(null);
+  const [reschedulingBooking, setReschedulingBooking] = useState(null);
+  const [cancellingBooking, setCancellingBooking] = useState(null);
+  const [showCalendarFeed, setShowCalendarFeed] = useState(false);
 
   // Fetch user's booked tests
   const {
@@ -48,6 +57,13 @@ const AvailableTests = () => {
     bookings: bookingsData?.data?.data?.bookings || []
   });
 
+  // Reschedule and cancellation rules set by the admin
+  const { data: bookingPolicy } = useQuery({
+    queryKey: ['booking-policy'],
+    queryFn: async () => normalizeBookingPolicy((await bookingAPI.getBookingPolicy()).data?.data?.policy),
+    enabled: !!user
+  });
+
   // Fetch categories for filter options
   const {
     data: categoriesData,
@@ -101,6 +117,55 @@ const AvailableTests = () => {
     setCurrentBill(null);
   };
 
+  // Invoices are numbered and stored by the server. The booking fills in the
+  // schedule details the bill uses for calendar export.
+  const openBill = async (booking) => {
+    try {
+      const response = await billingAPI.generateBill(booking.id);
+      const bill = response.data?.data?.bill;
+      if (!bill) {
+        toast.error('No invoice has been issued for this booking yet');
+        return;
+      }
+      const test = booking.exam || {};
+      handleShowBill({
+        ...bill,
+        booking: {
+          id: booking.id,
+          scheduledAt: booking.scheduledAt,
+          status: booking.status,
+          session: booking.session,
+          seatNumber: booking.seatNumber,
+          rescheduleCount: booking.rescheduleCount,
+          ...bill.booking
+        },
+        exam: {
+          id: test.id,
+          title: test.title,
+          category: test.examCategory?.name || 'Unknown',
+          duration: test.duration,
+          totalMarks: test.totalMarks,
+          ...bill.exam
+        },
+        customer: bill.customer || {
+          id: user.id,
+          name: `${user.firstName} ${user.lastName}`,
+          email: user.email
+        }
+      });
+    } catch (error) {
+      console.error('Failed to load invoice:', error);
+      toast.error(error.response?.data?.message || 'Failed to load invoice');
+    }
+  };
+
+  // Show the bill with its credit note as soon as the cancellation goes through
+  const handleCancelled = () => {
+    const booking = cancellingBooking;
+    setCancellingBooking(null);
+    openBill({ ...booking, status: 'CANCELLED' });
+  };
+
   // Filter tests based on selected criteria
   const filteredTests = bookings.filter(booking => {
     const test = booking.exam;
@@ -149,13 +214,18 @@ const AvailableTests = () => {
 
   return (
     <div style={{ padding: '2rem' }}>
-      <div style={{ marginBottom: '2rem' }}>
-        <h1 style={{ fontSize: '2rem', fontWeight: '700', color: '#1e293b', marginBottom: '0.5rem' }}>
-          My Available Tests
-        </h1>
-        <p style={{ color: '#64748b' }}>
-          View and manage your scheduled exam bookings
-        </p>
+      <div style={{ marginBottom: '2rem', display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
+        <div>
+          <h1 style={{ fontSize: '2rem', fontWeight: '700', color: '#1e293b', marginBottom: '0.5rem' }}>
+            My Available Tests
+          </h1>
+          <p style={{ color: '#64748b' }}>
+            View and manage your scheduled exam bookings
+          </p>
+        </div>
+        <button className="btn btn-secondary" onClick={() => setShowCalendarFeed(true)}>
+          <FiRss style={{ marginRight: '4px' }} /> Calendar Feed
+        </button>
       </div>
 
       {/* Filters */}
@@ -314,6 +384,8 @@ const AvailableTests = () => {
                   </div>
                 </div>
 
+                {!isBookingClosed(booking) && <CouponRedeemField booking={booking} />}
+
                 <div style={{ display: 'flex', gap: '1rem', flexDirection: 'column' }}>
                   {/* Scheduling Status Badge */}
                   <div style={{ 
@@ -473,45 +545,44 @@ const AvailableTests = () => {
                     </button>
                     <button 
                       className="btn btn-secondary"
-                      onClick={() => {
-                        // Generate bill for this booking
-                        const bill = {
-                          billNumber: `BILL-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                          billDate: new Date(),
-                          dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-                          booking: {
-                            id: booking.id,
-                            scheduledAt: booking.scheduledAt,
-                            status: booking.status
-                          },
-                          exam: {
-                            id: test.id,
-                            title: test.title,
-                            description: test.description,
-                            category: test.examCategory?.name || 'Unknown',
-                            duration: test.duration,
-                            totalMarks: test.totalMarks
-                          },
-                          customer: {
-                            id: user.id,
-                            name: `${user.firstName} ${user.lastName}`,
-                            email: user.email
-                          },
-                          amount: {
-                            subtotal: test.price || 0,
-                            tax: 0,
-                            total: test.price || 0,
-                            currency: test.currency || 'USD'
-                          },
-                          payment: null,
-                          status: 'PENDING'
-                        };
-                        handleShowBill(bill);
-                      }}
+                      onClick={() => openBill(booking)}
                     >
                       📄 View Bill
                     </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => downloadBookingIcs(booking)}
+                      disabled={!booking.scheduledAt && !booking.session?.startsAt}
+                      title="Download an .ics file for your calendar app"
+                    >
+                      <FiCalendar style={{ marginRight: '4px' }} /> Add to Calendar
+                    </button>
                   </div>
+
+                  {!isBookingClosed(booking) && (() => {
+                    const reschedule = getRescheduleEligibility(booking, bookingPolicy);
+                    const cancellation = getCancellationQuote(booking, bookingPolicy);
+                    return (
+                      <div style={{ display: 'flex', gap: '1rem' }}>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => setReschedulingBooking(booking)}
+                          disabled={!reschedule.allowed}
+                          title={reschedule.reason || `${reschedule.remaining} reschedule${reschedule.remaining === 1 ? '' : 's'} left`}
+                        >
+                          <FiCalendar style={{ marginRight: '4px' }} /> Reschedule
+                        </button>
+                        <button
+                          className="btn btn-outline"
+                          onClick={() => setCancellingBooking(booking)}
+                          disabled={!cancellation.allowed}
+                          title={cancellation.reason || undefined}
+                        >
+                          <FiXCircle style={{ marginRight: '4px' }} /> Cancel Booking
+                        </button>
+                      </div>
+                    );
+                  })()}
                 </div>
               </div>
             );
@@ -519,6 +590,30 @@ const AvailableTests = () => {
         </div>
       )}
 
+      {reschedulingBooking && (
+        <RescheduleBookingModal
+          booking={reschedulingBooking}
+          policy={bookingPolicy}
+          onClose={() => setReschedulingBooking(null)}
+        />
+      )}
+
+      {cancellingBooking && (
+        <CancelBookingModal
+          booking={cancellingBooking}
+          policy={bookingPolicy}
+          onClose={() => setCancellingBooking(null)}
+          onCancelled={handleCancelled}
+        />
+      )}
+
+      {showCalendarFeed && (
+        <CalendarFeedModal
+          description="This feed lists your upcoming scheduled exams."
+          onClose={() => setShowCalendarFeed(false)}
+        />
+      )}
+
       {/* Bill Modal */}
       {showBill && (
         <BillModal
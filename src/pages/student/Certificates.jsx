@@ -4,7 +4,8 @@ import { useAuth } from '../../contexts/AuthContext';
 import { examAPI, userAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 import { FiAward, FiRefreshCw, FiEye, FiDownload } from 'react-icons/fi';
-import jsPDF from 'jspdf';
+import IssuedCertificatesPanel from '../../components/exam/IssuedCertificatesPanel';
+import { CERTIFICATE_STATUS_BADGES, exportCertificatePdf, getCertificateStatus } from '../../utils/exam/certificates';
 
 const Certificates = () => {
   const { user } = useAuth();
@@ -33,7 +34,17 @@ const Certificates = () => {
       examTitle: certificate?.exam?.title || certificate?.examTitle || certificate?.testName || 'Unknown Exam',
       score: scoreValue || 0,
       earnedDate: certificate?.earnedDate || certificate?.completedAt || certificate?.createdAt || certificate?.attemptDate || 'N/A',
-      categoryName: certificate?.exam?.examCategory?.name || certificate?.categoryName || certificate?.testCategory || 'Unknown Category'
+      categoryName: certificate?.exam?.examCategory?.name || certificate?.categoryName || certificate?.testCategory || 'Unknown Category',
+      serial: certificate?.serial || null,
+      signature: certificate?.signature || null,
+      holderName: certificate?.holderName
+        || `${certificate?.user?.firstName || ''} ${certificate?.user?.lastName || ''}`.trim()
+        || user?.fullName
+        || 'Valued Participant',
+      issuedAt: certificate?.issuedAt || null,
+      revokedAt: certificate?.revokedAt || null,
+      revocationReason: certificate?.revocationReason || null,
+      template: certificate?.template || null
     };
   };
 
@@ -111,151 +122,44 @@ const Certificates = () => {
     }
   });
 
-  // Handle view/generate PDF certificate
-  const handleViewCertificate = (cert) => {
-  const certificate = normalizeCertificateData(cert);
-  
-  try {
-    // Create PDF with modern design
-    const doc = new jsPDF({
-      orientation: 'landscape',
-      unit: 'mm',
-      format: 'a4'
-    });
-
-    const pageWidth = doc.internal.pageSize.getWidth();
-    const pageHeight = doc.internal.pageSize.getHeight();
-
-    // Solid background color instead of gradient
-    doc.setFillColor(248, 250, 252); // Light blue-gray background
-    doc.rect(0, 0, pageWidth, pageHeight, 'F');
-
-    // Decorative abstract shapes - using solid colors
-    doc.setFillColor(199, 210, 254); // Light indigo
-    doc.circle(pageWidth * 0.2, pageHeight * 0.15, 40, 'F');
-    doc.circle(pageWidth * 0.8, pageHeight * 0.7, 60, 'F');
-    doc.setFillColor(224, 231, 255); // Lighter indigo
-    doc.roundedRect(pageWidth * 0.6, pageHeight * 0.1, 80, 40, 10, 10, 'F');
-
-    // Main certificate container with shadow effect
-    doc.setDrawColor(224, 231, 255); // Light indigo border
-    doc.setFillColor(255, 255, 255); // White background
-    doc.roundedRect(20, 20, pageWidth - 40, pageHeight - 40, 5, 5, 'FD');
-
-    // Modern header with accent
-    doc.setFillColor(79, 70, 229); // Vibrant indigo
-    doc.roundedRect(0, 0, pageWidth, 15, 0, 0, 'F');
-    
-    // Certificate title with decorative underline
-    doc.setFontSize(32);
-    doc.setTextColor(55, 65, 81); // Cool gray-700
-    doc.setFont('helvetica', 'bold');
-    doc.text('CERTIFICATE OF ACHIEVEMENT', pageWidth / 2, 45, { align: 'center' });
-    
-    // Underline effect
-    doc.setDrawColor(79, 70, 229);
-    doc.setLineWidth(2);
-    doc.line(pageWidth * 0.3, 50, pageWidth * 0.7, 50);
-
-    // Recipient section
-    doc.setFontSize(18);
-    doc.setTextColor(100, 116, 139); // Cool gray-500
-    doc.setFont('helvetica', 'normal');
-    doc.text('This certificate is proudly presented to', pageWidth / 2, 70, { align: 'center' });
-    
-    // Recipient name with modern typography
-    doc.setFontSize(36);
-    doc.setTextColor(30, 41, 59); // Cool gray-800
-    doc.setFont('helvetica', 'bold');
-    doc.text(user?.fullName || 'Valued Participant', pageWidth / 2, 90, { align: 'center' });
-
-    // Achievement details
-    doc.setFontSize(16);
-    doc.setTextColor(71, 85, 105); // Cool gray-600
-    doc.setFont('helvetica', 'normal');
-    doc.text(`For outstanding performance in completing the`, pageWidth / 2, 110, { align: 'center' });
-    
-    doc.setFontSize(20);
-    doc.setTextColor(79, 70, 229); // Vibrant indigo
-    doc.setFont('helvetica', 'bold');
-    doc.text(certificate.examTitle, pageWidth / 2, 125, { align: 'center' });
-
-    // Score and date in modern card style
-    doc.setFillColor(240, 244, 253); // Light indigo background
-    doc.roundedRect(pageWidth * 0.25, 140, pageWidth * 0.5, 40, 5, 5, 'F');
-    
-    doc.setFontSize(14);
-    doc.setTextColor(71, 85, 105);
-    doc.text(`Achieved score: ${certificate.score}%`, pageWidth / 2, 150, { align: 'center' });
-    
-    const formattedDate = new Date(certificate.earnedDate).toLocaleDateString('en-US', { 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
-    doc.text(`Completed on: ${formattedDate}`, pageWidth / 2, 165, { align: 'center' });
-
-    // Modern signature section
-    doc.setFontSize(12);
-    doc.setTextColor(100, 116, 139);
-    
-    // Left signature
-    doc.text('________________________', pageWidth * 0.2, 190);
-    doc.text('Exam Administrator', pageWidth * 0.2, 195);
-    doc.text('ExamCert Pro', pageWidth * 0.2, 200);
-    
-    // Right signature
-    doc.text('________________________', pageWidth * 0.6, 190);
-    doc.text('Date of Issue', pageWidth * 0.6, 195);
-    doc.text(formattedDate, pageWidth * 0.6, 200);
-
-    // Certificate ID in footer
-    doc.setFontSize(10);
-    doc.setTextColor(148, 163, 184);
-    doc.text(`Certificate ID: ${certificate.id}`, pageWidth / 2, pageHeight - 20, { align: 'center' });
+  // Download the certificate PDF. Only certificates the server has issued a
+  // serial for can be verified, so those without one are not drawn.
+  const handleViewCertificate = async (cert) => {
+    const certificate = normalizeCertificateData(cert);
+    if (!certificate.serial) {
+      toast.error('This certificate has no serial yet. Please contact an administrator to have it issued.');
+      return;
+    }
+    if (certificate.revokedAt) {
+      toast.error('This certificate has been revoked and can no longer be downloaded.');
+      return;
+    }
 
-    // Decorative corner elements
-    doc.setDrawColor(199, 210, 254);
-    doc.setLineWidth(1);
-    // Top-left corner
-    doc.line(25, 25, 35, 25);
-    doc.line(25, 25, 25, 35);
-    // Top-right corner
-    doc.line(pageWidth - 25, 25, pageWidth - 35, 25);
-    doc.line(pageWidth - 25, 25, pageWidth - 25, 35);
-    // Bottom-left corner
-    doc.line(25, pageHeight - 25, 35, pageHeight - 25);
-    doc.line(25, pageHeight - 25, 25, pageHeight - 35);
-    // Bottom-right corner
-    doc.line(pageWidth - 25, pageHeight - 25, pageWidth - 35, pageHeight - 25);
-    doc.line(pageWidth - 25, pageHeight - 25, pageWidth - 25, pageHeight - 35);
+    try {
+      await exportCertificatePdf(certificate);
 
-    // Save PDF with modern filename
-    const filename = `Cert_${certificate.examTitle.replace(/\s+/g, '_')}_${user?.fullName?.replace(/\s+/g, '_') || 'User'}.pdf`;
-    doc.save(filename);
-    
-    toast.success('Certificate downloaded!', {
-      icon: '🎉',
-      style: {
-        background: '#e0e7ff',
-        color: '#4f46e5',
-        fontWeight: 'bold',
-        borderRadius: '12px',
-        border: '2px solid #c7d2fe'
-      }
-    });
-  } catch (error) {
-    console.error('Certificate generation error:', error);
-    toast.error('Failed to generate certificate', {
-      icon: '❌',
-      style: {
-        background: '#fee2e2',
-        color: '#dc2626',
-        fontWeight: 'bold'
-      }
-    });
-  }
-};
+      toast.success('Certificate downloaded!', {
+        icon: '🎉',
+        style: {
+          background: '#e0e7ff',
+          color: '#4f46e5',
+          fontWeight: 'bold',
+          borderRadius: '12px',
+          border: '2px solid #c7d2fe'
+        }
+      });
+    } catch (error) {
+      console.error('Certificate generation error:', error);
+      toast.error('Failed to generate certificate', {
+        icon: '❌',
+        style: {
+          background: '#fee2e2',
+          color: '#dc2626',
+          fontWeight: 'bold'
+        }
+      });
+    }
+  };
 
   // Handle generate certificate for a specific attempt
   const handleGenerateCertificate = async (attemptId) => {
@@ -388,95 +292,116 @@ const Certificates = () => {
           </div>
         ) : (
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '20px' }}>
-            {certificates.map((certificate) => (
-              <div key={certificate.id} style={{
-                padding: '24px',
-                borderRadius: '16px',
-                backgroundColor: '#F8FAFC',
-                border: '1px solid #E2E8F0',
-                transition: 'all 0.3s ease'
-              }}>
-                <div style={{ display: 'flex', alignItems: 'center', gap: '16px', marginBottom: '16px' }}>
-                  <div style={{
-                    width: '48px',
-                    height: '48px',
-                    borderRadius: '12px',
-                    background: 'linear-gradient(135deg, #1565C0, #0D47A1)',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    fontSize: '20px',
-                    color: 'white'
-                  }}>
-                    <FiAward size={24} />
-                  </div>
-                  <div>
-                    <h4 style={{ fontSize: '18px', fontWeight: '600', color: '#1E293B', marginBottom: '4px' }}>
-                      {certificate.examTitle}
-                    </h4>
-                    <p style={{ fontSize: '14px', color: '#64748B', margin: 0 }}>
-                      {certificate.categoryName}
-                    </p>
-                  </div>
-                </div>
-                
-                <div style={{ marginBottom: '16px' }}>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                    <span style={{ fontSize: '14px', color: '#64748B' }}>Score:</span>
-                    <span style={{ fontSize: '14px', fontWeight: '600', color: '#15803D' }}>
-                      {certificate.score}%
-                    </span>
-                  </div>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                    <span style={{ fontSize: '14px', color: '#64748B' }}>Date:</span>
-                    <span style={{ fontSize: '14px', fontWeight: '500', color: '#1E293B' }}>
-                      {new Date(certificate.earnedDate).toLocaleDateString()}
-                    </span>
-                  </div>
-                  <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                    <span style={{ fontSize: '14px', color: '#64748B' }}>Status:</span>
-                    <span style={{
-                      fontSize: '12px',
-                      fontWeight: '600',
-                      padding: '4px 8px',
+            {certificates.map((certificate) => {
+              const status = CERTIFICATE_STATUS_BADGES[getCertificateStatus(certificate)];
+              return (
+                <div key={certificate.id} style={{
+                  padding: '24px',
+                  borderRadius: '16px',
+                  backgroundColor: '#F8FAFC',
+                  border: '1px solid #E2E8F0',
+                  transition: 'all 0.3s ease'
+                }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '16px', marginBottom: '16px' }}>
+                    <div style={{
+                      width: '48px',
+                      height: '48px',
                       borderRadius: '12px',
-                      backgroundColor: '#DCFCE7',
-                      color: '#166534',
-                      textTransform: 'uppercase'
+                      background: 'linear-gradient(135deg, #1565C0, #0D47A1)',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      fontSize: '20px',
+                      color: 'white'
                     }}>
-                      Earned
-                    </span>
+                      <FiAward size={24} />
+                    </div>
+                    <div>
+                      <h4 style={{ fontSize: '18px', fontWeight: '600', color: '#1E293B', marginBottom: '4px' }}>
+                        {certificate.examTitle}
+                      </h4>
+                      <p style={{ fontSize: '14px', color: '#64748B', margin: 0 }}>
+                        {certificate.categoryName}
+                      </p>
+                    </div>
+                  </div>
+                  
+                  <div style={{ marginBottom: '16px' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+                      <span style={{ fontSize: '14px', color: '#64748B' }}>Score:</span>
+                      <span style={{ fontSize: '14px', fontWeight: '600', color: '#15803D' }}>
+                        {certificate.score}%
+                      </span>
+                    </div>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+                      <span style={{ fontSize: '14px', color: '#64748B' }}>Date:</span>
+                      <span style={{ fontSize: '14px', fontWeight: '500', color: '#1E293B' }}>
+                        {new Date(certificate.earnedDate).toLocaleDateString()}
+                      </span>
+                    </div>
+                    {certificate.serial && (
+                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+                        <span style={{ fontSize: '14px', color: '#64748B' }}>Serial:</span>
+                        <span style={{ fontSize: '13px', fontWeight: '500', color: '#1E293B', fontFamily: 'monospace' }}>
+                          {certificate.serial}
+                        </span>
+                      </div>
+                    )}
+                    <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                      <span style={{ fontSize: '14px', color: '#64748B' }}>Status:</span>
+                      <span style={{
+                        fontSize: '12px',
+                        fontWeight: '600',
+                        padding: '4px 8px',
+                        borderRadius: '12px',
+                        backgroundColor: status.background,
+                        color: status.color,
+                        textTransform: 'uppercase'
+                      }}>
+                        {certificate.revokedAt ? status.label : 'Earned'}
+                      </span>
+                    </div>
+                    {certificate.revokedAt && certificate.revocationReason && (
+                      <p style={{ fontSize: '13px', color: '#991B1B', margin: '8px 0 0' }}>
+                        Revoked: {certificate.revocationReason}
+                      </p>
+                    )}
                   </div>
+                  
+                  <button
+                    onClick={() => handleViewCertificate(certificate)}
+                    disabled={!!certificate.revokedAt}
+                    style={{
+                      width: '100%',
+                      padding: '12px 16px',
+                      border: '1px solid #2563EB',
+                      borderRadius: '8px',
+                      background: 'transparent',
+                      color: '#2563EB',
+                      fontSize: '14px',
+                      fontWeight: '500',
+                      cursor: certificate.revokedAt ? 'not-allowed' : 'pointer',
+                      opacity: certificate.revokedAt ? 0.5 : 1,
+                      transition: 'all 0.3s ease',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      gap: '6px'
+                    }}
+                  >
+                    <FiDownload size={14} />
+                    Download Certificate
+                  </button>
                 </div>
-                
-                <button
-                  onClick={() => handleViewCertificate(certificate)}
-                  style={{
-                    width: '100%',
-                    padding: '12px 16px',
-                    border: '1px solid #2563EB',
-                    borderRadius: '8px',
-                    background: 'transparent',
-                    color: '#2563EB',
-                    fontSize: '14px',
-                    fontWeight: '500',
-                    cursor: 'pointer',
-                    transition: 'all 0.3s ease',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    gap: '6px'
-                  }}
-                >
-                  <FiDownload size={14} />
-                  Download Certificate
-                </button>
-              </div>
-            ))}
+              );
+            })}
           </div>
         )}
       </div>
 
+      {/* Issued certificates with revocation - Only show for admins */}
+      {isAdmin && <IssuedCertificatesPanel />}
+
       {/* Certificate Generation Section - Only show for admins */}
       {isAdmin && (
         <div style={{
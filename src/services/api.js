@@ -71,6 +71,8 @@ api.interceptors.response.use(
       localStorage.removeItem('user');
       // Don't redirect immediately, let the component handle it
       toast.error('Session expired. Please login again.');
+    } else if (error.config?.skipErrorToast) {
+      // Caller handles and reports this error itself
     } else if (error.response?.status === 403) {
       toast.error('Access denied. Insufficient permissions.');
     } else if (error.response?.data?.message) {
@@ -178,14 +180,24 @@ export const examAPI = {
 // Exam Attempts API
 export const attemptAPI = {
   startAttempt: (examId, bookingId) => api.post(`/exams/${examId}/start`, { bookingId }),
-  submitAnswer: (attemptId, questionId, selectedOptions, timeSpent) =>
-    api.post(`/exams/attempts/${attemptId}/responses`, { questionId, selectedOptions, timeSpent }),
+  // Autosave reports its own failures, so skip the global error toast
+  submitAnswer: (attemptId, questionId, selectedOptions, timeSpent, extra = {}) =>
+    api.post(`/exams/attempts/${attemptId}/responses`, { questionId, selectedOptions, timeSpent, ...extra }, { skipErrorToast: true }),
+  // Adaptive exams: scores the answer, updates the ability estimate and
+  // returns the next question, or done once the stopping rule is met. The
+  // exam screen reports failures itself, so skip the global error toast
+  submitAdaptiveAnswer: (attemptId, response) =>
+    api.post(`/exams/attempts/${attemptId}/adaptive/answer`, response, { skipErrorToast: true }),
   submitAttempt: (attemptId, responses) => api.post(`/exams/attempts/${attemptId}/complete`, { responses }),
   completeAttempt: (attemptId) => api.post(`/exams/attempts/${attemptId}/complete`),
   getAttemptHistory: (params) => api.get('/exams/attempts/history', { params }),
-  getAttemptById: (attemptId) => api.get(`/exams/attempts/${attemptId}`),
-  getAttemptResponses: (attemptId) => api.get(`/exams/attempts/${attemptId}/responses`),
-  getAttemptAnalytics: (attemptId) => api.get(`/exams/attempts/${attemptId}/analytics`),
+  getAttemptById: (attemptId, config) => api.get(`/exams/attempts/${attemptId}`, config),
+  getAttemptResponses: (attemptId, config) => api.get(`/exams/attempts/${attemptId}/responses`, config),
+  getAttemptAnalytics: (attemptId, config) => api.get(`/exams/attempts/${attemptId}/analytics`, config),
+  // Proctoring integrity log; the runner retries failed batches itself
+  logIntegrityEvents: (attemptId, events) =>
+    api.post(`/exams/attempts/${attemptId}/integrity-events`, { events }, { skipErrorToast: true }),
+  getIntegrityEvents: (attemptId) => api.get(`/exams/attempts/${attemptId}/integrity-events`),
   pauseAttempt: (attemptId) => api.put(`/exams/attempts/${attemptId}/pause`),
   resumeAttempt: (attemptId) => api.put(`/exams/attempts/${attemptId}/resume`),
 };
@@ -196,12 +208,53 @@ export const bookingAPI = {
   createAdminBooking: (bookingData) => api.post('/bookings/admin/create', bookingData),
   getMyBookings: () => api.get('/bookings'),
   getAllBookings: (params) => api.get('/bookings/admin/all', { params }),
+  getCalendarBookings: (params) => api.get('/bookings/admin/calendar', { params }),
   updateBooking: (bookingId, bookingData) => api.put(`/bookings/${bookingId}`, bookingData),
   deleteBooking: (bookingId) => api.delete(`/bookings/${bookingId}`),
   getBookingById: (bookingId) => api.get(`/bookings/${bookingId}`),
   cancelBooking: (bookingId) => api.delete(`/bookings/${bookingId}`),
-  rescheduleBooking: (bookingId, newDateTime) => api.put(`/bookings/${bookingId}/reschedule`, { newDateTime }),
+  // Student cancellation under the booking policy: the server cancels the
+  // booking and issues the refund with its credit note in one step, so a
+  // booking is never left cancelled without its refund
+  cancelBookingWithRefund: (bookingId, refundAmount, reason) =>
+    api.post(`/bookings/${bookingId}/cancel`, { refundAmount, reason }),
+  rescheduleBooking: (bookingId, newDateTime, extra = {}) =>
+    api.put(`/bookings/${bookingId}/reschedule`, { newDateTime, ...extra }),
   getBookingStats: () => api.get('/bookings/stats'),
+  getBookingPolicy: () => api.get('/bookings/policy'),
+};
+
+// Exam Sessions API
+// Bookings are made into a session; once it is full they are waitlisted and
+// the server promotes the first waitlisted booking when a seat frees up.
+export const sessionAPI = {
+  getSessions: (params) => api.get('/exam-sessions', { params }),
+  getSessionById: (sessionId) => api.get(`/exam-sessions/${sessionId}`),
+  createSession: (sessionData) => api.post('/admin/exam-sessions', sessionData),
+  updateSession: (sessionId, sessionData) => api.put(`/admin/exam-sessions/${sessionId}`, sessionData),
+  cancelSession: (sessionId, reason) => api.post(`/admin/exam-sessions/${sessionId}/cancel`, { reason }),
+  getSessionRoster: (sessionId) => api.get(`/admin/exam-sessions/${sessionId}/roster`),
+  assignSeat: (sessionId, bookingId, seatNumber) =>
+    api.put(`/admin/exam-sessions/${sessionId}/seats`, { bookingId, seatNumber }),
+  autoAssignSeats: (sessionId) => api.post(`/admin/exam-sessions/${sessionId}/seats/auto-assign`),
+  promoteWaitlisted: (sessionId, bookingId) =>
+    api.post(`/admin/exam-sessions/${sessionId}/waitlist/${bookingId}/promote`),
+};
+
+// Rooms API
+export const roomAPI = {
+  getRooms: () => api.get('/admin/rooms'),
+  createRoom: (roomData) => api.post('/admin/rooms', roomData),
+  updateRoom: (roomId, roomData) => api.put(`/admin/rooms/${roomId}`, roomData),
+  deleteRoom: (roomId) => api.delete(`/admin/rooms/${roomId}`),
+};
+
+// Calendar Feeds API
+// Each user has one secret iCal feed URL listing their upcoming exams (admins
+// get every booking). Regenerating the token invalidates the previous URL.
+export const calendarFeedAPI = {
+  getFeed: () => api.get('/calendar-feed'),
+  regenerateFeed: () => api.post('/calendar-feed/regenerate'),
 };
 
 // Payments API
@@ -225,7 +278,79 @@ export const billingAPI = {
   generateBill: (bookingId) => api.get(`/billing/${bookingId}`),
   getUserBills: (params) => api.get('/billing/user/bills', { params }),
   getAllBills: (params) => api.get('/billing/admin/all', { params }),
-  downloadBill: (bookingId) => api.get(`/billing/${bookingId}/download`),
+  downloadBill: (bookingId) => api.get(`/billing/${bookingId}/download`, { responseType: 'blob' }),
+  downloadCreditNote: (creditNoteId) => api.get(`/billing/credit-notes/${creditNoteId}/download`, { responseType: 'blob' }),
+  previewDiscount: (quoteData) => api.post('/billing/discounts/preview', quoteData, { skipErrorToast: true }),
+  getInvoiceSettings: () => api.get('/billing/settings'),
+};
+
+// Coupons API
+// The server checks a code's scope, dates and usage limits when it is
+// redeemed and re-issues the booking's invoice with the discount.
+export const couponAPI = {
+  getCoupons: (params) => api.get('/admin/coupons', { params }),
+  createCoupon: (couponData) => api.post('/admin/coupons', couponData),
+  updateCoupon: (couponId, couponData) => api.put(`/admin/coupons/${couponId}`, couponData),
+  deactivateCoupon: (couponId) => api.post(`/admin/coupons/${couponId}/deactivate`),
+  generateCoupons: (batchData) => api.post('/admin/coupons/bulk', batchData),
+  getRedemptions: (params) => api.get('/admin/coupons/redemptions', { params }),
+  redeemCoupon: (bookingId, code) => api.post(`/bookings/${bookingId}/coupon`, { code }),
+  removeCoupon: (bookingId) => api.delete(`/bookings/${bookingId}/coupon`),
+};
+
+// Certificates API
+// The server issues each certificate with a serial and a signature over it.
+// Verification is public, so it works without a token.
+export const certificateAPI = {
+  verifyCertificate: (serial, signature) =>
+    api.get(`/certificates/verify/${encodeURIComponent(serial)}`, { params: { signature }, skipErrorToast: true }),
+  getAllCertificates: (params) => api.get('/admin/certificates', { params }),
+  revokeCertificate: (certificateId, reason) => api.post(`/admin/certificates/${certificateId}/revoke`, { reason }),
+};
+
+// Certificate Templates API
+// Templates are assigned to exam categories. generateCertificate and
+// autoGenerateCertificates store a copy of the assigned template on each
+// certificate they issue.
+export const certificateTemplateAPI = {
+  getTemplates: () => api.get('/admin/certificate-templates'),
+  createTemplate: (templateData) => api.post('/admin/certificate-templates', templateData),
+  updateTemplate: (templateId, templateData) => api.put(`/admin/certificate-templates/${templateId}`, templateData),
+  deleteTemplate: (templateId) => api.delete(`/admin/certificate-templates/${templateId}`),
+};
+
+// Grading API
+// Essay and short-answer responses wait in a queue until graded by hand. For
+// exams with blindGrading the server leaves student details out, and with
+// doubleMarking a second grader never sees the first grade. Once an attempt's
+// last response is graded the server recomputes its score, grade and
+// certificate.
+export const gradingAPI = {
+  getQueue: (params) => api.get('/admin/grading/queue', { params }),
+  getResponse: (responseId) => api.get(`/admin/grading/responses/${responseId}`),
+  submitGrade: (responseId, gradeData) => api.post(`/admin/grading/responses/${responseId}/grades`, gradeData),
+  resolveDisagreement: (responseId, resolutionData) =>
+    api.post(`/admin/grading/responses/${responseId}/resolve`, resolutionData),
+};
+
+// Rubrics API
+// Reusable rubrics are attached to essay and short-answer questions by
+// rubricId; questions come back with the attached rubric as `rubric`.
+export const rubricAPI = {
+  getRubrics: () => api.get('/admin/rubrics'),
+  createRubric: (rubricData) => api.post('/admin/rubrics', rubricData),
+  updateRubric: (rubricId, rubricData) => api.put(`/admin/rubrics/${rubricId}`, rubricData),
+  deleteRubric: (rubricId) => api.delete(`/admin/rubrics/${rubricId}`),
+  // Rubric scores from final grades, for criterion analytics
+  getRubricScores: (rubricId, params) => api.get(`/admin/rubrics/${rubricId}/scores`, { params }),
+};
+
+// Question Bank API
+// Exams with a blueprint get a paper drawn per attempt when it starts; the
+// attempt comes back with the questions it received as `paper`.
+export const questionBankAPI = {
+  // Active question counts per category, difficulty and type
+  getCounts: (params) => api.get('/admin/question-bank/counts', { params }),
 };
 
 // Analytics API
@@ -283,6 +408,11 @@ export const adminAPI = {
   updateQuestion: (questionId, questionData) => api.put(`/admin/questions/${questionId}`, questionData),
   deleteQuestion: (questionId) => api.delete(`/admin/questions/${questionId}`),
   getQuestionDetails: (questionId) => api.get(`/admin/questions/${questionId}`),
+  // Every update creates an immutable version; attempts keep the version they saw
+  getQuestionVersions: (questionId) => api.get(`/admin/questions/${questionId}/versions`),
+  revertQuestion: (questionId, versionId) => api.post(`/admin/questions/${questionId}/versions/${versionId}/revert`),
+  retireQuestion: (questionId) => api.post(`/admin/questions/${questionId}/retire`),
+  reinstateQuestion: (questionId) => api.post(`/admin/questions/${questionId}/reinstate`),
   bulkCreateQuestions: (questions) => api.post('/admin/questions/bulk', { questions }),
   importQuestions: (file) => {
     const formData = new FormData();
@@ -307,6 +437,7 @@ export const adminAPI = {
 
   // Bookings
   getAllBookings: (params) => api.get('/bookings/admin/all', { params }),
+  getCalendarBookings: (params) => api.get('/bookings/admin/calendar', { params }),
   createAdminBooking: (bookingData) => api.post('/bookings/admin/create', bookingData),
   updateBooking: (bookingId, bookingData) => api.put(`/bookings/admin/${bookingId}/status`, bookingData),
   deleteBooking: (bookingId) => api.delete(`/bookings/${bookingId}`),
@@ -321,6 +452,9 @@ export const adminAPI = {
   getPaymentDetails: (paymentId) => api.get(`/admin/payments/${paymentId}`),
   processPayment: (paymentId, status, metadata) => api.post(`/admin/payments/${paymentId}/process`, { status, metadata }),
   refundPayment: (paymentId, amount, reason) => api.post(`/admin/payments/${paymentId}/refund`, { amount, reason }),
+  // Payments paid or refunded between from and to (with booking and
+  // processedBy), and the bookings marked paid in that period
+  getPaymentReconciliation: (params) => api.get('/admin/payments/reconciliation', { params }),
 
   // System Management
   getSystemStats: () => api.get('/admin/system/stats'),
@@ -341,12 +475,16 @@ export const adminAPI = {
   getUserAnalytics: () => api.get('/admin/users/analytics'),
   getExamAnalytics: () => api.get('/admin/exams/analytics'),
   getQuestionAnalytics: () => api.get('/admin/questions/analytics'),
+  // Completed attempts with their scored responses, for item analysis
+  getItemAnalysisResponses: (params) => api.get('/admin/questions/item-analysis/responses', { params }),
   getSystemAnalytics: () => api.get('/admin/system/analytics'),
   exportData: (exportData) => api.post('/admin/system/export', exportData),
 
   // Settings
   getSystemSettings: () => api.get('/admin/settings'),
   updateSystemSettings: (settings) => api.put('/admin/settings', settings),
+  updateBookingPolicy: (policy) => api.put('/admin/settings/booking-policy', policy),
+  updateInvoiceSettings: (settings) => api.put('/admin/settings/invoicing', settings),
   getEmailSettings: () => api.get('/admin/settings/email'),
   updateEmailSettings: (settings) => api.put('/admin/settings/email', settings),
   testEmailSettings: (testEmail) => api.post('/admin/settings/email/test', { testEmail }),
@@ -0,0 +1,43 @@
+// Adaptive exams pick each question from the student's answers so far and
+// report an ability estimate on a scale centred on 0, instead of a
+// percentage that is not comparable between students who saw different
+// questions. Question selection and scoring happen on the server; these
+// helpers back the exam settings and the results page.
+
+export const ADAPTIVE_STOP_RULES = {
+  FIXED_LENGTH: 'Fixed number of questions',
+  PRECISION: 'Precision target'
+};
+
+export const ADAPTIVE_DEFAULTS = {
+  STOP_RULE: 'FIXED_LENGTH',
+  MIN_QUESTIONS: 10,
+  MAX_QUESTIONS: 30,
+  TARGET_STANDARD_ERROR: 0.3
+};
+
+// Number of questions the student will see, when the rule fixes it
+export const getAdaptiveLength = (exam) => {
+  const stopRule = exam?.adaptiveStopRule || ADAPTIVE_DEFAULTS.STOP_RULE;
+  return stopRule === 'FIXED_LENGTH'
+    ? Number(exam?.adaptiveMaxQuestions) || ADAPTIVE_DEFAULTS.MAX_QUESTIONS
+    : null;
+};
+
+// Rough question count to reach a standard error with well-targeted,
+// uncalibrated questions (each worth at most 0.25 information)
+export const estimateQuestionsForPrecision = (targetStandardError) =>
+  Math.ceil(4 / (Number(targetStandardError) || ADAPTIVE_DEFAULTS.TARGET_STANDARD_ERROR) ** 2);
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26)
+const normalCdf = (value) => {
+  const x = Math.abs(value) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return value >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Share of the reference population, centred on ability 0, below this ability
+export const getAbilityPercentile = (ability) => Math.round(normalCdf(ability) * 100);
+
+export const formatAbility = (ability) => `${ability >= 0 ? '+' : ''}${ability.toFixed(2)}`;
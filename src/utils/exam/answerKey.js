@@ -0,0 +1,248 @@
+import { roundMarks } from './grading';
+import { createId } from './random';
+
+// Answer keys for SHORT_ANSWER and FILL_IN_THE_BLANK questions.
+//
+// A key has one entry per blank (short answers have a single blank):
+//   { blanks: [{ id, weight, rules: [rule] }] }
+// and each rule accepts answers in one way:
+//   TEXT     value plus synonyms, compared after trimming and collapsing
+//            spaces; case-insensitive unless caseSensitive; maxDistance
+//            allows that many typos (Levenshtein distance)
+//   REGEX    pattern that must match the whole answer
+//   NUMERIC  value ± tolerance, optionally followed by one of the units
+// A rule's credit (0-1) is the share of the blank's marks it earns, so near
+// misses can get partial credit. Blanks share the question's marks by
+// weight. The server scores attempts with the same rules; this module backs
+// the editor and its "test your answer key" preview.
+
+export const ANSWER_KEY_QUESTION_TYPES = ['SHORT_ANSWER', 'FILL_IN_THE_BLANK'];
+
+export const ANSWER_RULE_TYPES = {
+  TEXT: 'Text',
+  REGEX: 'Regular expression',
+  NUMERIC: 'Number'
+};
+
+export const createAnswerRule = (type = 'TEXT', value = '') => ({
+  id: createId(),
+  type,
+  value,
+  synonyms: [],
+  caseSensitive: false,
+  maxDistance: 0,
+  tolerance: 0,
+  units: [],
+  requireUnit: false,
+  credit: 1
+});
+
+export const createAnswerBlank = (value = '') => ({
+  id: createId(),
+  weight: 1,
+  rules: [createAnswerRule('TEXT', value)]
+});
+
+const splitAlternatives = (value) => String(value || '').split('|').map(item => item.trim()).filter(Boolean);
+
+// The question's key, or one built from the older format: fill-in options
+// hold each blank's answer and short answers list alternatives as "a|b"
+export const getAnswerKey = (question) => {
+  if (question?.answerKey?.blanks?.length) {
+    return {
+      blanks: question.answerKey.blanks.map(blank => ({
+        ...blank,
+        id: blank.id || createId(),
+        rules: (blank.rules || []).map(rule => ({ ...createAnswerRule(rule.type), ...rule }))
+      }))
+    };
+  }
+  if (question?.type === 'FILL_IN_THE_BLANK') {
+    return { blanks: (question.options || []).map(option => createAnswerBlank(option.text || '')) };
+  }
+  const [first, ...synonyms] = splitAlternatives(question?.correctAnswer);
+  const blank = createAnswerBlank(first || '');
+  blank.rules[0].synonyms = synonyms;
+  return { blanks: [blank] };
+};
+
+// One blank per gap marked in the question text. Blanks already edited are
+// kept; ones still empty pick up the text typed between the parentheses.
+export const resizeAnswerKey = (answerKey, values) => ({
+  blanks: values.map((value, index) => {
+    const blank = answerKey.blanks[index];
+    if (!blank) return createAnswerBlank(value);
+    const [rule, ...others] = blank.rules;
+    return !others.length && rule?.type === 'TEXT' && !String(rule.value).trim()
+      ? { ...blank, rules: [{ ...rule, value }] }
+      : blank;
+  })
+});
+
+// Comma-separated synonyms and units are edited as text
+export const splitList = (value) => String(value || '').split(',').map(item => item.trim());
+
+export const normalizeAnswerText = (value, caseSensitive = false) => {
+  const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+export const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Commas are digit grouping ("1,250.5") or, alone, a decimal comma ("0,5");
+// anything else ("1,2,3", "1,5.2") is ambiguous and not read as a number
+const normalizeNumberCommas = (text) => {
+  const digits = text.replace(/^[-+]/, '').replace(/e[-+]?\d+$/i, '');
+  if (!digits.includes(',')) return text;
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(digits)) return text.replace(/,/g, '');
+  if (/^\d+,\d+$/.test(digits)) return text.replace(',', '.');
+  return null;
+};
+
+// "1,250.5 kg" -> { number: 1250.5, unit: 'kg' }, "0,5" -> { number: 0.5, unit: '' }
+export const parseNumericAnswer = (value) => {
+  const match = String(value ?? '').trim().match(/^([-+]?(?:\d[\d,]*\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!match) return null;
+  const text = normalizeNumberCommas(match[1]);
+  const number = text === null ? NaN : Number(text);
+  return Number.isFinite(number) ? { number, unit: match[2].trim() } : null;
+};
+
+const buildRegex = (rule) => new RegExp(`^(?:${rule.value})$`, rule.caseSensitive ? '' : 'i');
+
+export const matchesAnswerRule = (rule, answer) => {
+  if (!String(answer ?? '').trim()) return false;
+
+  if (rule.type === 'REGEX') {
+    try {
+      return buildRegex(rule).test(String(answer).trim());
+    } catch {
+      return false;
+    }
+  }
+
+  if (rule.type === 'NUMERIC') {
+    const parsed = parseNumericAnswer(answer);
+    const expected = Number(rule.value);
+    if (!parsed || !Number.isFinite(expected)) return false;
+    const units = (rule.units || []).map(unit => normalizeAnswerText(unit)).filter(Boolean);
+    if (parsed.unit && !units.includes(normalizeAnswerText(parsed.unit))) return false;
+    if (!parsed.unit && rule.requireUnit && units.length) return false;
+    return Math.abs(parsed.number - expected) <= Math.abs(Number(rule.tolerance) || 0) + 1e-9;
+  }
+
+  const given = normalizeAnswerText(answer, rule.caseSensitive);
+  const maxDistance = Math.max(0, Number(rule.maxDistance) || 0);
+  return [rule.value, ...(rule.synonyms || [])]
+    .map(accepted => normalizeAnswerText(accepted, rule.caseSensitive))
+    .filter(Boolean)
+    .some(accepted => (maxDistance ? levenshtein(given, accepted) <= maxDistance : given === accepted));
+};
+
+const getRuleCredit = (rule) => Math.min(1, Math.max(0, Number(rule.credit ?? 1)));
+
+// Best credit any rule gives the answer, with the rule that gave it
+export const scoreBlank = (blank, answer) => blank.rules.reduce(
+  (best, rule) => {
+    const credit = getRuleCredit(rule);
+    return credit > best.credit && matchesAnswerRule(rule, answer) ? { credit, rule } : best;
+  },
+  { credit: 0, rule: null }
+);
+
+// Scores a student's answers (one string per blank) out of maxMarks
+export const scoreAnswerKey = (answerKey, answers, maxMarks) => {
+  const blanks = answerKey.blanks.map((blank, index) => ({
+    ...scoreBlank(blank, answers[index]),
+    weight: Math.max(0, Number(blank.weight) || 0)
+  }));
+  const totalWeight = blanks.reduce((sum, blank) => sum + blank.weight, 0);
+  const earned = blanks.reduce((sum, blank) => sum + blank.weight * blank.credit, 0);
+  return {
+    blanks,
+    marks: totalWeight ? roundMarks((earned / totalWeight) * maxMarks) : 0
+  };
+};
+
+// Returns an error message, or null when the key can be saved
+export const validateAnswerKey = (answerKey) => {
+  if (!answerKey?.blanks?.length) return 'Mark at least one blank';
+  for (const [index, blank] of answerKey.blanks.entries()) {
+    const label = answerKey.blanks.length > 1 ? `Blank ${index + 1}` : 'The answer';
+    if (!blank.rules.length) return `${label} needs an accepted answer`;
+    if (!(Number(blank.weight) > 0)) return `${label} needs a weight above zero`;
+    for (const rule of blank.rules) {
+      if (!String(rule.value).trim()) return `${label} has an empty accepted answer`;
+      if (rule.type === 'NUMERIC' && !Number.isFinite(Number(rule.value))) return `${label}: "${rule.value}" is not a number`;
+      if (rule.type === 'REGEX') {
+        try {
+          buildRegex(rule);
+        } catch {
+          return `${label}: "${rule.value}" is not a valid regular expression`;
+        }
+      }
+    }
+  }
+  return null;
+};
+
+const describeRule = (rule) => {
+  if (rule.type === 'REGEX') return `matches /${rule.value}/`;
+  if (rule.type === 'NUMERIC') {
+    const tolerance = Number(rule.tolerance) ? ` ± ${rule.tolerance}` : '';
+    const unit = (rule.units || []).find(Boolean);
+    return `${rule.value}${tolerance}${unit ? ` ${unit}` : ''}`;
+  }
+  return [rule.value, ...(rule.synonyms || [])].filter(Boolean).join(' or ');
+};
+
+export const toAnswerKeyPayload = (answerKey) => ({
+  blanks: answerKey.blanks.map(blank => ({
+    id: blank.id,
+    weight: Number(blank.weight),
+    rules: blank.rules.map(rule => ({
+      ...rule,
+      value: String(rule.value).trim(),
+      synonyms: (rule.synonyms || []).map(item => item.trim()).filter(Boolean),
+      units: (rule.units || []).map(item => item.trim()).filter(Boolean),
+      maxDistance: Math.max(0, Math.floor(Number(rule.maxDistance) || 0)),
+      tolerance: Math.abs(Number(rule.tolerance) || 0),
+      credit: getRuleCredit(rule)
+    }))
+  }))
+});
+
+// Accepted answers in words, one line per blank, for results pages
+export const describeAnswerKey = (answerKey) => answerKey.blanks.map((blank, index) => {
+  const accepted = blank.rules.filter(rule => getRuleCredit(rule) === 1).map(describeRule).join(' or ');
+  return answerKey.blanks.length > 1 ? `Blank ${index + 1}: ${accepted}` : accepted;
+});
+
+// The older answer fields, kept in step so exam screens that count blanks
+// from options and lists that show correctAnswer keep working
+export const getLegacyAnswerFields = (answerKey, type) => {
+  const primary = answerKey.blanks.map(blank => blank.rules.find(rule => rule.type === 'TEXT')?.value || blank.rules[0]?.value || '');
+  if (type === 'FILL_IN_THE_BLANK') {
+    return { options: primary.map(text => ({ text, isCorrect: true })) };
+  }
+  const textRules = answerKey.blanks[0].rules.filter(rule => rule.type === 'TEXT' && getRuleCredit(rule) === 1);
+  const alternatives = textRules.flatMap(rule => [rule.value, ...(rule.synonyms || [])]).filter(Boolean);
+  return { correctAnswer: (alternatives.length ? alternatives : primary).join('|') };
+};
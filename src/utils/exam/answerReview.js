@@ -0,0 +1,208 @@
+import jsPDF from 'jspdf';
+import { getResponseQuestion, hasAnswer, isFreeTextQuestion } from './examResponseUtils';
+import { getCorrectOrder, getOptionKey } from './matchingOrdering';
+import { ANSWER_KEY_QUESTION_TYPES, describeAnswerKey, getAnswerKey } from './answerKey';
+import { writeRichTextToPdf } from './richTextPdf';
+
+// Per-question answer review shown to students after an attempt. Exams opt in
+// with showAnswers and may hold the review back until answersReleaseAt, e.g.
+// until everyone sitting the same paper has finished.
+
+export const REVIEW_STATUS_STYLES = {
+  CORRECT: { label: 'Correct', badge: 'badge-success', color: 'var(--success-600)' },
+  PARTIAL: { label: 'Partly correct', badge: 'badge-warning', color: 'var(--warning-600)' },
+  INCORRECT: { label: 'Incorrect', badge: 'badge-danger', color: 'var(--danger-600)' },
+  UNANSWERED: { label: 'Not answered', badge: 'badge-secondary', color: 'var(--secondary-500)' },
+  UNGRADED: { label: 'Awaiting grading', badge: 'badge-primary', color: 'var(--primary-600)' }
+};
+
+// { status: 'HIDDEN' | 'SCHEDULED' | 'AVAILABLE', releaseAt }
+export const getAnswerReviewAvailability = (exam, now = new Date()) => {
+  if (!exam || exam.showResults === false || !exam.showAnswers) return { status: 'HIDDEN', releaseAt: null };
+  const releaseAt = exam.answersReleaseAt ? new Date(exam.answersReleaseAt) : null;
+  if (releaseAt && releaseAt > now) return { status: 'SCHEDULED', releaseAt };
+  return { status: 'AVAILABLE', releaseAt };
+};
+
+export const getQuestionTopic = (question) =>
+  question?.topic || question?.exam_categories?.name || question?.examCategory?.name || question?.category?.name || '';
+
+// Selected options are stored as option indexes; older responses carry ids
+const findOption = (options, value) => {
+  const index = Number(value);
+  if (Number.isInteger(index) && options[index]) return options[index];
+  return options.find(option => option.id === value);
+};
+
+// The student's answer as lines of text
+const getStudentAnswerLines = (question, response) => {
+  if (!response) return [];
+  const options = question.options || [];
+
+  if (isFreeTextQuestion(question)) {
+    const text = response.essayAnswer ?? response.textAnswer ?? '';
+    return hasAnswer(text) ? [text] : [];
+  }
+
+  if (question.type === 'MATCHING') {
+    return (response.matchingAnswer || []).map(pair => {
+      const prompt = options.find((option, index) => getOptionKey(option, index) === String(pair.optionId));
+      const match = options.find((option, index) => getOptionKey(option, index) === String(pair.matchOptionId));
+      return `${prompt?.text || '?'} -> ${match?.matchText || '?'}`;
+    });
+  }
+
+  if (question.type === 'ORDERING') {
+    const order = response.orderingAnswer || response.selectedOptions || [];
+    return order.map((key, position) => {
+      const option = options.find((item, index) => getOptionKey(item, index) === String(key));
+      return `${position + 1}. ${option?.text || '?'}`;
+    });
+  }
+
+  const selected = (response.selectedOptions || []).filter(hasAnswer);
+  if (question.type === 'FILL_IN_THE_BLANK') {
+    return selected.length ? selected.map((value, index) => `Blank ${index + 1}: ${value}`) : [];
+  }
+  return selected.map(value => findOption(options, value)?.text ?? String(value));
+};
+
+// The answer key as lines of text; empty when the question has none (essays,
+// or when the server left the key out)
+const getCorrectAnswerLines = (question) => {
+  const options = question.options || [];
+  if (ANSWER_KEY_QUESTION_TYPES.includes(question.type) && question.answerKey?.blanks?.length) {
+    return describeAnswerKey(getAnswerKey(question));
+  }
+
+  switch (question.type) {
+    case 'MATCHING':
+      return options.filter(option => option.matchText).map(option => `${option.text} -> ${option.matchText}`);
+    case 'ORDERING':
+      if (!options.some(option => option.correctOrder !== undefined)) return [];
+      return getCorrectOrder(question).map((key, position) => {
+        const option = options.find((item, index) => getOptionKey(item, index) === key);
+        return `${position + 1}. ${option?.text || ''}`;
+      });
+    case 'FILL_IN_THE_BLANK':
+      return options.map((option, index) => `Blank ${index + 1}: ${option.text}`);
+    case 'SHORT_ANSWER':
+    case 'ESSAY':
+      return question.correctAnswer ? [String(question.correctAnswer).split('|').join(' or ')] : [];
+    default: {
+      const correct = options.filter(option => option.isCorrect).map(option => option.text);
+      return correct.length ? correct : question.correctAnswer ? [question.correctAnswer] : [];
+    }
+  }
+};
+
+// Rubric criteria with the level the student was given, when the question
+// shares its rubric with students
+const getStudentRubric = (question, response) => {
+  if (!question.showRubricToStudents || !question.rubric?.criteria?.length) return null;
+  const scores = response?.rubricScores || [];
+  return question.rubric.criteria.map(criterion => {
+    const score = scores.find(item => item.criterionId === criterion.id);
+    const level = criterion.levels.find(item => item.id === score?.levelId);
+    return {
+      id: criterion.id,
+      name: criterion.name,
+      level: level?.label || null,
+      points: score ? score.points : null,
+      maxPoints: Math.max(0, ...criterion.levels.map(item => Number(item.points) || 0))
+    };
+  });
+};
+
+const getReviewStatus = (question, response, obtained, maxMarks) => {
+  if (!response || !hasAnswer(getStudentAnswerLines(question, response))) return 'UNANSWERED';
+  if (response.isCorrect === true) return 'CORRECT';
+  if (obtained === null) return response.isCorrect === false ? 'INCORRECT' : 'UNGRADED';
+  if (maxMarks && obtained >= maxMarks) return 'CORRECT';
+  return obtained > 0 ? 'PARTIAL' : 'INCORRECT';
+};
+
+// One review item per question, in exam order. Questions the student never
+// reached still appear, as unanswered.
+export const buildAnswerReview = (responses, questions) => {
+  const responseList = responses || [];
+  const entries = questions?.length
+    ? questions.map(question => {
+      const response = responseList.find(item => item.questionId === question.id);
+      return { response, question: response ? getResponseQuestion(response, questions) : question };
+    })
+    : responseList.map(response => ({ response, question: getResponseQuestion(response, questions) }));
+
+  return entries
+    .filter(({ question }) => question)
+    .map(({ response, question }, index) => {
+      const maxMarks = question.marks ?? response?.maxMarks ?? 0;
+      const obtained = response?.marksObtained ?? response?.obtainedMarks ?? response?.score ?? null;
+      return {
+        id: question.id || response?.questionId || index,
+        number: index + 1,
+        type: question.type,
+        text: question.text || '',
+        topic: getQuestionTopic(question),
+        studentAnswer: getStudentAnswerLines(question, response),
+        correctAnswer: getCorrectAnswerLines(question),
+        explanation: question.explanation || '',
+        rubric: getStudentRubric(question, response),
+        maxMarks,
+        obtained: obtained === null ? (response ? null : 0) : Number(obtained),
+        status: getReviewStatus(question, response, obtained === null ? null : Number(obtained), maxMarks)
+      };
+    });
+};
+
+const formatMarks = (value) => Math.round(value * 100) / 100;
+
+// Printable review: question, the student's answer, the key and the
+// explanation for every question
+export const exportAnswerReviewPdf = ({ examTitle, studentName, percentage, items }) => {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const maxWidth = pageWidth - 40;
+
+  doc.setFontSize(18);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Answer Review', pageWidth / 2, 20, { align: 'center' });
+  doc.setFontSize(11);
+  doc.setFont('helvetica', 'normal');
+  doc.text(examTitle || 'Exam', pageWidth / 2, 28, { align: 'center' });
+  doc.setFontSize(10);
+  const details = [studentName, percentage !== undefined && percentage !== null ? `Score: ${percentage}%` : null, new Date().toLocaleDateString()];
+  doc.text(details.filter(Boolean).join('  |  '), pageWidth / 2, 35, { align: 'center' });
+
+  const writeSection = (label, lines, y) => {
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'bold');
+    doc.text(label, 20, y + 2);
+    return writeRichTextToPdf(doc, lines.length ? lines.join('\n\n') : '-', { x: 24, y: y + 8, maxWidth: maxWidth - 4, fontSize: 10 });
+  };
+
+  let y = 48;
+  items.forEach(item => {
+    if (y > doc.internal.pageSize.getHeight() - 40) {
+      doc.addPage();
+      y = 20;
+    }
+
+    const marks = item.obtained === null ? `-/${item.maxMarks}` : `${formatMarks(item.obtained)}/${item.maxMarks}`;
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.text([`Q${item.number}`, item.topic, `${marks} mark(s)`, REVIEW_STATUS_STYLES[item.status].label].filter(Boolean).join('  |  '), 20, y);
+    y = writeRichTextToPdf(doc, item.text, { x: 20, y: y + 6, maxWidth, fontStyle: 'bold' });
+
+    y = writeSection('Your answer:', item.studentAnswer, y);
+    if (item.correctAnswer.length) y = writeSection('Correct answer:', item.correctAnswer, y);
+    if (item.explanation) y = writeSection('Explanation:', [item.explanation], y);
+    if (item.rubric) {
+      y = writeSection('Rubric:', item.rubric.map(criterion =>
+        `${criterion.name}: ${criterion.level || 'not scored'}${criterion.points !== null ? ` (${criterion.points}/${criterion.maxPoints})` : ''}`), y);
+    }
+    y += 8;
+  });
+
+  doc.save(`answer-review-${(examTitle || 'exam').replace(/\s+/g, '_')}.pdf`);
+};
@@ -0,0 +1,201 @@
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+import { createId, createSeededRandom } from './random';
+
+// Exam blueprints: rows of "count questions from category × difficulty ×
+// type", e.g. 5 hard algebra and 10 medium geometry. Difficulty and type may
+// be left as any. These helpers let the editor check rows against the bank
+// counts and preview, by drawing simulated papers client-side, how much
+// students' papers are likely to overlap.
+
+export const BLUEPRINT_DIFFICULTIES = {
+  EASY: 'Easy',
+  MEDIUM: 'Medium',
+  HARD: 'Hard'
+};
+
+export const BLUEPRINT_QUESTION_TYPES = {
+  MULTIPLE_CHOICE: 'Multiple Choice',
+  SINGLE_CHOICE: 'Single Choice',
+  TRUE_FALSE: 'True/False',
+  FILL_IN_THE_BLANK: 'Fill in the Blank',
+  SHORT_ANSWER: 'Short Answer',
+  ESSAY: 'Essay',
+  MATCHING: 'Matching',
+  ORDERING: 'Ordering'
+};
+
+// Papers simulated by the editor's preview
+export const BLUEPRINT_PREVIEW_PAPERS = 30;
+
+export const createBlueprintRow = (row = {}) => ({
+  id: createId(),
+  categoryId: '',
+  difficulty: '',
+  type: '',
+  count: 1,
+  ...row
+});
+
+// Rows as saved on the exam use null for "any"
+export const getBlueprintRows = (exam) => (exam?.blueprint?.rows || []).map(row => createBlueprintRow({
+  ...row,
+  difficulty: row.difficulty || '',
+  type: row.type || ''
+}));
+
+export const toBlueprintPayload = (rows) => ({
+  rows: rows.map(row => ({
+    id: row.id,
+    categoryId: row.categoryId,
+    difficulty: row.difficulty || null,
+    type: row.type || null,
+    count: Number(row.count)
+  }))
+});
+
+const matchesRow = (row, entry) =>
+  entry.examCategoryId === row.categoryId &&
+  (!row.difficulty || entry.difficulty === row.difficulty) &&
+  (!row.type || entry.type === row.type);
+
+// Active questions in the bank that fit the row. `bankCounts` lists
+// { examCategoryId, difficulty, type, count } per combination.
+export const getRowPoolSize = (row, bankCounts) =>
+  bankCounts.filter(entry => matchesRow(row, entry)).reduce((sum, entry) => sum + entry.count, 0);
+
+// Rows drawing from the same questions could hand a student one question twice
+const rowsOverlap = (a, b) =>
+  a.categoryId === b.categoryId &&
+  (!a.difficulty || !b.difficulty || a.difficulty === b.difficulty) &&
+  (!a.type || !b.type || a.type === b.type);
+
+export const getBlueprintTotal = (rows) => rows.reduce((sum, row) => sum + (Number(row.count) || 0), 0);
+
+// Problems that stop the blueprint being saved, as { rowId, message }.
+// Bank sizes are only checked when bankCounts is given.
+export const validateBlueprint = (rows, { bankCounts, requireTypes = false } = {}) => {
+  if (!rows.length) return [{ rowId: null, message: 'Add at least one blueprint row' }];
+  const problems = [];
+  rows.forEach((row, index) => {
+    const label = `Row ${index + 1}`;
+    const count = Number(row.count);
+    if (!row.categoryId) problems.push({ rowId: row.id, message: `${label} needs a category` });
+    if (!Number.isInteger(count) || count < 1) problems.push({ rowId: row.id, message: `${label} needs at least one question` });
+    if (requireTypes && !row.type) problems.push({ rowId: row.id, message: `${label} needs a question type while the exam has sections` });
+    const clash = rows.findIndex((other, otherIndex) => otherIndex < index && other.categoryId && rowsOverlap(other, row));
+    if (row.categoryId && clash !== -1) {
+      problems.push({ rowId: row.id, message: `${label} draws from the same questions as row ${clash + 1}; merge them or pick a different difficulty or type` });
+    }
+    if (bankCounts && row.categoryId && count > 0) {
+      const available = getRowPoolSize(row, bankCounts);
+      if (available < count) {
+        problems.push({ rowId: row.id, message: `${label} needs ${count} questions but the bank has ${available}` });
+      }
+    }
+  });
+  return problems;
+};
+
+// Total and per-type question counts for the exam, so sections and the
+// existing type distribution follow the blueprint
+export const getBlueprintExamCounts = (rows) => {
+  const counts = { totalQuestions: getBlueprintTotal(rows) };
+  EXAM_CONSTANTS.QUESTION_TYPE_SECTIONS.forEach(section => {
+    counts[section.countField] = rows
+      .filter(row => section.types.includes(row.type))
+      .reduce((sum, row) => sum + (Number(row.count) || 0), 0);
+  });
+  return counts;
+};
+
+// Share of questions any two papers must have in common: a row drawing k of
+// n questions forces 2k - n repeats whenever 2k > n
+export const getMinimumOverlap = (rows, bankCounts) => {
+  const total = getBlueprintTotal(rows);
+  if (!total) return 0;
+  const forced = rows.reduce((sum, row) => {
+    const count = Number(row.count) || 0;
+    return sum + Math.max(0, 2 * count - getRowPoolSize(row, bankCounts));
+  }, 0);
+  return Math.min(1, forced / total);
+};
+
+const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Share of paper a's questions that also appear in paper b
+export const getPaperOverlap = (a, b) => {
+  if (!a.length) return 0;
+  const other = new Set(b);
+  return a.filter(questionId => other.has(questionId)).length / a.length;
+};
+
+// Draws one simulated paper for the preview: for each row, the least used
+// questions in its pool with random tie-breaks, so papers are equivalent but
+// differ. Redraws up to `tries` times while the paper shares more than
+// overlapPercentage with an earlier one, keeping the best draw. `pools` maps
+// row id to question ids.
+const drawPaper = (rows, pools, { previousPapers = [], overlapPercentage = 100, random = Math.random, tries = 20 } = {}) => {
+  const exposure = new Map();
+  previousPapers.flat().forEach(questionId => exposure.set(questionId, (exposure.get(questionId) || 0) + 1));
+  const limit = overlapPercentage / 100;
+
+  let best = null;
+  for (let attempt = 0; attempt < tries; attempt += 1) {
+    const questions = rows.flatMap(row => shuffle(pools[row.id] || [], random)
+      .sort((a, b) => (exposure.get(a) || 0) - (exposure.get(b) || 0))
+      .slice(0, Number(row.count) || 0)
+      .map(questionId => ({ questionId, rowId: row.id })));
+    const ids = questions.map(question => question.questionId);
+    const maxOverlap = previousPapers.reduce((max, paper) => Math.max(max, getPaperOverlap(ids, paper)), 0);
+    if (!best || maxOverlap < best.maxOverlap) best = { questions, maxOverlap };
+    if (maxOverlap <= limit) break;
+  }
+  return best;
+};
+
+// Draws a run of papers from pools the size of the bank and reports how much
+// they overlap, before any student sits the exam
+export const simulateBlueprint = (rows, bankCounts, overlapPercentage, paperCount = BLUEPRINT_PREVIEW_PAPERS) => {
+  const pools = Object.fromEntries(rows.map(row => [
+    row.id,
+    Array.from({ length: getRowPoolSize(row, bankCounts) }, (_, index) => `${row.id}:${index}`)
+  ]));
+  const random = createSeededRandom(rows.map(row => row.id).join());
+  const papers = [];
+  for (let i = 0; i < paperCount; i += 1) {
+    const paper = drawPaper(rows, pools, { previousPapers: papers, overlapPercentage, random });
+    papers.push(paper.questions.map(question => question.questionId));
+  }
+
+  let pairs = 0;
+  let totalOverlap = 0;
+  let maxOverlap = 0;
+  papers.forEach((paper, i) => {
+    papers.slice(i + 1).forEach(other => {
+      const overlap = getPaperOverlap(paper, other);
+      pairs += 1;
+      totalOverlap += overlap;
+      maxOverlap = Math.max(maxOverlap, overlap);
+    });
+  });
+  return {
+    papers: paperCount,
+    uniquePapers: new Set(papers.map(paper => [...paper].sort().join())).size,
+    averageOverlap: pairs ? totalOverlap / pairs : 0,
+    maxOverlap,
+    withinLimit: maxOverlap <= overlapPercentage / 100
+  };
+};
+
+export const describeBlueprintRow = (row, categories = []) => [
+  categories.find(category => category.id === row.categoryId)?.name || 'Unknown category',
+  row.difficulty ? BLUEPRINT_DIFFICULTIES[row.difficulty] : 'Any difficulty',
+  row.type ? BLUEPRINT_QUESTION_TYPES[row.type] : 'Any type'
+].join(' · ');
@@ -0,0 +1,129 @@
+import { saveAs } from 'file-saver';
+import { API_BASE_URL } from '../../config/api.config';
+import { getBookingInterval } from './calendarSchedule';
+
+// iCalendar (RFC 5545) files for exam bookings. Each booking keeps the same
+// UID and bumps SEQUENCE when it is rescheduled or cancelled, so importing a
+// newer file updates the event instead of adding a second one.
+
+const CRLF = '\r\n';
+const PRODID = '-//MockExam Pro//Exam Bookings//EN';
+const UID_DOMAIN = 'mockexampro';
+const REMINDER = '-PT1H';
+
+const EVENT_STATUS = {
+  CANCELLED: 'CANCELLED',
+  PENDING: 'TENTATIVE',
+  WAITLISTED: 'TENTATIVE'
+};
+
+export const escapeIcsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC date-time, e.g. 20260301T090000Z
+export const formatIcsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const utf8Length = (char) => new TextEncoder().encode(char).length;
+
+// Lines may be at most 75 octets; longer ones continue on the next line
+// after a single space. Multi-byte characters are never split.
+export const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  let length = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    const limit = parts.length ? 74 : 75;
+    if (length + size > limit) {
+      parts.push(current);
+      current = '';
+      length = 0;
+    }
+    current += char;
+    length += size;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+const getLocation = (booking) => {
+  const room = booking.session?.room;
+  return [room?.name, room?.location, booking.seatNumber ? `Seat ${booking.seatNumber}` : null].filter(Boolean).join(', ');
+};
+
+// VEVENT lines for one booking, or an empty list when it has no time yet
+export const buildBookingEvent = (booking, now = new Date()) => {
+  const interval = getBookingInterval(booking);
+  if (!interval) return [];
+
+  const cancelled = booking.status === 'CANCELLED';
+  const exam = booking.exam || {};
+  const description = [
+    exam.examCategory?.name && `Category: ${exam.examCategory.name}`,
+    exam.duration && `Duration: ${exam.duration} minutes`,
+    booking.seatNumber && `Seat: ${booking.seatNumber}`,
+    booking.user && `Candidate: ${`${booking.user.firstName || ''} ${booking.user.lastName || ''}`.trim()}`,
+    `Booking reference: ${String(booking.id).slice(-8).toUpperCase()}`
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:booking-${booking.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatIcsDate(now)}`,
+    `SEQUENCE:${(Number(booking.rescheduleCount) || 0) + (cancelled ? 1 : 0)}`,
+    `DTSTART:${formatIcsDate(interval.start)}`,
+    `DTEND:${formatIcsDate(interval.end)}`,
+    `SUMMARY:${escapeIcsText(`${exam.title || 'Exam'}${cancelled ? ' (cancelled)' : ''}`)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    `STATUS:${EVENT_STATUS[booking.status] || 'CONFIRMED'}`
+  ];
+  const location = getLocation(booking);
+  if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+  if (!cancelled) {
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `TRIGGER:${REMINDER}`, `DESCRIPTION:${escapeIcsText(`${exam.title || 'Exam'} starts in one hour`)}`, 'END:VALARM');
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// A complete calendar file for the given bookings. A file holding a single
+// cancelled booking is sent as a cancellation so calendar apps remove it.
+export const buildIcsCalendar = (bookings, name = 'Exam Bookings') => {
+  const now = new Date();
+  const method = bookings.length === 1 && bookings[0].status === 'CANCELLED' ? 'CANCEL' : 'PUBLISH';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ...bookings.flatMap(booking => buildBookingEvent(booking, now)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldIcsLine).join(CRLF) + CRLF;
+};
+
+export const downloadBookingIcs = (booking) => {
+  const interval = getBookingInterval(booking);
+  if (!interval) return false;
+  const slug = (booking.exam?.title || 'exam').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+  const blob = new Blob([buildIcsCalendar([booking], booking.exam?.title)], { type: 'text/calendar;charset=utf-8' });
+  saveAs(blob, `${slug || 'exam'}-${formatIcsDate(interval.start).slice(0, 8)}.ics`);
+  return true;
+};
+
+// Absolute https URL of a feed, built from its token when the server does
+// not send one
+export const getFeedUrl = (feed) => {
+  if (!feed) return '';
+  if (feed.url) return feed.url;
+  const base = API_BASE_URL.startsWith('http') ? API_BASE_URL : `${window.location.origin}${API_BASE_URL}`;
+  return `${base}/calendar-feed/${feed.token}.ics`;
+};
+
+// webcal:// makes calendar apps subscribe instead of downloading once
+export const toWebcalUrl = (url) => url.replace(/^https?:\/\//, 'webcal://');
@@ -0,0 +1,148 @@
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+import { WAITLIST_STATUS } from './sessionSeating';
+import { roundMoney } from './money';
+
+// Rules for students moving or cancelling their own bookings. The server
+// enforces the same policy; these helpers let the UI explain it and preview
+// the refund before the student commits.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CLOSED_STATUSES = ['CANCELLED', 'COMPLETED', 'EXPIRED', 'NO_SHOW'];
+
+// Fills gaps with the defaults and sorts tiers longest notice first
+export const normalizeBookingPolicy = (policy) => {
+  const defaults = EXAM_CONSTANTS.BOOKING_POLICY;
+  const tiers = policy?.cancellationTiers?.length ? policy.cancellationTiers : defaults.CANCELLATION_TIERS;
+  return {
+    minNoticeHours: Math.max(0, Number(policy?.minNoticeHours ?? defaults.MIN_NOTICE_HOURS) || 0),
+    maxReschedules: Math.max(0, parseInt(policy?.maxReschedules ?? defaults.MAX_RESCHEDULES, 10) || 0),
+    cancellationTiers: tiers
+      .map(tier => ({
+        minHoursBefore: Math.max(0, Number(tier.minHoursBefore) || 0),
+        feePercent: Math.min(100, Math.max(0, Number(tier.feePercent) || 0))
+      }))
+      .sort((a, b) => b.minHoursBefore - a.minHoursBefore)
+  };
+};
+
+export const formatNotice = (hours) =>
+  hours >= 48 && hours % 24 === 0 ? `${hours / 24} days` : `${hours} hour${hours === 1 ? '' : 's'}`;
+
+export const getBookingStart = (booking) => booking?.session?.startsAt || booking?.scheduledAt || null;
+
+// Hours until the exam starts, negative once it has started, null if unscheduled
+export const getHoursUntilStart = (booking, now = new Date()) => {
+  const start = getBookingStart(booking);
+  return start ? (new Date(start).getTime() - new Date(now).getTime()) / HOUR_MS : null;
+};
+
+export const isBookingClosed = (booking) => CLOSED_STATUSES.includes(booking?.status);
+
+// Whether a new slot starting at startsAt still leaves the minimum notice
+export const isSlotBookable = (startsAt, policy, now = new Date()) =>
+  (new Date(startsAt).getTime() - new Date(now).getTime()) / HOUR_MS >= normalizeBookingPolicy(policy).minNoticeHours;
+
+// { allowed, reason, remaining } for moving a booking to another slot
+export const getRescheduleEligibility = (booking, policy, now = new Date()) => {
+  const { minNoticeHours, maxReschedules } = normalizeBookingPolicy(policy);
+  const used = Number(booking?.rescheduleCount) || 0;
+  const remaining = Math.max(0, maxReschedules - used);
+  const hoursLeft = getHoursUntilStart(booking, now);
+
+  if (isBookingClosed(booking)) {
+    return { allowed: false, reason: `This booking is ${booking.status.toLowerCase()}`, remaining };
+  }
+  if (!remaining) {
+    return {
+      allowed: false,
+      reason: maxReschedules
+        ? `This booking has already been rescheduled ${used} time${used === 1 ? '' : 's'} (limit ${maxReschedules})`
+        : 'Bookings cannot be rescheduled',
+      remaining
+    };
+  }
+  if (hoursLeft !== null && hoursLeft < minNoticeHours) {
+    return { allowed: false, reason: `Bookings can only be moved up to ${formatNotice(minNoticeHours)} before the exam`, remaining };
+  }
+  return { allowed: true, reason: null, remaining };
+};
+
+// Amount paid and not yet refunded
+export const getBookingPaidAmount = (booking) => {
+  const payment = booking?.payment;
+  if (!payment || !['PAID', 'PARTIALLY_REFUNDED'].includes(payment.status)) return 0;
+  const amount = Number(payment.amount ?? booking.exam?.price) || 0;
+  return Math.max(0, roundMoney(amount - (Number(payment.refundedAmount) || 0)));
+};
+
+// The tier that applies when cancelling hoursBefore the exam. Unscheduled
+// bookings get the most lenient tier; past the last tier nothing is refunded.
+export const getCancellationTier = (hoursBefore, policy) => {
+  const tiers = normalizeBookingPolicy(policy).cancellationTiers;
+  if (hoursBefore === null) return tiers[0] || null;
+  return tiers.find(tier => hoursBefore >= tier.minHoursBefore) || null;
+};
+
+// Preview of cancelling now:
+// { allowed, reason, hoursBefore, paid, feePercent, fee, refund, currency }
+export const getCancellationQuote = (booking, policy, now = new Date()) => {
+  const hoursBefore = getHoursUntilStart(booking, now);
+  const paid = getBookingPaidAmount(booking);
+  const quote = {
+    hoursBefore,
+    paid,
+    feePercent: 0,
+    fee: 0,
+    refund: 0,
+    currency: booking?.payment?.currency || booking?.exam?.currency || 'USD'
+  };
+
+  if (isBookingClosed(booking)) {
+    return { ...quote, allowed: false, reason: `This booking is ${booking.status.toLowerCase()}` };
+  }
+  if (hoursBefore !== null && hoursBefore <= 0) {
+    return { ...quote, allowed: false, reason: 'The exam has already started' };
+  }
+
+  // Leaving a waitlist never held a seat, so it is always free
+  const tier = booking?.status === WAITLIST_STATUS ? { feePercent: 0 } : getCancellationTier(hoursBefore, policy);
+  const feePercent = tier ? tier.feePercent : 100;
+  const fee = roundMoney(paid * feePercent / 100);
+  return { ...quote, allowed: true, reason: null, feePercent, fee, refund: roundMoney(paid - fee) };
+};
+
+// Human-readable tiers, e.g. "72 hours to 7 days before: 25% fee"
+export const describeCancellationTiers = (policy) => {
+  const tiers = normalizeBookingPolicy(policy).cancellationTiers;
+  const outcome = (feePercent) => (feePercent === 0 ? 'full refund' : feePercent === 100 ? 'no refund' : `${feePercent}% fee`);
+  const lines = tiers.map((tier, index) => {
+    const upper = index > 0 ? tiers[index - 1].minHoursBefore : null;
+    const window = upper === null
+      ? `${formatNotice(tier.minHoursBefore)} or more before`
+      : tier.minHoursBefore === 0
+        ? `Less than ${formatNotice(upper)} before`
+        : `${formatNotice(tier.minHoursBefore)} to ${formatNotice(upper)} before`;
+    return `${window}: ${outcome(tier.feePercent)}`;
+  });
+  const last = tiers[tiers.length - 1];
+  if (last && last.minHoursBefore > 0) {
+    lines.push(`Less than ${formatNotice(last.minHoursBefore)} before: ${outcome(100)}`);
+  }
+  return lines;
+};
+
+// Refund recorded against a booking's payment, for showing on its bill
+export const getBookingRefund = (booking) => {
+  const payment = booking?.payment;
+  const refunded = Number(payment?.refundedAmount) || 0;
+  if (!refunded && booking?.status !== 'CANCELLED') return null;
+  const amount = Number(payment?.amount ?? booking?.exam?.price) || 0;
+  const paid = payment && ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'].includes(payment.status) ? amount : 0;
+  return {
+    amount: refunded,
+    fee: Math.max(0, roundMoney(paid - refunded)),
+    refundedAt: payment?.refundedAt || booking?.cancelledAt || null,
+    reason: payment?.refundReason || null
+  };
+};
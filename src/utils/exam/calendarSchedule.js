@@ -0,0 +1,207 @@
+import { getBookingStart } from './bookingPolicy';
+import { getSessionAvailability, isSeatedBooking } from './sessionSeating';
+
+// Date maths and layout for the admin exam calendar: the days each view
+// shows, placing overlapping bookings side by side in the time grid, and
+// checking a drag-and-drop move for conflicts before it is sent.
+
+export const CALENDAR_VIEWS = ['month', 'week', 'day'];
+
+export const DEFAULT_DURATION_MINUTES = 60;
+
+export const STATUS_COLORS = {
+  PENDING: '#f59e0b',
+  CONFIRMED: '#10b981',
+  SCHEDULED: '#10b981',
+  COMPLETED: '#3b82f6',
+  WAITLISTED: '#8b5cf6',
+  CANCELLED: '#ef4444'
+};
+
+const CATEGORY_PALETTE = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16', '#06b6d4'];
+
+const MINUTE_MS = 60 * 1000;
+
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+export const addDays = (date, days) => {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+// Weeks start on Sunday, matching the month grid's header
+export const startOfWeek = (date) => addDays(startOfDay(date), -new Date(date).getDay());
+
+export const isSameDay = (date1, date2) => {
+  if (!date1 || !date2) return false;
+  const d1 = new Date(date1);
+  const d2 = new Date(date2);
+  return d1.getFullYear() === d2.getFullYear() && d1.getMonth() === d2.getMonth() && d1.getDate() === d2.getDate();
+};
+
+export const isSameMonth = (date1, date2) => {
+  if (!date1 || !date2) return false;
+  const d1 = new Date(date1);
+  const d2 = new Date(date2);
+  return d1.getFullYear() === d2.getFullYear() && d1.getMonth() === d2.getMonth();
+};
+
+// Local YYYY-MM-DD, for keys and grouping
+export const getDayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Days a view shows: whole weeks covering the month, seven days, or one day
+export const getViewDays = (view, date) => {
+  if (view === 'day') return [startOfDay(date)];
+  if (view === 'week') return Array.from({ length: 7 }, (_, index) => addDays(startOfWeek(date), index));
+
+  const anchor = new Date(date);
+  const first = startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+  const last = addDays(startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0)), 6);
+  const days = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+// { start, end } of a view with an exclusive end, for fetching
+export const getViewRange = (view, date) => {
+  const days = getViewDays(view, date);
+  return { start: days[0], end: addDays(days[days.length - 1], 1) };
+};
+
+// Moves the anchor date one view length back or forward
+export const shiftViewDate = (view, date, direction) => {
+  const step = direction === 'next' ? 1 : -1;
+  if (view === 'day') return addDays(date, step);
+  if (view === 'week') return addDays(date, 7 * step);
+  return new Date(date.getFullYear(), date.getMonth() + step, 1);
+};
+
+export const getBookingInterval = (booking) => {
+  const start = getBookingStart(booking);
+  if (!start) return null;
+  const startDate = new Date(start);
+  const end = booking.session?.endsAt
+    ? new Date(booking.session.endsAt)
+    : new Date(startDate.getTime() + (Number(booking.exam?.duration) || DEFAULT_DURATION_MINUTES) * MINUTE_MS);
+  return { start: startDate, end };
+};
+
+export const getSessionInterval = (session) => {
+  if (!session?.startsAt) return null;
+  const start = new Date(session.startsAt);
+  const end = session.endsAt
+    ? new Date(session.endsAt)
+    : new Date(start.getTime() + (Number(session.duration || session.exam?.duration) || DEFAULT_DURATION_MINUTES) * MINUTE_MS);
+  return { start, end };
+};
+
+const overlaps = (a, b) => !!a && !!b && a.start < b.end && b.start < a.end;
+
+// Places one day's items in columns so overlapping ones sit side by side.
+// Returns [{ item, start, end, column, columns }] where columns is the width
+// of the overlapping group the item belongs to.
+export const layoutDayEvents = (items, getInterval) => {
+  const events = items
+    .map(item => ({ item, ...getInterval(item) }))
+    .filter(event => event.start)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const placed = [];
+  let group = [];
+  let groupEnd = 0;
+  const closeGroup = () => {
+    const columns = Math.max(...group.map(event => event.column)) + 1;
+    group.forEach(event => placed.push({ ...event, columns }));
+    group = [];
+  };
+
+  events.forEach(event => {
+    if (group.length && event.start >= groupEnd) closeGroup();
+    const taken = new Set(group.filter(other => other.end > event.start).map(other => other.column));
+    let column = 0;
+    while (taken.has(column)) column++;
+    group.push({ ...event, column });
+    groupEnd = group.length === 1 ? event.end : Math.max(groupEnd, event.end);
+  });
+  if (group.length) closeGroup();
+  return placed;
+};
+
+const getUserId = (booking) => booking.user?.id || booking.userId;
+
+// Bookings whose student has another active booking at the same time
+export const findDoubleBookings = (bookings) => {
+  const active = bookings.filter(isSeatedBooking);
+  return new Set(active
+    .filter(booking => active.some(other =>
+      other.id !== booking.id &&
+      getUserId(other) === getUserId(booking) &&
+      overlaps(getBookingInterval(other), getBookingInterval(booking))))
+    .map(booking => booking.id));
+};
+
+// A non-cancelled session of the exam running at the given time, if any
+export const findSessionAt = (sessions, examId, time) => sessions.find(session => {
+  if (session.status === 'CANCELLED' || (session.examId || session.exam?.id) !== examId) return false;
+  const interval = getSessionInterval(session);
+  return !!interval && time >= interval.start && time < interval.end;
+});
+
+// Reasons a booking can't move to start (or into session); empty when the
+// move is fine
+export const getMoveConflicts = (booking, { start, session }, bookings, now = new Date()) => {
+  const conflicts = [];
+  const current = getBookingInterval(booking);
+  const duration = current ? current.end - current.start : DEFAULT_DURATION_MINUTES * MINUTE_MS;
+  const target = session ? getSessionInterval(session) : { start, end: new Date(start.getTime() + duration) };
+
+  if (target.start < now) {
+    conflicts.push('The new time is in the past');
+  }
+  if (session && session.id !== (booking.session?.id || booking.sessionId)) {
+    const availability = getSessionAvailability(session);
+    if (availability.capacity && availability.isFull) {
+      conflicts.push(`${session.room?.name || 'That session'} is full (${availability.booked}/${availability.capacity} seats)`);
+    }
+  }
+
+  const clash = bookings.find(other =>
+    other.id !== booking.id &&
+    isSeatedBooking(other) &&
+    getUserId(other) === getUserId(booking) &&
+    overlaps(target, getBookingInterval(other)));
+  if (clash) {
+    const name = `${booking.user?.firstName || ''} ${booking.user?.lastName || ''}`.trim() || 'The student';
+    const time = new Date(getBookingStart(clash)).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    conflicts.push(`${name} already has ${clash.exam?.title || 'another exam'} at ${time}`);
+  }
+  return conflicts;
+};
+
+// Seats booked and offered across the sessions on a day
+export const getDayCapacity = (sessions, day) => sessions
+  .filter(session => session.status !== 'CANCELLED' && isSameDay(session.startsAt, day))
+  .reduce((totals, session) => {
+    const availability = getSessionAvailability(session);
+    return { booked: totals.booked + availability.booked, capacity: totals.capacity + availability.capacity };
+  }, { booked: 0, capacity: 0 });
+
+export const getCategoryColor = (categoryId) => {
+  if (!categoryId) return '#64748b';
+  const hash = [...String(categoryId)].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return CATEGORY_PALETTE[hash % CATEGORY_PALETTE.length];
+};
+
+export const getBookingColor = (booking, colorBy) => (colorBy === 'category'
+  ? getCategoryColor(booking.exam?.examCategory?.id || booking.exam?.examCategoryId)
+  : STATUS_COLORS[booking.status] || '#64748b');
@@ -0,0 +1,102 @@
+// Certificate templates are designed by admins and assigned to exam
+// categories. When the server issues a certificate it stores a copy of the
+// category's template on it, so later edits never change issued certificates.
+// Positions and sizes are in millimetres on an A4 page; text fields may use
+// the placeholders below.
+
+export const CERTIFICATE_PLACEHOLDERS = [
+  { key: 'studentName', label: 'Student name' },
+  { key: 'examTitle', label: 'Exam title' },
+  { key: 'categoryName', label: 'Exam category' },
+  { key: 'score', label: 'Score (percent)' },
+  { key: 'issueDate', label: 'Issue date' },
+  { key: 'completionDate', label: 'Completion date' },
+  { key: 'serial', label: 'Certificate serial' },
+  { key: 'verifyUrl', label: 'Verification page address' }
+];
+
+export const MAX_TEMPLATE_IMAGE_BYTES = 1024 * 1024;
+
+export const getPageSize = (orientation) => (orientation === 'portrait'
+  ? { width: 210, height: 297 }
+  : { width: 297, height: 210 });
+
+const FIELD_DEFAULTS = { text: '', x: 148.5, y: 100, fontSize: 16, color: '#1E293B', bold: false, align: 'center' };
+const SIGNATURE_DEFAULTS = { image: null, name: '', title: '', x: 60, y: 190 };
+const LOGO_DEFAULTS = { image: null, x: 30, y: 25, width: 30 };
+
+// The layout certificates had before templates existed
+export const DEFAULT_CERTIFICATE_TEMPLATE = {
+  name: 'Classic',
+  orientation: 'landscape',
+  backgroundColor: '#F8FAFC',
+  backgroundImage: null,
+  accentColor: '#4F46E5',
+  decorated: true,
+  logo: null,
+  fields: [
+    { text: 'CERTIFICATE OF ACHIEVEMENT', x: 148.5, y: 45, fontSize: 32, color: '#374151', bold: true, align: 'center' },
+    { text: 'This certificate is proudly presented to', x: 148.5, y: 70, fontSize: 18, color: '#64748B', bold: false, align: 'center' },
+    { text: '{studentName}', x: 148.5, y: 90, fontSize: 36, color: '#1E293B', bold: true, align: 'center' },
+    { text: 'For outstanding performance in completing the', x: 148.5, y: 110, fontSize: 16, color: '#475569', bold: false, align: 'center' },
+    { text: '{examTitle}', x: 148.5, y: 125, fontSize: 20, color: '#4F46E5', bold: true, align: 'center' },
+    { text: 'Achieved score: {score}%', x: 148.5, y: 150, fontSize: 14, color: '#475569', bold: false, align: 'center' },
+    { text: 'Completed on: {completionDate}', x: 148.5, y: 165, fontSize: 14, color: '#475569', bold: false, align: 'center' },
+    { text: 'Serial: {serial}  |  Verify at {verifyUrl}', x: 148.5, y: 190, fontSize: 10, color: '#94A3B8', bold: false, align: 'center' }
+  ],
+  signatures: [
+    { image: null, name: 'Exam Administrator', title: 'ExamCert Pro', x: 59.4, y: 172 },
+    { image: null, name: 'Date of Issue', title: '{issueDate}', x: 178.2, y: 172 }
+  ],
+  qrCode: { x: 235, y: 146, size: 32 },
+  categoryIds: [],
+  isDefault: false
+};
+
+// Fills gaps with defaults. The QR code cannot be removed, only moved, so
+// every certificate stays verifiable.
+export const normalizeCertificateTemplate = (template) => {
+  const base = DEFAULT_CERTIFICATE_TEMPLATE;
+  if (!template) return base;
+  return {
+    ...base,
+    ...template,
+    orientation: template.orientation === 'portrait' ? 'portrait' : 'landscape',
+    fields: (template.fields || base.fields).map(field => ({ ...FIELD_DEFAULTS, ...field })),
+    signatures: (template.signatures || base.signatures).map(signature => ({ ...SIGNATURE_DEFAULTS, ...signature })),
+    logo: template.logo?.image ? { ...LOGO_DEFAULTS, ...template.logo } : null,
+    qrCode: { ...base.qrCode, ...template.qrCode },
+    categoryIds: template.categoryIds || []
+  };
+};
+
+export const createTemplateField = (orientation) => ({
+  ...FIELD_DEFAULTS,
+  x: getPageSize(orientation).width / 2
+});
+
+export const createTemplateSignature = () => ({ ...SIGNATURE_DEFAULTS });
+
+export const createTemplateLogo = (image) => ({ ...LOGO_DEFAULTS, image });
+
+// Reads an uploaded image as a data URL so it can be stored on the template
+export const readTemplateImage = (file) => new Promise((resolve, reject) => {
+  if (!['image/png', 'image/jpeg'].includes(file.type)) {
+    reject(new Error('Images must be PNG or JPEG'));
+    return;
+  }
+  if (file.size > MAX_TEMPLATE_IMAGE_BYTES) {
+    reject(new Error('Images must be 1 MB or smaller'));
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('Could not read the image'));
+  reader.readAsDataURL(file);
+});
+
+// The template assigned to a category, else the one marked default
+export const getTemplateForCategory = (templates, categoryId) =>
+  templates.find(template => template.categoryIds?.includes(categoryId))
+  || templates.find(template => template.isDefault)
+  || null;
@@ -0,0 +1,154 @@
+import jsPDF from 'jspdf';
+import QRCode from 'qrcode';
+import { normalizeCertificateTemplate } from './certificateTemplates';
+
+// Certificates are issued by the server with a unique serial and a signature
+// over it. The PDF only ever shows server data, and its QR code links to the
+// public verification page, which checks the signature and revocation status
+// with the server, so an edited PDF cannot pass as genuine.
+
+export const CERTIFICATE_STATUS_BADGES = {
+  VALID: { label: 'Valid', background: '#DCFCE7', color: '#166534' },
+  REVOKED: { label: 'Revoked', background: '#FEE2E2', color: '#991B1B' }
+};
+
+export const getCertificateStatus = (certificate) => (certificate.revokedAt ? 'REVOKED' : 'VALID');
+
+export const getVerificationUrl = (certificate) => {
+  const url = `${window.location.origin}/verify/${encodeURIComponent(certificate.serial)}`;
+  return certificate.signature ? `${url}?sig=${encodeURIComponent(certificate.signature)}` : url;
+};
+
+const formatLongDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+const hexToRgb = (hex) => {
+  const value = parseInt(String(hex || '#000000').replace('#', ''), 16) || 0;
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Mixes a colour with white; amount 0 keeps the colour, 1 gives white
+const tint = (hex, amount) => hexToRgb(hex).map(channel => Math.round(channel + (255 - channel) * amount));
+
+const getImageFormat = (dataUrl) => (String(dataUrl).startsWith('data:image/png') ? 'PNG' : 'JPEG');
+
+// Image height in mm for a given width, keeping its aspect ratio
+const getImageHeight = (doc, image, width) => {
+  const { width: pixelWidth, height: pixelHeight } = doc.getImageProperties(image);
+  return pixelWidth ? (width * pixelHeight) / pixelWidth : width;
+};
+
+export const getCertificatePlaceholderValues = (certificate) => ({
+  studentName: certificate.holderName,
+  examTitle: certificate.examTitle,
+  categoryName: certificate.categoryName,
+  score: certificate.score,
+  issueDate: formatLongDate(certificate.issuedAt || certificate.earnedDate),
+  completionDate: formatLongDate(certificate.earnedDate),
+  serial: certificate.serial,
+  verifyUrl: `${window.location.origin}/verify`
+});
+
+// Unknown placeholders are left as typed so mistakes show in the preview
+export const fillCertificatePlaceholders = (text, values) =>
+  String(text || '').replace(/\{(\w+)\}/g, (match, key) => (values[key] ?? match));
+
+// The border, header bar, corner marks and background shapes of the classic
+// look, in shades of the accent colour
+const drawDecorations = (doc, template, pageWidth, pageHeight) => {
+  doc.setFillColor(...tint(template.accentColor, 0.7));
+  doc.circle(pageWidth * 0.2, pageHeight * 0.15, 40, 'F');
+  doc.circle(pageWidth * 0.8, pageHeight * 0.7, 60, 'F');
+  doc.setFillColor(...tint(template.accentColor, 0.8));
+  doc.roundedRect(pageWidth * 0.6, pageHeight * 0.1, 80, 40, 10, 10, 'F');
+
+  doc.setDrawColor(...tint(template.accentColor, 0.8));
+  doc.setFillColor(255, 255, 255);
+  doc.roundedRect(20, 20, pageWidth - 40, pageHeight - 40, 5, 5, 'FD');
+
+  doc.setFillColor(...hexToRgb(template.accentColor));
+  doc.rect(0, 0, pageWidth, 15, 'F');
+
+  doc.setDrawColor(...tint(template.accentColor, 0.7));
+  doc.setLineWidth(1);
+  [[25, 25, 1, 1], [pageWidth - 25, 25, -1, 1], [25, pageHeight - 25, 1, -1], [pageWidth - 25, pageHeight - 25, -1, -1]]
+    .forEach(([x, y, dx, dy]) => {
+      doc.line(x, y, x + 10 * dx, y);
+      doc.line(x, y, x, y + 10 * dy);
+    });
+};
+
+// Draws a certificate with its template (the copy stored on the certificate
+// when it was issued, or the classic layout for older certificates)
+export const buildCertificatePdf = async (certificate, template = certificate.template) => {
+  const layout = normalizeCertificateTemplate(template);
+  const doc = new jsPDF({
+    orientation: layout.orientation,
+    unit: 'mm',
+    format: 'a4'
+  });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const values = getCertificatePlaceholderValues(certificate);
+
+  doc.setFillColor(...hexToRgb(layout.backgroundColor));
+  doc.rect(0, 0, pageWidth, pageHeight, 'F');
+  if (layout.backgroundImage) {
+    doc.addImage(layout.backgroundImage, getImageFormat(layout.backgroundImage), 0, 0, pageWidth, pageHeight);
+  }
+  if (layout.decorated) drawDecorations(doc, layout, pageWidth, pageHeight);
+
+  if (layout.logo) {
+    const { image, x, y, width } = layout.logo;
+    doc.addImage(image, getImageFormat(image), x, y, width, getImageHeight(doc, image, width));
+  }
+
+  layout.fields.forEach(field => {
+    doc.setFont('helvetica', field.bold ? 'bold' : 'normal');
+    doc.setFontSize(Number(field.fontSize) || 12);
+    doc.setTextColor(...hexToRgb(field.color));
+    doc.text(fillCertificatePlaceholders(field.text, values), Number(field.x) || 0, Number(field.y) || 0, { align: field.align });
+  });
+
+  // Signature image sits on the line, with the name and title beneath it
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(12);
+  doc.setTextColor(100, 116, 139);
+  layout.signatures.forEach(signature => {
+    const x = Number(signature.x) || 0;
+    const y = Number(signature.y) || 0;
+    if (signature.image) {
+      let width = 40;
+      let height = getImageHeight(doc, signature.image, width);
+      if (height > 20) {
+        width = (width * 20) / height;
+        height = 20;
+      }
+      doc.addImage(signature.image, getImageFormat(signature.image), x, y - height - 1, width, height);
+    }
+    doc.text('________________________', x, y);
+    doc.text(fillCertificatePlaceholders(signature.name, values), x, y + 5);
+    doc.text(fillCertificatePlaceholders(signature.title, values), x, y + 10);
+  });
+
+  const { x: qrX, y: qrY, size: qrSize } = layout.qrCode;
+  const qrImage = await QRCode.toDataURL(getVerificationUrl(certificate), {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 256
+  });
+  doc.addImage(qrImage, 'PNG', qrX, qrY, qrSize, qrSize);
+  doc.setFontSize(8);
+  doc.setTextColor(100, 116, 139);
+  doc.text('Scan to verify', qrX + qrSize / 2, qrY + qrSize + 4, { align: 'center' });
+
+  return doc;
+};
+
+export const exportCertificatePdf = async (certificate) => {
+  const doc = await buildCertificatePdf(certificate);
+  doc.save(`Cert_${certificate.serial}_${certificate.examTitle.replace(/\s+/g, '_')}.pdf`);
+};
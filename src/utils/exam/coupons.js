@@ -0,0 +1,104 @@
+import * as XLSX from 'xlsx';
+import { saveAs } from 'file-saver';
+import { formatCurrency, roundMoney } from './money';
+
+// Coupon codes discount an exam's price on its invoice. The server validates
+// and counts every redemption; these helpers describe coupons for admins and
+// summarise redemptions for reporting.
+
+export const COUPON_TYPES = {
+  PERCENT: 'PERCENT',
+  FIXED: 'FIXED'
+};
+
+export const COUPON_SCOPES = {
+  ALL: 'ALL',
+  EXAM: 'EXAM',
+  CATEGORY: 'CATEGORY'
+};
+
+export const COUPON_STATUS_BADGES = {
+  ACTIVE: 'badge-success',
+  SCHEDULED: 'badge-primary',
+  USED_UP: 'badge-warning',
+  EXPIRED: 'badge-secondary',
+  INACTIVE: 'badge-danger'
+};
+
+// Codes are matched case-insensitively and without spaces
+export const normalizeCouponCode = (code) => String(code || '').toUpperCase().replace(/\s+/g, '');
+
+export const getCouponStatus = (coupon, now = new Date()) => {
+  if (coupon.active === false) return 'INACTIVE';
+  if (coupon.expiresAt && new Date(coupon.expiresAt) < now) return 'EXPIRED';
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) return 'SCHEDULED';
+  if (coupon.maxRedemptions && (coupon.redemptionCount || 0) >= coupon.maxRedemptions) return 'USED_UP';
+  return 'ACTIVE';
+};
+
+export const describeCouponValue = (coupon) => (coupon.type === COUPON_TYPES.FIXED
+  ? `${formatCurrency(Number(coupon.value) || 0, coupon.currency)} off`
+  : `${Number(coupon.value) || 0}% off`);
+
+export const describeCouponScope = (coupon) => {
+  if (coupon.scope === COUPON_SCOPES.EXAM) return `Test: ${coupon.exam?.title || 'Unknown test'}`;
+  if (coupon.scope === COUPON_SCOPES.CATEGORY) return `Category: ${coupon.examCategory?.name || 'Unknown category'}`;
+  return 'All tests';
+};
+
+// Redemption totals per coupon, largest discount first, plus overall totals.
+// Totals assume one currency, as exam prices in an organization share one.
+export const summarizeRedemptions = (redemptions) => {
+  const byCode = new Map();
+  const students = new Set();
+  redemptions.forEach(redemption => {
+    const code = redemption.coupon?.code || redemption.code;
+    const entry = byCode.get(code) || {
+      code,
+      batch: redemption.coupon?.batchName || '',
+      currency: redemption.currency || 'USD',
+      redemptions: 0,
+      discountTotal: 0,
+      netTotal: 0,
+      students: new Set()
+    };
+    entry.redemptions += 1;
+    entry.discountTotal = roundMoney(entry.discountTotal + (Number(redemption.discountAmount) || 0));
+    entry.netTotal = roundMoney(entry.netTotal + (Number(redemption.invoiceTotal) || 0));
+    const userId = redemption.user?.id || redemption.userId;
+    entry.students.add(userId);
+    students.add(userId);
+    byCode.set(code, entry);
+  });
+
+  const coupons = [...byCode.values()]
+    .map(entry => ({ ...entry, students: entry.students.size }))
+    .sort((a, b) => b.discountTotal - a.discountTotal);
+  return {
+    coupons,
+    totals: {
+      redemptions: redemptions.length,
+      discountTotal: roundMoney(coupons.reduce((sum, entry) => sum + entry.discountTotal, 0)),
+      netTotal: roundMoney(coupons.reduce((sum, entry) => sum + entry.netTotal, 0)),
+      students: students.size,
+      currency: redemptions[0]?.currency || 'USD'
+    }
+  };
+};
+
+// A CSV of generated codes to hand to a partner institution
+export const downloadCouponCodes = (coupons, fileName) => {
+  const rows = [
+    ['Code', 'Discount', 'Applies To', 'Valid From', 'Expires', 'Uses per Code'],
+    ...coupons.map(coupon => [
+      coupon.code,
+      describeCouponValue(coupon),
+      describeCouponScope(coupon),
+      coupon.startsAt ? new Date(coupon.startsAt).toLocaleDateString() : '',
+      coupon.expiresAt ? new Date(coupon.expiresAt).toLocaleDateString() : '',
+      coupon.maxRedemptions || 'Unlimited'
+    ])
+  ];
+  const csv = XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(rows));
+  saveAs(new Blob([`\uFEFF${csv}`], { type: 'text/csv;charset=utf-8' }), fileName);
+};
@@ -0,0 +1,117 @@
+// Helpers for converting between the exam runner's local answer state and the
+// response payload accepted by the attempt endpoints.
+
+const FREE_TEXT_TYPES = ['ESSAY', 'SHORT_ANSWER'];
+
+export const isFreeTextQuestion = (question) => FREE_TEXT_TYPES.includes(question?.type);
+
+// True when the answer holds something worth counting as "answered"
+export const hasAnswer = (answer) => {
+  if (answer === undefined || answer === null) return false;
+  if (typeof answer === 'string') return answer.trim().length > 0;
+  if (Array.isArray(answer)) return answer.some(value => hasAnswer(value));
+  if (typeof answer === 'object') return Object.values(answer).some(value => hasAnswer(value));
+  return true;
+};
+
+// Build the payload sent to submitAnswer / submitAttempt for a single question.
+// MATCHING answers are { [promptOptionId]: matchedOptionId } and are sent as
+// matchingAnswer pairs; ORDERING answers are option ids in the chosen order.
+// The question version is sent along so the attempt stays pinned to the
+// wording and key the student actually saw.
+export const buildResponsePayload = (question, answer, timeSpent = 0) => {
+  const base = {
+    questionId: question.id,
+    ...(question.versionId ? { questionVersionId: question.versionId } : {})
+  };
+
+  if (isFreeTextQuestion(question)) {
+    return {
+      ...base,
+      selectedOptions: [],
+      essayAnswer: answer || '',
+      timeSpent
+    };
+  }
+
+  if (question.type === 'MATCHING') {
+    const pairs = Object.entries(answer || {})
+      .filter(([, matchOptionId]) => hasAnswer(matchOptionId))
+      .map(([optionId, matchOptionId]) => ({ optionId, matchOptionId }));
+    return {
+      ...base,
+      selectedOptions: pairs.map(pair => pair.optionId),
+      matchingAnswer: pairs,
+      timeSpent
+    };
+  }
+
+  if (question.type === 'ORDERING') {
+    const order = Array.isArray(answer) ? answer : [];
+    return {
+      ...base,
+      selectedOptions: order,
+      orderingAnswer: order,
+      timeSpent
+    };
+  }
+
+  return {
+    ...base,
+    selectedOptions: hasAnswer(answer) ? (Array.isArray(answer) ? answer : [answer]) : [],
+    timeSpent
+  };
+};
+
+// The question as it was when the response was given: the pinned version
+// snapshot if the server sent one, otherwise the current question
+export const getResponseQuestion = (response, questions) =>
+  response.questionVersion || response.question || (questions || []).find(q => q.id === response.questionId);
+
+// Turn a stored response back into the local answer shape used by ExamInterface
+export const responseToAnswer = (question, response) => {
+  if (!question || !response) return undefined;
+
+  if (isFreeTextQuestion(question)) {
+    return response.essayAnswer ?? response.textAnswer ?? undefined;
+  }
+
+  if (question.type === 'MATCHING') {
+    const pairs = response.matchingAnswer || [];
+    if (!pairs.length) return undefined;
+    return pairs.reduce((acc, pair) => ({ ...acc, [pair.optionId]: pair.matchOptionId }), {});
+  }
+
+  const selected = response.selectedOptions || [];
+
+  if (question.type === 'ORDERING') {
+    const order = response.orderingAnswer || selected;
+    return order.length ? order.map(String) : undefined;
+  }
+
+  if (!selected.length) return undefined;
+
+  if (question.type === 'FILL_IN_THE_BLANK') {
+    return [...selected];
+  }
+
+  // Choice questions are answered by option index; older responses may carry option ids
+  const [first] = selected;
+  const index = Number(first);
+  if (Number.isInteger(index)) return index;
+
+  const optionIndex = (question.options || []).findIndex(option => option.id === first);
+  return optionIndex >= 0 ? optionIndex : undefined;
+};
+
+// Rebuild the answers map from the responses returned by getAttemptResponses
+export const responsesToAnswers = (questions, responses) => {
+  return (responses || []).reduce((acc, response) => {
+    const question = questions.find(q => q.id === response.questionId);
+    const answer = responseToAnswer(question, response);
+    if (answer !== undefined) {
+      acc[response.questionId] = answer;
+    }
+    return acc;
+  }, {});
+};
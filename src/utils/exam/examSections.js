@@ -0,0 +1,56 @@
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+
+const SECTIONS = EXAM_CONSTANTS.QUESTION_TYPE_SECTIONS;
+const OTHER_SECTION = { key: 'OTHER', label: 'Other', types: [] };
+
+const getSectionDefinition = (question) =>
+  SECTIONS.find(section => section.types.includes(question?.type)) || OTHER_SECTION;
+
+const getSectionRank = (question) => {
+  const rank = SECTIONS.findIndex(section => section.types.includes(question?.type));
+  return rank === -1 ? SECTIONS.length : rank;
+};
+
+// With sections enabled the exam is sat section by section, so questions are
+// ordered by section (keeping the server's order within each section).
+export const orderQuestionsBySection = (exam, questions) => {
+  if (!exam?.enableSections) return questions;
+  return questions
+    .map((question, index) => ({ question, index }))
+    .sort((a, b) => getSectionRank(a.question) - getSectionRank(b.question) || a.index - b.index)
+    .map(({ question }) => question);
+};
+
+// Split already-ordered questions into sections. Returns null when the exam is
+// not sectioned. Time limits are configured per section key, in minutes.
+export const buildExamSections = (exam, questions) => {
+  if (!exam?.enableSections || !questions.length) return null;
+
+  const timeLimits = exam.sectionTimeLimits || {};
+  return questions.reduce((sections, question, index) => {
+    const definition = getSectionDefinition(question);
+    const last = sections[sections.length - 1];
+    if (last && last.key === definition.key) {
+      last.questionIndexes.push(index);
+    } else {
+      sections.push({
+        key: definition.key,
+        label: definition.label,
+        questionIndexes: [index],
+        timeLimitSeconds: (Number(timeLimits[definition.key]) || 0) * 60
+      });
+    }
+    return sections;
+  }, []);
+};
+
+export const getSectionForQuestion = (sections, questionIndex) =>
+  sections?.find(section => section.questionIndexes.includes(questionIndex)) || null;
+
+export const getSectionTimeLeft = (section, sectionUsage = {}) => {
+  if (!section?.timeLimitSeconds) return null;
+  return Math.max(0, Math.ceil(section.timeLimitSeconds - (sectionUsage[section.key] || 0)));
+};
+
+export const isSectionLocked = (section, sectionUsage = {}) =>
+  getSectionTimeLeft(section, sectionUsage) === 0;
@@ -0,0 +1,41 @@
+// Pointer to the attempt a student is currently sitting for an exam, kept in
+// localStorage so a reload resumes that attempt instead of starting a new one.
+
+const sessionKey = (examId) => `exam_session_${examId}`;
+
+export const readExamSession = (examId) => {
+  try {
+    const stored = localStorage.getItem(sessionKey(examId));
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error reading exam session:', error);
+    return null;
+  }
+};
+
+export const saveExamSession = (examId, session) => {
+  try {
+    const current = readExamSession(examId) || {};
+    localStorage.setItem(sessionKey(examId), JSON.stringify({
+      ...current,
+      ...session,
+      updatedAt: Date.now()
+    }));
+  } catch (error) {
+    console.error('Error saving exam session:', error);
+  }
+};
+
+export const clearExamSession = (examId) => {
+  try {
+    localStorage.removeItem(sessionKey(examId));
+  } catch (error) {
+    console.error('Error clearing exam session:', error);
+  }
+};
+
+// An attempt can be resumed while the server still considers it open
+export const isAttemptResumable = (attempt) => {
+  if (!attempt || attempt.completedAt) return false;
+  return !attempt.status || attempt.status === 'IN_PROGRESS';
+};
@@ -0,0 +1,44 @@
+// Pure helpers behind the exam countdown. All deadlines are expressed on the
+// server's clock; the client only contributes its measured offset from it.
+
+const toTimestamp = (value) => {
+  if (!value) return null;
+  const timestamp = new Date(value).getTime();
+  return Number.isNaN(timestamp) ? null : timestamp;
+};
+
+// Minutes of extra time granted to this student (e.g. accessibility accommodations)
+export const getExtraTimeMinutes = (attempt) => {
+  const extra = attempt?.extraTimeMinutes ?? attempt?.extraTime ?? attempt?.booking?.extraTimeMinutes ?? 0;
+  return Number(extra) || 0;
+};
+
+// When the attempt must be handed in, in server time (ms). Falls back to
+// `fallbackStart` when the server did not report a start timestamp.
+export const getAttemptDeadline = (attempt, examDuration, fallbackStart = null) => {
+  if (!attempt) return null;
+
+  const expiresAt = toTimestamp(attempt.expiresAt || attempt.endsAt);
+  if (expiresAt) return expiresAt;
+
+  const startedAt = toTimestamp(attempt.startedAt) ?? fallbackStart;
+  if (!startedAt) return null;
+
+  const durationMinutes = Number(attempt.duration || attempt.exam?.duration || examDuration) || 60;
+  return startedAt + (durationMinutes + getExtraTimeMinutes(attempt)) * 60 * 1000;
+};
+
+// Difference between server and client clocks (ms), measured at the midpoint
+// of the request round trip. Returns null when the response carries no time.
+export const getClockOffset = (response, requestedAt, receivedAt) => {
+  const serverTime = toTimestamp(
+    response?.data?.data?.serverTime || response?.data?.serverTime || response?.headers?.date
+  );
+  if (!serverTime) return null;
+  return serverTime - (requestedAt + receivedAt) / 2;
+};
+
+export const getRemainingSeconds = (deadline, clockOffset = 0) => {
+  if (!deadline) return null;
+  return Math.max(0, Math.ceil((deadline - (Date.now() + clockOffset)) / 1000));
+};
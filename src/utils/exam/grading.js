@@ -0,0 +1,103 @@
+// Manual grading of essay and short-answer responses.
+//
+// A rubric is { criteria: [{ id, name, description, levels: [{ id, label,
+// description, points }] }] }. The grader picks one level per criterion and
+// the points are scaled to the question's marks. With double marking two
+// graders mark independently; if their marks differ by more than the exam's
+// tolerance a third grader resolves it, otherwise the average stands.
+
+export const GRADING_STATUS = {
+  UNGRADED: { label: 'Ungraded', badge: 'badge-warning' },
+  SECOND_MARK: { label: 'Needs second mark', badge: 'badge-primary' },
+  DISAGREEMENT: { label: 'Markers disagree', badge: 'badge-danger' },
+  GRADED: { label: 'Graded', badge: 'badge-success' }
+};
+
+export const DEFAULT_MARKING_TOLERANCE = 1;
+
+export const roundMarks = (value) => Math.round(value * 100) / 100;
+
+export const getMarkingTolerance = (exam) => {
+  const tolerance = Number(exam?.markingTolerance);
+  return Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : DEFAULT_MARKING_TOLERANCE;
+};
+
+const getMarkerGrades = (grades) => (grades || []).filter(grade => !grade.isResolution);
+
+// Status of a queue item. The server's status wins because a second marker is
+// not sent the first grade and so cannot work it out from the grades alone.
+export const getGradingStatus = (item) => {
+  if (GRADING_STATUS[item.status]) return item.status;
+  const grades = item.grades || [];
+  if (grades.some(grade => grade.isResolution)) return 'GRADED';
+  const markerGrades = getMarkerGrades(grades);
+  if (!markerGrades.length) return 'UNGRADED';
+  if (!item.exam?.doubleMarking) return 'GRADED';
+  if (markerGrades.length < 2) return 'SECOND_MARK';
+  const [first, second] = markerGrades;
+  return Math.abs(first.marks - second.marks) > getMarkingTolerance(item.exam) ? 'DISAGREEMENT' : 'GRADED';
+};
+
+// The marks that count: a resolution if there is one, else the average of
+// the markers' grades
+export const getFinalMarks = (grades) => {
+  const resolution = (grades || []).find(grade => grade.isResolution);
+  if (resolution) return resolution.marks;
+  const markerGrades = getMarkerGrades(grades);
+  if (!markerGrades.length) return null;
+  return roundMarks(markerGrades.reduce((sum, grade) => sum + Number(grade.marks), 0) / markerGrades.length);
+};
+
+export const hasGradedBy = (item, userId) =>
+  !!userId && (item.grades || []).some(grade => grade.graderId === userId);
+
+// What the signed-in user may do with an item: 'GRADE', 'RESOLVE' or null.
+// Markers do not resolve their own disagreement unless they are admins.
+export const getGradingAction = (item, user) => {
+  const status = getGradingStatus(item);
+  if (status === 'UNGRADED') return 'GRADE';
+  if (status === 'SECOND_MARK') return item.gradedByMe || hasGradedBy(item, user?.id) ? null : 'GRADE';
+  if (status === 'DISAGREEMENT') {
+    const isMarker = item.gradedByMe || hasGradedBy(item, user?.id);
+    return !isMarker || ['SUPER_ADMIN', 'ADMIN'].includes(user?.role) ? 'RESOLVE' : null;
+  }
+  return null;
+};
+
+// Student name, or an anonymous candidate code when grading is blind
+export const getCandidateLabel = (item) => {
+  const student = item.student || item.user;
+  if (student) return `${student.firstName || ''} ${student.lastName || ''}`.trim() || student.email;
+  const code = item.candidateCode || String(item.attemptId || item.id || '').slice(-6).toUpperCase();
+  return `Candidate ${code}`;
+};
+
+export const hasRubric = (rubric) => !!rubric?.criteria?.length;
+
+export const getRubricMaxPoints = (rubric) =>
+  (rubric?.criteria || []).reduce(
+    (sum, criterion) => sum + Math.max(0, ...(criterion.levels || []).map(level => Number(level.points) || 0)),
+    0
+  );
+
+export const isRubricComplete = (rubric, selections) =>
+  (rubric?.criteria || []).every(criterion => selections[criterion.id] !== undefined);
+
+// Rubric selections ({ [criterionId]: levelId }) as the scores sent with a
+// grade, and the marks they are worth out of maxMarks
+export const scoreRubric = (rubric, selections, maxMarks) => {
+  const scores = (rubric?.criteria || [])
+    .map(criterion => {
+      const level = (criterion.levels || []).find(item => item.id === selections[criterion.id]);
+      return level ? { criterionId: criterion.id, levelId: level.id, points: Number(level.points) || 0 } : null;
+    })
+    .filter(Boolean);
+  const maxPoints = getRubricMaxPoints(rubric);
+  const points = scores.reduce((sum, score) => sum + score.points, 0);
+  return {
+    scores,
+    points,
+    maxPoints,
+    marks: maxPoints ? roundMarks((points / maxPoints) * maxMarks) : 0
+  };
+};
@@ -0,0 +1,93 @@
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+import { roundMoney } from './money';
+
+// Invoices are issued and numbered by the server, which also renders the
+// PDF. These helpers give every bill the same shape for display and preview
+// how the configured tax rates apply to a price.
+
+// Fills gaps with the defaults and drops tax rates without a name
+export const normalizeInvoiceSettings = (settings) => {
+  const defaults = EXAM_CONSTANTS.INVOICING;
+  return {
+    numberPrefix: settings?.numberPrefix ?? defaults.NUMBER_PREFIX,
+    creditNotePrefix: settings?.creditNotePrefix ?? defaults.CREDIT_NOTE_PREFIX,
+    nextNumber: settings?.nextNumber ?? null,
+    paymentTermsDays: Math.max(0, parseInt(settings?.paymentTermsDays ?? defaults.PAYMENT_TERMS_DAYS, 10) || 0),
+    pricesIncludeTax: !!(settings?.pricesIncludeTax ?? defaults.PRICES_INCLUDE_TAX),
+    taxRates: (settings?.taxRates || defaults.TAX_RATES)
+      .filter(rate => String(rate.name || '').trim())
+      .map(rate => ({
+        ...(rate.id && { id: rate.id }),
+        name: String(rate.name).trim(),
+        ratePercent: Math.min(100, Math.max(0, Number(rate.ratePercent) || 0))
+      }))
+  };
+};
+
+export const describeTaxRate = (taxLine, pricesIncludeTax = false) => {
+  if (taxLine.ratePercent === undefined || taxLine.ratePercent === null) return taxLine.name || 'Tax';
+  return `${taxLine.name || 'Tax'} (${taxLine.ratePercent}%${pricesIncludeTax ? ', included' : ''})`;
+};
+
+// Totals for a price after a discount, with one tax line per rate. Rates
+// are not compounded. When prices include tax the total stays at the
+// discounted price and the tax is carved out of it.
+export const calculateInvoiceTotals = (price, { discount = 0, taxRates = [], pricesIncludeTax = false } = {}) => {
+  const subtotal = roundMoney(Math.max(0, Number(price) || 0));
+  const discountTotal = roundMoney(Math.min(subtotal, Math.max(0, Number(discount) || 0)));
+  const net = roundMoney(subtotal - discountTotal);
+  const combinedRate = taxRates.reduce((sum, rate) => sum + rate.ratePercent, 0);
+  const taxableAmount = pricesIncludeTax && combinedRate > 0 ? net / (1 + combinedRate / 100) : net;
+
+  const taxLines = taxRates.map(rate => ({
+    name: rate.name,
+    ratePercent: rate.ratePercent,
+    taxableAmount: roundMoney(taxableAmount),
+    amount: roundMoney(taxableAmount * rate.ratePercent / 100)
+  }));
+  const taxTotal = roundMoney(taxLines.reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    subtotal,
+    discountTotal,
+    taxLines,
+    taxTotal,
+    total: pricesIncludeTax ? net : roundMoney(net + taxTotal)
+  };
+};
+
+// The bill as the modal shows it. Older bills only carry an amount block
+// ({ subtotal, tax, total, currency }); those become a single fee line.
+export const normalizeInvoice = (bill) => {
+  const amount = bill.amount || {};
+  const subtotal = Number(bill.subtotal ?? amount.subtotal) || 0;
+  const discounts = (bill.discounts || []).map(discount => ({ ...discount, amount: Number(discount.amount) || 0 }));
+  const taxLines = bill.taxLines
+    ? bill.taxLines.map(line => ({ ...line, amount: Number(line.amount) || 0 }))
+    : Number(amount.tax) > 0 ? [{ name: 'Tax', amount: Number(amount.tax) }] : [];
+  const creditNotes = (bill.creditNotes || []).map(note => ({ ...note, amount: Number(note.amount) || 0 }));
+  const total = Number(bill.total ?? amount.total) || 0;
+  const creditedTotal = roundMoney(creditNotes.reduce((sum, note) => sum + note.amount, 0));
+
+  return {
+    ...bill,
+    invoiceNumber: bill.invoiceNumber || bill.billNumber,
+    issuedAt: bill.issuedAt || bill.billDate,
+    dueAt: bill.dueAt || bill.dueDate,
+    currency: bill.currency || amount.currency || 'USD',
+    lines: bill.lines?.length
+      ? bill.lines
+      : [{ description: `${bill.exam?.title || 'Exam'} - Exam Fee`, quantity: 1, unitPrice: subtotal, amount: subtotal }],
+    discounts,
+    discountTotal: roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0)),
+    taxLines,
+    taxTotal: roundMoney(taxLines.reduce((sum, line) => sum + line.amount, 0)),
+    pricesIncludeTax: !!bill.pricesIncludeTax,
+    subtotal,
+    total,
+    creditNotes,
+    creditedTotal,
+    balance: roundMoney(total - creditedTotal),
+    status: bill.status || 'PENDING'
+  };
+};
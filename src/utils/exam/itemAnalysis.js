@@ -0,0 +1,218 @@
+import * as XLSX from 'xlsx';
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+import { getResponseQuestion } from './examResponseUtils';
+import { stripRichText } from './richText';
+
+// Classical test theory statistics per question, computed from completed
+// attempts shaped as { id, percentage, responses: [...] } where each response
+// carries questionId, selectedOptions, isCorrect, marksObtained and timeSpent.
+
+const { ITEM_ANALYSIS } = EXAM_CONSTANTS;
+
+const CHOICE_TYPES = ['MULTIPLE_CHOICE', 'SINGLE_CHOICE', 'TRUE_FALSE'];
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const round = (value, places = 2) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+// Pearson correlation; with a 0/1 item score this is the point-biserial
+export const correlation = (xs, ys) => {
+  if (xs.length < 2) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, index) => {
+    covariance += (x - meanX) * (ys[index] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[index] - meanY) ** 2;
+  });
+  if (!varianceX || !varianceY) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+const getMaxMarks = (question, response) => Number(question?.marks ?? response.maxMarks) || 0;
+
+// Marks earned and available for one response, or null while it is ungraded
+const scoreResponse = (question, response) => {
+  const maxMarks = getMaxMarks(question, response);
+  const obtained = response.marksObtained ?? response.obtainedMarks ?? response.score;
+  if (obtained !== undefined && obtained !== null && maxMarks > 0) {
+    return { obtained: Math.min(Math.max(Number(obtained) || 0, 0), maxMarks), maxMarks };
+  }
+  if (typeof response.isCorrect === 'boolean') {
+    const marks = maxMarks || 1;
+    return { obtained: response.isCorrect ? marks : 0, maxMarks: marks };
+  }
+  return null;
+};
+
+// Options picked in a choice response; older responses carry option ids
+// instead of indexes
+const getSelectedOptions = (question, response) => (response.selectedOptions || [])
+  .map(selected => {
+    const index = Number(selected);
+    if (Number.isInteger(index) && question.options?.[index]) return question.options[index];
+    return (question.options || []).find(option => option.id === selected);
+  })
+  .filter(Boolean);
+
+// Options are keyed by text so versions of the same question line up
+const getOptionKey = (option) => stripRichText(option.text).trim().toLowerCase();
+
+const getAttemptScore = (attempt, scored) => {
+  const percentage = Number(attempt.percentage);
+  if (Number.isFinite(percentage)) return percentage / 100;
+  const maxMarks = scored.reduce((sum, entry) => sum + entry.score.maxMarks, 0);
+  return maxMarks ? scored.reduce((sum, entry) => sum + entry.score.obtained, 0) / maxMarks : 0;
+};
+
+const getFlags = (item) => {
+  if (item.responses < ITEM_ANALYSIS.MIN_RESPONSES) return ['LOW_SAMPLE'];
+
+  const flags = [];
+  if (item.pValue !== null && item.pValue >= ITEM_ANALYSIS.EASY_P_VALUE) flags.push('TOO_EASY');
+  if (item.pValue !== null && item.pValue <= ITEM_ANALYSIS.HARD_P_VALUE) flags.push('TOO_HARD');
+  if (item.discrimination !== null && item.discrimination < 0) {
+    flags.push('NEGATIVE_DISCRIMINATION');
+  } else if (item.discrimination !== null && item.discrimination < ITEM_ANALYSIS.LOW_DISCRIMINATION) {
+    flags.push('LOW_DISCRIMINATION');
+  }
+
+  const distractors = item.distractors.filter(distractor => !distractor.isCorrect);
+  const bestKeyUpperRate = Math.max(0, ...item.distractors.filter(option => option.isCorrect).map(option => option.upperRate));
+  if (distractors.some(distractor => distractor.upperRate > distractor.lowerRate || distractor.upperRate > bestKeyUpperRate)) {
+    flags.push('MISLEADING_DISTRACTOR');
+  }
+  if (distractors.some(distractor => distractor.rate < ITEM_ANALYSIS.WEAK_DISTRACTOR_RATE)) {
+    flags.push('WEAK_DISTRACTOR');
+  }
+  return flags;
+};
+
+// One row per question that appears in the attempts:
+// { questionId, question, text, type, responses, omitted, pValue,
+//   discrimination, discriminationIndex, averageTime, distractors, flags }
+export const computeItemAnalysis = (attempts, questions = []) => {
+  const byQuestion = new Map();
+
+  (attempts || []).forEach(attempt => {
+    const scored = (attempt.responses || [])
+      .map(response => {
+        const question = getResponseQuestion(response, questions);
+        return { response, question, score: scoreResponse(question, response) };
+      })
+      .filter(entry => entry.response.questionId);
+    const graded = scored.filter(entry => entry.score);
+    const attemptScore = getAttemptScore(attempt, graded);
+    const totalObtained = graded.reduce((sum, entry) => sum + entry.score.obtained, 0);
+    const totalMax = graded.reduce((sum, entry) => sum + entry.score.maxMarks, 0);
+
+    scored.forEach(entry => {
+      const list = byQuestion.get(entry.response.questionId) || [];
+      const restMax = entry.score ? totalMax - entry.score.maxMarks : 0;
+      list.push({
+        ...entry,
+        attemptScore,
+        // Rest-of-exam score, so the item is not correlated with itself
+        restScore: entry.score && restMax > 0 ? (totalObtained - entry.score.obtained) / restMax : null
+      });
+      byQuestion.set(entry.response.questionId, list);
+    });
+  });
+
+  return [...byQuestion.entries()].map(([questionId, entries]) => {
+    const question = questions.find(q => q.id === questionId) || entries[0].question || { id: questionId };
+    const graded = entries.filter(entry => entry.score);
+    const itemScores = graded.map(entry => entry.score.obtained / entry.score.maxMarks);
+    const correlated = graded.filter(entry => entry.restScore !== null);
+
+    // Upper and lower groups by overall exam score
+    const ranked = [...graded].sort((a, b) => b.attemptScore - a.attemptScore);
+    const groupSize = Math.max(1, Math.round(ranked.length * ITEM_ANALYSIS.GROUP_FRACTION));
+    const upper = ranked.slice(0, groupSize);
+    const lower = ranked.length > 1 ? ranked.slice(-groupSize) : [];
+    const groupMean = (group) => mean(group.map(entry => entry.score.obtained / entry.score.maxMarks));
+
+    const times = entries.map(entry => Number(entry.response.timeSpent) || 0).filter(time => time > 0);
+    const omitted = entries.filter(entry => !(entry.response.selectedOptions || []).length
+      && !entry.response.essayAnswer && !entry.response.textAnswer).length;
+
+    const distractors = [];
+    if (CHOICE_TYPES.includes(question.type)) {
+      const options = new Map();
+      // Every option of every version seen, so unpicked distractors show too
+      entries.forEach(entry => (entry.question?.options || []).forEach(option => {
+        const key = getOptionKey(option);
+        if (!options.has(key)) {
+          options.set(key, { key, text: option.text, isCorrect: !!option.isCorrect, pickedBy: new Set() });
+        }
+      }));
+      entries.forEach(entry => {
+        if (!entry.question) return;
+        getSelectedOptions(entry.question, entry.response).forEach(option => {
+          options.get(getOptionKey(option))?.pickedBy.add(entry);
+        });
+      });
+      const rateIn = (group, option) => (group.length
+        ? group.filter(entry => option.pickedBy.has(entry)).length / group.length
+        : 0);
+      options.forEach(option => {
+        distractors.push({
+          key: option.key,
+          text: option.text,
+          isCorrect: option.isCorrect,
+          count: option.pickedBy.size,
+          rate: option.pickedBy.size / entries.length,
+          upperRate: rateIn(upper, option),
+          lowerRate: rateIn(lower, option)
+        });
+      });
+    }
+
+    const item = {
+      questionId,
+      question,
+      text: question.text || '',
+      type: question.type,
+      responses: graded.length,
+      omitted,
+      pValue: mean(itemScores),
+      discrimination: correlation(correlated.map(entry => entry.score.obtained / entry.score.maxMarks), correlated.map(entry => entry.restScore)),
+      discriminationIndex: lower.length ? groupMean(upper) - groupMean(lower) : null,
+      averageTime: mean(times),
+      distractors
+    };
+    return { ...item, flags: getFlags(item) };
+  });
+};
+
+// Workbook with an item sheet and a distractor sheet, for download
+export const buildItemAnalysisWorkbook = (items) => {
+  const itemRows = items.map(item => ({
+    Question: stripRichText(item.text),
+    Type: item.type || '',
+    Responses: item.responses,
+    Omitted: item.omitted,
+    'p-value': round(item.pValue),
+    'Point-biserial': round(item.discrimination),
+    'Discrimination index': round(item.discriminationIndex),
+    'Average time (s)': round(item.averageTime, 0),
+    Flags: item.flags.map(flag => ITEM_ANALYSIS.FLAGS[flag].label).join('; ')
+  }));
+  const distractorRows = items.flatMap(item => item.distractors.map(option => ({
+    Question: stripRichText(item.text),
+    Option: stripRichText(option.text),
+    Key: option.isCorrect ? 'Yes' : 'No',
+    Chosen: option.count,
+    'Chosen %': round(option.rate * 100, 1),
+    'Upper group %': round(option.upperRate * 100, 1),
+    'Lower group %': round(option.lowerRate * 100, 1)
+  })));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(itemRows), 'Items');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(distractorRows), 'Distractors');
+  return workbook;
+};
@@ -0,0 +1,91 @@
+import { createSeededRandom } from './random';
+
+// Helpers for MATCHING and ORDERING questions.
+//
+// Matching questions are authored as options of the form { text, matchText }:
+// each option's text is a prompt and matchText is the answer it pairs with.
+// Ordering questions are authored as options of the form { text, correctOrder }.
+// Options are identified by their id, falling back to their position.
+
+export const getOptionKey = (option, index) => String(option?.id ?? index);
+
+const seededShuffle = (items, seed) => {
+  const random = createSeededRandom(seed);
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  // Never present the items already in their authored order
+  if (shuffled.length > 1 && shuffled.every((item, index) => item === items[index])) {
+    shuffled.push(shuffled.shift());
+  }
+  return shuffled;
+};
+
+// Prompts (left column) of a matching question, in authored order
+export const getMatchingPrompts = (question) =>
+  (question?.options || []).map((option, index) => ({
+    key: getOptionKey(option, index),
+    text: option.text
+  }));
+
+// Answers (right column) of a matching question, shuffled per attempt. Each
+// choice is keyed by the option it belongs to.
+export const getMatchingChoices = (question, seed = '') =>
+  seededShuffle(
+    (question?.options || [])
+      .map((option, index) => ({ key: getOptionKey(option, index), text: option.matchText }))
+      .filter(choice => choice.text),
+    `${seed}:${question?.id}:matching`
+  );
+
+// Keys of an ordering question's items in the order they are first presented
+export const getInitialOrder = (question, seed = '') =>
+  seededShuffle(
+    (question?.options || []).map((option, index) => getOptionKey(option, index)),
+    `${seed}:${question?.id}:ordering`
+  );
+
+// Keys of an ordering question's items in their correct order
+export const getCorrectOrder = (question) =>
+  (question?.options || [])
+    .map((option, index) => ({ key: getOptionKey(option, index), order: option.correctOrder ?? index }))
+    .sort((a, b) => a.order - b.order)
+    .map(item => item.key);
+
+export const moveItem = (items, fromIndex, toIndex) => {
+  if (toIndex < 0 || toIndex >= items.length || fromIndex === toIndex) return items;
+  const next = [...items];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+};
+
+// Number of correctly placed pairs / items, for partial-credit display.
+// Returns null when the question does not carry its answer key.
+export const getPartialCredit = (question, answer) => {
+  const options = question?.options || [];
+  if (!options.length) return null;
+
+  if (question.type === 'MATCHING') {
+    if (!options.some(option => option.matchText)) return null;
+    const matches = answer || {};
+    const correct = options.filter((option, index) => {
+      const key = getOptionKey(option, index);
+      const chosen = options.find((other, otherIndex) => getOptionKey(other, otherIndex) === matches[key]);
+      return chosen && chosen.matchText === option.matchText;
+    }).length;
+    return { correct, total: options.length };
+  }
+
+  if (question.type === 'ORDERING') {
+    if (!options.some(option => option.correctOrder !== undefined)) return null;
+    const correctOrder = getCorrectOrder(question);
+    const order = Array.isArray(answer) ? answer : [];
+    const correct = correctOrder.filter((key, index) => order[index] === key).length;
+    return { correct, total: correctOrder.length };
+  }
+
+  return null;
+};
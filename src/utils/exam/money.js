@@ -0,0 +1,8 @@
+// Money helpers for prices, refunds and payments. Amounts are plain numbers
+// in the currency's major unit.
+
+// Rounds to cents so sums of amounts compare and display cleanly
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+export const formatCurrency = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount);
@@ -0,0 +1,110 @@
+// Diffs between two versions of a question, for the version history in the
+// question bank.
+
+// Longer inputs are shown as a whole replacement instead of a token diff
+const MAX_DIFF_CELLS = 250000;
+
+// Longest-common-subsequence diff of two token lists. Consecutive tokens of
+// the same kind are merged into one part.
+const diffSequences = (before, after) => {
+  if (before.length * after.length > MAX_DIFF_CELLS) {
+    return [
+      ...(before.length ? [{ type: 'removed', tokens: before }] : []),
+      ...(after.length ? [{ type: 'added', tokens: after }] : [])
+    ];
+  }
+
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i -= 1) {
+    for (let j = after.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, token) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+      last.tokens.push(token);
+    } else {
+      parts.push({ type, tokens: [token] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      push('same', before[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', before[i]);
+      i += 1;
+    } else {
+      push('added', after[j]);
+      j += 1;
+    }
+  }
+  while (i < before.length) push('removed', before[i++]);
+  while (j < after.length) push('added', after[j++]);
+
+  return parts;
+};
+
+// Word-level diff that keeps whitespace, as [{ type, text }]
+export const diffWords = (before, after) =>
+  diffSequences(String(before ?? '').split(/(\s+)/).filter(Boolean), String(after ?? '').split(/(\s+)/).filter(Boolean))
+    .map(part => ({ type: part.type, text: part.tokens.join('') }));
+
+// Line-level diff, as [{ type, text }] with one entry per line
+export const diffLines = (before, after) =>
+  diffSequences(before, after).flatMap(part => part.tokens.map(text => ({ type: part.type, text })));
+
+// Options as comparable lines, including what makes each one correct
+export const describeOptions = (question) => {
+  const options = question?.options || [];
+  if (question?.type === 'MATCHING') {
+    return options.map(option => `${option.text} → ${option.matchText ?? ''}`);
+  }
+  if (question?.type === 'ORDERING') {
+    return [...options]
+      .sort((a, b) => (a.correctOrder ?? 0) - (b.correctOrder ?? 0))
+      .map((option, index) => `${index + 1}. ${option.text}`);
+  }
+  return options.map(option => `${option.isCorrect ? '✓' : '✗'} ${option.text}`);
+};
+
+const COMPARED_FIELDS = [
+  { key: 'text', label: 'Question', kind: 'text' },
+  { key: 'type', label: 'Type' },
+  { key: 'difficulty', label: 'Difficulty' },
+  { key: 'marks', label: 'Marks' },
+  { key: 'timeLimit', label: 'Time limit (s)' },
+  { key: 'correctAnswer', label: 'Correct answer', kind: 'text' },
+  { key: 'explanation', label: 'Explanation', kind: 'text' },
+  { key: 'examCategoryId', label: 'Category' }
+];
+
+// Fields that differ between two versions. Text fields carry a word diff,
+// options a line diff, and the rest just the old and new values.
+export const getVersionChanges = (before, after) => {
+  const changes = COMPARED_FIELDS
+    .filter(field => String(before?.[field.key] ?? '') !== String(after?.[field.key] ?? ''))
+    .map(field => ({
+      ...field,
+      before: before?.[field.key] ?? '',
+      after: after?.[field.key] ?? '',
+      ...(field.kind === 'text' ? { parts: diffWords(before?.[field.key], after?.[field.key]) } : {})
+    }));
+
+  const beforeOptions = describeOptions(before);
+  const afterOptions = describeOptions(after);
+  if (beforeOptions.join('\n') !== afterOptions.join('\n')) {
+    changes.push({ key: 'options', label: 'Options', kind: 'lines', lines: diffLines(beforeOptions, afterOptions) });
+  }
+
+  return changes;
+};
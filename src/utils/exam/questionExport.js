@@ -0,0 +1,338 @@
+import * as XLSX from 'xlsx';
+import { zipSync, strToU8 } from 'fflate';
+import { SPREADSHEET_COLUMNS, SPREADSHEET_MAX_OPTIONS } from './questionImport';
+
+const getCategoryName = (question, categories) =>
+  question.exam_categories?.name || categories.find(category => category.id === question.examCategoryId)?.name || '';
+
+const getOrderedOptions = (question) => (question.type === 'ORDERING'
+  ? [...(question.options || [])].sort((a, b) => (a.correctOrder ?? 0) - (b.correctOrder ?? 0))
+  : question.options || []);
+
+const getTrueFalseAnswer = (question) => {
+  const correct = (question.options || []).find(option => option.isCorrect)?.text || question.correctAnswer || '';
+  return /^t/i.test(String(correct).trim()) ? 'True' : 'False';
+};
+
+const countBlanks = (text) => (String(text || '').match(/\([^)]*\)/g) || []).length;
+
+const letter = (index) => String.fromCharCode(65 + index);
+
+// Spreadsheet rows use the same columns as the import template
+const toSpreadsheetRow = (question, categories) => {
+  const options = getOrderedOptions(question);
+  let correctAnswer = question.correctAnswer || '';
+  if (['MULTIPLE_CHOICE', 'SINGLE_CHOICE'].includes(question.type)) {
+    correctAnswer = options.map((option, index) => (option.isCorrect ? letter(index) : null)).filter(Boolean).join(',');
+  } else if (question.type === 'TRUE_FALSE') {
+    correctAnswer = getTrueFalseAnswer(question);
+  } else if (question.type === 'FILL_IN_THE_BLANK') {
+    correctAnswer = '';
+  }
+
+  const row = {
+    Question: question.text || '',
+    Type: question.type,
+    Category: getCategoryName(question, categories),
+    Difficulty: question.difficulty || 'EASY',
+    Marks: question.marks || 1,
+    'Time Limit': question.timeLimit || 60,
+    Explanation: question.explanation || '',
+    'Correct Answer': correctAnswer
+  };
+  const showOptions = question.type !== 'TRUE_FALSE';
+  for (let index = 0; index < SPREADSHEET_MAX_OPTIONS; index += 1) {
+    row[`Option ${index + 1}`] = showOptions ? options[index]?.text || '' : '';
+    row[`Match ${index + 1}`] = question.type === 'MATCHING' ? options[index]?.matchText || '' : '';
+  }
+  return row;
+};
+
+const canExportToSpreadsheet = (question) => (question.options || []).length <= SPREADSHEET_MAX_OPTIONS;
+
+const buildWorkbook = (rows) => {
+  const workbook = XLSX.utils.book_new();
+  const sheet = XLSX.utils.json_to_sheet(rows, { header: SPREADSHEET_COLUMNS });
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Questions');
+  return workbook;
+};
+
+// Import template with one example row per question type
+export const buildSpreadsheetTemplate = () => buildWorkbook([
+  { Question: 'What is $2 + 2$?', Type: 'MULTIPLE_CHOICE', Category: 'Mathematics', Difficulty: 'EASY', Marks: 1, 'Time Limit': 60, 'Correct Answer': 'B', 'Option 1': '3', 'Option 2': '4', 'Option 3': '5' },
+  { Question: 'The Earth orbits the Sun.', Type: 'TRUE_FALSE', Category: 'Science', Difficulty: 'EASY', Marks: 1, 'Correct Answer': 'True' },
+  { Question: 'The ( ) sat on the ( ).', Type: 'FILL_IN_THE_BLANK', Category: 'English', Difficulty: 'EASY', Marks: 2, 'Option 1': 'cat', 'Option 2': 'mat' },
+  { Question: 'Who wrote Hamlet?', Type: 'SHORT_ANSWER', Category: 'English', Difficulty: 'MEDIUM', Marks: 2, 'Correct Answer': 'Shakespeare|William Shakespeare' },
+  { Question: 'Match each country with its capital.', Type: 'MATCHING', Category: 'Geography', Difficulty: 'MEDIUM', Marks: 2, 'Option 1': 'France', 'Option 2': 'Japan', 'Match 1': 'Paris', 'Match 2': 'Tokyo' },
+  { Question: 'Put the phases in order.', Type: 'ORDERING', Category: 'Project Management', Difficulty: 'MEDIUM', Marks: 3, 'Option 1': 'Initiation', 'Option 2': 'Planning', 'Option 3': 'Execution' },
+  { Question: 'Explain the water cycle.', Type: 'ESSAY', Category: 'Science', Difficulty: 'HARD', Marks: 10 }
+]);
+
+const escapeGift = (text) => String(text || '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\n/g, '\\n');
+
+const toGiftAnswers = (question) => {
+  const options = getOrderedOptions(question);
+  switch (question.type) {
+    case 'MULTIPLE_CHOICE':
+    case 'SINGLE_CHOICE': {
+      const correctCount = options.filter(option => option.isCorrect).length;
+      return options.map(option => {
+        if (correctCount > 1) {
+          // Multiple-answer questions split the credit between the correct options
+          const weight = option.isCorrect ? Math.floor(100 / correctCount) : -100;
+          return `~%${weight}%${escapeGift(option.text)}`;
+        }
+        return `${option.isCorrect ? '=' : '~'}${escapeGift(option.text)}`;
+      }).join(' ');
+    }
+    case 'TRUE_FALSE':
+      return getTrueFalseAnswer(question) === 'True' ? 'TRUE' : 'FALSE';
+    case 'SHORT_ANSWER':
+      return String(question.correctAnswer || '').split('|').filter(Boolean).map(answer => `=${escapeGift(answer.trim())}`).join(' ');
+    case 'MATCHING':
+      return options.map(option => `=${escapeGift(option.text)} -> ${escapeGift(option.matchText)}`).join(' ');
+    case 'ESSAY':
+      return '';
+    default:
+      return null;
+  }
+};
+
+const toGift = (questions, categories) => {
+  const lines = [];
+  const skipped = [];
+  let category = null;
+
+  questions.forEach((question, index) => {
+    const title = `::Q${index + 1}::[markdown]`;
+    const explanation = question.explanation ? ` ####${escapeGift(question.explanation)}` : '';
+
+    let body;
+    if (question.type === 'FILL_IN_THE_BLANK' && countBlanks(question.text) === 1) {
+      // GIFT missing-word format: the answer block sits where the blank is
+      const answer = (question.options || [])[0]?.text || '';
+      const [before, after] = String(question.text).split(/\([^)]*\)/);
+      body = `${title}${escapeGift(before)}{=${escapeGift(answer)}${explanation}}${escapeGift(after)}`;
+    } else {
+      const answers = toGiftAnswers(question);
+      if (answers === null) {
+        skipped.push(question);
+        return;
+      }
+      body = `${title}${escapeGift(question.text)} {${answers}${explanation}}`;
+    }
+
+    const questionCategory = getCategoryName(question, categories);
+    if (questionCategory !== category) {
+      category = questionCategory;
+      if (category) lines.push(`$CATEGORY: ${category}`, '');
+    }
+    lines.push(body, '');
+  });
+
+  return { content: lines.join('\n'), skipped };
+};
+
+// Aiken only supports single-answer multiple choice on one line
+const toAiken = (questions) => {
+  const blocks = [];
+  const skipped = [];
+
+  questions.forEach(question => {
+    const options = question.type === 'TRUE_FALSE'
+      ? [{ text: 'True', isCorrect: getTrueFalseAnswer(question) === 'True' }, { text: 'False', isCorrect: getTrueFalseAnswer(question) === 'False' }]
+      : question.options || [];
+    const correct = options.findIndex(option => option.isCorrect);
+    const supported = ['MULTIPLE_CHOICE', 'SINGLE_CHOICE', 'TRUE_FALSE'].includes(question.type) &&
+      options.filter(option => option.isCorrect).length === 1 && options.length <= 26;
+    if (!supported) {
+      skipped.push(question);
+      return;
+    }
+    blocks.push([
+      String(question.text).replace(/\s*\n\s*/g, ' '),
+      ...options.map((option, index) => `${letter(index)}. ${String(option.text).replace(/\s*\n\s*/g, ' ')}`),
+      `ANSWER: ${letter(correct)}`
+    ].join('\n'));
+  });
+
+  return { content: `${blocks.join('\n\n')}\n`, skipped };
+};
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const xmlParagraphs = (text) => String(text || '')
+  .split(/\n{2,}/)
+  .map(paragraph => `<p>${escapeXml(paragraph).replace(/\n/g, '<br/>')}</p>`)
+  .join('');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const MATCH_CORRECT = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+
+const responseDeclaration = (identifier, cardinality, baseType, values) =>
+  `<responseDeclaration identifier="${identifier}" cardinality="${cardinality}" baseType="${baseType}">` +
+  `<correctResponse>${values.map(value => `<value>${escapeXml(value)}</value>`).join('')}</correctResponse>` +
+  '</responseDeclaration>';
+
+const toQtiItem = (question, identifier) => {
+  const options = getOrderedOptions(question);
+  const declarations = [];
+  let body;
+
+  switch (question.type) {
+    case 'MULTIPLE_CHOICE':
+    case 'SINGLE_CHOICE':
+    case 'TRUE_FALSE': {
+      const choices = question.type === 'TRUE_FALSE'
+        ? [{ text: 'True', isCorrect: getTrueFalseAnswer(question) === 'True' }, { text: 'False', isCorrect: getTrueFalseAnswer(question) === 'False' }]
+        : options;
+      const correct = choices.map((choice, index) => (choice.isCorrect ? `C${index + 1}` : null)).filter(Boolean);
+      declarations.push(responseDeclaration('RESPONSE', correct.length > 1 ? 'multiple' : 'single', 'identifier', correct));
+      body = `${xmlParagraphs(question.text)}<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${correct.length > 1 ? 0 : 1}">` +
+        choices.map((choice, index) => `<simpleChoice identifier="C${index + 1}">${escapeXml(choice.text)}</simpleChoice>`).join('') +
+        '</choiceInteraction>';
+      break;
+    }
+    case 'ORDERING':
+      declarations.push(responseDeclaration('RESPONSE', 'ordered', 'identifier', options.map((_, index) => `C${index + 1}`)));
+      body = `${xmlParagraphs(question.text)}<orderInteraction responseIdentifier="RESPONSE" shuffle="true">` +
+        options.map((option, index) => `<simpleChoice identifier="C${index + 1}">${escapeXml(option.text)}</simpleChoice>`).join('') +
+        '</orderInteraction>';
+      break;
+    case 'MATCHING':
+      declarations.push(responseDeclaration('RESPONSE', 'multiple', 'directedPair', options.map((_, index) => `S${index + 1} T${index + 1}`)));
+      body = `${xmlParagraphs(question.text)}<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${options.length}">` +
+        `<simpleMatchSet>${options.map((option, index) => `<simpleAssociableChoice identifier="S${index + 1}" matchMax="1">${escapeXml(option.text)}</simpleAssociableChoice>`).join('')}</simpleMatchSet>` +
+        `<simpleMatchSet>${options.map((option, index) => `<simpleAssociableChoice identifier="T${index + 1}" matchMax="1">${escapeXml(option.matchText)}</simpleAssociableChoice>`).join('')}</simpleMatchSet>` +
+        '</matchInteraction>';
+      break;
+    case 'FILL_IN_THE_BLANK': {
+      let blank = 0;
+      const paragraphs = xmlParagraphs(question.text).replace(/\([^)]*\)/g, () => {
+        blank += 1;
+        return `<textEntryInteraction responseIdentifier="RESPONSE${blank}" expectedLength="15"/>`;
+      });
+      for (let index = 1; index <= blank; index += 1) {
+        declarations.push(responseDeclaration(`RESPONSE${index}`, 'single', 'string', [options[index - 1]?.text || '']));
+      }
+      body = paragraphs;
+      break;
+    }
+    case 'SHORT_ANSWER':
+      declarations.push(responseDeclaration('RESPONSE', 'single', 'string', [String(question.correctAnswer || '').split('|')[0]]));
+      body = `${xmlParagraphs(question.text)}<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>`;
+      break;
+    case 'ESSAY':
+      declarations.push('<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>');
+      body = `${xmlParagraphs(question.text)}<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10"/>`;
+      break;
+    default:
+      return null;
+  }
+
+  const title = escapeXml(String(question.text || '').replace(/\s+/g, ' ').slice(0, 80));
+  const feedback = question.explanation
+    ? `<modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${xmlParagraphs(question.explanation)}</modalFeedback>`
+    : '';
+  // Essays are scored by hand, so they get no response processing
+  const processing = question.type === 'ESSAY' ? '' : `<responseProcessing template="${MATCH_CORRECT}"/>`;
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${title}" adaptive="false" timeDependent="false">` +
+    declarations.join('') +
+    '<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>' +
+    `<outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float"><defaultValue><value>${question.marks || 1}</value></defaultValue></outcomeDeclaration>` +
+    (feedback ? '<outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>' : '') +
+    `<itemBody>${body}</itemBody>${processing}${feedback}` +
+    '</assessmentItem>\n';
+};
+
+// QTI 2.1 content package: one item file per question plus imsmanifest.xml
+const toQtiPackage = (questions) => {
+  const files = {};
+  const resources = [];
+  const skipped = [];
+
+  questions.forEach((question, index) => {
+    const identifier = `ITEM${String(index + 1).padStart(4, '0')}`;
+    const item = toQtiItem(question, identifier);
+    if (!item) {
+      skipped.push(question);
+      return;
+    }
+    const href = `items/${identifier}.xml`;
+    files[href] = strToU8(item);
+    resources.push(`<resource identifier="RES-${identifier}" type="imsqti_item_xmlv2p1" href="${href}"><file href="${href}"/></resource>`);
+  });
+
+  files['imsmanifest.xml'] = strToU8('<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="QUESTION-BANK-EXPORT">' +
+    `<organizations/><resources>${resources.join('')}</resources></manifest>\n`);
+
+  return { content: zipSync(files), skipped };
+};
+
+// Serialises questions to one of EXAM_CONSTANTS.QUESTION_FILE_FORMATS.
+// Returns the file as a Blob plus the questions the format cannot express.
+export const exportQuestions = (questions, format, categories = []) => {
+  const date = new Date().toISOString().split('T')[0];
+  const baseName = `questions-${date}`;
+
+  switch (format) {
+    case 'QTI': {
+      const { content, skipped } = toQtiPackage(questions);
+      return { blob: new Blob([content], { type: 'application/zip' }), fileName: `${baseName}-qti.zip`, skipped };
+    }
+    case 'GIFT': {
+      const { content, skipped } = toGift(questions, categories);
+      return { blob: new Blob([content], { type: 'text/plain;charset=utf-8' }), fileName: `${baseName}.gift`, skipped };
+    }
+    case 'AIKEN': {
+      const { content, skipped } = toAiken(questions);
+      return { blob: new Blob([content], { type: 'text/plain;charset=utf-8' }), fileName: `${baseName}-aiken.txt`, skipped };
+    }
+    case 'XLSX':
+    case 'CSV': {
+      const exportable = questions.filter(canExportToSpreadsheet);
+      const workbook = buildWorkbook(exportable.map(question => toSpreadsheetRow(question, categories)));
+      const skipped = questions.filter(question => !canExportToSpreadsheet(question));
+      if (format === 'CSV') {
+        const csv = XLSX.utils.sheet_to_csv(workbook.Sheets.Questions);
+        return { blob: new Blob([`\uFEFF${csv}`], { type: 'text/csv;charset=utf-8' }), fileName: `${baseName}.csv`, skipped };
+      }
+      const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+      return {
+        blob: new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+        fileName: `${baseName}.xlsx`,
+        skipped
+      };
+    }
+    case 'JSON': {
+      // Same shape the bulk insert accepts
+      const data = questions.map(question => ({
+        text: question.text,
+        examCategoryId: question.examCategoryId,
+        category: getCategoryName(question, categories),
+        type: question.type,
+        difficulty: question.difficulty,
+        marks: question.marks,
+        timeLimit: question.timeLimit,
+        explanation: question.explanation || '',
+        ...(question.correctAnswer ? { correctAnswer: question.correctAnswer } : {}),
+        options: getOrderedOptions(question).map(option => ({
+          text: option.text,
+          isCorrect: !!option.isCorrect,
+          ...(option.matchText !== undefined && option.matchText !== null ? { matchText: option.matchText } : {}),
+          ...(question.type === 'ORDERING' ? { correctOrder: option.correctOrder } : {})
+        }))
+      }));
+      return { blob: new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName: `${baseName}.json`, skipped: [] };
+    }
+    default:
+      throw new Error(`Unsupported export format "${format}"`);
+  }
+};
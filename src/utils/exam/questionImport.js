@@ -0,0 +1,697 @@
+import * as XLSX from 'xlsx';
+import { unzipSync, strFromU8 } from 'fflate';
+import { EXAM_CONSTANTS } from '../../constants/exam/examConstants';
+import { stripRichText } from './richText';
+
+export const QUESTION_TYPES = EXAM_CONSTANTS.QUESTION_TYPE_SECTIONS.flatMap(section => section.types);
+export const DIFFICULTIES = ['EASY', 'MEDIUM', 'HARD'];
+
+const CHOICE_TYPES = ['MULTIPLE_CHOICE', 'SINGLE_CHOICE', 'TRUE_FALSE'];
+
+// Spreadsheet template columns, shared with the CSV/XLSX export so exported
+// files can be imported again unchanged
+export const SPREADSHEET_MAX_OPTIONS = 6;
+export const SPREADSHEET_COLUMNS = [
+  'Question', 'Type', 'Category', 'Difficulty', 'Marks', 'Time Limit', 'Explanation', 'Correct Answer',
+  ...Array.from({ length: SPREADSHEET_MAX_OPTIONS }, (_, index) => `Option ${index + 1}`),
+  ...Array.from({ length: SPREADSHEET_MAX_OPTIONS }, (_, index) => `Match ${index + 1}`)
+];
+
+const TYPE_ALIASES = {
+  MC: 'MULTIPLE_CHOICE', MCQ: 'MULTIPLE_CHOICE', MULTICHOICE: 'MULTIPLE_CHOICE', MULTIPLE: 'MULTIPLE_CHOICE',
+  SC: 'SINGLE_CHOICE', SINGLE: 'SINGLE_CHOICE',
+  TF: 'TRUE_FALSE', TRUEFALSE: 'TRUE_FALSE', BOOLEAN: 'TRUE_FALSE',
+  FIB: 'FILL_IN_THE_BLANK', FILL_IN_BLANK: 'FILL_IN_THE_BLANK', BLANK: 'FILL_IN_THE_BLANK', CLOZE: 'FILL_IN_THE_BLANK',
+  SA: 'SHORT_ANSWER', SHORT: 'SHORT_ANSWER', SHORTANSWER: 'SHORT_ANSWER',
+  LONG_ANSWER: 'ESSAY', MATCH: 'MATCHING', ORDER: 'ORDERING', SEQUENCE: 'ORDERING', SEQUENCING: 'ORDERING'
+};
+
+const normalizeType = (value) => {
+  const key = String(value || '').trim().toUpperCase().replace(/[\s/-]+/g, '_');
+  if (!key) return '';
+  return QUESTION_TYPES.includes(key) ? key : TYPE_ALIASES[key] || TYPE_ALIASES[key.replace(/_/g, '')] || key;
+};
+
+const normalizeDifficulty = (value) => {
+  const key = String(value || '').trim().toUpperCase();
+  return key || 'EASY';
+};
+
+const toNumber = (value, fallback) => {
+  if (value === '' || value === null || value === undefined) return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const isTrue = (value) => /^(t|true|yes|y|1)$/i.test(String(value).trim());
+const isFalse = (value) => /^(f|false|no|n|0)$/i.test(String(value).trim());
+
+const trueFalseOptions = (answer) => [
+  { text: 'True', isCorrect: answer === 'True' },
+  { text: 'False', isCorrect: answer === 'False' }
+];
+
+// Common shape every parser produces. `category` is the category name found
+// in the source file and is mapped onto a bank category before import.
+const createQuestion = (fields) => ({
+  text: '',
+  type: 'MULTIPLE_CHOICE',
+  difficulty: 'EASY',
+  marks: 1,
+  timeLimit: 60,
+  explanation: '',
+  correctAnswer: '',
+  category: '',
+  examCategoryId: '',
+  options: [],
+  ...fields
+});
+
+// Aiken: question lines, lettered options and an "ANSWER: X" line
+export const parseAiken = (content) => {
+  const questions = [];
+  let current = null;
+
+  const finish = () => {
+    if (current && (current.lines.length || current.options.length)) {
+      questions.push(createQuestion({
+        text: current.lines.join('\n').trim(),
+        type: 'MULTIPLE_CHOICE',
+        options: current.options.map(option => ({
+          text: option.text,
+          isCorrect: option.letter === current.answer
+        })),
+        answerLetter: current.answer
+      }));
+    }
+    current = null;
+  };
+
+  content.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) {
+      // Blank lines only separate questions once the answer has been given
+      if (current?.answer) finish();
+      return;
+    }
+    if (!current) current = { lines: [], options: [], answer: '' };
+
+    const answer = /^ANSWER\s*:\s*([A-Z])\s*$/i.exec(line);
+    if (answer) {
+      current.answer = answer[1].toUpperCase();
+      finish();
+      return;
+    }
+
+    const option = /^([A-Z])\s*[.)]\s+(.*)$/.exec(line);
+    if (option && (current.lines.length || current.options.length)) {
+      current.options.push({ letter: option[1], text: option[2].trim() });
+    } else if (current.options.length) {
+      // Continuation of the previous option
+      current.options[current.options.length - 1].text += ` ${line}`;
+    } else {
+      current.lines.push(line);
+    }
+  });
+  finish();
+
+  return questions.map(({ answerLetter, ...question }) => ({
+    ...question,
+    ...(answerLetter ? {} : { parseError: 'Missing "ANSWER:" line' })
+  }));
+};
+
+// GIFT escapes ~ = # { } : with a backslash
+const unescapeGift = (text) => text.replace(/\\([~=#{}:])/g, '$1').replace(/\\n/g, '\n').trim();
+
+// Splits on unescaped separator characters while keeping them
+const splitGiftAnswers = (block) => {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < block.length; i += 1) {
+    const char = block[i];
+    if (char === '\\' && i + 1 < block.length) {
+      current += char + block[i + 1];
+      i += 1;
+    } else if (char === '=' || char === '~') {
+      if (current.trim()) parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts;
+};
+
+// Index of the first unescaped occurrence of `char`, or -1
+const findUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i += 1) {
+    if (text[i] === '\\') {
+      i += 1;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+const stripGiftFeedback = (text) => {
+  const index = findUnescaped(text, '#');
+  return index === -1 ? text : text.slice(0, index);
+};
+
+const parseGiftQuestion = (source, category) => {
+  let text = source.trim();
+
+  // Optional ::title::
+  const title = /^::((?:\\.|[^:])*)::/.exec(text);
+  if (title) text = text.slice(title[0].length).trim();
+  text = text.replace(/^\[(markdown|html|plain|moodle)\]\s*/i, '');
+
+  const open = findUnescaped(text, '{');
+  if (open === -1) {
+    // Description items have no answer block
+    return createQuestion({ text: unescapeGift(text), category, parseError: 'Missing answer block "{...}"' });
+  }
+  const close = findUnescaped(text, '}', open);
+  if (close === -1) {
+    return createQuestion({ text: unescapeGift(text.slice(0, open)), category, parseError: 'Unclosed answer block' });
+  }
+
+  const before = unescapeGift(text.slice(0, open));
+  const after = unescapeGift(text.slice(close + 1));
+  let block = text.slice(open + 1, close).trim();
+  let explanation = '';
+
+  // ####general feedback
+  const generalFeedback = block.indexOf('####');
+  if (generalFeedback !== -1) {
+    explanation = unescapeGift(block.slice(generalFeedback + 4));
+    block = block.slice(0, generalFeedback).trim();
+  }
+
+  const base = { category, explanation };
+
+  if (!block) {
+    return createQuestion({ ...base, text: before, type: 'ESSAY' });
+  }
+
+  const trueFalse = /^(T|TRUE|F|FALSE)\b/i.exec(block);
+  if (trueFalse) {
+    const answer = /^T/i.test(trueFalse[1]) ? 'True' : 'False';
+    return createQuestion({ ...base, text: before, type: 'TRUE_FALSE', correctAnswer: answer, options: trueFalseOptions(answer) });
+  }
+
+  if (block.startsWith('#')) {
+    // Numeric answers are imported as short answers; the first value is the key
+    const value = unescapeGift(stripGiftFeedback(block.slice(1).replace(/^=/, '')).split(/[=~]/)[0]);
+    return createQuestion({ ...base, text: before, type: 'SHORT_ANSWER', correctAnswer: value.split(':')[0].trim() });
+  }
+
+  const answers = splitGiftAnswers(block).map(part => {
+    const marker = part[0];
+    let body = stripGiftFeedback(part.slice(1)).trim();
+    let weight = marker === '=' ? 100 : 0;
+    const percent = /^%(-?\d+(?:\.\d+)?)%/.exec(body);
+    if (percent) {
+      weight = Number(percent[1]);
+      body = body.slice(percent[0].length);
+    }
+    return { marker, body, weight };
+  });
+
+  const arrowIndex = (body) => {
+    const index = body.indexOf('->');
+    return index === -1 ? null : index;
+  };
+
+  if (answers.length && answers.every(answer => answer.marker === '=' && arrowIndex(answer.body) !== null)) {
+    return createQuestion({
+      ...base,
+      text: before,
+      type: 'MATCHING',
+      options: answers.map(answer => {
+        const index = arrowIndex(answer.body);
+        return {
+          text: unescapeGift(answer.body.slice(0, index)),
+          matchText: unescapeGift(answer.body.slice(index + 2)),
+          isCorrect: true
+        };
+      })
+    });
+  }
+
+  if (answers.some(answer => answer.marker === '~')) {
+    return createQuestion({
+      ...base,
+      // Missing-word questions keep their blank in the text
+      text: after ? `${before} _____ ${after}` : before,
+      type: 'MULTIPLE_CHOICE',
+      options: answers.map(answer => ({ text: unescapeGift(answer.body), isCorrect: answer.weight > 0 }))
+    });
+  }
+
+  const accepted = answers.map(answer => unescapeGift(answer.body)).filter(Boolean);
+  if (after) {
+    return createQuestion({
+      ...base,
+      text: `${before} ( ) ${after}`,
+      type: 'FILL_IN_THE_BLANK',
+      options: [{ text: accepted[0] || '', isCorrect: true }]
+    });
+  }
+  return createQuestion({ ...base, text: before, type: 'SHORT_ANSWER', correctAnswer: accepted.join('|') });
+};
+
+// Moodle GIFT: one question per blank-line separated block, with
+// $CATEGORY: lines setting the category for the questions that follow
+export const parseGift = (content) => {
+  const questions = [];
+  let category = '';
+  let buffer = [];
+
+  const flush = () => {
+    const source = buffer.join('\n').trim();
+    buffer = [];
+    if (source) questions.push(parseGiftQuestion(source, category));
+  };
+
+  content.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//')) return;
+
+    const categoryLine = /^\$CATEGORY:\s*(.*)$/i.exec(trimmed);
+    if (categoryLine) {
+      flush();
+      // Moodle paths look like $course$/top/Algebra; the last segment is the name
+      category = categoryLine[1].split('/').filter(Boolean).pop() || '';
+      return;
+    }
+
+    if (!trimmed) {
+      // A blank line inside an unfinished answer block is part of the question
+      const pending = buffer.join('\n');
+      if (findUnescaped(pending, '{') !== -1 && findUnescaped(pending, '}', findUnescaped(pending, '{')) === -1) {
+        buffer.push(line);
+      } else {
+        flush();
+      }
+      return;
+    }
+    buffer.push(line);
+  });
+  flush();
+
+  return questions;
+};
+
+const QTI_BLOCK_ELEMENTS = ['p', 'div', 'li', 'tr', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+const localName = (node) => (node.localName || node.nodeName || '').replace(/^.*:/, '');
+
+const childElements = (node, name) =>
+  Array.from(node.getElementsByTagName('*')).filter(element => localName(element) === name);
+
+// Text of an itemBody fragment. Text-entry interactions become "( )" blanks,
+// other interactions are left out because their choices are read separately.
+const qtiText = (node) => {
+  let text = '';
+  Array.from(node.childNodes).forEach(child => {
+    if (child.nodeType === 3) {
+      text += child.nodeValue;
+      return;
+    }
+    if (child.nodeType !== 1) return;
+    const name = localName(child);
+    if (name === 'textEntryInteraction' || name === 'inlineChoiceInteraction') {
+      text += ' ( ) ';
+    } else if (name === 'br') {
+      text += '\n';
+    } else if (!name.endsWith('Interaction') && name !== 'modalFeedback' && name !== 'feedbackBlock') {
+      const inner = qtiText(child);
+      text += QTI_BLOCK_ELEMENTS.includes(name) ? `\n${inner}\n` : inner;
+    }
+  });
+  return text;
+};
+
+const tidyText = (text) => text
+  .replace(/[ \t]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .replace(/ +([.,;:!?])/g, '$1')
+  .trim();
+
+const parseQtiItem = (item) => {
+  const correctValues = {};
+  childElements(item, 'responseDeclaration').forEach(declaration => {
+    const correct = childElements(declaration, 'correctResponse')[0];
+    correctValues[declaration.getAttribute('identifier')] = correct
+      ? childElements(correct, 'value').map(value => value.textContent.trim())
+      : [];
+  });
+
+  const outcomes = childElements(item, 'outcomeDeclaration');
+  const maxScore = outcomes.find(outcome => outcome.getAttribute('identifier') === 'MAXSCORE') ||
+    outcomes.find(outcome => outcome.getAttribute('identifier') === 'SCORE');
+  const marks = Number(maxScore && childElements(maxScore, 'value')[0]?.textContent) || 1;
+  const explanation = tidyText(childElements(item, 'modalFeedback').map(feedback => qtiText(feedback)).join('\n'));
+
+  const body = childElements(item, 'itemBody')[0];
+  if (!body) {
+    return createQuestion({ text: item.getAttribute('title') || '', parseError: 'Item has no itemBody' });
+  }
+
+  const interactionPrompt = (interaction) => {
+    const prompt = childElements(interaction, 'prompt')[0];
+    return prompt ? qtiText(prompt) : '';
+  };
+  const base = { marks, explanation };
+  const choiceText = (choice) => tidyText(qtiText(choice));
+
+  const choice = childElements(body, 'choiceInteraction')[0];
+  if (choice) {
+    const correct = correctValues[choice.getAttribute('responseIdentifier')] || [];
+    const options = childElements(choice, 'simpleChoice').map(simpleChoice => ({
+      text: choiceText(simpleChoice),
+      isCorrect: correct.includes(simpleChoice.getAttribute('identifier'))
+    }));
+    const isTrueFalse = options.length === 2 && isTrue(options[0].text) && isFalse(options[1].text);
+    const correctOption = options.find(option => option.isCorrect);
+    return createQuestion({
+      ...base,
+      text: tidyText(`${qtiText(body)}\n${interactionPrompt(choice)}`),
+      type: isTrueFalse ? 'TRUE_FALSE' : 'MULTIPLE_CHOICE',
+      correctAnswer: isTrueFalse && correctOption ? (isTrue(correctOption.text) ? 'True' : 'False') : '',
+      options: isTrueFalse && correctOption ? trueFalseOptions(isTrue(correctOption.text) ? 'True' : 'False') : options
+    });
+  }
+
+  const order = childElements(body, 'orderInteraction')[0];
+  if (order) {
+    const correct = correctValues[order.getAttribute('responseIdentifier')] || [];
+    const choices = childElements(order, 'simpleChoice');
+    const sorted = correct.length
+      ? correct.map(id => choices.find(simpleChoice => simpleChoice.getAttribute('identifier') === id)).filter(Boolean)
+      : choices;
+    return createQuestion({
+      ...base,
+      text: tidyText(`${qtiText(body)}\n${interactionPrompt(order)}`),
+      type: 'ORDERING',
+      options: sorted.map((simpleChoice, index) => ({ text: choiceText(simpleChoice), correctOrder: index + 1, isCorrect: true }))
+    });
+  }
+
+  const match = childElements(body, 'matchInteraction')[0] || childElements(body, 'associateInteraction')[0];
+  if (match) {
+    const choices = {};
+    childElements(match, 'simpleAssociableChoice').forEach(associable => {
+      choices[associable.getAttribute('identifier')] = choiceText(associable);
+    });
+    const correct = correctValues[match.getAttribute('responseIdentifier')] || [];
+    return createQuestion({
+      ...base,
+      text: tidyText(`${qtiText(body)}\n${interactionPrompt(match)}`),
+      type: 'MATCHING',
+      options: correct.map(pair => {
+        const [source, target] = pair.split(/\s+/);
+        return { text: choices[source] || '', matchText: choices[target] || '', isCorrect: true };
+      })
+    });
+  }
+
+  const extended = childElements(body, 'extendedTextInteraction')[0];
+  if (extended) {
+    return createQuestion({
+      ...base,
+      text: tidyText(`${qtiText(body)}\n${interactionPrompt(extended)}`),
+      type: 'ESSAY',
+      correctAnswer: (correctValues[extended.getAttribute('responseIdentifier')] || [])[0] || ''
+    });
+  }
+
+  const entries = childElements(body, 'textEntryInteraction');
+  if (entries.length) {
+    const answers = entries.map(entry => (correctValues[entry.getAttribute('responseIdentifier')] || [])[0] || '');
+    const text = tidyText(qtiText(body));
+    // A single entry box at the end of the text is a short answer question
+    if (entries.length === 1 && /\(\s\)$/.test(text)) {
+      return createQuestion({ ...base, text: text.replace(/\s*\(\s\)$/, ''), type: 'SHORT_ANSWER', correctAnswer: answers[0] });
+    }
+    return createQuestion({
+      ...base,
+      text,
+      type: 'FILL_IN_THE_BLANK',
+      options: answers.map(answer => ({ text: answer, isCorrect: true }))
+    });
+  }
+
+  return createQuestion({
+    ...base,
+    text: tidyText(qtiText(body)) || item.getAttribute('title') || '',
+    parseError: 'Unsupported QTI interaction'
+  });
+};
+
+// IMS QTI 2.1: a single assessmentItem XML file or a content package zip
+export const parseQtiXml = (xml) => {
+  const document = new DOMParser().parseFromString(xml, 'application/xml');
+  if (document.getElementsByTagName('parsererror').length) {
+    throw new Error('The file is not valid XML');
+  }
+  return childElements(document, 'assessmentItem').map(parseQtiItem);
+};
+
+export const parseQtiPackage = (buffer) => {
+  const files = unzipSync(new Uint8Array(buffer));
+  const itemFiles = Object.keys(files)
+    .filter(name => /\.xml$/i.test(name) && !/imsmanifest\.xml$/i.test(name))
+    .sort();
+  return itemFiles.flatMap(name => parseQtiXml(strFromU8(files[name])));
+};
+
+const getCell = (row, ...names) => {
+  const key = Object.keys(row).find(column => names.some(name => column.trim().toLowerCase() === name.toLowerCase()));
+  return key === undefined ? '' : String(row[key] ?? '').trim();
+};
+
+// "B", "A,C", "2" or the text of the correct option
+const isCorrectSpreadsheetOption = (correctAnswer, text, index) => {
+  const tokens = correctAnswer.split(/[,;|]/).map(token => token.trim()).filter(Boolean);
+  const letter = String.fromCharCode(65 + index);
+  return tokens.some(token => token.toUpperCase() === letter || token === String(index + 1) || token === text);
+};
+
+const parseSpreadsheetRow = (row) => {
+  const type = normalizeType(getCell(row, 'Type'));
+  const correctAnswer = getCell(row, 'Correct Answer', 'Answer', 'Correct');
+  const optionTexts = Array.from({ length: SPREADSHEET_MAX_OPTIONS }, (_, index) => getCell(row, `Option ${index + 1}`, `Option${index + 1}`));
+  const matchTexts = Array.from({ length: SPREADSHEET_MAX_OPTIONS }, (_, index) => getCell(row, `Match ${index + 1}`, `Match${index + 1}`));
+  const filled = optionTexts.map((text, index) => ({ text, index })).filter(option => option.text);
+
+  let options = [];
+  let answer = correctAnswer;
+  if (type === 'MULTIPLE_CHOICE' || type === 'SINGLE_CHOICE') {
+    options = filled.map(option => ({ text: option.text, isCorrect: isCorrectSpreadsheetOption(correctAnswer, option.text, option.index) }));
+    answer = '';
+  } else if (type === 'TRUE_FALSE') {
+    answer = isTrue(correctAnswer) ? 'True' : isFalse(correctAnswer) ? 'False' : '';
+    options = answer ? trueFalseOptions(answer) : [];
+  } else if (type === 'MATCHING') {
+    options = filled.map(option => ({ text: option.text, matchText: matchTexts[option.index], isCorrect: true }));
+  } else if (type === 'ORDERING') {
+    options = filled.map((option, index) => ({ text: option.text, correctOrder: index + 1, isCorrect: true }));
+  } else if (type === 'FILL_IN_THE_BLANK') {
+    const blanks = filled.length ? filled.map(option => option.text) : correctAnswer.split('|').map(text => text.trim()).filter(Boolean);
+    options = blanks.map(text => ({ text, isCorrect: true }));
+    answer = '';
+  }
+
+  return createQuestion({
+    text: getCell(row, 'Question', 'Question Text', 'Text'),
+    type,
+    category: getCell(row, 'Category'),
+    difficulty: normalizeDifficulty(getCell(row, 'Difficulty')),
+    marks: toNumber(getCell(row, 'Marks', 'Points'), 1),
+    timeLimit: toNumber(getCell(row, 'Time Limit', 'TimeLimit'), 60),
+    explanation: getCell(row, 'Explanation'),
+    correctAnswer: answer,
+    options
+  });
+};
+
+export const parseSpreadsheet = (workbook) => {
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+  return XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false })
+    .filter(row => Object.values(row).some(value => String(value).trim()))
+    .map(parseSpreadsheetRow);
+};
+
+// The existing bulk-insert JSON: an array of { text, examCategoryId, type, ... }
+export const parseJson = (content) => {
+  const data = JSON.parse(content);
+  const list = Array.isArray(data) ? data : data?.questions;
+  if (!Array.isArray(list)) {
+    throw new Error('JSON data must be an array of questions');
+  }
+  return list.map(question => {
+    const type = normalizeType(question.type);
+    let options = (question.options || []).map((option, index) => (typeof option === 'string'
+      ? { text: option, isCorrect: false }
+      : {
+        text: option.text || '',
+        // Every pair, item and blank answer is part of the key
+        isCorrect: ['MATCHING', 'ORDERING', 'FILL_IN_THE_BLANK'].includes(type) || !!option.isCorrect,
+        ...(option.matchText !== undefined ? { matchText: option.matchText } : {}),
+        ...(type === 'ORDERING' ? { correctOrder: option.correctOrder || index + 1 } : {})
+      }));
+    if (type === 'ORDERING') options = [...options].sort((a, b) => a.correctOrder - b.correctOrder);
+    if (type === 'TRUE_FALSE' && !options.length && question.correctAnswer) {
+      options = trueFalseOptions(isTrue(question.correctAnswer) ? 'True' : 'False');
+    }
+    return createQuestion({
+      text: question.text || '',
+      type,
+      difficulty: normalizeDifficulty(question.difficulty),
+      marks: toNumber(question.marks, 1),
+      timeLimit: toNumber(question.timeLimit, 60),
+      explanation: question.explanation || '',
+      correctAnswer: question.correctAnswer || '',
+      category: question.category || question.exam_categories?.name || '',
+      examCategoryId: question.examCategoryId || '',
+      options
+    });
+  });
+};
+
+const readFile = (file, as) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  if (as === 'text') {
+    reader.readAsText(file);
+  } else {
+    reader.readAsArrayBuffer(file);
+  }
+});
+
+// .txt files may be GIFT or Aiken; GIFT always has an answer block
+const detectTextFormat = (content) => (/\{[^}]*\}/.test(content) && !/^ANSWER\s*:/im.test(content) ? 'GIFT' : 'AIKEN');
+
+export const detectImportFormat = (fileName, content = '') => {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (extension === 'zip') return 'QTI';
+  if (extension === 'xml') return 'QTI';
+  if (extension === 'gift') return 'GIFT';
+  if (extension === 'xlsx' || extension === 'xls') return 'XLSX';
+  if (extension === 'csv') return 'CSV';
+  if (extension === 'json') return 'JSON';
+  if (extension === 'txt') return detectTextFormat(content);
+  return null;
+};
+
+// Reads and parses an uploaded question file. `format` overrides detection.
+export const parseQuestionFile = async (file, format) => {
+  const extension = file.name.toLowerCase().split('.').pop();
+
+  if (extension === 'zip' || extension === 'xlsx' || extension === 'xls') {
+    const buffer = await readFile(file, 'buffer');
+    const resolved = format || detectImportFormat(file.name);
+    if (resolved === 'QTI') return { format: resolved, questions: parseQtiPackage(buffer) };
+    return { format: 'XLSX', questions: parseSpreadsheet(XLSX.read(buffer, { type: 'array' })) };
+  }
+
+  const content = await readFile(file, 'text');
+  const resolved = format || detectImportFormat(file.name, content);
+  switch (resolved) {
+    case 'QTI':
+      return { format: resolved, questions: parseQtiXml(content) };
+    case 'GIFT':
+      return { format: resolved, questions: parseGift(content) };
+    case 'AIKEN':
+      return { format: resolved, questions: parseAiken(content) };
+    case 'CSV':
+      return { format: resolved, questions: parseSpreadsheet(XLSX.read(content, { type: 'string' })) };
+    case 'JSON':
+      return { format: resolved, questions: parseJson(content) };
+    default:
+      throw new Error(`Unsupported file type ".${extension}"`);
+  }
+};
+
+// Problems that stop a question from being imported
+export const validateImportedQuestion = (question) => {
+  const errors = [];
+  if (question.parseError) errors.push(question.parseError);
+  if (!question.text?.trim()) errors.push('Question text is empty');
+  if (!QUESTION_TYPES.includes(question.type)) errors.push(`Unknown type "${question.type || ''}"`);
+  if (!DIFFICULTIES.includes(question.difficulty)) errors.push(`Unknown difficulty "${question.difficulty}"`);
+  if (!(question.marks > 0)) errors.push('Marks must be a positive number');
+  if (!(question.timeLimit > 0)) errors.push('Time limit must be a positive number');
+
+  const options = question.options || [];
+  const correctCount = options.filter(option => option.isCorrect).length;
+  if (CHOICE_TYPES.includes(question.type)) {
+    if (options.length < 2) errors.push('Needs at least two options');
+    if (options.some(option => !option.text?.trim())) errors.push('Options must not be empty');
+    if (!correctCount) errors.push('No correct option');
+    if (question.type !== 'MULTIPLE_CHOICE' && correctCount > 1) errors.push('Only one option can be correct');
+  }
+  if (question.type === 'MATCHING') {
+    if (options.length < 2) errors.push('Needs at least two matching pairs');
+    if (options.some(option => !option.text?.trim() || !option.matchText?.trim())) errors.push('Every pair needs an item and a match');
+  }
+  if (question.type === 'ORDERING' && options.length < 2) errors.push('Needs at least two items to order');
+  if (question.type === 'FILL_IN_THE_BLANK') {
+    if (!options.length || options.some(option => !option.text?.trim())) errors.push('Every blank needs an answer');
+    if (!/\([^)]*\)/.test(question.text || '')) errors.push('No blanks "( )" in the question text');
+  }
+  if (question.type === 'SHORT_ANSWER' && !question.correctAnswer?.trim()) errors.push('No correct answer');
+
+  return errors;
+};
+
+// Key used to spot the same question in a file or already in the bank
+export const getDuplicateKey = (question) =>
+  `${question.type}|${stripRichText(question.text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()}`;
+
+// Returns, per question, 'file' when an earlier row has the same text and
+// type, 'bank' when the bank already has it, or null
+export const findDuplicates = (questions, existingQuestions = []) => {
+  const bankKeys = new Set(existingQuestions.map(getDuplicateKey));
+  const seen = new Set();
+  return questions.map(question => {
+    const key = getDuplicateKey(question);
+    if (bankKeys.has(key)) return 'bank';
+    if (seen.has(key)) return 'file';
+    seen.add(key);
+    return null;
+  });
+};
+
+// Finds the bank category whose name matches each category named in a file
+export const suggestCategoryMapping = (questions, categories) => {
+  const mapping = {};
+  questions.forEach(question => {
+    const name = question.category || '';
+    if (name in mapping) return;
+    const match = categories.find(category => category.name?.trim().toLowerCase() === name.trim().toLowerCase());
+    mapping[name] = match?.id || '';
+  });
+  return mapping;
+};
+
+// Payload accepted by the bulk create endpoint
+export const toBulkQuestion = (question, examCategoryId) => ({
+  text: question.text,
+  examCategoryId,
+  difficulty: question.difficulty,
+  type: question.type,
+  marks: question.marks,
+  timeLimit: question.timeLimit,
+  explanation: question.explanation,
+  ...(question.correctAnswer ? { correctAnswer: question.correctAnswer } : {}),
+  options: question.options
+});
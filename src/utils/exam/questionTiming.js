@@ -0,0 +1,55 @@
+// Helpers for per-question dwell time. Times are tracked per question id as
+// { timeSpent, hiddenTime, visits }, all durations in seconds; hiddenTime is
+// the part of timeSpent during which the exam tab was hidden.
+
+const EMPTY_TIMING = { timeSpent: 0, hiddenTime: 0, visits: 0 };
+
+export const getQuestionTiming = (questionTimes, questionId) =>
+  questionTimes?.[questionId] || EMPTY_TIMING;
+
+// Per-question limit in seconds, or null when the exam does not enforce them
+export const getQuestionTimeLimit = (exam, question) => {
+  if (!exam?.enforceQuestionTimeLimits) return null;
+  const limit = Number(question?.timeLimit);
+  return limit > 0 ? limit : null;
+};
+
+export const getQuestionTimeLeft = (exam, question, questionTimes) => {
+  const limit = getQuestionTimeLimit(exam, question);
+  if (limit === null) return null;
+  return Math.max(0, Math.ceil(limit - getQuestionTiming(questionTimes, question.id).timeSpent));
+};
+
+export const isQuestionTimeUp = (exam, question, questionTimes) =>
+  getQuestionTimeLeft(exam, question, questionTimes) === 0;
+
+// Timing fields added to a response payload
+export const getTimingPayload = (questionTimes, questionId) => {
+  const timing = getQuestionTiming(questionTimes, questionId);
+  return {
+    timeSpent: Math.round(timing.timeSpent),
+    hiddenTime: Math.round(timing.hiddenTime),
+    visits: timing.visits
+  };
+};
+
+// Normalise per-question timings for the results page. Prefers the analytics
+// endpoint, falling back to the stored responses.
+export const getQuestionTimings = (analytics, responses, questions) => {
+  const source = analytics?.questionTimings || analytics?.questions || responses || [];
+  return source
+    .map(entry => {
+      const questionId = entry.questionId || entry.question?.id || entry.id;
+      const question = entry.question || (questions || []).find(q => q.id === questionId);
+      return {
+        questionId,
+        text: question?.text || entry.text || '',
+        timeSpent: Number(entry.timeSpent) || 0,
+        hiddenTime: Number(entry.hiddenTime) || 0,
+        visits: Number(entry.visits) || 0,
+        timeLimit: Number(question?.timeLimit ?? entry.timeLimit) || null,
+        isCorrect: entry.isCorrect
+      };
+    })
+    .filter(timing => timing.questionId);
+};
@@ -0,0 +1,20 @@
+// Random helpers shared by the exam utils.
+
+// Small deterministic PRNG: the same seed (e.g. an attempt id) always gives
+// the same sequence of numbers in [0, 1), across reloads and resumed attempts
+export const createSeededRandom = (seed) => {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return () => {
+    hash = Math.imul(hash ^ (hash >>> 15), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    hash ^= hash >>> 16;
+    return (hash >>> 0) / 4294967296;
+  };
+};
+
+// Short client-side id for rows edited before they are saved
+export const createId = () => Math.random().toString(36).slice(2, 11);
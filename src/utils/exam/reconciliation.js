@@ -0,0 +1,292 @@
+import * as XLSX from 'xlsx';
+import jsPDF from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { formatCurrency, roundMoney } from './money';
+
+// Payment reconciliation for the finance team: takings by day, method and
+// cashier, payments matched against bookings, and the end-of-day cash-up.
+// Cashiers are the admins who processed a payment, e.g. through the
+// process-on-print cash path of the bill.
+
+const SETTLED_STATUSES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+export const RECONCILIATION_ISSUES = {
+  PAID_WITHOUT_PAYMENT: { label: 'Paid without payment', badge: 'badge-danger' },
+  PAYMENT_WITHOUT_BOOKING: { label: 'Payment without booking', badge: 'badge-danger' },
+  AMOUNT_MISMATCH: { label: 'Amount mismatch', badge: 'badge-warning' }
+};
+
+// Local calendar day as YYYY-MM-DD
+export const toDayKey = (value) => {
+  const date = new Date(value);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// { from, to } ISO bounds covering whole local days, for the server query
+export const getDayBounds = (fromDay, toDay = fromDay) => ({
+  from: new Date(`${fromDay}T00:00:00`).toISOString(),
+  to: new Date(`${toDay}T23:59:59.999`).toISOString()
+});
+
+export const getPaymentDay = (payment) => toDayKey(payment.paidAt || payment.createdAt);
+
+export const getCashierKey = (payment) => payment.processedBy?.id || 'unassigned';
+
+export const getCashierName = (payment) => {
+  const cashier = payment.processedBy;
+  if (!cashier) return payment.method === 'CASH' ? 'Unassigned' : 'Online';
+  return `${cashier.firstName || ''} ${cashier.lastName || ''}`.trim() || cashier.email || 'Unknown';
+};
+
+const getStudentName = (record) => {
+  const user = record.user || record.booking?.user;
+  return user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email : '-';
+};
+
+const getRefunded = (payment) => Number(payment.refundedAmount) || 0;
+
+const isSettled = (payment) => SETTLED_STATUSES.includes(payment.status);
+
+const isMarkedPaid = (booking) =>
+  booking.status === 'PAID' || booking.paymentStatus === 'PAID' || isSettled(booking.payment || {});
+
+// Settled payments grouped by day, method and cashier, newest day first
+export const summarizePaymentsByDay = (payments) => {
+  const groups = new Map();
+  payments.filter(isSettled).forEach(payment => {
+    const day = getPaymentDay(payment);
+    const method = payment.method || 'UNKNOWN';
+    const key = `${day}|${method}|${getCashierKey(payment)}`;
+    const group = groups.get(key) || {
+      key,
+      day,
+      method,
+      cashier: getCashierName(payment),
+      currency: payment.currency || 'USD',
+      count: 0,
+      gross: 0,
+      refunded: 0,
+      net: 0
+    };
+    group.count += 1;
+    group.gross = roundMoney(group.gross + (Number(payment.amount) || 0));
+    group.refunded = roundMoney(group.refunded + getRefunded(payment));
+    group.net = roundMoney(group.gross - group.refunded);
+    groups.set(key, group);
+  });
+  return [...groups.values()].sort((a, b) =>
+    b.day.localeCompare(a.day) || a.method.localeCompare(b.method) || a.cashier.localeCompare(b.cashier));
+};
+
+// Matches settled payments to bookings and lists what does not add up:
+// bookings marked PAID with no payment record, payments whose booking is
+// missing, and payments that differ from the booking's invoice total.
+export const reconcilePayments = (payments, bookings) => {
+  const settled = payments.filter(isSettled);
+  const paidBookingIds = new Set(settled.map(payment => payment.booking?.id || payment.bookingId).filter(Boolean));
+  const issues = [];
+
+  bookings.forEach(booking => {
+    if (isMarkedPaid(booking) && !paidBookingIds.has(booking.id) && !booking.payment?.id) {
+      issues.push({
+        type: 'PAID_WITHOUT_PAYMENT',
+        id: `booking-${booking.id}`,
+        reference: String(booking.id).slice(-8).toUpperCase(),
+        student: getStudentName(booking),
+        exam: booking.exam?.title || '-',
+        amount: Number(booking.invoice?.total ?? booking.exam?.price) || 0,
+        currency: booking.exam?.currency || 'USD',
+        detail: 'Booking is marked PAID but no payment was recorded'
+      });
+    }
+  });
+
+  settled.forEach(payment => {
+    const base = {
+      id: `payment-${payment.id}`,
+      reference: payment.transactionId || String(payment.id).slice(-8).toUpperCase(),
+      student: getStudentName(payment),
+      exam: payment.booking?.exam?.title || '-',
+      amount: Number(payment.amount) || 0,
+      currency: payment.currency || 'USD'
+    };
+    if (!payment.booking) {
+      issues.push({ ...base, type: 'PAYMENT_WITHOUT_BOOKING', detail: 'No booking matches this payment' });
+      return;
+    }
+    const invoiceTotal = payment.booking.invoice?.total;
+    if (invoiceTotal !== undefined && invoiceTotal !== null && roundMoney(Number(invoiceTotal)) !== roundMoney(base.amount)) {
+      issues.push({
+        ...base,
+        type: 'AMOUNT_MISMATCH',
+        detail: `Invoice total is ${formatCurrency(Number(invoiceTotal), base.currency)}`
+      });
+    }
+  });
+
+  return {
+    matched: settled.filter(payment => payment.booking).length,
+    issues
+  };
+};
+
+// End-of-day cash-up. Each cashier should hold the cash they took that day
+// less the cash they refunded that day; `counted` holds what they actually
+// counted, keyed by cashier. Other methods are listed for completeness.
+export const buildCashUp = (payments, day, counted = {}) => {
+  const cashiers = new Map();
+  const methods = new Map();
+  const dayPayments = [];
+
+  payments.forEach(payment => {
+    const paidToday = isSettled(payment) && getPaymentDay(payment) === day;
+    const refundedToday = payment.refundedAt && toDayKey(payment.refundedAt) === day ? getRefunded(payment) : 0;
+    if (!paidToday && !refundedToday) return;
+
+    const amount = paidToday ? Number(payment.amount) || 0 : 0;
+    if (paidToday) dayPayments.push(payment);
+
+    const method = payment.method || 'UNKNOWN';
+    const methodEntry = methods.get(method) || { method, count: 0, taken: 0, refunded: 0, net: 0 };
+    methodEntry.count += paidToday ? 1 : 0;
+    methodEntry.taken = roundMoney(methodEntry.taken + amount);
+    methodEntry.refunded = roundMoney(methodEntry.refunded + refundedToday);
+    methodEntry.net = roundMoney(methodEntry.taken - methodEntry.refunded);
+    methods.set(method, methodEntry);
+
+    if (method !== 'CASH') return;
+    const key = getCashierKey(payment);
+    const cashier = cashiers.get(key) || { key, cashier: getCashierName(payment), count: 0, taken: 0, refunded: 0, expected: 0 };
+    cashier.count += paidToday ? 1 : 0;
+    cashier.taken = roundMoney(cashier.taken + amount);
+    cashier.refunded = roundMoney(cashier.refunded + refundedToday);
+    cashier.expected = roundMoney(cashier.taken - cashier.refunded);
+    cashiers.set(key, cashier);
+  });
+
+  const cashierRows = [...cashiers.values()]
+    .sort((a, b) => a.cashier.localeCompare(b.cashier))
+    .map(cashier => {
+      const countedAmount = counted[cashier.key];
+      const hasCount = countedAmount !== undefined && countedAmount !== '';
+      return {
+        ...cashier,
+        counted: hasCount ? roundMoney(Number(countedAmount) || 0) : null,
+        variance: hasCount ? roundMoney((Number(countedAmount) || 0) - cashier.expected) : null
+      };
+    });
+  const methodRows = [...methods.values()].sort((a, b) => a.method.localeCompare(b.method));
+  const countedRows = cashierRows.filter(row => row.counted !== null);
+
+  return {
+    day,
+    currency: dayPayments[0]?.currency || 'USD',
+    cashiers: cashierRows,
+    methods: methodRows,
+    payments: dayPayments.sort((a, b) => new Date(a.paidAt || a.createdAt) - new Date(b.paidAt || b.createdAt)),
+    totals: {
+      count: dayPayments.length,
+      net: roundMoney(methodRows.reduce((sum, row) => sum + row.net, 0)),
+      cashExpected: roundMoney(cashierRows.reduce((sum, row) => sum + row.expected, 0)),
+      cashCounted: countedRows.length ? roundMoney(countedRows.reduce((sum, row) => sum + row.counted, 0)) : null,
+      variance: countedRows.length ? roundMoney(countedRows.reduce((sum, row) => sum + row.variance, 0)) : null
+    }
+  };
+};
+
+const getPaymentRow = (payment) => ({
+  Time: new Date(payment.paidAt || payment.createdAt).toLocaleTimeString(),
+  Reference: payment.transactionId || String(payment.id).slice(-8).toUpperCase(),
+  Student: getStudentName(payment),
+  Exam: payment.booking?.exam?.title || '-',
+  Method: payment.method || '-',
+  Cashier: getCashierName(payment),
+  Amount: Number(payment.amount) || 0,
+  Refunded: getRefunded(payment)
+});
+
+export const buildCashUpWorkbook = (cashUp) => {
+  const cashierRows = cashUp.cashiers.map(row => ({
+    Cashier: row.cashier,
+    'Cash payments': row.count,
+    Taken: row.taken,
+    Refunded: row.refunded,
+    Expected: row.expected,
+    Counted: row.counted ?? '',
+    Variance: row.variance ?? ''
+  }));
+  const methodRows = cashUp.methods.map(row => ({
+    Method: row.method,
+    Payments: row.count,
+    Taken: row.taken,
+    Refunded: row.refunded,
+    Net: row.net
+  }));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(cashierRows), 'Cash Up');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(methodRows), 'By Method');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(cashUp.payments.map(getPaymentRow)), 'Payments');
+  return workbook;
+};
+
+export const exportCashUpPdf = (cashUp) => {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.width;
+  const money = (amount) => (amount === null ? '-' : formatCurrency(amount, cashUp.currency));
+
+  doc.setFontSize(18);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Daily Cash-Up', pageWidth / 2, 20, { align: 'center' });
+
+  doc.setFontSize(11);
+  doc.setFont('helvetica', 'normal');
+  const details = [
+    `Day: ${new Date(`${cashUp.day}T00:00:00`).toLocaleDateString()}`,
+    `Payments: ${cashUp.totals.count}, net takings ${money(cashUp.totals.net)}`,
+    `Cash expected: ${money(cashUp.totals.cashExpected)}, counted ${money(cashUp.totals.cashCounted)}, variance ${money(cashUp.totals.variance)}`
+  ];
+  details.forEach((line, index) => doc.text(line, 20, 32 + index * 7));
+
+  autoTable(doc, {
+    startY: 32 + details.length * 7 + 4,
+    head: [['Cashier', 'Cash payments', 'Taken', 'Refunded', 'Expected', 'Counted', 'Variance']],
+    body: cashUp.cashiers.map(row => [
+      row.cashier, row.count, money(row.taken), money(row.refunded), money(row.expected), money(row.counted), money(row.variance)
+    ]),
+    theme: 'grid',
+    headStyles: { fillColor: [66, 139, 202] }
+  });
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 10,
+    head: [['Method', 'Payments', 'Taken', 'Refunded', 'Net']],
+    body: cashUp.methods.map(row => [row.method, row.count, money(row.taken), money(row.refunded), money(row.net)]),
+    theme: 'grid',
+    headStyles: { fillColor: [100, 116, 139] }
+  });
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 10,
+    head: [['Time', 'Reference', 'Student', 'Method', 'Cashier', 'Amount']],
+    body: cashUp.payments.map(payment => {
+      const row = getPaymentRow(payment);
+      return [row.Time, row.Reference, row.Student, row.Method, row.Cashier, money(row.Amount)];
+    }),
+    theme: 'grid',
+    headStyles: { fillColor: [100, 116, 139] },
+    styles: { fontSize: 9 }
+  });
+
+  let signatureY = doc.lastAutoTable.finalY + 20;
+  if (signatureY > doc.internal.pageSize.height - 20) {
+    doc.addPage();
+    signatureY = 30;
+  }
+  doc.setFontSize(11);
+  doc.text('Counted by: ____________________', 20, signatureY);
+  doc.text('Checked by: ____________________', pageWidth / 2 + 5, signatureY);
+
+  doc.save(`cash-up-${cashUp.day}.pdf`);
+};
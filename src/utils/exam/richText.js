@@ -0,0 +1,119 @@
+import { Marked } from 'marked';
+import katex from 'katex';
+import DOMPurify from 'dompurify';
+import hljs from 'highlight.js/lib/core';
+import javascript from 'highlight.js/lib/languages/javascript';
+import typescript from 'highlight.js/lib/languages/typescript';
+import python from 'highlight.js/lib/languages/python';
+import java from 'highlight.js/lib/languages/java';
+import c from 'highlight.js/lib/languages/c';
+import cpp from 'highlight.js/lib/languages/cpp';
+import csharp from 'highlight.js/lib/languages/csharp';
+import sql from 'highlight.js/lib/languages/sql';
+import bash from 'highlight.js/lib/languages/bash';
+import json from 'highlight.js/lib/languages/json';
+import xml from 'highlight.js/lib/languages/xml';
+import css from 'highlight.js/lib/languages/css';
+import go from 'highlight.js/lib/languages/go';
+import php from 'highlight.js/lib/languages/php';
+
+// Only the languages question authors are expected to use are bundled
+Object.entries({
+  javascript, typescript, python, java, c, cpp, csharp, sql, bash, json, xml, css, go, php
+}).forEach(([name, language]) => hljs.registerLanguage(name, language));
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderMath = (tex, displayMode) => katex.renderToString(tex, {
+  displayMode,
+  throwOnError: false,
+  output: 'htmlAndMathml'
+});
+
+// $$...$$ on its own lines renders as a display formula
+const blockMath = {
+  name: 'blockMath',
+  level: 'block',
+  start: (src) => src.match(/\$\$/)?.index,
+  tokenizer(src) {
+    const match = /^\$\$\s*([\s\S]+?)\s*\$\$(?:\n+|$)/.exec(src);
+    if (match) {
+      return { type: 'blockMath', raw: match[0], text: match[1] };
+    }
+  },
+  renderer: (token) => `<div class="rich-text-math">${renderMath(token.text, true)}</div>`
+};
+
+// $...$ renders inline; "$5 and $10" is left alone because the closing $
+// must not be preceded by whitespace or followed by a digit
+const inlineMath = {
+  name: 'inlineMath',
+  level: 'inline',
+  start: (src) => src.match(/\$/)?.index,
+  tokenizer(src) {
+    const display = /^\$\$([\s\S]+?)\$\$/.exec(src);
+    if (display) {
+      return { type: 'inlineMath', raw: display[0], text: display[1].trim(), displayMode: true };
+    }
+    const match = /^\$(?!\s)((?:\\\$|[^$\n])+?)(?<!\s)\$(?!\d)/.exec(src);
+    if (match) {
+      return { type: 'inlineMath', raw: match[0], text: match[1], displayMode: false };
+    }
+  },
+  renderer: (token) => renderMath(token.text, token.displayMode)
+};
+
+const markdown = new Marked({
+  gfm: true,
+  breaks: true,
+  extensions: [blockMath, inlineMath],
+  renderer: {
+    code({ text, lang }) {
+      const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+      const highlighted = language && hljs.getLanguage(language)
+        ? hljs.highlight(text, { language, ignoreIllegals: true }).value
+        : escapeHtml(text);
+      return `<pre class="rich-text-code"><code class="hljs${language ? ` language-${escapeHtml(language)}` : ''}">${highlighted}</code></pre>`;
+    },
+    link({ href, title, tokens }) {
+      const label = this.parser.parseInline(tokens);
+      return `<a href="${escapeHtml(href || '')}"${title ? ` title="${escapeHtml(title)}"` : ''} target="_blank" rel="noopener noreferrer">${label}</a>`;
+    }
+  }
+});
+
+const SANITIZE_OPTIONS = {
+  USE_PROFILES: { html: true, mathMl: true },
+  ADD_ATTR: ['target']
+};
+
+// Renders question text, options and explanations written in Markdown with
+// $...$ / $$...$$ LaTeX and fenced code blocks to sanitized HTML. Options and
+// other single-line content use `inline` so they are not wrapped in <p>.
+export const renderRichText = (text, { inline = false } = {}) => {
+  if (text === null || text === undefined || text === '') return '';
+  const source = String(text);
+  const html = inline ? markdown.parseInline(source) : markdown.parse(source);
+  return DOMPurify.sanitize(html, SANITIZE_OPTIONS);
+};
+
+// Plain-text version for titles, tooltips and other attribute contexts
+export const stripRichText = (text) => {
+  if (!text) return '';
+  return String(text)
+    .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+    .replace(/\$\$([\s\S]+?)\$\$/g, '$1')
+    .replace(/\$([^$\n]+?)\$/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|~~)(.+?)\1/g, '$2')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^>\s?/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
@@ -0,0 +1,132 @@
+// jsPDF's built-in fonts only cover Latin-1, so rich question text is written
+// to PDFs as readable plain text: LaTeX is turned into linear notation,
+// Markdown emphasis is dropped and fenced code keeps its layout in courier.
+
+const LATEX_SYMBOLS = {
+  alpha: 'alpha', beta: 'beta', gamma: 'gamma', delta: 'delta', epsilon: 'epsilon', theta: 'theta',
+  lambda: 'lambda', mu: 'µ', pi: 'pi', sigma: 'sigma', tau: 'tau', phi: 'phi', omega: 'omega',
+  Delta: 'Delta', Sigma: 'Sigma', Omega: 'Omega', Pi: 'Pi',
+  times: '×', cdot: '·', div: '÷', pm: '±', mp: '-/+', leq: '<=', le: '<=', geq: '>=', ge: '>=',
+  neq: '!=', ne: '!=', approx: '~', infty: 'infinity', to: '->', rightarrow: '->', leftarrow: '<-',
+  Rightarrow: '=>', degree: '°', circ: '°', ldots: '...', cdots: '...', sum: 'sum', prod: 'prod',
+  int: 'integral', partial: 'd', nabla: 'nabla', in: 'in', cup: 'U', cap: 'n', forall: 'for all',
+  exists: 'exists', sin: 'sin', cos: 'cos', tan: 'tan', log: 'log', ln: 'ln', lim: 'lim', max: 'max', min: 'min'
+};
+
+const SUPERSCRIPTS = { '1': '¹', '2': '²', '3': '³' };
+
+// Innermost-first so nested \frac{\sqrt{x}}{2} resolves cleanly
+const latexToText = (tex) => {
+  let text = tex;
+  let previous;
+  do {
+    previous = text;
+    text = text
+      .replace(/\\[dt]?frac\{([^{}]*)\}\{([^{}]*)\}/g, '($1)/($2)')
+      .replace(/\\sqrt\[([^\]]*)\]\{([^{}]*)\}/g, 'root$1($2)')
+      .replace(/\\sqrt\{([^{}]*)\}/g, 'sqrt($1)')
+      .replace(/\\(?:text|mathrm|mathbf|mathit|operatorname)\{([^{}]*)\}/g, '$1')
+      .replace(/\^\{([^{}]*)\}/g, (match, exponent) => SUPERSCRIPTS[exponent] || `^(${exponent})`)
+      .replace(/_\{([^{}]*)\}/g, '_($1)');
+  } while (text !== previous);
+
+  return text
+    .replace(/\^([0-9a-zA-Z])/g, (match, exponent) => SUPERSCRIPTS[exponent] || `^${exponent}`)
+    .replace(/\\left|\\right/g, '')
+    .replace(/\\([a-zA-Z]+)/g, (match, name) => LATEX_SYMBOLS[name] ?? name)
+    .replace(/\\[,;:! ]/g, ' ')
+    .replace(/\\([{}$%&#_])/g, '$1')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const inlineToText = (line) => line
+  .replace(/\$\$([\s\S]+?)\$\$/g, (match, tex) => latexToText(tex))
+  .replace(/\$(?!\s)((?:\\\$|[^$\n])+?)(?<!\s)\$(?!\d)/g, (match, tex) => latexToText(tex))
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '[image: $1]')
+  .replace(/\[([^\]]+)\]\(([^)]*)\)/g, '$1 ($2)')
+  .replace(/(\*\*|__|\*|~~)(.+?)\1/g, '$2')
+  // Anything still outside Latin-1 would print as garbage
+  .replace(/[^\n -ÿ]/g, '?');
+
+// Splits rich text into plain-text paragraphs, display formulas and code blocks
+export const richTextToPdfBlocks = (text) => {
+  const blocks = [];
+  const source = String(text || '').replace(/\r\n/g, '\n');
+  const pattern = /```[^\n]*\n([\s\S]*?)```|\$\$([\s\S]+?)\$\$/g;
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (chunk) => {
+    chunk.split(/\n{2,}/).forEach(paragraph => {
+      const lines = paragraph
+        .split('\n')
+        .map(line => inlineToText(line.replace(/^#{1,6}\s+/, '').replace(/^>\s?/, '').replace(/^\s*[-*+]\s+/, '- ')))
+        .filter(line => line.trim());
+      if (lines.length) blocks.push({ type: 'text', lines });
+    });
+  };
+
+  while ((match = pattern.exec(source)) !== null) {
+    pushText(source.slice(lastIndex, match.index));
+    if (match[1] !== undefined) {
+      blocks.push({ type: 'code', lines: match[1].replace(/\n$/, '').replace(/\t/g, '  ').split('\n') });
+    } else {
+      blocks.push({ type: 'math', lines: [latexToText(match[2])] });
+    }
+    lastIndex = pattern.lastIndex;
+  }
+  pushText(source.slice(lastIndex));
+
+  return blocks;
+};
+
+// Writes rich text at (x, y), wrapping to maxWidth and starting new pages as
+// needed. Returns the y position below the written text.
+export const writeRichTextToPdf = (doc, text, {
+  x = 20,
+  y = 20,
+  maxWidth = 170,
+  fontSize = 11,
+  lineHeight = 6,
+  fontStyle = 'normal',
+  bottomMargin = 20,
+  topMargin = 20
+} = {}) => {
+  const pageHeight = doc.internal.pageSize.getHeight();
+  let cursor = y;
+
+  const writeLine = (line, lineX) => {
+    if (cursor > pageHeight - bottomMargin) {
+      doc.addPage();
+      cursor = topMargin;
+    }
+    doc.text(line, lineX, cursor);
+    cursor += lineHeight;
+  };
+
+  richTextToPdfBlocks(text).forEach((block, index) => {
+    if (index > 0) cursor += lineHeight / 2;
+
+    if (block.type === 'code') {
+      doc.setFont('courier', 'normal');
+      doc.setFontSize(fontSize - 1);
+      block.lines.forEach(line => {
+        doc.splitTextToSize(line || ' ', maxWidth - 4).forEach(part => writeLine(part, x + 4));
+      });
+    } else {
+      doc.setFont('helvetica', block.type === 'math' ? 'italic' : fontStyle);
+      doc.setFontSize(fontSize);
+      const lineX = block.type === 'math' ? x + 8 : x;
+      block.lines.forEach(line => {
+        doc.splitTextToSize(line, maxWidth - (lineX - x)).forEach(part => writeLine(part, lineX));
+      });
+    }
+  });
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(fontSize);
+  return cursor;
+};
@@ -0,0 +1,92 @@
+import { getRubricMaxPoints } from './grading';
+import { createId } from './random';
+
+// Rubric library helpers. Rubrics have the shape described in grading.js:
+// criteria, each with its own performance levels worth a number of points.
+
+export const RUBRIC_QUESTION_TYPES = ['ESSAY', 'SHORT_ANSWER'];
+
+// Criteria averaging under this share of their points are flagged
+export const STRUGGLING_CRITERION_THRESHOLD = 0.5;
+
+const DEFAULT_LEVELS = [
+  { label: 'Excellent', points: 4 },
+  { label: 'Good', points: 3 },
+  { label: 'Fair', points: 2 },
+  { label: 'Poor', points: 1 }
+];
+
+export const createRubricLevel = (level = {}) => ({
+  id: createId(),
+  label: '',
+  description: '',
+  points: 0,
+  ...level
+});
+
+// New criteria copy the level labels and points of the first criterion so a
+// rubric keeps the same scale throughout
+export const createRubricCriterion = (template) => ({
+  id: createId(),
+  name: '',
+  description: '',
+  levels: (template?.levels || DEFAULT_LEVELS).map(level => createRubricLevel({ label: level.label, points: level.points }))
+});
+
+export const createRubric = () => ({
+  name: '',
+  description: '',
+  criteria: [createRubricCriterion()]
+});
+
+// Returns an error message, or null when the rubric can be saved
+export const validateRubric = (rubric) => {
+  if (!rubric.name.trim()) return 'Give the rubric a name';
+  if (!rubric.criteria.length) return 'Add at least one criterion';
+  for (const criterion of rubric.criteria) {
+    if (!criterion.name.trim()) return 'Every criterion needs a name';
+    if (criterion.levels.length < 2) return `"${criterion.name}" needs at least two levels`;
+    if (criterion.levels.some(level => !level.label.trim())) return `Every level of "${criterion.name}" needs a label`;
+    if (criterion.levels.some(level => !Number.isFinite(Number(level.points)) || Number(level.points) < 0)) {
+      return `Points in "${criterion.name}" must be zero or more`;
+    }
+  }
+  return null;
+};
+
+export const toRubricPayload = (rubric) => ({
+  name: rubric.name.trim(),
+  description: rubric.description.trim(),
+  criteria: rubric.criteria.map(criterion => ({
+    ...criterion,
+    name: criterion.name.trim(),
+    levels: criterion.levels.map(level => ({ ...level, label: level.label.trim(), points: Number(level.points) }))
+  }))
+});
+
+// Per-criterion results across graded responses: how often each level was
+// given and the average share of the criterion's points earned. `graded` is
+// a list of { rubricScores } from final grades.
+export const summarizeRubricScores = (rubric, graded) =>
+  (rubric?.criteria || []).map(criterion => {
+    const maxPoints = getRubricMaxPoints({ criteria: [criterion] });
+    const scores = graded
+      .map(entry => (entry.rubricScores || []).find(score => score.criterionId === criterion.id))
+      .filter(Boolean);
+    const levelCounts = criterion.levels.map(level => ({
+      ...level,
+      count: scores.filter(score => score.levelId === level.id).length
+    }));
+    const averagePoints = scores.length ? scores.reduce((sum, score) => sum + Number(score.points), 0) / scores.length : null;
+    const averageShare = averagePoints !== null && maxPoints ? averagePoints / maxPoints : null;
+    return {
+      id: criterion.id,
+      name: criterion.name,
+      maxPoints,
+      responses: scores.length,
+      averagePoints,
+      averageShare,
+      levelCounts,
+      struggling: averageShare !== null && averageShare < STRUGGLING_CRITERION_THRESHOLD
+    };
+  });
@@ -0,0 +1,74 @@
+import jsPDF from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { formatSessionTime, getSessionAvailability } from './sessionSeating';
+
+const getName = (booking) => `${booking.user?.firstName || ''} ${booking.user?.lastName || ''}`.trim() || '-';
+
+// Compares seat labels row first, then by number, so A2 sorts before A10
+const compareSeats = (a, b) => {
+  const [, rowA = '', numberA = 0] = String(a || '').match(/^([A-Z]+)(\d+)$/i) || [];
+  const [, rowB = '', numberB = 0] = String(b || '').match(/^([A-Z]+)(\d+)$/i) || [];
+  if (!a || !b) return a ? -1 : b ? 1 : 0;
+  return rowA.length - rowB.length || rowA.localeCompare(rowB) || Number(numberA) - Number(numberB);
+};
+
+// Printable roster for a session: seated candidates in seat order with a
+// signature column for check-in, followed by the waitlist
+export const exportSessionRosterPdf = (session, bookings, waitlist = []) => {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.width;
+  const availability = getSessionAvailability({ ...session, bookedCount: bookings.length, waitlistCount: waitlist.length });
+
+  doc.setFontSize(18);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Session Roster', pageWidth / 2, 20, { align: 'center' });
+
+  doc.setFontSize(11);
+  doc.setFont('helvetica', 'normal');
+  const details = [
+    `Exam: ${session.exam?.title || '-'}`,
+    `Room: ${session.room?.name || '-'}${session.room?.location ? ` (${session.room.location})` : ''}`,
+    `Time: ${formatSessionTime(session)}`,
+    `Seats: ${availability.booked} of ${availability.capacity} booked`
+  ];
+  details.forEach((line, index) => doc.text(line, 20, 32 + index * 7));
+
+  const seated = [...bookings].sort((a, b) => compareSeats(a.seatNumber, b.seatNumber));
+  autoTable(doc, {
+    startY: 32 + details.length * 7 + 4,
+    head: [['Seat', 'Candidate', 'Email', 'Booking', 'Signature']],
+    body: seated.map(booking => [
+      booking.seatNumber || 'Unassigned',
+      getName(booking),
+      booking.user?.email || '',
+      String(booking.id || '').slice(-8).toUpperCase(),
+      ''
+    ]),
+    theme: 'grid',
+    headStyles: { fillColor: [66, 139, 202] },
+    columnStyles: { 4: { cellWidth: 40 } },
+    bodyStyles: { minCellHeight: 10 }
+  });
+
+  if (waitlist.length) {
+    const y = doc.lastAutoTable.finalY + 14;
+    doc.setFontSize(13);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Waitlist', 20, y);
+    autoTable(doc, {
+      startY: y + 4,
+      head: [['Position', 'Candidate', 'Email', 'Joined']],
+      body: waitlist.map((booking, index) => [
+        booking.waitlistPosition || index + 1,
+        getName(booking),
+        booking.user?.email || '',
+        booking.createdAt ? new Date(booking.createdAt).toLocaleString() : ''
+      ]),
+      theme: 'grid',
+      headStyles: { fillColor: [100, 116, 139] }
+    });
+  }
+
+  const date = session.startsAt ? new Date(session.startsAt).toISOString().split('T')[0] : 'session';
+  doc.save(`roster-${(session.room?.name || 'room').replace(/\s+/g, '-').toLowerCase()}-${date}.pdf`);
+};
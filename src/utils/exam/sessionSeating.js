@@ -0,0 +1,80 @@
+// Seat maps and capacity for scheduled exam sessions. A room is a grid of
+// rows x seatsPerRow; seats are labelled by row letter and number ("A1",
+// "B12") and blockedSeats lists seats that cannot be used.
+
+const ACTIVE_BOOKING_STATUSES = ['PENDING', 'CONFIRMED', 'SCHEDULED', 'COMPLETED'];
+
+export const WAITLIST_STATUS = 'WAITLISTED';
+
+// Row letters run A-Z, then AA, AB, ...
+export const getRowLabel = (rowIndex) => {
+  let label = '';
+  let index = rowIndex;
+  do {
+    label = String.fromCharCode(65 + (index % 26)) + label;
+    index = Math.floor(index / 26) - 1;
+  } while (index >= 0);
+  return label;
+};
+
+export const getSeatLabel = (rowIndex, seatIndex) => `${getRowLabel(rowIndex)}${seatIndex + 1}`;
+
+// Rows of seats as [{ label, blocked }], front row first
+export const buildSeatMap = (room) => {
+  const blocked = new Set((room?.blockedSeats || []).map(seat => String(seat).toUpperCase()));
+  return Array.from({ length: Number(room?.rows) || 0 }, (_, rowIndex) =>
+    Array.from({ length: Number(room?.seatsPerRow) || 0 }, (__, seatIndex) => {
+      const label = getSeatLabel(rowIndex, seatIndex);
+      return { label, blocked: blocked.has(label) };
+    }));
+};
+
+export const getRoomCapacity = (room) =>
+  buildSeatMap(room).reduce((sum, row) => sum + row.filter(seat => !seat.blocked).length, 0);
+
+// A session may seat fewer people than its room, never more
+export const getSessionCapacity = (session) => {
+  const roomCapacity = session?.room ? getRoomCapacity(session.room) : null;
+  const capacity = Number(session?.capacity) || null;
+  if (roomCapacity === null) return capacity || 0;
+  return capacity ? Math.min(capacity, roomCapacity) : roomCapacity;
+};
+
+export const isSeatedBooking = (booking) => ACTIVE_BOOKING_STATUSES.includes(booking?.status);
+
+// Booked, free and waitlisted counts. Prefers the session's own counters,
+// falling back to its bookings when the server includes them.
+export const getSessionAvailability = (session) => {
+  const capacity = getSessionCapacity(session);
+  const bookings = session?.bookings || [];
+  const booked = session?.bookedCount ?? bookings.filter(isSeatedBooking).length;
+  const waitlisted = session?.waitlistCount ?? bookings.filter(booking => booking.status === WAITLIST_STATUS).length;
+  return {
+    capacity,
+    booked,
+    available: Math.max(0, capacity - booked),
+    waitlisted,
+    isFull: booked >= capacity
+  };
+};
+
+// First free, unblocked seat in row order, or null when the room is full
+export const getNextFreeSeat = (room, takenSeats = []) => {
+  const taken = new Set(takenSeats.filter(Boolean).map(seat => String(seat).toUpperCase()));
+  for (const row of buildSeatMap(room)) {
+    const seat = row.find(candidate => !candidate.blocked && !taken.has(candidate.label));
+    if (seat) return seat.label;
+  }
+  return null;
+};
+
+export const formatSessionTime = (session) => {
+  if (!session?.startsAt) return '';
+  const start = new Date(session.startsAt);
+  const date = start.toLocaleDateString([], { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+  const time = start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const end = session.endsAt
+    ? ` - ${new Date(session.endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+    : '';
+  return `${date} ${time}${end}`;
+};
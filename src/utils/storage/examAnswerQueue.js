@@ -0,0 +1,126 @@
+const DB_NAME = 'exam_autosave'
+const DB_VERSION = 1
+const STORE_NAME = 'pending_answers'
+
+// IndexedDB-backed queue of exam answers that have not reached the server yet.
+// Every answer is written here before it is sent, so a crash, tab close or
+// network failure never loses more than the answer currently being typed.
+class ExamAnswerQueue {
+  constructor() {
+    this.dbPromise = null
+  }
+
+  isAvailable() {
+    return typeof window !== 'undefined' && 'indexedDB' in window
+  }
+
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+
+        request.onupgradeneeded = () => {
+          const db = request.result
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' })
+            store.createIndex('attemptId', 'attemptId', { unique: false })
+          }
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      }).catch(error => {
+        // Allow a later call to retry opening the database
+        this.dbPromise = null
+        throw error
+      })
+    }
+    return this.dbPromise
+  }
+
+  async runTransaction(mode, callback) {
+    const db = await this.openDatabase()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const request = callback(transaction.objectStore(STORE_NAME))
+      transaction.oncomplete = () => resolve(request?.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  // Store (or replace) the latest answer for a question of an attempt
+  async enqueue(attemptId, questionId, payload, queuedAt = Date.now()) {
+    if (!this.isAvailable()) return false
+    try {
+      await this.runTransaction('readwrite', store => store.put({
+        key: `${attemptId}:${questionId}`,
+        attemptId,
+        questionId,
+        payload,
+        queuedAt,
+      }))
+      return true
+    } catch (error) {
+      console.error('Error queueing exam answer:', error)
+      return false
+    }
+  }
+
+  async getPending(attemptId) {
+    if (!this.isAvailable()) return []
+    try {
+      const entries = await this.runTransaction('readonly', store =>
+        store.index('attemptId').getAll(attemptId)
+      )
+      return (entries || []).sort((a, b) => a.queuedAt - b.queuedAt)
+    } catch (error) {
+      console.error('Error reading queued exam answers:', error)
+      return []
+    }
+  }
+
+  // Remove a synced answer. When queuedAt is given the entry is only removed if
+  // it has not been replaced by a newer answer in the meantime.
+  async remove(attemptId, questionId, queuedAt) {
+    if (!this.isAvailable()) return false
+    const key = `${attemptId}:${questionId}`
+    try {
+      await this.runTransaction('readwrite', store => {
+        const request = store.get(key)
+        request.onsuccess = () => {
+          const entry = request.result
+          if (entry && (queuedAt === undefined || entry.queuedAt === queuedAt)) {
+            store.delete(key)
+          }
+        }
+        return request
+      })
+      return true
+    } catch (error) {
+      console.error('Error removing queued exam answer:', error)
+      return false
+    }
+  }
+
+  async clearAttempt(attemptId) {
+    if (!this.isAvailable()) return false
+    try {
+      await this.runTransaction('readwrite', store => {
+        const request = store.index('attemptId').getAllKeys(attemptId)
+        request.onsuccess = () => {
+          request.result.forEach(key => store.delete(key))
+        }
+        return request
+      })
+      return true
+    } catch (error) {
+      console.error('Error clearing queued exam answers:', error)
+      return false
+    }
+  }
+}
+
+// Create and export singleton instance
+export const examAnswerQueue = new ExamAnswerQueue()
+
+export default examAnswerQueue